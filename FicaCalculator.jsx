@@ -1,131 +1,478 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    calculateFicaTipCredit,
+    formatCurrency,
+    formatNumber,
+    solveForTarget,
+    validateInputs
+} from './fica-calculator.mjs';
+import wageRules from './wage-rules.js';
+import shareLink from './share-link.js';
+import scenarioStore from './scenarios.js';
+import sensitivity from './sensitivity.js';
+import tipPool from './tip-pool.js';
+import seasonality from './seasonality.js';
+import estimateReport from './estimate-report.js';
+import resultsExport from './results-export.js';
+import i18n from './i18n.js';
+
+// States sorted by name for the jurisdiction picker
+const stateOptions = Object.keys(wageRules.STATE_WAGE_RULES)
+    .map(code => ({ code, name: wageRules.STATE_WAGE_RULES[code].name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+// Calculator defaults
+const DEFAULT_INPUTS = {
+    locations: 1,
+    servers: 10,
+    hoursPerMonth: 173,
+    cashWagePerHour: 8.00,
+    tipsPct: 60, // Stored as percentage (0-100)
+    minWageBasis: 5.15,
+    state: '',
+    city: ''
+};
 
-/**
- * FICA Tip Credit Calculator - React Component
- * Implements IRS Section 45B calculation logic
- */
+// Target credit the solver starts from
+const DEFAULT_TARGET_CREDIT = 100000;
 
-// Calculation function
-const calculateFicaTipCredit = (params) => {
-    const {
-        locations = 1,
-        servers = 1,
-        hoursPerMonth = 173,
-        cashWagePerHour = 0,
-        tipsPct = 0,
-        minWageBasis = 5.15
-    } = params;
-
-    // 1. Monthly cash wage
-    const cashWageMonthly = cashWagePerHour * hoursPerMonth;
-
-    // 2. Total monthly income and tips
-    const totalIncomeMonthly = tipsPct === 1
-        ? cashWageMonthly
-        : cashWageMonthly / (1 - tipsPct);
-    const tipsMonthly = totalIncomeMonthly - cashWageMonthly;
-
-    // 3. Minimum wage baseline
-    const baselineMonthly = minWageBasis * hoursPerMonth;
-
-    // 4. Non-creditable tips
-    let nonCreditableTips = baselineMonthly - cashWageMonthly;
-    if (nonCreditableTips < 0) nonCreditableTips = 0;
-
-    // 5. Creditable tips
-    let creditableTips = tipsMonthly - nonCreditableTips;
-    if (creditableTips < 0) creditableTips = 0;
-
-    // 6. FICA tax rate (7.65%)
-    const FICA_CREDIT_RATE = 0.0765;
-
-    // 7. Monthly credit per server
-    const monthlyCreditPerServer = creditableTips * FICA_CREDIT_RATE;
-
-    // 8. Annual and 3-year credits
-    const annualCreditPerServer = monthlyCreditPerServer * 12;
-    const credit3yrPerServer = annualCreditPerServer * 3;
-
-    // 9. Total credit
-    const totalCredit = credit3yrPerServer * servers * locations;
-
-    // 10. Servers needed for $100k
-    const serversFor100k = credit3yrPerServer > 0
-        ? Math.ceil(100000 / credit3yrPerServer)
-        : 0;
-
-    // Additional calculations
-    const annualIncome = totalIncomeMonthly * 12;
-    const effectiveHourlyRate = hoursPerMonth > 0
-        ? totalIncomeMonthly / hoursPerMonth
-        : 0;
-
-    return {
-        tipsMonthly,
-        nonCreditableTips,
-        creditableTips,
-        monthlyCreditPerServer,
-        annualCreditPerServer,
-        credit3yrPerServer,
-        totalCredit,
-        serversFor100k,
-        totalIncomeMonthly,
-        annualIncome,
-        effectiveHourlyRate
-    };
+// Inputs the target solver can solve for, and how each answer is shown
+const SOLVE_FOR_OPTIONS = {
+    servers: (value, translator) => translator.formatNumber(value),
+    locations: (value, translator) => translator.formatNumber(value),
+    hoursPerMonth: (value, translator) => translator.t('target.hours', { hours: translator.formatNumber(value) }),
+    tipsPct: (value, translator) => `${translator.formatNumber(value * 100, 2)}%`
+};
+
+// Form control IDs for each engine field, for linking validation errors to inputs
+const INPUT_IDS = {
+    locations: 'locations',
+    state: 'state',
+    city: 'city',
+    servers: 'servers',
+    hoursPerMonth: 'hoursPerMonth',
+    cashWagePerHour: 'cashWage',
+    tipsPct: 'tipsPct',
+    minWageBasis: 'minWageBasis'
 };
 
-// Format currency
-const formatCurrency = (value) => {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(value);
+// Columns of the tip pool role table; share and points apply to one pool method each
+const TIP_POOL_COLUMNS = [
+    { field: 'role', type: 'text' },
+    { field: 'headcount', step: '1', min: '1' },
+    { field: 'hoursPerMonth', step: '1', min: '1' },
+    { field: 'cashWagePerHour', step: '0.01', min: '0' },
+    { field: 'tipsCollectedMonthly', step: '1', min: '0' },
+    { field: 'contributionPct', step: '1', min: '0', max: '100' },
+    { field: 'sharePct', step: '1', min: '0', max: '100', method: 'percent' },
+    { field: 'points', step: '1', min: '0', method: 'points' }
+];
+
+// Example tip pool roles, with percentages stored as 0-100 like the form
+const toPercent = value => Math.round(value * 10000) / 100;
+const DEFAULT_POOL_ROLES = tipPool.DEFAULT_TIP_POOL_ROLES.map(role => ({
+    ...role,
+    contributionPct: toPercent(role.contributionPct),
+    sharePct: toPercent(role.sharePct)
+}));
+
+// Columns of the seasonal month table, with tips stored as 0-100 like the form
+const SEASON_COLUMNS = [
+    { field: 'servers', step: '1', min: '0' },
+    { field: 'hoursPerMonth', step: '1', min: '0', max: '744' },
+    { field: 'tipsPct', step: '0.1', min: '0', max: '99' }
+];
+
+// Month name in the page language (index 0 is January)
+const monthLabel = (translator, index) => translator.label(`season.month.${index + 1}`, seasonality.MONTH_LABELS[index]);
+
+// Restore inputs from a shared link, if the page was opened with one
+const readSharedState = () => {
+    if (typeof window === 'undefined') {
+        return { inputs: DEFAULT_INPUTS, scenarioName: '', errors: [], ignored: [], restored: false };
+    }
+    return shareLink.parseState(window.location.search || window.location.hash, DEFAULT_INPUTS);
 };
 
-// Format number
-const formatNumber = (value) => {
-    return new Intl.NumberFormat('en-US', {
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0
-    }).format(value);
+// Inline SVG line chart for one sensitivity sweep
+const SensitivityChart = ({ series, targetCredit, translator }) => {
+    const chart = sensitivity.getChartGeometry(series, { targetCredit });
+    const label = translator.label(`sensitivity.input.${series.field}`, series.label);
+    const left = chart.padding.left;
+    const right = chart.width - chart.padding.right;
+    const bottom = chart.height - chart.padding.bottom;
+
+    return (
+        <figure className="sensitivity-chart">
+            <figcaption>{label}</figcaption>
+            <svg viewBox={`0 0 ${chart.width} ${chart.height}`} role="img" aria-label={translator.t('sensitivity.chartLabel', { input: label })}>
+                {chart.yTicks.map(tick => (
+                    <g key={`y${tick.value}`}>
+                        <line className="grid-line" x1={left} x2={right} y1={tick.y} y2={tick.y} />
+                        <text className="axis-label" x={left - 6} y={tick.y + 3} textAnchor="end">
+                            {sensitivity.formatAxisCredit(tick.value, translator)}
+                        </text>
+                    </g>
+                ))}
+                {chart.xTicks.map(tick => (
+                    <text key={`x${tick.value}`} className="axis-label" x={tick.x} y={bottom + 16} textAnchor="middle">
+                        {sensitivity.formatInputValue(series.format, tick.value, translator)}
+                    </text>
+                ))}
+                {chart.target && (
+                    <line className="target-line" x1={left} x2={right} y1={chart.target.y} y2={chart.target.y} />
+                )}
+                <path className="credit-line" d={chart.path} />
+                {chart.base && <circle className="base-point" cx={chart.base.x} cy={chart.base.y} r="4" />}
+            </svg>
+        </figure>
+    );
 };
 
+// Inline SVG bar chart of the seasonal credit by month
+const SeasonChart = ({ comparison, translator }) => {
+    const flatYear = comparison.flat.yearlyBreakdown[comparison.flat.yearlyBreakdown.length - 1];
+    const chart = seasonality.getMonthlyChartGeometry(comparison.months, { reference: flatYear.totalCredit / 12 });
+    const left = chart.padding.left;
+    const right = chart.width - chart.padding.right;
+    const bottom = chart.height - chart.padding.bottom;
+
+    return (
+        <figure className="sensitivity-chart seasonality-chart">
+            <figcaption>{translator.t('season.chartTitle')}</figcaption>
+            <svg
+                viewBox={`0 0 ${chart.width} ${chart.height}`}
+                role="img"
+                aria-label={translator.t('season.chartLabel', { month: monthLabel(translator, comparison.peakMonth.month - 1) })}
+            >
+                {chart.yTicks.map(tick => (
+                    <g key={`y${tick.value}`}>
+                        <line className="grid-line" x1={left} x2={right} y1={tick.y} y2={tick.y} />
+                        <text className="axis-label" x={left - 6} y={tick.y + 3} textAnchor="end">
+                            {sensitivity.formatAxisCredit(tick.value, translator)}
+                        </text>
+                    </g>
+                ))}
+                {chart.bars.map((bar, index) => (
+                    <g key={bar.label}>
+                        <rect
+                            className={`month-bar${bar.label === comparison.peakMonth.label ? ' peak' : ''}`}
+                            x={bar.x}
+                            y={bar.y}
+                            width={bar.width}
+                            height={bar.height}
+                        >
+                            <title>{`${monthLabel(translator, index)}: ${translator.formatCurrency(bar.value)}`}</title>
+                        </rect>
+                        <text className="axis-label" x={bar.x + bar.width / 2} y={bottom + 16} textAnchor="middle">
+                            {monthLabel(translator, index)}
+                        </text>
+                    </g>
+                ))}
+                <line className="reference-line" x1={left} x2={right} y1={chart.reference.y} y2={chart.reference.y} />
+            </svg>
+        </figure>
+    );
+};
+
+/**
+ * FICA Tip Credit Calculator - React Component
+ * Renders the shared IRS Section 45B engine from fica-calculator.js
+ */
+
 const FicaCalculator = () => {
-    // Input state
-    const [inputs, setInputs] = useState({
-        locations: 1,
-        servers: 10,
-        hoursPerMonth: 173,
-        cashWagePerHour: 8.00,
-        tipsPct: 60, // Stored as percentage (0-100)
-        minWageBasis: 5.15
-    });
+    // Input state, seeded from a shared link when there is one
+    const [sharedState] = useState(readSharedState);
+    const [inputs, setInputs] = useState(sharedState.inputs);
+    const [scenarioName, setScenarioName] = useState(sharedState.scenarioName);
+    const [shareStatus, setShareStatus] = useState('');
+    const [savedScenarios, setSavedScenarios] = useState(() => scenarioStore.loadScenarios());
+
+    // Only rewrite the address bar once the visitor has changed something
+    const syncUrl = useRef(sharedState.restored);
+
+    // Page language; every message and amount goes through the translator
+    const [locale, setLocale] = useState(() => i18n.detectLocale());
+    const translator = i18n.createTranslator(locale);
+    const { t } = translator;
 
     // Output state
     const [results, setResults] = useState(null);
-
-    // Calculate results whenever inputs change
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [fieldWarnings, setFieldWarnings] = useState({});
+    const [warnings, setWarnings] = useState([]);
+    const [analysis, setAnalysis] = useState(null);
+    const [announcement, setAnnouncement] = useState('');
+
+    // Target solver state
+    const [targetCredit, setTargetCredit] = useState(String(DEFAULT_TARGET_CREDIT));
+    const [solveFor, setSolveFor] = useState('servers');
+    const [targetSolution, setTargetSolution] = useState(null);
+
+    // Tip pool state
+    const [tipPoolMethod, setTipPoolMethod] = useState(tipPool.TIP_POOL_METHODS.PERCENT);
+    const [tipPoolRoles, setTipPoolRoles] = useState(DEFAULT_POOL_ROLES);
+
+    // Seasonal state; months are null while they follow the pattern
+    const [seasonPresetId, setSeasonPresetId] = useState('summerBeach');
+    const [seasonMonths, setSeasonMonths] = useState(null);
+
+    // Calculate results whenever inputs or the target change
     useEffect(() => {
         const calculationParams = {
             ...inputs,
-            tipsPct: inputs.tipsPct / 100 // Convert to decimal
+            tipsPct: inputs.tipsPct / 100, // Convert to decimal
+            state: inputs.state || undefined,
+            city: inputs.city || undefined
         };
 
-        const calculatedResults = calculateFicaTipCredit(calculationParams);
-        setResults(calculatedResults);
-    }, [inputs]);
+        // Skip the calculation while inputs are invalid
+        const validation = validateInputs(calculationParams);
+        setFieldErrors(validation.fieldErrors);
+        setFieldWarnings(validation.fieldWarnings);
 
-    // Handle input changes
+        // Warnings about one field are shown next to it instead
+        setWarnings(validation.generalWarnings);
+        setResults(validation.isValid ? calculateFicaTipCredit(calculationParams) : null);
+
+        const target = Number(targetCredit);
+        const validTarget = target > 0 && Number.isFinite(target);
+        setTargetSolution(validation.isValid && validTarget ? solveForTarget(calculationParams, solveFor, target) : null);
+        setAnalysis(validation.isValid
+            ? sensitivity.analyzeSensitivity(calculationParams, { targetCredit: validTarget ? target : undefined })
+            : null);
+    }, [inputs, targetCredit, solveFor]);
+
+    // Screen readers hear the new total once typing pauses, not on every keystroke
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setAnnouncement(results
+                ? t('a11y.totalCreditAnnouncement', { amount: translator.formatCurrency(results.totalCredit) })
+                : t('a11y.invalidAnnouncement'));
+        }, 750);
+        return () => clearTimeout(timer);
+    }, [results, locale]);
+
+    // Show the page in the chosen language and remember the choice
+    useEffect(() => {
+        if (typeof document !== 'undefined') document.documentElement.lang = locale;
+        // The consent banner (consent.js), if the page has one, follows the page's language
+        if (typeof window !== 'undefined' && window.ConsentManager) window.ConsentManager.translateConsentBanner();
+    }, [locale]);
+
+    const handleLocaleChange = (value) => {
+        i18n.saveLocale(value);
+        setLocale(value);
+    };
+
+    // Keep the address bar in step with the inputs so the page can be bookmarked
+    useEffect(() => {
+        if (!syncUrl.current || typeof window === 'undefined') return;
+        window.history.replaceState(null, '', shareLink.buildShareUrl(window.location.href, inputs, scenarioName));
+    }, [inputs, scenarioName]);
+
+    // Copy a link that reopens the calculator with these numbers
+    const handleCopyLink = async () => {
+        const url = shareLink.buildShareUrl(window.location.href, inputs, scenarioName);
+        const copied = await shareLink.copyToClipboard(url);
+        setShareStatus(copied ? t('results.linkCopied') : t('results.copyThisLink', { url }));
+    };
+
+    // Save the current inputs under the scenario name for side-by-side comparison
+    const handleSaveScenario = () => {
+        const saved = scenarioStore.saveScenario({ name: scenarioName, inputs });
+        if (!saved) {
+            setShareStatus(t('results.scenarioNotSaved'));
+            return;
+        }
+        setSavedScenarios(saved);
+        setShareStatus(t('results.scenarioSaved', { name: saved[saved.length - 1].name }));
+    };
+
+    // Load a saved scenario back into the inputs
+    const handleLoadScenario = (scenario) => {
+        syncUrl.current = true;
+        setInputs({ ...DEFAULT_INPUTS, ...scenario.inputs });
+        setScenarioName(scenario.name);
+    };
+
+    const handleDeleteScenario = (id) => {
+        const remaining = scenarioStore.deleteScenario(id);
+        if (remaining) setSavedScenarios(remaining);
+    };
+
+    // Engine parameters for the current inputs (tipsPct as a decimal)
+    const engineParams = () => ({
+        ...inputs,
+        tipsPct: inputs.tipsPct / 100,
+        state: inputs.state || undefined,
+        city: inputs.city || undefined
+    });
+
+    // Open a print-ready report of the current estimate (saved as PDF from the print dialog)
+    const handleDownloadReport = () => {
+        const opened = estimateReport.openEstimateReport(engineParams(), results, { scenarioName: scenarioName.trim(), translator });
+        setShareStatus(opened ? '' : t('results.allowPopups'));
+    };
+
+    // Download the per-server and per-location breakdowns for spreadsheets
+    const handleExport = (format) => {
+        resultsExport.downloadResults(engineParams(), results, format);
+    };
+
+    // Handle input changes; a blank field stays NaN for the validator to report
     const handleInputChange = (field, value) => {
+        syncUrl.current = true;
         setInputs(prev => ({
             ...prev,
-            [field]: parseFloat(value) || 0
+            [field]: parseFloat(value)
         }));
     };
 
+    // Handle state and city changes; a new state clears the city
+    const handleJurisdictionChange = (field, value) => {
+        syncUrl.current = true;
+        setInputs(prev => ({
+            ...prev,
+            [field]: value,
+            ...(field === 'state' ? { city: '' } : {})
+        }));
+    };
+
+    // Handle tip pool role edits
+    const handleTipPoolChange = (index, field, value) => {
+        setTipPoolRoles(prev => prev.map((role, i) => (
+            i === index ? { ...role, [field]: field === 'role' ? value : parseFloat(value) } : role
+        )));
+    };
+
+    // The removed button is gone; keep keyboard users in the table controls
+    const addRoleButton = useRef(null);
+    const handleRemoveTipPoolRole = (index) => {
+        setTipPoolRoles(prev => prev.filter((_, i) => i !== index));
+        addRoleButton.current.focus();
+    };
+
+    const handleAddTipPoolRole = () => {
+        setTipPoolRoles(prev => [...prev, {
+            role: t('tipPool.newRole', { number: prev.length + 1 }),
+            headcount: 1,
+            hoursPerMonth: 173,
+            cashWagePerHour: 0,
+            tipsCollectedMonthly: 0,
+            contributionPct: 0,
+            sharePct: 0,
+            points: 0
+        }]);
+    };
+
+    // Pooled credit by role, using the calculator's locations and wage basis
+    const tipPoolParams = {
+        locations: inputs.locations,
+        minWageBasis: inputs.minWageBasis || 5.15,
+        method: tipPoolMethod,
+        roles: tipPoolRoles.map(role => ({
+            ...role,
+            role: role.role.trim(),
+            contributionPct: role.contributionPct / 100,
+            sharePct: role.sharePct / 100
+        }))
+    };
+    const tipPoolValidation = tipPool.validateTipPool(tipPoolParams);
+    const tipPoolResults = tipPoolValidation.isValid ? tipPool.calculateTipPoolCredit(tipPoolParams) : null;
+    const tipPoolColumns = TIP_POOL_COLUMNS.filter(column => !column.method || column.method === tipPoolMethod);
+
+    // Seasonal months follow the pattern and the inputs above until a month is edited
+    const seasonBaseParams = results ? engineParams() : null;
+    const seasonPatternMonths = seasonBaseParams
+        ? seasonality.buildSeasonalProfile(seasonBaseParams, seasonPresetId)
+            .map(month => ({ ...month, tipsPct: toPercent(month.tipsPct) }))
+        : [];
+    const seasonRows = seasonMonths || seasonPatternMonths;
+    const seasonProfile = seasonRows.map(month => ({ ...month, tipsPct: month.tipsPct / 100 }));
+    const seasonValidation = seasonBaseParams
+        ? validateInputs({ ...seasonBaseParams, monthlyProfile: seasonProfile })
+        : null;
+    const seasonComparison = seasonValidation && seasonValidation.isValid
+        ? seasonality.compareSeasonality(seasonBaseParams, seasonProfile)
+        : null;
+    const seasonYear = seasonComparison
+        && seasonComparison.seasonal.yearlyBreakdown[seasonComparison.seasonal.yearlyBreakdown.length - 1];
+
+    // Handle seasonal month edits
+    const handleSeasonMonthChange = (index, field, value) => {
+        setSeasonMonths(seasonRows.map((month, i) => (
+            i === index ? { ...month, [field]: parseFloat(value) } : month
+        )));
+    };
+
+    // Choosing Custom keeps the months as they are
+    const handleSeasonPresetChange = (value) => {
+        if (value === 'custom') {
+            setSeasonMonths(seasonRows);
+            return;
+        }
+        setSeasonPresetId(value);
+        setSeasonMonths(null);
+    };
+
+    const comparison = savedScenarios.length > 0 ? scenarioStore.compareScenarios(savedScenarios) : null;
+
+    // Accessibility props linking an input to its inline error or warning
+    const fieldProps = (field) => {
+        const error = fieldErrors[field];
+        return {
+            'aria-invalid': error ? 'true' : 'false',
+            'aria-describedby': error || fieldWarnings[field] ? `${INPUT_IDS[field]}Error` : undefined
+        };
+    };
+    // Dollar amounts among a message's values, formatted for the page's language
+    const moneyValues = (values) => {
+        const formatted = { ...values };
+        ['rate', 'minimum', 'basis', 'minimumWage', 'tippedCashWage'].forEach(key => {
+            if (key in formatted) formatted[key] = translator.formatCurrency(formatted[key]);
+        });
+        return formatted;
+    };
+    const warningText = (field, warning) => t(`validation.${field}.${warning.code}`, moneyValues(warning.values));
+    // A validateTipPool error, naming the role it is about
+    const tipPoolErrorText = (error) => {
+        const { row, role } = error.values;
+        const values = { ...error.values };
+        if ('total' in values) values.total = translator.formatNumber(values.total, (String(values.total).split('.')[1] || '').length);
+        const text = t(`tipPool.error.${error.code}`, values);
+        if (row === undefined) return text;
+        return `${t(role ? 'tipPool.error.namedRole' : 'tipPool.error.role', { row, role })}: ${text}`;
+    };
+    // A monthly profile or tax year error, naming the month it is about
+    const seasonErrorText = (error) => {
+        const values = { ...error.values };
+        if (values.month) values.month = monthLabel(translator, values.month - 1);
+        if ('max' in values) values.max = translator.formatNumber(values.max);
+        return t(`validation.general.${error.code}`, values);
+    };
+    const targetReason = (solution) => translator.label(
+        solution.reasonCode === 'limit' ? `target.reason.limit.${solution.field}` : `target.reason.${solution.reasonCode}`,
+        solution.reason,
+        solution.reasonValues ? { credit: translator.formatCurrency(solution.reasonValues.credit) } : undefined
+    );
+    // A field without an error shows its warning, if any, in the same place
+    const fieldError = (field) => {
+        const error = fieldErrors[field];
+        const warning = fieldWarnings[field];
+        if (!error && !warning) return null;
+        return (
+            <span className={error ? 'field-error' : 'field-error warning'} id={`${INPUT_IDS[field]}Error`}>
+                {error ? t(`validation.${field}.${error.code}`) : warningText(field, warning)}
+            </span>
+        );
+    };
+
+    const cities = inputs.state ? wageRules.getLocalJurisdictions(inputs.state) : [];
+    const wageBasisExplanation = inputs.state
+        ? wageRules.explainWageBasis(inputs.state, inputs.city || undefined)
+        : [];
+
     return (
         <div className="fica-calculator">
             <style jsx>{`
@@ -155,6 +502,39 @@ const FicaCalculator = () => {
                     margin: 0 auto;
                 }
 
+                .language-picker {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-top: 1.5rem;
+                    font-size: 0.95rem;
+                    color: #1E293B;
+                }
+
+                .language-picker select {
+                    padding: 0.35rem 0.5rem;
+                    border: 2px solid #E2E8F0;
+                    border-radius: 8px;
+                    font-family: 'Montserrat', sans-serif;
+                }
+
+                .visually-hidden {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    overflow: hidden;
+                    clip: rect(0 0 0 0);
+                    white-space: nowrap;
+                }
+
+                .fica-calculator a:focus-visible,
+                .fica-calculator button:focus-visible,
+                .fica-calculator input:focus-visible,
+                .fica-calculator select:focus-visible {
+                    outline: 3px solid #0E7490;
+                    outline-offset: 2px;
+                }
+
                 .calculator-container {
                     background: white;
                     border-radius: 12px;
@@ -212,7 +592,8 @@ const FicaCalculator = () => {
                     font-size: 0.95rem;
                 }
 
-                .input-group input {
+                .input-group input,
+                .input-group select {
                     width: 100%;
                     padding: 0.75rem 1rem;
                     border: 2px solid #E2E8F0;
@@ -222,12 +603,40 @@ const FicaCalculator = () => {
                     transition: all 0.3s ease;
                 }
 
-                .input-group input:focus {
+                .input-group select {
+                    background: white;
+                    color: #1E293B;
+                }
+
+                .input-helper {
+                    font-size: 0.85rem;
+                    color: #64748B;
+                    margin: 0.5rem 0 0 1.25rem;
+                }
+
+                .input-group input:focus,
+                .input-group select:focus {
                     outline: none;
                     border-color: #0891B2;
                     box-shadow: 0 0 0 3px rgba(8, 145, 178, 0.1);
                 }
 
+                .input-group input[aria-invalid="true"],
+                .input-group select[aria-invalid="true"] {
+                    border-color: #DC2626;
+                }
+
+                .field-error {
+                    display: block;
+                    margin-top: 0.35rem;
+                    color: #DC2626;
+                    font-size: 0.85rem;
+                }
+
+                .field-error.warning {
+                    color: #92400E;
+                }
+
                 .input-with-prefix {
                     position: relative;
                 }
@@ -264,6 +673,16 @@ const FicaCalculator = () => {
                     margin-bottom: 1.5rem;
                 }
 
+                .target-grid {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 0 1rem;
+                }
+
+                .target-grid .input-group {
+                    margin-bottom: 1rem;
+                }
+
                 .output-label {
                     font-weight: 600;
                     color: #64748B;
@@ -304,6 +723,348 @@ const FicaCalculator = () => {
                     margin-bottom: 1rem;
                 }
 
+                .calculator-errors {
+                    background: #FEF2F2;
+                    border-left: 4px solid #DC2626;
+                    border-radius: 8px;
+                    color: #991B1B;
+                    font-size: 0.9rem;
+                    list-style: none;
+                    margin: 0 0 1.5rem;
+                    padding: 1rem 1.25rem;
+                }
+
+                .calculator-errors p {
+                    font-weight: 600;
+                    margin: 0 0 0.25rem;
+                }
+
+                .calculator-errors ul {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                }
+
+                .calculator-errors a {
+                    color: inherit;
+                }
+
+                .calculator-warnings {
+                    background: #FFFBEB;
+                    border-left: 4px solid #D97706;
+                    border-radius: 8px;
+                    color: #92400E;
+                    font-size: 0.9rem;
+                    list-style: none;
+                    margin: 0 0 1.5rem;
+                    padding: 1rem 1.25rem;
+                }
+
+                .shared-link-notice ul {
+                    list-style: none;
+                    margin: 0.25rem 0 0;
+                    padding: 0;
+                }
+
+                .share-bar {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 1rem;
+                    margin-bottom: 1.5rem;
+                }
+
+                .share-button {
+                    background: white;
+                    border: 2px solid #0891B2;
+                    border-radius: 8px;
+                    color: #0891B2;
+                    cursor: pointer;
+                    font-family: 'Montserrat', sans-serif;
+                    font-size: 0.9rem;
+                    font-weight: 600;
+                    padding: 0.625rem 1.25rem;
+                }
+
+                .share-button:hover {
+                    background: #0891B2;
+                    color: white;
+                }
+
+                .share-status {
+                    color: #64748B;
+                    font-size: 0.85rem;
+                    word-break: break-all;
+                }
+
+                .scenario-compare {
+                    border-top: 2px solid #F8FAFC;
+                    padding: 3rem;
+                }
+
+                .scenario-compare-intro {
+                    color: #64748B;
+                    font-size: 0.9rem;
+                    margin-bottom: 1.5rem;
+                }
+
+                .scenario-table-wrapper {
+                    overflow-x: auto;
+                }
+
+                .scenario-table {
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    min-width: 100%;
+                }
+
+                .scenario-table th,
+                .scenario-table td {
+                    border-bottom: 1px solid #E2E8F0;
+                    padding: 0.75rem 1rem;
+                    text-align: right;
+                    vertical-align: top;
+                }
+
+                .scenario-table th:first-child,
+                .scenario-table td:first-child {
+                    color: #64748B;
+                    font-weight: 600;
+                    text-align: left;
+                }
+
+                .scenario-baseline {
+                    color: #64748B;
+                    display: block;
+                    font-size: 0.75rem;
+                    text-transform: uppercase;
+                }
+
+                .scenario-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                    justify-content: flex-end;
+                    margin-top: 0.5rem;
+                }
+
+                .scenario-actions button {
+                    background: none;
+                    border: none;
+                    color: #0891B2;
+                    cursor: pointer;
+                    font-family: 'Montserrat', sans-serif;
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                    padding: 0;
+                }
+
+                .scenario-value {
+                    color: #1E293B;
+                    font-weight: 700;
+                }
+
+                .scenario-diff {
+                    display: block;
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                }
+
+                .scenario-diff.better {
+                    color: #059669;
+                }
+
+                .scenario-diff.worse {
+                    color: #DC2626;
+                }
+
+                .scenario-diff.same {
+                    color: #64748B;
+                }
+
+                .sensitivity-section {
+                    border-top: 2px solid #F8FAFC;
+                    padding: 3rem;
+                }
+
+                .sensitivity-summary {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 1.5rem;
+                    margin-bottom: 2rem;
+                }
+
+                .sensitivity-summary h3 {
+                    color: #0891B2;
+                    font-size: 1rem;
+                    font-weight: 700;
+                    margin-bottom: 0.5rem;
+                }
+
+                .sensitivity-summary ul,
+                .sensitivity-summary ol {
+                    color: #1E293B;
+                    font-size: 0.9rem;
+                    margin-left: 1.25rem;
+                }
+
+                .sensitivity-grid {
+                    display: grid;
+                    grid-template-columns: repeat(2, 1fr);
+                    gap: 1.5rem;
+                }
+
+                .sensitivity-chart {
+                    background: #F8FAFC;
+                    border-radius: 8px;
+                    margin: 0;
+                    padding: 1rem;
+                }
+
+                .sensitivity-chart figcaption {
+                    color: #1E293B;
+                    font-size: 0.9rem;
+                    font-weight: 600;
+                    margin-bottom: 0.5rem;
+                }
+
+                .sensitivity-chart svg {
+                    display: block;
+                    height: auto;
+                    width: 100%;
+                }
+
+                .sensitivity-chart .axis-label {
+                    fill: #64748B;
+                    font-family: 'Montserrat', sans-serif;
+                    font-size: 10px;
+                }
+
+                .sensitivity-chart .grid-line {
+                    stroke: #E2E8F0;
+                }
+
+                .sensitivity-chart .credit-line {
+                    fill: none;
+                    stroke: #0891B2;
+                    stroke-width: 2.5;
+                }
+
+                .sensitivity-chart .target-line {
+                    stroke: #D97706;
+                    stroke-dasharray: 4 3;
+                }
+
+                .sensitivity-chart .base-point {
+                    fill: #1E293B;
+                }
+
+                .sensitivity-legend {
+                    color: #64748B;
+                    font-size: 0.8rem;
+                    margin-top: 1rem;
+                }
+
+                .tip-pool-section {
+                    border-top: 2px solid #F8FAFC;
+                    padding: 3rem;
+                }
+
+                .tip-pool-intro {
+                    color: #64748B;
+                    font-size: 0.9rem;
+                    margin-bottom: 1.5rem;
+                }
+
+                .tip-pool-method {
+                    margin-bottom: 1.5rem;
+                    max-width: 360px;
+                }
+
+                .tip-pool-table {
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                    min-width: 100%;
+                }
+
+                .tip-pool-table th,
+                .tip-pool-table td {
+                    border-bottom: 1px solid #E2E8F0;
+                    padding: 0.5rem;
+                    text-align: right;
+                }
+
+                .tip-pool-table th:first-child,
+                .tip-pool-table td:first-child {
+                    text-align: left;
+                }
+
+                .tip-pool-table th {
+                    color: #1E293B;
+                    font-weight: 700;
+                    vertical-align: bottom;
+                }
+
+                .tip-pool-table input {
+                    border: 2px solid #E2E8F0;
+                    border-radius: 8px;
+                    font-family: 'Montserrat', sans-serif;
+                    font-size: 0.9rem;
+                    padding: 0.4rem 0.5rem;
+                    text-align: right;
+                    width: 6.5rem;
+                }
+
+                .tip-pool-table input[type="text"] {
+                    text-align: left;
+                    width: 9rem;
+                }
+
+                .tip-pool-table button {
+                    background: none;
+                    border: none;
+                    color: #0891B2;
+                    cursor: pointer;
+                    font-family: 'Montserrat', sans-serif;
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                }
+
+                .tip-pool-summary {
+                    color: #1E293B;
+                    margin: 1.5rem 0;
+                }
+
+                .tip-pool-bar {
+                    background: #0891B2;
+                    border-radius: 4px;
+                    display: inline-block;
+                    height: 0.6rem;
+                    margin-right: 0.5rem;
+                    vertical-align: middle;
+                }
+
+                .seasonality-section {
+                    border-top: 2px solid #F8FAFC;
+                    padding: 3rem;
+                }
+
+                .seasonality-chart .reference-line {
+                    stroke: #D97706;
+                    stroke-dasharray: 4 3;
+                }
+
+                .seasonality-chart .month-bar {
+                    fill: #0891B2;
+                }
+
+                .seasonality-chart .month-bar.peak {
+                    fill: #1E293B;
+                }
+
+                .seasonality-table input {
+                    width: 5.5rem;
+                }
+
                 .disclaimer {
                     background: rgba(8, 145, 178, 0.05);
                     border-left: 4px solid #0891B2;
@@ -329,9 +1090,19 @@ const FicaCalculator = () => {
                     }
 
                     .inputs-section,
-                    .outputs-section {
+                    .outputs-section,
+                    .scenario-compare,
+                    .sensitivity-section,
+                    .tip-pool-section,
+                    .seasonality-section {
                         padding: 2rem;
                     }
+
+                    .sensitivity-summary,
+                    .sensitivity-grid,
+                    .target-grid {
+                        grid-template-columns: 1fr;
+                    }
                 }
 
                 @media (max-width: 640px) {
@@ -340,7 +1111,11 @@ const FicaCalculator = () => {
                     }
 
                     .inputs-section,
-                    .outputs-section {
+                    .outputs-section,
+                    .scenario-compare,
+                    .sensitivity-section,
+                    .tip-pool-section,
+                    .seasonality-section {
                         padding: 1.5rem;
                     }
 
@@ -351,159 +1126,300 @@ const FicaCalculator = () => {
             `}</style>
 
             <div className="calculator-header">
-                <h1>FICA Tip Credit Calculator</h1>
-                <p>
-                    Calculate your potential tax credit based on IRS Section 45B, which allows employers
-                    to claim a credit for the FICA taxes paid on tips that exceed the federal minimum wage
-                </p>
+                <h1>{t('hero.title')}</h1>
+                <p>{t('hero.intro')}</p>
+                <div className="language-picker">
+                    <label htmlFor="language">{t('language.label')}</label>
+                    <select id="language" value={locale} onChange={(e) => handleLocaleChange(e.target.value)}>
+                        {Object.keys(i18n.LOCALES).map(code => (
+                            <option key={code} value={code} lang={code}>{i18n.LOCALES[code].label}</option>
+                        ))}
+                    </select>
+                </div>
             </div>
 
             <div className="calculator-container">
                 <div className="calculator-grid">
                     {/* Inputs Section */}
                     <div className="inputs-section">
-                        <h2 className="section-title">Calculator Inputs</h2>
+                        <h2 className="section-title">{t('inputs.title')}</h2>
+
+                        {sharedState.ignored.length > 0 && (
+                            <div className="calculator-warnings shared-link-notice" role="status">
+                                <p>{t('share.ignored')}</p>
+                                <ul>
+                                    {sharedState.ignored.map(({ field, value }) => (
+                                        <li key={field}>
+                                            {t('share.ignoredField', { field: t(`inputs.${INPUT_IDS[field]}`), value })}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
 
                         <div className="input-group">
-                            <label htmlFor="locations">Number of Restaurant Locations</label>
+                            <label htmlFor="locations">{t('inputs.locations')}</label>
                             <input
                                 type="number"
                                 id="locations"
-                                value={inputs.locations}
+                                value={Number.isNaN(inputs.locations) ? '' : inputs.locations}
                                 onChange={(e) => handleInputChange('locations', e.target.value)}
+                                {...fieldProps('locations')}
                                 min="1"
+                                max="10000"
                                 step="1"
                             />
+                            {fieldError('locations')}
+                        </div>
+
+                        <div className="input-group">
+                            <label htmlFor="state">{t('inputs.state')}</label>
+                            <select
+                                id="state"
+                                value={inputs.state}
+                                onChange={(e) => handleJurisdictionChange('state', e.target.value)}
+                                {...fieldProps('state')}
+                            >
+                                <option value="">{t('inputs.statePlaceholder')}</option>
+                                {stateOptions.map(({ code, name }) => (
+                                    <option key={code} value={code}>{name}</option>
+                                ))}
+                            </select>
+                            {fieldError('state')}
                         </div>
 
+                        {cities.length > 0 && (
+                            <div className="input-group">
+                                <label htmlFor="city">{t('inputs.city')}</label>
+                                <select
+                                    id="city"
+                                    value={inputs.city}
+                                    onChange={(e) => handleJurisdictionChange('city', e.target.value)}
+                                    {...fieldProps('city')}
+                                >
+                                    <option value="">{t('inputs.cityPlaceholder')}</option>
+                                    {cities.map(city => (
+                                        <option key={city} value={city}>{city}</option>
+                                    ))}
+                                </select>
+                                {fieldError('city')}
+                            </div>
+                        )}
+
                         <div className="input-group">
-                            <label htmlFor="servers">Number of Full-Time Servers</label>
+                            <label htmlFor="servers">{t('inputs.servers')}</label>
                             <input
                                 type="number"
                                 id="servers"
-                                value={inputs.servers}
+                                value={Number.isNaN(inputs.servers) ? '' : inputs.servers}
                                 onChange={(e) => handleInputChange('servers', e.target.value)}
+                                {...fieldProps('servers')}
                                 min="1"
+                                max="10000"
                                 step="1"
                             />
+                            {fieldError('servers')}
                         </div>
 
                         <div className="input-group">
-                            <label htmlFor="hoursPerMonth">Hours Worked per Month</label>
+                            <label htmlFor="hoursPerMonth">{t('inputs.hoursPerMonth')}</label>
                             <input
                                 type="number"
                                 id="hoursPerMonth"
-                                value={inputs.hoursPerMonth}
+                                value={Number.isNaN(inputs.hoursPerMonth) ? '' : inputs.hoursPerMonth}
                                 onChange={(e) => handleInputChange('hoursPerMonth', e.target.value)}
+                                {...fieldProps('hoursPerMonth')}
                                 min="1"
+                                max="744"
                                 step="1"
                             />
+                            {fieldError('hoursPerMonth')}
                         </div>
 
                         <div className="input-group">
-                            <label htmlFor="cashWage">Cash Wage to Server ($/hr)</label>
+                            <label htmlFor="cashWage">{t('inputs.cashWage')}</label>
                             <div className="input-with-prefix">
                                 <span className="input-prefix">$</span>
                                 <input
                                     type="number"
                                     id="cashWage"
-                                    value={inputs.cashWagePerHour}
+                                    value={Number.isNaN(inputs.cashWagePerHour) ? '' : inputs.cashWagePerHour}
                                     onChange={(e) => handleInputChange('cashWagePerHour', e.target.value)}
+                                    {...fieldProps('cashWagePerHour')}
                                     min="0"
                                     step="0.01"
                                 />
                             </div>
+                            {fieldError('cashWagePerHour')}
                         </div>
 
                         <div className="input-group">
-                            <label htmlFor="tipsPct">Tips as % of Total Income</label>
+                            <label htmlFor="tipsPct">{t('inputs.tipsPct')}</label>
                             <div className="input-with-suffix">
                                 <input
                                     type="number"
                                     id="tipsPct"
-                                    value={inputs.tipsPct}
+                                    value={Number.isNaN(inputs.tipsPct) ? '' : inputs.tipsPct}
                                     onChange={(e) => handleInputChange('tipsPct', e.target.value)}
+                                    {...fieldProps('tipsPct')}
                                     min="0"
-                                    max="100"
+                                    max="99"
                                     step="1"
                                 />
                                 <span className="input-suffix">%</span>
                             </div>
+                            {fieldError('tipsPct')}
                         </div>
 
                         <div className="input-group">
-                            <label htmlFor="minWageBasis">Minimum Wage Basis ($/hr)</label>
+                            <label htmlFor="minWageBasis">{t('inputs.minWageBasis')}</label>
                             <div className="input-with-prefix">
                                 <span className="input-prefix">$</span>
                                 <input
                                     type="number"
                                     id="minWageBasis"
-                                    value={inputs.minWageBasis}
+                                    value={Number.isNaN(inputs.minWageBasis) ? '' : inputs.minWageBasis}
                                     onChange={(e) => handleInputChange('minWageBasis', e.target.value)}
+                                    {...fieldProps('minWageBasis')}
                                     min="0"
                                     step="0.01"
                                 />
                             </div>
+                            {fieldError('minWageBasis')}
+                            {wageBasisExplanation.length > 0 && (
+                                <ul className="input-helper">
+                                    {wageBasisExplanation.map(line => (
+                                        <li key={line.code}>{translator.label(`wageBasis.${line.code}`, line.message, moneyValues(line.values))}</li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        <div className="input-group">
+                            <label htmlFor="scenarioName">{t('inputs.scenarioName')}</label>
+                            <input
+                                type="text"
+                                id="scenarioName"
+                                value={scenarioName}
+                                onChange={(e) => {
+                                    syncUrl.current = true;
+                                    setScenarioName(e.target.value);
+                                }}
+                                maxLength="80"
+                                placeholder={t('inputs.scenarioNamePlaceholder')}
+                            />
                         </div>
                     </div>
 
                     {/* Outputs Section */}
                     <div className="outputs-section">
-                        <h2 className="section-title">Estimated Credit</h2>
+                        <h2 className="section-title">{t('results.estimatedCredit')}</h2>
+
+                        <p className="visually-hidden" role="status" aria-live="polite">{announcement}</p>
+
+                        {Object.keys(fieldErrors).length > 0 && (
+                            <div className="calculator-errors" role="alert">
+                                <p>{t('validation.summary')}</p>
+                                <ul>
+                                    {Object.keys(fieldErrors).map(field => (
+                                        <li key={field}>
+                                            <a
+                                                href={`#${INPUT_IDS[field]}`}
+                                                onClick={(e) => {
+                                                    e.preventDefault();
+                                                    document.getElementById(INPUT_IDS[field]).focus();
+                                                }}
+                                            >
+                                                {t(`validation.${field}.${fieldErrors[field].code}`)}
+                                            </a>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {warnings.length > 0 && (
+                            <ul className="calculator-warnings">
+                                {warnings.map(warning => (
+                                    <li key={warning.code}>
+                                        {translator.label(`warning.${warning.code}`, warning.message, moneyValues(warning.values))}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
 
                         {results && (
                             <>
                                 <div className="output-group">
-                                    <span className="output-label">Estimated 3-Year FICA Refund/Credit</span>
+                                    <span className="output-label">{t('results.estimatedTotal')}</span>
                                     <div className="output-value large">
-                                        {formatCurrency(results.totalCredit)}
+                                        {translator.formatCurrency(results.totalCredit)}
                                     </div>
                                 </div>
 
+                                <div className="share-bar">
+                                    <button type="button" className="share-button" onClick={handleCopyLink}>
+                                        {t('results.copyLink')}
+                                    </button>
+                                    <button type="button" className="share-button" onClick={handleSaveScenario}>
+                                        {t('results.saveScenario')}
+                                    </button>
+                                    <button type="button" className="share-button" onClick={handleDownloadReport}>
+                                        {t('results.downloadReport')}
+                                    </button>
+                                    <button type="button" className="share-button" onClick={() => handleExport('csv')}>
+                                        {t('results.exportCsv')}
+                                    </button>
+                                    <button type="button" className="share-button" onClick={() => handleExport('xlsx')}>
+                                        {t('results.exportXlsx')}
+                                    </button>
+                                    <span className="share-status" role="status">{shareStatus}</span>
+                                </div>
+
                                 <hr className="output-section-divider" />
 
                                 <div className="output-subsection">
-                                    <h3 className="output-subsection-title">Per Server Breakdown</h3>
+                                    <h3 className="output-subsection-title">{t('results.perServerBreakdown')}</h3>
 
                                     <div className="output-group">
-                                        <span className="output-label">Monthly Tips</span>
+                                        <span className="output-label">{t('results.monthlyTips')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.tipsMonthly)}
+                                            {translator.formatCurrency(results.tipsMonthly)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Tips Not Creditable</span>
+                                        <span className="output-label">{t('results.nonCreditableTips')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.nonCreditableTips)}
+                                            {translator.formatCurrency(results.nonCreditableTips)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Creditable Tips</span>
+                                        <span className="output-label">{t('results.creditableTips')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.creditableTips)}
+                                            {translator.formatCurrency(results.creditableTips)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Monthly Credit</span>
+                                        <span className="output-label">{t('results.monthlyCredit')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.monthlyCreditPerServer)}
+                                            {translator.formatCurrency(results.monthlyCreditPerServer)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Annual Credit per Server</span>
+                                        <span className="output-label">{t('results.annualCreditPerServer')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.annualCreditPerServer)}
+                                            {translator.formatCurrency(results.annualCreditPerServer)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">3-Year Credit per Server</span>
+                                        <span className="output-label">{t('results.threeYearCreditPerServer')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.credit3yrPerServer)}
+                                            {translator.formatCurrency(results.credit3yrPerServer)}
                                         </div>
                                     </div>
                                 </div>
@@ -511,33 +1427,81 @@ const FicaCalculator = () => {
                                 <hr className="output-section-divider" />
 
                                 <div className="output-subsection">
-                                    <h3 className="output-subsection-title">Server Income Details</h3>
+                                    <h3 className="output-subsection-title">{t('results.incomeDetails')}</h3>
 
                                     <div className="output-group">
-                                        <span className="output-label">Monthly Income</span>
+                                        <span className="output-label">{t('results.monthlyIncome')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.totalIncomeMonthly)}
+                                            {translator.formatCurrency(results.totalIncomeMonthly)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Annual Income</span>
+                                        <span className="output-label">{t('results.annualIncomeShort')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.annualIncome)}
+                                            {translator.formatCurrency(results.annualIncome)}
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Effective Hourly Rate</span>
+                                        <span className="output-label">{t('results.effectiveHourlyRate')}</span>
                                         <div className="output-value">
-                                            {formatCurrency(results.effectiveHourlyRate)}/hr
+                                            {t('results.perHour', { amount: translator.formatCurrency(results.effectiveHourlyRate) })}
+                                        </div>
+                                    </div>
+
+                                </div>
+
+                                <hr className="output-section-divider" />
+
+                                <div className="output-subsection">
+                                    <h3 className="output-subsection-title">{t('target.title')}</h3>
+
+                                    <div className="target-grid">
+                                        <div className="input-group">
+                                            <label htmlFor="targetCredit">{t('target.targetCredit')}</label>
+                                            <div className="input-with-prefix">
+                                                <span className="input-prefix">$</span>
+                                                <input
+                                                    type="number"
+                                                    id="targetCredit"
+                                                    value={targetCredit}
+                                                    onChange={(e) => setTargetCredit(e.target.value)}
+                                                    min="1"
+                                                    step="1000"
+                                                />
+                                            </div>
+                                        </div>
+
+                                        <div className="input-group">
+                                            <label htmlFor="solveFor">{t('target.solveFor')}</label>
+                                            <select
+                                                id="solveFor"
+                                                value={solveFor}
+                                                onChange={(e) => setSolveFor(e.target.value)}
+                                            >
+                                                {Object.keys(SOLVE_FOR_OPTIONS).map(field => (
+                                                    <option key={field} value={field}>{t(`target.option.${field}`)}</option>
+                                                ))}
+                                            </select>
                                         </div>
                                     </div>
 
                                     <div className="output-group">
-                                        <span className="output-label">Servers Needed for $100k Credit</span>
-                                        <div className="output-value">
-                                            {formatNumber(results.serversFor100k)}
+                                        <span className="output-label">{t(`target.needed.${solveFor}`)}</span>
+                                        <div className="output-value" aria-live="polite">
+                                            {!targetSolution
+                                                ? '—'
+                                                : targetSolution.reachable
+                                                    ? SOLVE_FOR_OPTIONS[solveFor](targetSolution.value, translator)
+                                                    : t('target.notReachable')}
+                                        </div>
+                                        <div className="output-explanation">
+                                            {!targetSolution
+                                                ? t('target.enterTarget')
+                                                : targetSolution.reachable
+                                                    ? t('target.reaches', { amount: translator.formatCurrency(targetSolution.achievedCredit) })
+                                                    : targetReason(targetSolution)}
                                         </div>
                                     </div>
                                 </div>
@@ -546,10 +1510,345 @@ const FicaCalculator = () => {
                     </div>
                 </div>
 
+                {comparison && (
+                    <div className="scenario-compare">
+                        <h2 className="section-title">{t('scenarios.title')}</h2>
+                        <p className="scenario-compare-intro">{t('scenarios.intro')}</p>
+                        <div className="scenario-table-wrapper">
+                            <table className="scenario-table">
+                                <thead>
+                                    <tr>
+                                        <th />
+                                        {comparison.scenarios.map((scenario, index) => (
+                                            <th key={scenario.id}>
+                                                {index === 0 && <span className="scenario-baseline">{t('scenarios.baseline')}</span>}
+                                                {scenario.name}
+                                                <div className="scenario-actions">
+                                                    <button
+                                                        type="button"
+                                                        aria-label={`${t('scenarios.load')} ${scenario.name}`}
+                                                        onClick={() => handleLoadScenario(scenario)}
+                                                    >
+                                                        {t('scenarios.load')}
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        aria-label={`${t('scenarios.remove')} ${scenario.name}`}
+                                                        onClick={() => handleDeleteScenario(scenario.id)}
+                                                    >
+                                                        {t('scenarios.remove')}
+                                                    </button>
+                                                </div>
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {comparison.metrics.map(metric => (
+                                        <tr key={metric.field}>
+                                            <td>{translator.label(`scenarios.metric.${metric.field}`, metric.label)}</td>
+                                            {metric.values.map((entry, index) => {
+                                                const sign = entry.difference > 0 ? '+' : entry.difference < 0 ? '−' : '';
+                                                return (
+                                                    <td key={comparison.scenarios[index].id}>
+                                                        <span className="scenario-value">
+                                                            {entry.value === null ? '—' : translator.formatCurrency(entry.value)}
+                                                        </span>
+                                                        {entry.direction && (
+                                                            <span className={`scenario-diff ${entry.direction}`}>
+                                                                {entry.direction === 'same'
+                                                                    ? t('scenarios.noChange')
+                                                                    : `${sign}${translator.formatCurrency(Math.abs(entry.difference))}`
+                                                                        + (entry.differencePct !== null
+                                                                            ? ` (${sign}${Math.abs(entry.differencePct * 100).toFixed(1)}%)`
+                                                                            : '')}
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {analysis && (
+                    <div className="sensitivity-section">
+                        <h2 className="section-title">{t('sensitivity.title')}</h2>
+                        <div className="sensitivity-summary">
+                            <div>
+                                <h3>{t('sensitivity.breakEvens')}</h3>
+                                <ul>
+                                    <li>
+                                        {t('sensitivity.fullCreditWage', {
+                                            wage: t('results.perHour', { amount: translator.formatCurrency(analysis.breakEvens.cashWageForFullCredit) })
+                                        })}
+                                    </li>
+                                    {analysis.series.map(series => {
+                                        const input = translator.label(`sensitivity.input.${series.field}`, series.label);
+                                        const target = translator.formatCurrency(analysis.targetCredit);
+                                        return (
+                                            <li key={series.field}>
+                                                {series.targetValue === null
+                                                    ? t('sensitivity.cannotReach', { input, target })
+                                                    : t('sensitivity.neededFor', {
+                                                        input,
+                                                        target,
+                                                        value: sensitivity.formatInputValue(series.format, series.targetValue, translator)
+                                                    })}
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </div>
+                            <div>
+                                <h3>{t('sensitivity.impact')}</h3>
+                                <ol>
+                                    {analysis.impact.map(entry => (
+                                        <li key={entry.field}>
+                                            {translator.label(`sensitivity.input.${entry.field}`, entry.label)}:{' '}
+                                            {entry.creditChange === null
+                                                ? t('sensitivity.notApplicable')
+                                                : `${entry.creditChange >= 0 ? '+' : '−'}${translator.formatCurrency(Math.abs(entry.creditChange))}`}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </div>
+                        </div>
+                        <div className="sensitivity-grid">
+                            {analysis.series.map(series => (
+                                <SensitivityChart
+                                    key={series.field}
+                                    series={series}
+                                    targetCredit={analysis.targetCredit}
+                                    translator={translator}
+                                />
+                            ))}
+                        </div>
+                        <p className="sensitivity-legend">
+                            {t('sensitivity.legend', { target: translator.formatCurrency(analysis.targetCredit, 0) })}
+                        </p>
+                    </div>
+                )}
+
+                <div className="tip-pool-section">
+                    <h2 className="section-title">{t('tipPool.title')}</h2>
+                    <p className="tip-pool-intro">{t('tipPool.intro')}</p>
+
+                    <div className="input-group tip-pool-method">
+                        <label htmlFor="tipPoolMethod">{t('tipPool.method')}</label>
+                        <select
+                            id="tipPoolMethod"
+                            value={tipPoolMethod}
+                            onChange={(e) => setTipPoolMethod(e.target.value)}
+                        >
+                            <option value="percent">{t('tipPool.method.percent')}</option>
+                            <option value="points">{t('tipPool.method.points')}</option>
+                        </select>
+                    </div>
+
+                    <div className="scenario-table-wrapper">
+                        <table className="tip-pool-table">
+                            <thead>
+                                <tr>
+                                    {tipPoolColumns.map(column => <th key={column.field}>{t(`tipPool.column.${column.field}`)}</th>)}
+                                    <th />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {tipPoolRoles.map((role, index) => (
+                                    <tr key={index}>
+                                        {tipPoolColumns.map(column => (
+                                            <td key={column.field}>
+                                                <input
+                                                    type={column.type || 'number'}
+                                                    value={Number.isNaN(role[column.field]) ? '' : role[column.field]}
+                                                    onChange={(e) => handleTipPoolChange(index, column.field, e.target.value)}
+                                                    step={column.step}
+                                                    min={column.min}
+                                                    max={column.max}
+                                                    aria-label={t('tipPool.cellLabel', { column: t(`tipPool.column.${column.field}`), row: index + 1 })}
+                                                />
+                                            </td>
+                                        ))}
+                                        <td>
+                                            <button
+                                                type="button"
+                                                disabled={tipPoolRoles.length === 1}
+                                                onClick={() => handleRemoveTipPoolRole(index)}
+                                                aria-label={t('tipPool.removeRole', { role: role.role || index + 1 })}
+                                            >
+                                                {t('tipPool.remove')}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="share-bar">
+                        <button type="button" className="share-button" ref={addRoleButton} onClick={handleAddTipPoolRole}>
+                            {t('tipPool.addRole')}
+                        </button>
+                        <button type="button" className="share-button" onClick={() => setTipPoolRoles(DEFAULT_POOL_ROLES)}>
+                            {t('tipPool.reset')}
+                        </button>
+                    </div>
+
+                    {!tipPoolValidation.isValid && (
+                        <ul className="calculator-errors">
+                            {tipPoolValidation.details.map(error => <li key={error.message}>{tipPoolErrorText(error)}</li>)}
+                        </ul>
+                    )}
+
+                    {tipPoolResults && (
+                        <>
+                            <p className="tip-pool-summary" aria-live="polite">
+                                {t('tipPool.summary', {
+                                    pool: translator.formatCurrency(tipPoolResults.poolMonthly),
+                                    total: translator.formatCurrency(tipPoolResults.totalCredit),
+                                    comparison: Math.abs(tipPoolResults.poolingCreditChange) < 0.005
+                                        ? t('tipPool.same')
+                                        : t(tipPoolResults.poolingCreditChange < 0 ? 'tipPool.less' : 'tipPool.more', {
+                                            amount: translator.formatCurrency(Math.abs(tipPoolResults.poolingCreditChange))
+                                        })
+                                })}
+                            </p>
+                            <h3 className="output-subsection-title">{t('tipPool.ranking')}</h3>
+                            <div className="scenario-table-wrapper">
+                                <table className="tip-pool-table">
+                                    <thead>
+                                        <tr>
+                                            {['role', 'tipsReceived', 'creditableTips', 'creditPerEmployee', 'totalCredit', 'share'].map(column => (
+                                                <th key={column}>{t(`tipPool.ranking.${column}`)}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {tipPoolResults.rolesByCredit.map(role => (
+                                            <tr key={role.role}>
+                                                <td>{role.role} ({translator.formatNumber(role.employeeCount)})</td>
+                                                <td>{translator.formatCurrency(role.tipsReceivedMonthly)}</td>
+                                                <td>{translator.formatCurrency(role.creditableTips)}</td>
+                                                <td>{translator.formatCurrency(role.creditPerEmployee)}</td>
+                                                <td>{translator.formatCurrency(role.totalCredit)}</td>
+                                                <td>
+                                                    <span className="tip-pool-bar" style={{ width: `${Math.round(role.shareOfCredit * 80)}px` }} />
+                                                    {translator.formatNumber(role.shareOfCredit * 100, 1)}%
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {seasonBaseParams && (
+                    <div className="seasonality-section">
+                        <h2 className="section-title">{t('season.title')}</h2>
+                        <p className="tip-pool-intro">{t('season.intro')}</p>
+
+                        <div className="input-group tip-pool-method">
+                            <label htmlFor="seasonPreset">{t('season.pattern')}</label>
+                            <select
+                                id="seasonPreset"
+                                value={seasonMonths ? 'custom' : seasonPresetId}
+                                onChange={(e) => handleSeasonPresetChange(e.target.value)}
+                            >
+                                {Object.keys(seasonality.SEASONAL_PRESETS).map(id => (
+                                    <option key={id} value={id}>
+                                        {translator.label(`season.preset.${id}`, seasonality.SEASONAL_PRESETS[id].label)}
+                                    </option>
+                                ))}
+                                <option value="custom">{t('season.custom')}</option>
+                            </select>
+                        </div>
+
+                        <div className="scenario-table-wrapper">
+                            <table className="tip-pool-table seasonality-table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('season.column.month')}</th>
+                                        {SEASON_COLUMNS.map(column => <th key={column.field}>{t(`season.column.${column.field}`)}</th>)}
+                                        <th>{t('season.column.credit')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {seasonRows.map((month, index) => (
+                                        <tr key={seasonality.MONTH_LABELS[index]}>
+                                            <td>{monthLabel(translator, index)}</td>
+                                            {SEASON_COLUMNS.map(column => (
+                                                <td key={column.field}>
+                                                    <input
+                                                        type="number"
+                                                        value={Number.isNaN(month[column.field]) ? '' : month[column.field]}
+                                                        onChange={(e) => handleSeasonMonthChange(index, column.field, e.target.value)}
+                                                        step={column.step}
+                                                        min={column.min}
+                                                        max={column.max}
+                                                        aria-label={t('season.cellLabel', {
+                                                            column: t(`season.column.${column.field}`),
+                                                            month: monthLabel(translator, index)
+                                                        })}
+                                                    />
+                                                </td>
+                                            ))}
+                                            <td>{seasonComparison ? translator.formatCurrency(seasonComparison.months[index].totalCredit) : '—'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="share-bar">
+                            <button type="button" className="share-button" onClick={() => setSeasonMonths(null)}>
+                                {t('season.reset')}
+                            </button>
+                        </div>
+
+                        {!seasonValidation.isValid && (
+                            <ul className="calculator-errors">
+                                {Object.keys(seasonValidation.fieldErrors).map(field => (
+                                    <li key={field}>{t(`validation.${field}.${seasonValidation.fieldErrors[field].code}`)}</li>
+                                ))}
+                                {seasonValidation.generalErrors.map(error => (
+                                    <li key={error.message}>{seasonErrorText(error)}</li>
+                                ))}
+                            </ul>
+                        )}
+
+                        {seasonComparison && (
+                            <>
+                                <p className="tip-pool-summary" aria-live="polite">
+                                    {t('season.summary', {
+                                        annual: translator.formatCurrency(seasonYear.totalCredit),
+                                        total: translator.formatCurrency(seasonComparison.seasonal.totalCredit),
+                                        comparison: Math.abs(seasonComparison.difference) < 0.005
+                                            ? t('season.same')
+                                            : t(seasonComparison.difference < 0 ? 'season.less' : 'season.more', {
+                                                amount: translator.formatCurrency(Math.abs(seasonComparison.difference)),
+                                                flat: translator.formatCurrency(seasonComparison.flat.totalCredit)
+                                            }),
+                                        peak: monthLabel(translator, seasonComparison.peakMonth.month - 1),
+                                        peakCredit: translator.formatCurrency(seasonComparison.peakMonth.totalCredit)
+                                    })}
+                                </p>
+                                <SeasonChart comparison={seasonComparison} translator={translator} />
+                                <p className="sensitivity-legend">{t('season.legend')}</p>
+                            </>
+                        )}
+                    </div>
+                )}
+
                 <div className="disclaimer">
                     <p>
-                        <strong>Disclaimer:</strong> This calculator provides an estimate only and is not tax or legal advice.
-                        Please consult with a tax professional for specific advice regarding your tax situation.
+                        <strong>{t('disclaimer.title')}</strong> {t('disclaimer.text')}
                     </p>
                 </div>
             </div>
@@ -559,5 +1858,5 @@ const FicaCalculator = () => {
 
 export default FicaCalculator;
 
-// Also export the calculation function for reuse
+// Also re-export the shared engine functions for existing imports
 export { calculateFicaTipCredit, formatCurrency, formatNumber };
@@ -0,0 +1,131 @@
+/**
+ * Shared helpers for the serverless functions in api/
+ *
+ * Files starting with an underscore are not deployed as functions by Vercel,
+ * and server.js does not route to them.
+ *
+ * Errors use one shape: { error: { code, message, details: [{ field, message }] } }
+ */
+
+// Larger bodies are rejected before parsing
+const MAX_BODY_BYTES = 10 * 1024;
+
+/**
+ * Error raised for a request that cannot be answered
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Machine-readable error code
+     * @param {string} message - Human-readable message
+     * @param {Array<Object>} [details] - Per-field problems: [{ field, message }]
+     */
+    constructor(status, code, message, details = []) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an error response; unexpected errors are logged and reported as a 500
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error to report
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+    if (error instanceof ApiError) {
+        sendJson(res, error.status, {
+            error: { code: error.code, message: error.message, details: error.details }
+        });
+        return;
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    sendJson(res, 500, {
+        error: { code: 'internal_error', message: fallbackMessage, details: [] }
+    });
+}
+
+/**
+ * Read and parse the JSON request body
+ *
+ * Vercel parses JSON bodies into req.body; the local server passes the raw stream.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+async function readJsonBody(req) {
+    const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        throw new ApiError(415, 'unsupported_media_type', 'Send the request body as application/json');
+    }
+
+    if (req.body !== undefined) {
+        if (typeof req.body !== 'string' && !Buffer.isBuffer(req.body)) {
+            return req.body;
+        }
+        return parseJson(String(req.body));
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new ApiError(413, 'payload_too_large', `Request body must be under ${MAX_BODY_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return parseJson(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Parse JSON text, reporting syntax errors as a 400
+ * @param {string} text - JSON text
+ * @returns {*} Parsed value
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Reject anything but POST (OPTIONS preflights are answered by the caller)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @throws {ApiError} 405 for other methods
+ */
+function requirePost(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST, OPTIONS');
+        throw new ApiError(405, 'method_not_allowed', 'Use POST with a JSON body');
+    }
+}
+
+module.exports = {
+    MAX_BODY_BYTES,
+    ApiError,
+    sendJson,
+    sendError,
+    readJsonBody,
+    requirePost
+};
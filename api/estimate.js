@@ -0,0 +1,134 @@
+/**
+ * POST /api/estimate
+ *
+ * Serverless endpoint (Vercel Node.js function) that runs the shared engine
+ * for partner sites and the client portal. The request body is a JSON object
+ * of calculateFicaTipCredit parameters; tipsPct is a decimal (0.60 = 60%).
+ * The request contract is described in openapi.json.
+ *
+ * Errors use the shape shared by all functions (see _http.js).
+ *
+ * Runs under Vercel or the local server in server.js (`node server.js`).
+ */
+
+const { calculateFicaTipCredit, validateInputs } = require('../fica-calculator.js');
+const { ApiError, sendJson, sendError, readJsonBody, requirePost } = require('./_http.js');
+
+/**
+ * Accepted request fields and their JSON types
+ */
+const REQUEST_FIELDS = {
+    locations: { type: 'number', required: false },
+    servers: { type: 'number', required: true },
+    hoursPerMonth: { type: 'number', required: true },
+    cashWagePerHour: { type: 'number', required: true },
+    tipsPct: { type: 'number', required: true },
+    minWageBasis: { type: 'number', required: false },
+    state: { type: 'string', required: false },
+    city: { type: 'string', required: false },
+    taxYears: { type: 'array', required: false },
+    applyWageBaseCap: { type: 'boolean', required: false }
+};
+
+/**
+ * Allow partner sites to call the API from the browser
+ * @param {http.ServerResponse} res - Response
+ */
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+/**
+ * Check the body's shape and types, then the values with validateInputs
+ *
+ * @param {*} body - Parsed request body
+ * @returns {Object} { params, warnings } - calculateFicaTipCredit parameters and validation warnings
+ * @throws {ApiError} 422 with one detail per problem
+ */
+function validateRequest(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(422, 'validation_failed', 'Request body must be a JSON object', [
+            { field: null, message: 'Expected an object of estimate parameters' }
+        ]);
+    }
+
+    // 1. Shape: known fields, required fields and JSON types
+    const details = [];
+    Object.keys(body)
+        .filter(field => !REQUEST_FIELDS[field])
+        .forEach(field => details.push({ field, message: 'Unknown field' }));
+
+    Object.keys(REQUEST_FIELDS).forEach(field => {
+        const { type, required } = REQUEST_FIELDS[field];
+        const value = body[field];
+
+        if (value === undefined || value === null) {
+            if (required) details.push({ field, message: 'Required' });
+            return;
+        }
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== type || (type === 'number' && !Number.isFinite(value))) {
+            details.push({ field, message: `Must be a ${type === 'number' ? 'finite number' : type}` });
+        } else if (field === 'taxYears' && !value.every(Number.isInteger)) {
+            details.push({ field, message: 'Must be a list of whole years' });
+        }
+    });
+
+    if (details.length > 0) {
+        throw new ApiError(422, 'validation_failed', 'Request does not match the estimate schema', details);
+    }
+
+    const params = { locations: 1 };
+    Object.keys(REQUEST_FIELDS).forEach(field => {
+        if (body[field] !== undefined && body[field] !== null) params[field] = body[field];
+    });
+
+    // 2. Values: the same rules as the calculator; the only errors not about
+    // one input are about taxYears (the API has no monthlyProfile)
+    const validation = validateInputs(params);
+    if (!validation.isValid) {
+        throw new ApiError(422, 'validation_failed', 'Estimate parameters are out of range', [
+            ...Object.keys(validation.fieldErrors).map(field => ({ field, ...validation.fieldErrors[field] })),
+            ...validation.generalErrors.map(({ code, message }) => ({ field: 'taxYears', code, message }))
+        ]);
+    }
+
+    return { params, warnings: validation.warnings };
+}
+
+/**
+ * Handle an estimate request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.statusCode = 204;
+        res.end();
+        return;
+    }
+
+    try {
+        requirePost(req, res);
+
+        const { params, warnings } = validateRequest(await readJsonBody(req));
+
+        sendJson(res, 200, {
+            inputs: params,
+            warnings,
+            results: calculateFicaTipCredit(params)
+        });
+    } catch (error) {
+        sendError(res, error, 'The estimate could not be calculated');
+    }
+}
+
+module.exports = handler;
+module.exports.ApiError = ApiError;
+module.exports.validateRequest = validateRequest;
@@ -0,0 +1,132 @@
+/**
+ * POST /api/lead
+ *
+ * First-party relay for the calculator's lead form (see lead-capture.js).
+ * The browser sends the contact and business details here instead of to the
+ * registration portal, and this function checks them with the same
+ * validateLead as the form and forwards them to the CRM webhook. The visitor
+ * is then sent to the registration URL, which carries the same lead_id and
+ * the estimate but no contact details.
+ *
+ * Configuration (environment variables):
+ *   LEAD_WEBHOOK_URL - Where leads are POSTed as JSON (required; without it
+ *                      leads are refused with a 503 so none are lost silently)
+ *
+ * Request body:
+ *   { lead_id, first_name, last_name, email, phone, business_name, business_type, registration_url }
+ *
+ * Webhook body:
+ *   { lead_id, first_name, last_name, email, phone, business_name, business_type,
+ *     registration_url, received_at }
+ *   business_type is a code (restaurant, bar, hotel, catering, other) and
+ *   registration_url is the estimate hand-off described in lead-capture.js.
+ */
+
+const { LEAD_FIELDS, REGISTRATION_URL, validateLead } = require('../lead-capture.js');
+const { ApiError, sendJson, sendError, readJsonBody, requirePost } = require('./_http.js');
+
+/**
+ * Check the request body and build the webhook payload
+ *
+ * @param {*} body - Parsed request body
+ * @param {Date} [now] - Receipt time (for testing)
+ * @returns {Object} Webhook payload
+ * @throws {ApiError} 422 with one detail per problem
+ */
+function buildLeadPayload(body, now = new Date()) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(422, 'validation_failed', 'Request body must be a JSON object', [
+            { field: null, message: 'Expected a lead object' }
+        ]);
+    }
+
+    const details = [];
+    if (typeof body.lead_id !== 'string' || !/^[\w-]{8,64}$/.test(body.lead_id)) {
+        details.push({ field: 'lead_id', message: 'Must be 8-64 letters, digits, dashes or underscores' });
+    }
+
+    const raw = {};
+    Object.keys(LEAD_FIELDS).forEach(field => {
+        raw[field] = body[LEAD_FIELDS[field].param];
+    });
+    const check = validateLead(raw);
+    check.errors.forEach(error => {
+        details.push({ field: LEAD_FIELDS[error.field].param, message: error.message });
+    });
+
+    let registrationUrl = null;
+    try {
+        registrationUrl = new URL(body.registration_url);
+    } catch (error) {
+        // Reported below
+    }
+    if (!registrationUrl
+        || `${registrationUrl.origin}${registrationUrl.pathname}` !== REGISTRATION_URL
+        || registrationUrl.searchParams.get('lead_id') !== body.lead_id) {
+        details.push({ field: 'registration_url', message: 'Must be the registration URL for this lead_id' });
+    }
+
+    if (details.length > 0) {
+        throw new ApiError(422, 'validation_failed', 'Request does not match the lead schema', details);
+    }
+
+    const payload = { lead_id: body.lead_id };
+    Object.keys(LEAD_FIELDS).forEach(field => {
+        payload[LEAD_FIELDS[field].param] = check.lead[field];
+    });
+    payload.registration_url = registrationUrl.toString();
+    payload.received_at = now.toISOString();
+    return payload;
+}
+
+/**
+ * Post a lead to the webhook
+ *
+ * @param {Object} payload - buildLeadPayload result
+ * @param {string} webhookUrl - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {ApiError} 502 when the webhook cannot be reached or rejects the lead
+ */
+async function sendToWebhook(payload, webhookUrl) {
+    let response;
+    try {
+        response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+    } catch (error) {
+        throw new ApiError(502, 'upstream_unavailable', `The lead webhook could not be reached: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new ApiError(502, 'upstream_rejected', `The lead webhook answered HTTP ${response.status}`);
+    }
+}
+
+/**
+ * Handle a lead
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handler(req, res) {
+    try {
+        requirePost(req, res);
+
+        const webhookUrl = process.env.LEAD_WEBHOOK_URL;
+        if (!webhookUrl) {
+            throw new ApiError(503, 'not_configured', 'Lead webhook is not configured');
+        }
+
+        const payload = buildLeadPayload(await readJsonBody(req));
+        await sendToWebhook(payload, webhookUrl);
+
+        sendJson(res, 200, { leadId: payload.lead_id });
+    } catch (error) {
+        sendError(res, error, 'The lead could not be saved');
+    }
+}
+
+module.exports = handler;
+module.exports.buildLeadPayload = buildLeadPayload;
+module.exports.sendToWebhook = sendToWebhook;
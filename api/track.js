@@ -0,0 +1,325 @@
+/**
+ * POST /api/track
+ *
+ * First-party relay for the Facebook (Meta) Conversions API. The browser sends
+ * the event here (see fb-tracking.js) and this function adds the access token,
+ * the visitor's IP address, user agent and _fbp/_fbc cookies, hashes user data
+ * with SHA-256 as the Graph API requires, and forwards the event.
+ *
+ * Configuration (environment variables):
+ *   FB_ACCESS_TOKEN   - Conversions API access token (required; never sent to the browser)
+ *   FB_PIXEL_ID       - Pixel (dataset) ID, default 700681256426360
+ *   FB_GRAPH_API_URL  - Graph API base URL, default https://graph.facebook.com/v18.0
+ *                       (point it at a local stub to test without sending events)
+ *   FB_TEST_EVENT_CODE - Optional code that routes events to Events Manager's Test Events tab
+ *
+ * Request body:
+ *   { event_name, event_id, event_time?, event_source_url?, custom_data?, user_data? }
+ *
+ * Requests with a Sec-GPC: 1 header (Global Privacy Control) are accepted
+ * but not forwarded.
+ *
+ * event_id must match the eventID given to the browser pixel, so Facebook
+ * counts the pixel and server copies of an event once. Repeated event_ids
+ * (client retries) are also dropped here before they reach the Graph API.
+ */
+
+const crypto = require('crypto');
+const { ApiError, sendJson, sendError, readJsonBody, requirePost } = require('./_http.js');
+
+const DEFAULT_PIXEL_ID = '700681256426360';
+const DEFAULT_GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+
+// Standard events the site sends
+const ALLOWED_EVENTS = ['PageView', 'ViewContent', 'Lead', 'CompleteRegistration', 'Contact'];
+
+// Facebook rejects events older than 7 days
+const MAX_EVENT_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+// Graph API attempts for one event, and the wait before the first retry (doubled each time)
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 250;
+
+// How long, and how many, event_ids are remembered for deduplication
+const DEDUPE_TTL_MS = 48 * 60 * 60 * 1000;
+const DEDUPE_MAX_ENTRIES = 5000;
+
+/**
+ * How each user_data field is normalized before hashing
+ * See https://developers.facebook.com/docs/marketing-api/conversions-api/parameters/customer-information-parameters
+ */
+const USER_DATA_FIELDS = {
+    em: value => value.trim().toLowerCase(),
+    ph: value => value.replace(/\D/g, ''),
+    fn: value => value.trim().toLowerCase(),
+    ln: value => value.trim().toLowerCase(),
+    ct: value => value.toLowerCase().replace(/[^a-z]/g, ''),
+    st: value => value.trim().toLowerCase(),
+    zp: value => value.trim().toLowerCase().replace(/\s/g, '').split('-')[0],
+    country: value => value.trim().toLowerCase(),
+    external_id: value => value.trim()
+};
+
+// event_id -> time first seen (ms)
+const seenEventIds = new Map();
+
+/**
+ * Hash one user_data value the way the Graph API expects
+ *
+ * Values that are already SHA-256 hex digests are passed through.
+ *
+ * @param {string} field - user_data key (em, ph, fn, ...)
+ * @param {*} value - Raw value
+ * @returns {string|null} Lowercase hex digest, or null if nothing is left after normalizing
+ */
+function hashUserValue(field, value) {
+    const text = String(value);
+    if (/^[a-f0-9]{64}$/.test(text)) return text;
+
+    const normalized = USER_DATA_FIELDS[field](text);
+    if (!normalized) return null;
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Hash the user data sent by the browser
+ * @param {Object} [userData] - Raw user data keyed by Graph API field name
+ * @returns {Object} Hashed user data; unknown fields are dropped
+ */
+function hashUserData(userData = {}) {
+    const hashed = {};
+    Object.keys(userData).forEach(field => {
+        if (!USER_DATA_FIELDS[field] || userData[field] === undefined || userData[field] === null) return;
+        const digest = hashUserValue(field, userData[field]);
+        if (digest) hashed[field] = digest;
+    });
+    return hashed;
+}
+
+/**
+ * Read a cookie from the request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value, or undefined if it is missing or not valid percent-encoding
+ */
+function readCookie(req, name) {
+    const pair = String(req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    if (!pair) return undefined;
+
+    // A mangled cookie is dropped rather than failing the whole event
+    try {
+        return decodeURIComponent(pair.slice(name.length + 1));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Visitor IP address, from the proxy header when behind Vercel
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|undefined} IP address
+ */
+function clientIp(req) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return forwarded || (req.socket && req.socket.remoteAddress) || undefined;
+}
+
+/**
+ * Check the request body and build the Graph API event
+ *
+ * @param {*} body - Parsed request body
+ * @param {http.IncomingMessage} req - Request (for IP, user agent and cookies)
+ * @param {number} [now] - Current time in seconds (for testing)
+ * @returns {Object} Conversions API event
+ * @throws {ApiError} 422 with one detail per problem
+ */
+function buildServerEvent(body, req, now = Math.floor(Date.now() / 1000)) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(422, 'validation_failed', 'Request body must be a JSON object', [
+            { field: null, message: 'Expected an event object' }
+        ]);
+    }
+
+    const details = [];
+    if (!ALLOWED_EVENTS.includes(body.event_name)) {
+        details.push({ field: 'event_name', message: `Must be one of ${ALLOWED_EVENTS.join(', ')}` });
+    }
+    if (typeof body.event_id !== 'string' || !/^[\w-]{8,64}$/.test(body.event_id)) {
+        details.push({ field: 'event_id', message: 'Must be 8-64 letters, digits, dashes or underscores' });
+    }
+    ['custom_data', 'user_data'].forEach(field => {
+        const value = body[field];
+        if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+            details.push({ field, message: 'Must be an object' });
+        }
+    });
+    if (details.length > 0) {
+        throw new ApiError(422, 'validation_failed', 'Request does not match the event schema', details);
+    }
+
+    // Use the browser's event time when it is plausible, so it matches the pixel
+    const eventTime = Number.isInteger(body.event_time)
+        && body.event_time <= now + 60
+        && body.event_time > now - MAX_EVENT_AGE_SECONDS
+        ? body.event_time
+        : now;
+
+    const userData = {
+        ...hashUserData(body.user_data),
+        client_ip_address: clientIp(req),
+        client_user_agent: req.headers['user-agent'],
+        fbp: readCookie(req, '_fbp'),
+        fbc: readCookie(req, '_fbc')
+    };
+    Object.keys(userData).forEach(key => userData[key] === undefined && delete userData[key]);
+
+    const event = {
+        event_name: body.event_name,
+        event_time: eventTime,
+        event_id: body.event_id,
+        action_source: 'website',
+        user_data: userData,
+        custom_data: body.custom_data || {}
+    };
+    if (typeof body.event_source_url === 'string' && /^https?:\/\//.test(body.event_source_url)) {
+        event.event_source_url = body.event_source_url;
+    }
+    return event;
+}
+
+/**
+ * Remember an event_id, dropping expired and excess entries
+ * @param {string} eventId - Event ID
+ * @param {number} [nowMs] - Current time in milliseconds
+ * @returns {boolean} True if the event_id was already seen
+ */
+function markEventSeen(eventId, nowMs = Date.now()) {
+    for (const [id, seenAt] of seenEventIds) {
+        if (nowMs - seenAt < DEDUPE_TTL_MS && seenEventIds.size < DEDUPE_MAX_ENTRIES) break;
+        seenEventIds.delete(id);
+    }
+
+    if (seenEventIds.has(eventId)) return true;
+    seenEventIds.set(eventId, nowMs);
+    return false;
+}
+
+/**
+ * Forget an event_id so a later retry of it is sent again
+ * @param {string} eventId - Event ID
+ */
+function forgetEvent(eventId) {
+    seenEventIds.delete(eventId);
+}
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Post events to the Graph API, retrying network errors, rate limits and 5xx responses
+ *
+ * @param {Array<Object>} events - Conversions API events
+ * @param {Object} [config] - { accessToken, pixelId, graphApiUrl, testEventCode, retryDelayMs }
+ * @returns {Promise<Object>} Graph API response body (events_received, fbtrace_id)
+ * @throws {ApiError} 502 when the Graph API rejects the events or keeps failing
+ */
+async function sendToGraphApi(events, config = {}) {
+    const {
+        accessToken,
+        pixelId = DEFAULT_PIXEL_ID,
+        graphApiUrl = DEFAULT_GRAPH_API_URL,
+        testEventCode,
+        retryDelayMs = RETRY_DELAY_MS
+    } = config;
+
+    const body = { data: events, access_token: accessToken };
+    if (testEventCode) body.test_event_code = testEventCode;
+
+    let lastProblem = '';
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        if (attempt > 1) await delay(retryDelayMs * 2 ** (attempt - 2));
+
+        let response;
+        try {
+            response = await fetch(`${graphApiUrl.replace(/\/+$/, '')}/${pixelId}/events`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            lastProblem = error.message;
+            continue;
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (response.ok) return result;
+
+        lastProblem = (result.error && result.error.message) || `HTTP ${response.status}`;
+        if (response.status !== 429 && response.status < 500) {
+            throw new ApiError(502, 'upstream_rejected', `Facebook rejected the event: ${lastProblem}`);
+        }
+    }
+
+    throw new ApiError(502, 'upstream_unavailable', `Facebook did not accept the event after ${MAX_ATTEMPTS} attempts: ${lastProblem}`);
+}
+
+/**
+ * Handle a tracking request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handler(req, res) {
+    let eventId = null;
+    try {
+        requirePost(req, res);
+
+        const accessToken = process.env.FB_ACCESS_TOKEN;
+        if (!accessToken) {
+            throw new ApiError(503, 'not_configured', 'Conversions API access token is not configured');
+        }
+
+        const event = buildServerEvent(await readJsonBody(req), req);
+
+        // Global Privacy Control is an opt-out of sharing (CCPA/CPRA), whatever the page did
+        if (req.headers['sec-gpc'] === '1') {
+            sendJson(res, 200, { eventId: event.event_id, skipped: 'global_privacy_control' });
+            return;
+        }
+
+        if (markEventSeen(event.event_id)) {
+            sendJson(res, 200, { eventId: event.event_id, deduplicated: true });
+            return;
+        }
+        eventId = event.event_id;
+
+        const result = await sendToGraphApi([event], {
+            accessToken,
+            pixelId: process.env.FB_PIXEL_ID || DEFAULT_PIXEL_ID,
+            graphApiUrl: process.env.FB_GRAPH_API_URL || DEFAULT_GRAPH_API_URL,
+            testEventCode: process.env.FB_TEST_EVENT_CODE
+        });
+
+        sendJson(res, 200, {
+            eventId: event.event_id,
+            deduplicated: false,
+            eventsReceived: result.events_received
+        });
+    } catch (error) {
+        if (eventId) forgetEvent(eventId);
+        sendError(res, error, 'The event could not be tracked');
+    }
+}
+
+module.exports = handler;
+module.exports.hashUserData = hashUserData;
+module.exports.buildServerEvent = buildServerEvent;
+module.exports.sendToGraphApi = sendToGraphApi;
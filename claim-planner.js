@@ -0,0 +1,253 @@
+/**
+ * Lookback and Amended-Return Claim Planner
+ *
+ * Lists the tax years that are still open for a Section 45B claim, with each
+ * year's estimated credit and refund-claim deadline, most urgent first.
+ *
+ * Deadline rule (IRC 6511(a)): a refund claim must be filed within 3 years of
+ * the date the return was filed or 2 years of the date the tax was paid,
+ * whichever is later. A return filed before its due date counts as filed on the
+ * due date, and a deadline on a weekend moves to the next Monday (IRC 7503).
+ * Calendar tax years are assumed; legal holidays are not modeled.
+ */
+
+/**
+ * Original return due date (month and day after the tax year ends) by entity type
+ * C corporations filed by the 15th day of the 3rd month for tax years before 2016.
+ */
+const RETURN_DUE_DATES = {
+    'c-corp': { month: 4, day: 15 },
+    's-corp': { month: 3, day: 15 },
+    'partnership': { month: 3, day: 15 },
+    'sole-proprietor': { month: 4, day: 15 }
+};
+
+// Years whose deadline falls within this many days are flagged as closing soon
+const DEFAULT_URGENT_WITHIN_DAYS = 90;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the calculation engine and rate tables in Node.js or the browser
+ * @returns {Object} { calculator, rateTables }
+ */
+function loadPlannerModules() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return {
+            calculator: require('./fica-calculator.js'),
+            rateTables: require('./fica-rate-tables.js')
+        };
+    }
+    return {
+        calculator: window.FicaCalculator,
+        rateTables: window.FicaRateTables
+    };
+}
+
+/**
+ * Read a date-only value as a UTC date
+ * @param {string|Date} value - ISO date (YYYY-MM-DD) or Date
+ * @returns {Date} Date at UTC midnight
+ */
+function toUtcDate(value) {
+    if (value instanceof Date) {
+        return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid input: "${value}" is not a YYYY-MM-DD date`);
+    }
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date at UTC midnight
+ * @returns {string} ISO date
+ */
+function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole years to a date, keeping the month and day (Feb 29 becomes Feb 28)
+ * @param {Date} date - Date at UTC midnight
+ * @param {number} years - Years to add
+ * @returns {Date} New date
+ */
+function addYears(date, years) {
+    const result = new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth(), date.getUTCDate()));
+    if (result.getUTCMonth() !== date.getUTCMonth()) {
+        result.setUTCDate(0);
+    }
+    return result;
+}
+
+/**
+ * Move a deadline that falls on a weekend to the following Monday
+ * @param {Date} date - Date at UTC midnight
+ * @returns {Date} Next business day on or after the date
+ */
+function nextBusinessDay(date) {
+    const result = new Date(date.getTime());
+    while (result.getUTCDay() === 0 || result.getUTCDay() === 6) {
+        result.setUTCDate(result.getUTCDate() + 1);
+    }
+    return result;
+}
+
+/**
+ * Get the original return due date for a calendar tax year
+ * @param {number} taxYear - Tax year
+ * @param {string} entityType - One of RETURN_DUE_DATES
+ * @returns {Date} Due date, moved off weekends
+ */
+function getReturnDueDate(taxYear, entityType) {
+    const rule = entityType === 'c-corp' && taxYear < 2016
+        ? { month: 3, day: 15 }
+        : RETURN_DUE_DATES[entityType];
+
+    return nextBusinessDay(new Date(Date.UTC(taxYear + 1, rule.month - 1, rule.day)));
+}
+
+/**
+ * Get the refund-claim deadline for one tax year
+ *
+ * @param {Object} params - Deadline parameters
+ * @param {number} params.taxYear - Tax year
+ * @param {string} params.entityType - One of RETURN_DUE_DATES
+ * @param {string} [params.filedDate] - Date the original return was filed (defaults to the due date)
+ * @param {string} [params.taxPaidDate] - Date the tax was paid, if later than filing
+ * @returns {Object} Due date, deemed filing date and claim deadline (ISO dates)
+ */
+function getClaimDeadline(params) {
+    const { taxYear, entityType, filedDate, taxPaidDate } = params;
+
+    const dueDate = getReturnDueDate(taxYear, entityType);
+    const filed = filedDate ? toUtcDate(filedDate) : dueDate;
+    const deemedFiled = filed < dueDate ? dueDate : filed;
+
+    let deadline = addYears(deemedFiled, 3);
+    if (taxPaidDate) {
+        const paidDeadline = addYears(toUtcDate(taxPaidDate), 2);
+        if (paidDeadline > deadline) deadline = paidDeadline;
+    }
+
+    return {
+        dueDate: toIsoDate(dueDate),
+        deemedFiledDate: toIsoDate(deemedFiled),
+        deadline: toIsoDate(nextBusinessDay(deadline))
+    };
+}
+
+/**
+ * Plan which tax years to claim, most urgent first
+ *
+ * @param {Object} params - Planning parameters
+ * @param {string|Date} params.today - Planning date
+ * @param {string} params.entityType - 'c-corp', 's-corp', 'partnership' or 'sole-proprietor'
+ * @param {Object} params.estimate - calculateFicaTipCredit inputs (taxYears is set per year)
+ * @param {Array<Object>} [params.filings] - Original returns: { taxYear, filedDate, taxPaidDate }.
+ *     Years without an entry are assumed filed on their due date.
+ * @param {number[]} [params.taxYears] - Years to consider (default: every rate-table year before today's year)
+ * @param {number} [params.urgentWithinDays] - Days before a deadline to flag a year (default 90)
+ *
+ * @returns {Object} Plan
+ * @returns {Array<Object>} years - Every year considered, open years first by deadline
+ * @returns {Array<Object>} openYears - Years that can still be claimed
+ * @returns {Array<Object>} closingSoon - Open years whose deadline is within urgentWithinDays
+ * @returns {number} totalOpenCredit - Estimated credit across open years
+ */
+function planClaims(params) {
+    const {
+        today,
+        entityType,
+        estimate,
+        filings = [],
+        urgentWithinDays = DEFAULT_URGENT_WITHIN_DAYS
+    } = params;
+
+    if (!RETURN_DUE_DATES[entityType]) {
+        throw new Error(`Invalid input: entityType must be one of ${Object.keys(RETURN_DUE_DATES).join(', ')}`);
+    }
+
+    const { calculator, rateTables } = loadPlannerModules();
+    const todayDate = toUtcDate(today);
+
+    const taxYears = params.taxYears || rateTables.getSupportedTaxYears()
+        .filter(year => year < todayDate.getUTCFullYear());
+
+    const years = taxYears.map(taxYear => {
+        const filing = filings.find(entry => entry.taxYear === taxYear) || {};
+        const { dueDate, deemedFiledDate, deadline } = getClaimDeadline({
+            taxYear,
+            entityType,
+            filedDate: filing.filedDate,
+            taxPaidDate: filing.taxPaidDate
+        });
+
+        const daysRemaining = Math.round((toUtcDate(deadline) - todayDate) / MS_PER_DAY);
+
+        let status = 'open';
+        if (daysRemaining < 0) {
+            status = 'closed';
+        } else if (!filing.filedDate && toUtcDate(dueDate) >= todayDate) {
+            // Return not due yet: claim on the original return instead of amending
+            status = 'original-return';
+        } else if (daysRemaining <= urgentWithinDays) {
+            status = 'closing-soon';
+        }
+
+        return {
+            taxYear,
+            dueDate,
+            filedDate: filing.filedDate || null,
+            deemedFiledDate,
+            deadline,
+            daysRemaining,
+            status,
+            estimatedCredit: status === 'closed'
+                ? 0
+                : calculator.calculateFicaTipCredit({ ...estimate, taxYears: [taxYear] }).totalCredit
+        };
+    });
+
+    // Open years by deadline (most urgent first), then closed years newest first
+    years.sort((a, b) => {
+        if ((a.status === 'closed') !== (b.status === 'closed')) {
+            return a.status === 'closed' ? 1 : -1;
+        }
+        return a.status === 'closed' ? b.taxYear - a.taxYear : a.daysRemaining - b.daysRemaining;
+    });
+
+    const openYears = years.filter(year => year.status !== 'closed');
+
+    return {
+        today: toIsoDate(todayDate),
+        entityType,
+        years,
+        openYears,
+        closingSoon: years.filter(year => year.status === 'closing-soon'),
+        totalOpenCredit: openYears.reduce((sum, year) => sum + year.estimatedCredit, 0)
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        RETURN_DUE_DATES,
+        getClaimDeadline,
+        planClaims
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.ClaimPlanner = {
+        RETURN_DUE_DATES,
+        getClaimDeadline,
+        planClaims
+    };
+}
@@ -0,0 +1,465 @@
+/**
+ * Consent Manager
+ *
+ * Loaded in the <head> of every page, in place of the inline Meta Pixel code.
+ * Nothing is shared with Facebook until the visitor opts in to advertising
+ * cookies: the pixel (fbq) is loaded only after consent, and
+ * trackFacebookConversion (fb-tracking.js) waits for it.
+ *
+ * A Global Privacy Control signal (navigator.globalPrivacyControl) is treated
+ * as a CCPA/CPRA opt-out of sale and sharing, and overrides a stored opt-in.
+ *
+ * Usage:
+ *   <script src="consent.js"></script>
+ *   <a href="#privacy-choices" data-consent-preferences>Your Privacy Choices</a>
+ *   ConsentManager.whenConsented('advertising').then(granted => ...);
+ *
+ * On pages that load i18n.js the banner is shown in the page's language
+ * (<html lang>); elsewhere it is in English.
+ */
+
+const CONSENT_STORAGE_KEY = 'tipTaxPartner.consent';
+
+// Bump when the categories change so visitors are asked again
+const CONSENT_VERSION = 1;
+
+const FACEBOOK_PIXEL_ID = '700681256426360';
+
+/**
+ * Optional cookie categories (strictly necessary storage, such as saved
+ * scenarios and this preference, needs no consent)
+ */
+const CONSENT_CATEGORIES = {
+    advertising: {
+        label: 'Advertising',
+        description: 'The Meta (Facebook) Pixel and Conversions API measure ad performance. Under California law this counts as sharing personal information for cross-context behavioral advertising.'
+    }
+};
+
+/**
+ * Banner text in English; i18n.js translates it under `consent.<key>`
+ */
+const CONSENT_TEXT = {
+    title: 'Your Privacy Choices',
+    intro: 'We use advertising cookies only if you allow them. Necessary storage, such as your saved calculator scenarios, stays on your device.',
+    gpcIntro: 'Your browser sent a Global Privacy Control signal, so we have opted you out of advertising cookies and the sale or sharing of your personal information.',
+    privacyPolicy: 'Privacy Policy',
+    ok: 'OK',
+    acceptAll: 'Accept All',
+    rejectAll: 'Reject All',
+    customize: 'Customize',
+    saveChoices: 'Save Choices'
+};
+
+// Callbacks waiting for a decision: { category, resolve }
+const pendingConsent = [];
+
+let pixelLoaded = false;
+
+/**
+ * Default storage (localStorage when available)
+ * @returns {Storage|null} Storage
+ */
+function defaultConsentStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Storage can be blocked entirely (e.g. some private browsing modes)
+        return null;
+    }
+}
+
+/**
+ * Read the stored preferences
+ * @param {Storage} [storage] - Storage (defaults to localStorage)
+ * @returns {Object|null} { version, categories: { advertising }, source, updatedAt }, or null if none is stored
+ */
+function readConsent(storage = defaultConsentStorage()) {
+    if (!storage) return null;
+    try {
+        const stored = JSON.parse(storage.getItem(CONSENT_STORAGE_KEY));
+        if (!stored || stored.version !== CONSENT_VERSION || typeof stored.categories !== 'object') {
+            return null;
+        }
+        return stored;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Store the visitor's choices
+ * @param {Object} categories - { advertising: boolean }
+ * @param {string} [source] - What recorded the choice: 'banner' or 'gpc'
+ * @param {Storage} [storage] - Storage (defaults to localStorage)
+ * @returns {Object} Stored preferences
+ */
+function saveConsent(categories, source = 'banner', storage = defaultConsentStorage()) {
+    const consent = {
+        version: CONSENT_VERSION,
+        categories: {},
+        source,
+        updatedAt: new Date().toISOString()
+    };
+    Object.keys(CONSENT_CATEGORIES).forEach(category => {
+        consent.categories[category] = Boolean(categories[category]);
+    });
+
+    if (storage) {
+        try {
+            storage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consent));
+        } catch (error) {
+            // Choices still apply for this page view
+        }
+    }
+    return consent;
+}
+
+/**
+ * Whether the browser sends a Global Privacy Control signal
+ * @param {Navigator} [nav] - Navigator (defaults to window.navigator)
+ * @returns {boolean} True if GPC is on
+ */
+function hasGpcSignal(nav = typeof navigator !== 'undefined' ? navigator : {}) {
+    return nav.globalPrivacyControl === true || nav.globalPrivacyControl === '1';
+}
+
+/**
+ * Work out the preferences that apply to this page view
+ *
+ * @param {Object|null} stored - Stored preferences (readConsent)
+ * @param {boolean} gpc - Global Privacy Control signal
+ * @returns {Object} { categories: { advertising }, decided, gpc }
+ */
+function resolveConsent(stored, gpc) {
+    const categories = {};
+    Object.keys(CONSENT_CATEGORIES).forEach(category => {
+        categories[category] = !gpc && Boolean(stored && stored.categories[category]);
+    });
+    return { categories, decided: Boolean(stored) || gpc, gpc };
+}
+
+/**
+ * Preferences for this page view
+ * @returns {Object} { categories, decided, gpc }
+ */
+function getConsentState() {
+    return resolveConsent(readConsent(), hasGpcSignal());
+}
+
+/**
+ * Whether the visitor has opted in to a category
+ * @param {string} category - Category name (advertising)
+ * @returns {boolean} True if allowed
+ */
+function hasConsent(category) {
+    return Boolean(getConsentState().categories[category]);
+}
+
+/**
+ * Wait until the visitor decides on a category
+ *
+ * Resolves at once when a decision exists (or GPC is on); otherwise when the
+ * visitor answers the banner on this page.
+ *
+ * @param {string} category - Category name (advertising)
+ * @returns {Promise<boolean>} True if allowed
+ */
+function whenConsented(category) {
+    const state = getConsentState();
+    if (state.decided) {
+        return Promise.resolve(Boolean(state.categories[category]));
+    }
+    return new Promise(resolve => pendingConsent.push({ category, resolve }));
+}
+
+/**
+ * Load the Meta Pixel and track the page view (once per page)
+ *
+ * If the pixel was loaded earlier on this page, consent was revoked since, so
+ * it is granted again instead.
+ */
+function loadFacebookPixel() {
+    if (typeof window === 'undefined') return;
+    if (pixelLoaded) {
+        fbq('consent', 'grant');
+        return;
+    }
+    pixelLoaded = true;
+
+    !function(f,b,e,v,n,t,s)
+    {if(f.fbq)return;n=f.fbq=function(){n.callMethod?
+    n.callMethod.apply(n,arguments):n.queue.push(arguments)};
+    if(!f._fbq)f._fbq=n;n.push=n;n.loaded=!0;n.version='2.0';
+    n.queue=[];t=b.createElement(e);t.async=!0;
+    t.src=v;s=b.getElementsByTagName(e)[0];
+    s.parentNode.insertBefore(t,s)}(window, document,'script',
+    'https://connect.facebook.net/en_US/fbevents.js');
+    fbq('init', FACEBOOK_PIXEL_ID);
+    fbq('track', 'PageView');
+}
+
+/**
+ * Stop the pixel and remove its first-party cookies after an opt-out
+ */
+function revokeFacebookPixel() {
+    if (typeof fbq !== 'undefined') {
+        fbq('consent', 'revoke');
+    }
+    ['_fbp', '_fbc'].forEach(name => {
+        const host = window.location.hostname;
+        const domains = ['', host, `.${host.split('.').slice(-2).join('.')}`];
+        domains.forEach(domain => {
+            document.cookie = `${name}=; Max-Age=0; path=/${domain ? `; domain=${domain}` : ''}`;
+        });
+    });
+}
+
+/**
+ * Apply preferences: load or stop the pixel and answer waiting callers
+ * @param {Object} state - { categories, decided, gpc } (resolveConsent)
+ */
+function applyConsent(state) {
+    if (state.categories.advertising) {
+        loadFacebookPixel();
+    } else if (state.decided) {
+        revokeFacebookPixel();
+    }
+
+    if (!state.decided) return;
+    pendingConsent.splice(0).forEach(({ category, resolve }) => {
+        resolve(Boolean(state.categories[category]));
+    });
+}
+
+/**
+ * Record the visitor's choices and apply them
+ * @param {Object} categories - { advertising: boolean }
+ * @returns {Object} { categories, decided, gpc } now in effect
+ */
+function setConsent(categories) {
+    saveConsent(categories);
+    const state = getConsentState();
+    applyConsent(state);
+    return state;
+}
+
+/**
+ * Styles for the banner (injected once, so pages need no extra CSS)
+ */
+const CONSENT_STYLES = `
+.consent-banner { position: fixed; left: 1rem; right: 1rem; bottom: 1rem; z-index: 10000; max-width: 640px; margin: 0 auto; padding: 1.25rem 1.5rem; background: #0F172A; color: #F8FAFC; border-radius: 12px; box-shadow: 0 10px 30px rgba(15, 23, 42, 0.35); font-family: inherit; font-size: 0.95rem; line-height: 1.5; }
+.consent-banner h2 { margin: 0 0 0.5rem; font-size: 1.1rem; color: #F8FAFC; }
+.consent-banner p { margin: 0 0 0.75rem; color: #CBD5E1; }
+.consent-banner a { color: #FBBF24; }
+.consent-banner label { display: flex; gap: 0.6rem; align-items: flex-start; margin: 0.5rem 0 0.75rem; color: #E2E8F0; }
+.consent-banner input[type="checkbox"] { margin-top: 0.3rem; width: 1.1rem; height: 1.1rem; }
+.consent-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+.consent-actions button { padding: 0.6rem 1.1rem; border-radius: 8px; border: 1px solid #475569; background: transparent; color: #F8FAFC; font: inherit; font-weight: 600; cursor: pointer; }
+.consent-actions button.consent-primary { background: #F59E0B; border-color: #F59E0B; color: #0F172A; }
+.consent-actions button:focus-visible { outline: 3px solid #FBBF24; outline-offset: 2px; }
+`;
+
+/**
+ * Path from this page to the privacy policy
+ * @returns {string} Relative URL
+ */
+function privacyPolicyUrl() {
+    const script = document.querySelector('script[src$="consent.js"]');
+    const prefix = script ? script.getAttribute('src').replace(/consent\.js$/, '') : '';
+    return `${prefix}privacy-policy.html`;
+}
+
+/**
+ * Banner text in the page's language
+ *
+ * This script runs before i18n.js, so the translator is looked up each time
+ * the text is needed.
+ *
+ * @param {string} key - CONSENT_TEXT key, or 'category.<name>.label' / 'category.<name>.description'
+ * @returns {string} Translated text, or the English when i18n.js is not on the page
+ */
+function consentText(key) {
+    const [group, category, field] = key.split('.');
+    const english = group === 'category' ? CONSENT_CATEGORIES[category][field] : CONSENT_TEXT[key];
+    if (!window.I18n) return english;
+    return window.I18n.createTranslator(document.documentElement.lang).label(`consent.${key}`, english);
+}
+
+/**
+ * Show the banner's text in the page's current language, after a language change
+ */
+function translateConsentBanner() {
+    document.querySelectorAll('#consentBanner [data-consent-text]').forEach(element => {
+        element.textContent = consentText(element.dataset.consentText);
+    });
+}
+
+/**
+ * Remove the banner if it is showing
+ */
+function closeConsentBanner() {
+    const banner = document.getElementById('consentBanner');
+    if (banner) banner.remove();
+}
+
+/**
+ * Show the preference banner
+ *
+ * @param {Object} [options] - { showDetails: open with the category toggles visible }
+ * @returns {HTMLElement} Banner element
+ */
+function showConsentBanner(options = {}) {
+    closeConsentBanner();
+
+    if (!document.getElementById('consentStyles')) {
+        const style = document.createElement('style');
+        style.id = 'consentStyles';
+        style.textContent = CONSENT_STYLES;
+        document.head.appendChild(style);
+    }
+
+    const state = getConsentState();
+    const banner = document.createElement('section');
+    banner.id = 'consentBanner';
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'dialog');
+    banner.setAttribute('aria-labelledby', 'consentTitle');
+
+    // Elements whose text is filled in, and translated again, by translateConsentBanner
+    const textElement = (tagName, key) => {
+        const element = document.createElement(tagName);
+        element.dataset.consentText = key;
+        return element;
+    };
+
+    const title = textElement('h2', 'title');
+    title.id = 'consentTitle';
+    banner.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.appendChild(textElement('span', state.gpc ? 'gpcIntro' : 'intro'));
+    intro.appendChild(document.createTextNode(' '));
+    const policyLink = textElement('a', 'privacyPolicy');
+    policyLink.href = privacyPolicyUrl();
+    intro.appendChild(policyLink);
+    banner.appendChild(intro);
+
+    const actions = document.createElement('div');
+    actions.className = 'consent-actions';
+    const addButton = (key, primary, onClick) => {
+        const button = textElement('button', key);
+        button.type = 'button';
+        if (primary) button.className = 'consent-primary';
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+        return button;
+    };
+
+    if (state.gpc) {
+        addButton('ok', true, () => {
+            saveConsent({ advertising: false }, 'gpc');
+            closeConsentBanner();
+        });
+    } else {
+        const toggles = {};
+        const details = document.createElement('div');
+        details.hidden = !options.showDetails;
+        Object.keys(CONSENT_CATEGORIES).forEach(category => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = state.categories[category];
+            toggles[category] = checkbox;
+            const text = document.createElement('span');
+            text.appendChild(textElement('strong', `category.${category}.label`));
+            text.appendChild(document.createTextNode(': '));
+            text.appendChild(textElement('span', `category.${category}.description`));
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            details.appendChild(label);
+        });
+        banner.appendChild(details);
+
+        const choose = categories => {
+            setConsent(categories);
+            closeConsentBanner();
+        };
+        addButton('acceptAll', true, () => choose({ advertising: true }));
+        addButton('rejectAll', false, () => choose({ advertising: false }));
+        const customize = addButton(options.showDetails ? 'saveChoices' : 'customize', false, () => {
+            if (details.hidden) {
+                details.hidden = false;
+                customize.dataset.consentText = 'saveChoices';
+                customize.textContent = consentText('saveChoices');
+                return;
+            }
+            const categories = {};
+            Object.keys(toggles).forEach(category => {
+                categories[category] = toggles[category].checked;
+            });
+            choose(categories);
+        });
+    }
+
+    banner.appendChild(actions);
+    document.body.appendChild(banner);
+    translateConsentBanner();
+    banner.querySelector('button').focus({ preventScroll: true });
+    return banner;
+}
+
+/**
+ * Apply stored preferences, ask if there are none, and wire up
+ * "Your Privacy Choices" links
+ */
+function initConsentManager() {
+    const state = getConsentState();
+    applyConsent(state);
+
+    const ready = () => {
+        document.querySelectorAll('[data-consent-preferences]').forEach(link => {
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                showConsentBanner({ showDetails: true });
+            });
+        });
+
+        // Ask once; a GPC opt-out is confirmed once so the visitor knows it was honored
+        const stored = readConsent();
+        if (!stored) showConsentBanner();
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', ready);
+    } else {
+        ready();
+    }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        CONSENT_CATEGORIES,
+        CONSENT_STORAGE_KEY,
+        hasGpcSignal,
+        readConsent,
+        resolveConsent,
+        saveConsent
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.ConsentManager = {
+        CONSENT_CATEGORIES,
+        getConsentState,
+        hasConsent,
+        setConsent,
+        showConsentBanner,
+        translateConsentBanner,
+        whenConsented
+    };
+    initConsentManager();
+}
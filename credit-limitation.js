@@ -0,0 +1,247 @@
+/**
+ * General Business Credit Limitation and Carryforward
+ *
+ * The Section 45B credit is part of the general business credit (IRC 38), so it
+ * can only offset income tax up to the annual limitation. Unused credit is
+ * carried back 1 year and then forward up to 20 years (IRC 39).
+ *
+ * Limitation used here: net income tax minus 25% of net regular tax above
+ * $25,000. The 45B credit is a "specified credit" under IRC 38(c)(4), so the
+ * tentative minimum tax is treated as zero. Other general business credits are
+ * not modeled unless passed in as `otherCredits`.
+ */
+
+const LIMITATION_THRESHOLD = 25000;
+const LIMITATION_RATE = 0.25;
+const DEFAULT_CARRYBACK_YEARS = 1;
+const DEFAULT_CARRYFORWARD_YEARS = 20;
+
+/**
+ * Calculate the general business credit limitation for one year
+ * @param {number} regularTax - Net regular income tax before credits
+ * @returns {number} Maximum general business credit usable in the year
+ */
+function calculateCreditLimitation(regularTax) {
+    const tax = Math.max(0, regularTax);
+    return Math.max(0, tax - LIMITATION_RATE * Math.max(0, tax - LIMITATION_THRESHOLD));
+}
+
+/**
+ * Model how the credit is used against each year's income tax
+ *
+ * Each year applies carryforwards first (oldest first), then the year's own
+ * credit. Credit that is still unused is carried back, then forward.
+ *
+ * @param {Object} params - Usage parameters
+ * @param {Array<Object>} params.credits - Credit generated per year: [{ taxYear, credit }]
+ * @param {Array<Object>} params.taxLiabilities - Income tax per year: [{ taxYear, regularTax, otherCredits }].
+ *     Years that are not listed have no tax to offset.
+ * @param {number} [params.carrybackYears] - Years to carry back (default 1)
+ * @param {number} [params.carryforwardYears] - Years to carry forward (default 20)
+ *
+ * @returns {Object} Usage
+ * @returns {Array<Object>} years - Per-year generated, used, carried back and carried forward amounts,
+ *     plus credit that expired before the year
+ * @returns {Array<Object>} carryforwards - Unused credit at the end: [{ originYear, remaining, expiresAfter }]
+ * @returns {number} totalUsed - Credit used across all years, including carrybacks
+ * @returns {number} totalCarriedForward - Unused credit still available at the end
+ * @returns {number} totalExpired - Credit that expired unused
+ */
+function calculateCreditUsage(params) {
+    const {
+        credits,
+        taxLiabilities,
+        carrybackYears = DEFAULT_CARRYBACK_YEARS,
+        carryforwardYears = DEFAULT_CARRYFORWARD_YEARS
+    } = params;
+
+    if (!Array.isArray(credits) || !Array.isArray(taxLiabilities)) {
+        throw new Error('Invalid input: credits and taxLiabilities must be arrays');
+    }
+
+    const liabilityByYear = new Map(taxLiabilities.map(entry => [entry.taxYear, entry]));
+    const creditByYear = new Map(credits.map(entry => [entry.taxYear, entry.credit]));
+
+    const allYears = Array.from(new Set([...liabilityByYear.keys(), ...creditByYear.keys()]))
+        .sort((a, b) => a - b);
+
+    // Limitation left in each year after the credits already applied to it
+    const remainingLimit = new Map(allYears.map(year => {
+        const liability = liabilityByYear.get(year);
+        const limitation = liability ? calculateCreditLimitation(liability.regularTax) : 0;
+        const otherCredits = liability && liability.otherCredits ? liability.otherCredits : 0;
+        return [year, Math.max(0, limitation - otherCredits)];
+    }));
+
+    const rows = new Map(allYears.map(year => [year, {
+        taxYear: year,
+        creditGenerated: creditByYear.get(year) || 0,
+        limitation: remainingLimit.get(year),
+        usedFromCarryforward: 0,
+        usedFromCurrentYear: 0,
+        usedFromCarryback: 0,
+        carriedBack: 0,
+        carriedForward: 0,
+        expired: 0,
+        carryforwardBalance: 0
+    }]));
+
+    const take = (year, amount) => {
+        const used = Math.min(amount, remainingLimit.get(year) || 0);
+        remainingLimit.set(year, (remainingLimit.get(year) || 0) - used);
+        return used;
+    };
+
+    let carryforwards = [];
+
+    // Walk the modeled years in order
+    allYears.forEach(year => {
+        const row = rows.get(year);
+
+        // 1. Drop carryforwards past their last usable year
+        carryforwards = carryforwards.filter(entry => {
+            if (entry.expiresAfter < year) {
+                row.expired += entry.remaining;
+                return false;
+            }
+            return true;
+        });
+
+        // 2. Oldest carryforwards first
+        carryforwards.forEach(entry => {
+            const used = take(year, entry.remaining);
+            entry.remaining -= used;
+            row.usedFromCarryforward += used;
+        });
+        carryforwards = carryforwards.filter(entry => entry.remaining > 0);
+
+        // 3. The year's own credit
+        let unused = row.creditGenerated - take(year, row.creditGenerated);
+        row.usedFromCurrentYear = row.creditGenerated - unused;
+
+        // 4. Carry back to earlier years, earliest first
+        for (let back = carrybackYears; back >= 1 && unused > 0; back--) {
+            if (!rows.has(year - back)) continue;
+            const used = take(year - back, unused);
+            rows.get(year - back).usedFromCarryback += used;
+            row.carriedBack += used;
+            unused -= used;
+        }
+
+        // 5. Carry the rest forward
+        if (unused > 0) {
+            row.carriedForward = unused;
+            carryforwards.push({
+                originYear: year,
+                remaining: unused,
+                expiresAfter: year + carryforwardYears
+            });
+        }
+
+        row.carryforwardBalance = carryforwards.reduce((sum, entry) => sum + entry.remaining, 0);
+    });
+
+    const years = Array.from(rows.values());
+
+    return {
+        years,
+        carryforwards,
+        totalUsed: years.reduce((sum, row) => sum + row.usedFromCarryforward + row.usedFromCurrentYear + row.usedFromCarryback, 0),
+        totalCarriedForward: carryforwards.reduce((sum, entry) => sum + entry.remaining, 0),
+        totalExpired: years.reduce((sum, row) => sum + row.expired, 0)
+    };
+}
+
+/**
+ * Compare claiming the credit with electing out and deducting the FICA
+ *
+ * Claiming the credit disallows a deduction for the same FICA (IRC 45B(c)).
+ * Electing out under IRC 45B(d) keeps the deduction, which is worth the FICA
+ * times the marginal tax rate in the year it is paid. Only credit that can be
+ * used within the modeled years counts toward the credit's benefit.
+ *
+ * @param {Object} params - Comparison parameters
+ * @param {number} params.creditUsed - Credit usable within the modeled years
+ * @param {number} params.creditableFica - Employer FICA on creditable tips (equal to the credit generated)
+ * @param {number} params.marginalTaxRate - Marginal income tax rate (0-1 decimal)
+ * @returns {Object} Benefits of each choice and the recommendation ('claim-credit' or 'deduct-fica')
+ */
+function compareCreditToDeduction(params) {
+    const { creditUsed, creditableFica, marginalTaxRate } = params;
+
+    if (marginalTaxRate < 0 || marginalTaxRate > 1) {
+        throw new Error('Invalid input: marginalTaxRate must be between 0 and 1');
+    }
+
+    const deductionBenefit = creditableFica * marginalTaxRate;
+
+    return {
+        creditBenefit: creditUsed,
+        deductionBenefit,
+        difference: creditUsed - deductionBenefit,
+        recommendation: creditUsed >= deductionBenefit ? 'claim-credit' : 'deduct-fica'
+    };
+}
+
+/**
+ * Apply the credit limitation to a calculateFicaTipCredit result
+ *
+ * @param {Object} result - calculateFicaTipCredit result calculated with taxYears
+ * @param {Array<Object>} taxLiabilities - Income tax per year: [{ taxYear, regularTax, otherCredits }]
+ * @param {Object} [options] - Options
+ * @param {number} [options.marginalTaxRate] - Adds the credit vs deduction comparison when given
+ * @param {number} [options.carrybackYears] - Years to carry back (default 1)
+ * @param {number} [options.carryforwardYears] - Years to carry forward (default 20)
+ * @returns {Object} calculateCreditUsage result, plus `comparison` when a marginal rate is given
+ */
+function applyCreditLimitation(result, taxLiabilities, options = {}) {
+    if (!result.taxYears) {
+        throw new Error('Invalid input: calculate the credit with taxYears to apply the limitation');
+    }
+
+    const credits = result.yearlyBreakdown.map(year => ({
+        taxYear: year.taxYear,
+        credit: year.totalCredit
+    }));
+
+    const usage = calculateCreditUsage({
+        credits,
+        taxLiabilities,
+        carrybackYears: options.carrybackYears,
+        carryforwardYears: options.carryforwardYears
+    });
+
+    if (options.marginalTaxRate === undefined) {
+        return usage;
+    }
+
+    return {
+        ...usage,
+        comparison: compareCreditToDeduction({
+            creditUsed: usage.totalUsed,
+            creditableFica: result.totalCredit,
+            marginalTaxRate: options.marginalTaxRate
+        })
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        applyCreditLimitation,
+        calculateCreditLimitation,
+        calculateCreditUsage,
+        compareCreditToDeduction
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.CreditLimitation = {
+        applyCreditLimitation,
+        calculateCreditLimitation,
+        calculateCreditUsage,
+        compareCreditToDeduction
+    };
+}
@@ -0,0 +1,361 @@
+/**
+ * Eligibility Questionnaire
+ *
+ * A branching set of questions asked before the calculator. Each answer can
+ * move the visitor to another question, disqualify them, or add a caveat, with
+ * the reason shown to them. The later answers (locations, staff, wages) pre-fill
+ * the calculator form in share-link units: tipsPct is a percentage (60 = 60%).
+ *
+ * The rules follow Section 45B: the credit is for employer FICA paid on tips
+ * that employees receive and report at a food or beverage establishment where
+ * tipping is customary.
+ */
+
+/**
+ * Outcome of an answer, from best to worst
+ */
+const ELIGIBILITY_STATUS = {
+    ELIGIBLE: 'eligible',
+    CAVEAT: 'caveat',
+    INELIGIBLE: 'ineligible',
+    INCOMPLETE: 'incomplete'
+};
+
+/**
+ * Questions, in order. Options may set:
+ *   next    - ID of the next question (default: the following question)
+ *   outcome - { status: 'caveat' | 'ineligible', reason }
+ * Profile questions set `field`, the calculator input they pre-fill; their
+ * choice options give the value as `fieldValue`. Questions without a `field`
+ * are screening questions and come first.
+ */
+const ELIGIBILITY_QUESTIONS = [
+    {
+        id: 'businessType',
+        prompt: 'What kind of business do you run?',
+        type: 'choice',
+        options: [
+            { value: 'restaurant', label: 'Full-service restaurant', next: 'tippedEmployees' },
+            { value: 'bar', label: 'Bar, pub or nightclub', next: 'tippedEmployees' },
+            { value: 'hotel', label: 'Hotel or resort', next: 'hotelFoodService' },
+            { value: 'catering', label: 'Catering or banquet service', next: 'tippingCustomary' },
+            { value: 'counter', label: 'Coffee shop, cafe or counter service', next: 'tippingCustomary' },
+            {
+                value: 'other',
+                label: 'A business that does not serve food or drinks',
+                outcome: {
+                    status: 'ineligible',
+                    reason: 'The FICA tip credit (Section 45B) is only for businesses that serve food or beverages.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'hotelFoodService',
+        prompt: 'Do your tipped staff work in food or beverage service (restaurant, bar, room service, banquets)?',
+        type: 'choice',
+        options: [
+            { value: 'yes', label: 'Yes', next: 'tippedEmployees' },
+            {
+                value: 'no',
+                label: 'No, the tips are for housekeeping, valet or bell service',
+                outcome: {
+                    status: 'ineligible',
+                    reason: 'Tips for services other than food or beverages (housekeeping, valet, bell service) do not count toward this credit.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'tippingCustomary',
+        prompt: 'Do customers regularly tip your staff?',
+        help: 'The IRS requires tipping to be customary. Restaurants and bars meet this automatically; other businesses need to show that customers tip as a matter of course.',
+        type: 'choice',
+        options: [
+            { value: 'regularly', label: 'Yes, most customers tip' },
+            {
+                value: 'sometimes',
+                label: 'Sometimes, through a tip jar or tip prompt',
+                outcome: {
+                    status: 'caveat',
+                    reason: 'Tipping must be customary for your business. Be ready to show that customers tip regularly, for example with point-of-sale tip reports.'
+                }
+            },
+            {
+                value: 'no',
+                label: 'No, tips are rare',
+                outcome: {
+                    status: 'ineligible',
+                    reason: 'The credit only applies where tipping is customary. Occasional tips are unlikely to qualify.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'tippedEmployees',
+        prompt: 'Do you have employees on payroll who receive tips?',
+        type: 'choice',
+        options: [
+            { value: 'yes', label: 'Yes' },
+            {
+                value: 'owners',
+                label: 'Only owners or contractors receive tips',
+                outcome: {
+                    status: 'ineligible',
+                    reason: 'The credit is for the employer share of FICA on employees\' tips. Tips paid to owners or 1099 contractors do not count.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'tipsReported',
+        prompt: 'Do employees report their tips to you, so you pay Social Security and Medicare on them?',
+        type: 'choice',
+        options: [
+            { value: 'all', label: 'Yes, all tips are reported through payroll' },
+            {
+                value: 'some',
+                label: 'Some tips are reported (for example, card tips but not cash)',
+                outcome: {
+                    status: 'caveat',
+                    reason: 'Only reported tips that you paid FICA on count. Enter the reported share of tips in the calculator, not total tips.'
+                }
+            },
+            {
+                value: 'none',
+                label: 'No, tips are not reported',
+                outcome: {
+                    status: 'ineligible',
+                    reason: 'Without reported tips there is no employer FICA on tips, so there is nothing to credit. You may qualify for future years once tips are reported through payroll.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'serviceCharges',
+        prompt: 'Are most of the tips automatic gratuities or service charges added to the bill?',
+        type: 'choice',
+        options: [
+            { value: 'no', label: 'No, customers choose what to tip' },
+            {
+                value: 'yes',
+                label: 'Yes, mostly automatic gratuities or service charges',
+                outcome: {
+                    status: 'caveat',
+                    reason: 'Mandatory service charges are wages, not tips, and do not qualify. Count only tips that customers chose to leave.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'taxForms',
+        prompt: 'Have you filed Form 941 (and Form 8027, if required) for the years you want to claim?',
+        help: 'Form 8027 is required for large food or beverage establishments with more than 10 employees on a typical business day.',
+        type: 'choice',
+        options: [
+            { value: 'yes', label: 'Yes' },
+            {
+                value: 'unsure',
+                label: 'Not sure',
+                outcome: {
+                    status: 'caveat',
+                    reason: 'We will need your filed Forms 941 (and 8027, if required). Your payroll provider can usually supply copies.'
+                }
+            },
+            {
+                value: 'no',
+                label: 'No',
+                outcome: {
+                    status: 'caveat',
+                    reason: 'The credit is claimed against payroll tax reported on Form 941. Missing returns have to be filed before a claim can be made.'
+                }
+            }
+        ]
+    },
+    {
+        id: 'locations',
+        prompt: 'How many locations do you operate?',
+        type: 'number',
+        field: 'locations',
+        min: 1,
+        step: 1
+    },
+    {
+        id: 'servers',
+        prompt: 'About how many tipped employees work at each location?',
+        type: 'number',
+        field: 'servers',
+        min: 1,
+        step: 1
+    },
+    {
+        id: 'schedule',
+        prompt: 'Do most of them work full time?',
+        type: 'choice',
+        field: 'hoursPerMonth',
+        options: [
+            { value: 'fullTime', label: 'Mostly full time (about 40 hours a week)', fieldValue: 173 },
+            { value: 'mixed', label: 'A mix of full and part time', fieldValue: 130 },
+            { value: 'partTime', label: 'Mostly part time (about 20 hours a week)', fieldValue: 87 }
+        ]
+    },
+    {
+        id: 'cashWage',
+        prompt: 'What cash wage do you pay per hour, before tips?',
+        type: 'number',
+        field: 'cashWagePerHour',
+        min: 0,
+        step: 0.01
+    },
+    {
+        id: 'tipShare',
+        prompt: 'How much of a typical server\'s total pay comes from tips?',
+        type: 'choice',
+        field: 'tipsPct',
+        options: [
+            { value: 'low', label: 'Less than half', fieldValue: 40 },
+            { value: 'half', label: 'About half', fieldValue: 50 },
+            { value: 'most', label: 'More than half', fieldValue: 65 },
+            { value: 'unsure', label: 'Not sure', fieldValue: 60 }
+        ]
+    }
+];
+
+/**
+ * Find a question by ID
+ * @param {string} id - Question ID
+ * @returns {Object|undefined} Question
+ */
+function getQuestion(id) {
+    return ELIGIBILITY_QUESTIONS.find(question => question.id === id);
+}
+
+/**
+ * Check one answer
+ * @param {Object} question - Question
+ * @param {*} value - Answer (option value, or a number for number questions)
+ * @returns {Object|null} { code, values, message }, or null if the answer is usable;
+ *     code ('choose', 'number', 'min' or 'whole') is stable for translations
+ */
+function validateAnswer(question, value) {
+    if (question.type === 'choice') {
+        return question.options.some(option => option.value === value)
+            ? null
+            : { code: 'choose', values: {}, message: 'Choose one of the answers' };
+    }
+
+    const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+    if (!Number.isFinite(number)) return { code: 'number', values: {}, message: 'Enter a number' };
+    if (number < question.min) return { code: 'min', values: { min: question.min }, message: `Enter ${question.min} or more` };
+    if (question.step === 1 && !Number.isInteger(number)) return { code: 'whole', values: {}, message: 'Enter a whole number' };
+    return null;
+}
+
+/**
+ * Question that follows an answer
+ * @param {Object} question - Question just answered
+ * @param {*} value - Its answer
+ * @returns {string|null} Next question ID, or null at the end
+ */
+function getNextQuestionId(question, value) {
+    const option = question.type === 'choice' && question.options.find(candidate => candidate.value === value);
+    if (option && option.next) return option.next;
+
+    const following = ELIGIBILITY_QUESTIONS[ELIGIBILITY_QUESTIONS.indexOf(question) + 1];
+    return following ? following.id : null;
+}
+
+/**
+ * Walk the questions with the answers given so far
+ *
+ * Stops at the first disqualifying answer or unanswered question. Caveats
+ * collect along the way.
+ *
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Object} { status, reasons: [{ questionId, status, reason }], path, nextQuestionId, screeningComplete }
+ */
+function evaluateEligibility(answers) {
+    const reasons = [];
+    const path = [];
+    let questionId = ELIGIBILITY_QUESTIONS[0].id;
+
+    while (questionId) {
+        const question = getQuestion(questionId);
+        const value = answers[questionId];
+        if (value === undefined || validateAnswer(question, value)) {
+            break;
+        }
+        path.push(questionId);
+
+        const option = question.type === 'choice' && question.options.find(candidate => candidate.value === value);
+        if (option && option.outcome) {
+            reasons.push({ questionId, ...option.outcome });
+            if (option.outcome.status === ELIGIBILITY_STATUS.INELIGIBLE) {
+                return {
+                    status: ELIGIBILITY_STATUS.INELIGIBLE,
+                    reasons,
+                    path,
+                    nextQuestionId: null,
+                    screeningComplete: true
+                };
+            }
+        }
+        questionId = getNextQuestionId(question, value);
+    }
+
+    // Screening is over once only profile questions (those that pre-fill the calculator) remain
+    const screeningComplete = questionId === null || Boolean(getQuestion(questionId).field);
+    let status = ELIGIBILITY_STATUS.INCOMPLETE;
+    if (screeningComplete) {
+        status = reasons.length > 0 ? ELIGIBILITY_STATUS.CAVEAT : ELIGIBILITY_STATUS.ELIGIBLE;
+    }
+
+    return { status, reasons, path, nextQuestionId: questionId, screeningComplete };
+}
+
+/**
+ * Calculator inputs from the profile answers
+ *
+ * @param {Object} answers - Answers keyed by question ID
+ * @param {Object} defaults - Calculator form defaults (tipsPct as a percentage)
+ * @returns {Object} Form inputs; unanswered fields keep their defaults
+ */
+function toCalculatorInputs(answers, defaults) {
+    const inputs = { ...defaults };
+    ELIGIBILITY_QUESTIONS.forEach(question => {
+        const value = answers[question.id];
+        if (!question.field || value === undefined || validateAnswer(question, value)) return;
+
+        inputs[question.field] = question.type === 'number'
+            ? Number(value)
+            : question.options.find(option => option.value === value).fieldValue;
+    });
+    return inputs;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        ELIGIBILITY_QUESTIONS,
+        ELIGIBILITY_STATUS,
+        evaluateEligibility,
+        getNextQuestionId,
+        getQuestion,
+        toCalculatorInputs,
+        validateAnswer
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.EligibilityWizard = {
+        ELIGIBILITY_QUESTIONS,
+        ELIGIBILITY_STATUS,
+        evaluateEligibility,
+        getNextQuestionId,
+        getQuestion,
+        toCalculatorInputs,
+        validateAnswer
+    };
+}
@@ -0,0 +1,510 @@
+/**
+ * Printable Estimate Report
+ *
+ * Turns calculator inputs and a calculateFicaTipCredit result into a branded,
+ * print-ready estimate with a formula-by-formula walkthrough, assumptions and
+ * the disclaimer. Runs entirely in the browser: the report opens as a
+ * print-optimized HTML page, and the browser's print dialog saves it as a PDF.
+ *
+ * Inputs use the engine's units: tipsPct is a decimal (0.60 = 60%). With a
+ * monthlyProfile the walkthrough sums the monthly breakdown instead of
+ * multiplying one month by twelve.
+ *
+ * The English text lives here; pass an i18n.js translator to write the report
+ * in the page's language. Its `report.*` messages fall back to this English.
+ */
+
+const REPORT_BRAND = {
+    name: 'Tip Tax Partner',
+    logo: 'banner.png',
+    color: '#0891B2',
+    tagline: 'Specializing in ERTC, Visa/Mastercard and FICA tip credits for small businesses.'
+};
+
+const REPORT_DISCLAIMER = 'This report provides an estimate only and is not tax or legal advice. '
+    + 'Please consult with a tax professional for specific advice regarding your tax situation.';
+
+/**
+ * Create the English translator used when none is passed, in Node.js or the browser
+ * @returns {Object} i18n.js translator
+ */
+function loadReportTranslator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./i18n.js').createTranslator('en');
+    }
+    return window.I18n.createTranslator('en');
+}
+
+/**
+ * Format a decimal as a percentage
+ * @param {number} value - Decimal (0.0765 = 7.65%)
+ * @returns {string} Percentage (e.g., "7.65%")
+ */
+function formatPercent(value) {
+    return `${Number((value * 100).toFixed(2))}%`;
+}
+
+/**
+ * Name a calendar month
+ * @param {number} month - Month number (1 = January)
+ * @param {string} [locale] - BCP 47 locale (default: 'en-US')
+ * @returns {string} Month name (e.g., "January")
+ */
+function formatMonth(month, locale = 'en-US') {
+    return new Date(2024, month - 1, 1).toLocaleDateString(locale, { month: 'long' });
+}
+
+/**
+ * Escape text for insertion into HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build the estimate report content
+ *
+ * @param {Object} inputs - calculateFicaTipCredit parameters (tipsPct as a decimal)
+ * @param {Object} results - calculateFicaTipCredit result for those inputs
+ * @param {Object} [options] - Report options
+ * @param {string} [options.scenarioName] - Scenario name shown under the title
+ * @param {string} [options.preparedFor] - Business name shown under the title
+ * @param {Date} [options.generatedOn] - Report date (default today)
+ * @param {Object} [options.translator] - i18n.js translator for the report's language (default English)
+ *
+ * @returns {Object} Report
+ * @returns {Array<Object>} inputs - [{ label, value }] as entered
+ * @returns {Array<Object>} summary - Headline figures: [{ label, value }]
+ * @returns {Array<Object>} walkthrough - [{ step, title, formula, calculation, result }], one per formula
+ * @returns {Array<Object>|null} months - Per-month figures for the most recent year when the estimate used a monthlyProfile
+ * @returns {Array<Object>|null} years - Per-year rules and credit when the estimate used taxYears
+ * @returns {Array<string>} assumptions - Assumptions behind the estimate
+ * @returns {string} disclaimer - Disclaimer text
+ * @returns {string} locale - Language the report is written in
+ * @returns {Object} labels - Headings, table columns and buttons for renderEstimateReportHtml
+ */
+function buildEstimateReport(inputs, results, options = {}) {
+    const translator = options.translator || loadReportTranslator();
+    const { formatCurrency, formatNumber } = translator;
+    const text = (key, fallback, values) => translator.label(`report.${key}`, fallback, values);
+    const generatedOn = (options.generatedOn || new Date())
+        .toLocaleDateString(translator.numberLocale, { year: 'numeric', month: 'long', day: 'numeric' });
+
+    const locations = inputs.locations || 1;
+    const servers = inputs.servers || 1;
+    const hoursPerMonth = inputs.hoursPerMonth || 173;
+    const cashWagePerHour = inputs.cashWagePerHour || 0;
+    const tipsPct = inputs.tipsPct || 0;
+    const latestYear = results.yearlyBreakdown[results.yearlyBreakdown.length - 1];
+    const yearCount = results.yearlyBreakdown.length;
+    const seasonal = Array.isArray(inputs.monthlyProfile);
+    const averageServers = seasonal
+        ? results.monthlyBreakdown.reduce((sum, month) => sum + month.servers, 0) / 12
+        : servers;
+    const varies = (field, format) => {
+        const values = results.monthlyBreakdown.map(month => month[field]);
+        return text('varies', 'Varies by month ({low} to {high})', { low: format(Math.min(...values)), high: format(Math.max(...values)) });
+    };
+    // With the wage base cap, monthlyCreditPerServer averages the capped months;
+    // the walkthrough shows a full month's credit and subtracts what the cap takes
+    const uncappedMonthlyCredit = results.creditableTips * results.creditRate;
+    const capLossPerServer = latestYear.wageBaseCapLossPerServer || 0;
+    const perHour = value => text('perHour', '{amount}/hr', { amount: formatCurrency(value) });
+
+    const reportInputs = [
+        { label: text('input.locations', 'Restaurant locations'), value: formatNumber(locations) },
+        { label: text('input.servers', 'Servers per location'), value: seasonal ? varies('servers', formatNumber) : formatNumber(servers) },
+        { label: text('input.hoursPerMonth', 'Hours worked per month'), value: seasonal ? varies('hoursPerMonth', formatNumber) : formatNumber(hoursPerMonth) },
+        { label: text('input.cashWagePerHour', 'Cash wage'), value: perHour(cashWagePerHour) },
+        { label: text('input.tipsPct', 'Tips as % of total income'), value: seasonal ? varies('tipsPct', formatPercent) : formatPercent(tipsPct) },
+        { label: text('input.minWageBasis', 'Minimum wage basis'), value: perHour(latestYear.wageBasis) }
+    ];
+    if (inputs.state) {
+        reportInputs.push({ label: text('input.jurisdiction', 'Jurisdiction'), value: inputs.city ? `${inputs.city}, ${inputs.state}` : inputs.state });
+    }
+    if (results.taxYears) {
+        reportInputs.push({ label: text('input.taxYears', 'Tax years'), value: results.taxYears.join(', ') });
+    }
+
+    const summary = [
+        { label: text('summary.totalCredit', 'Total estimated {years}-year credit', { years: yearCount }), value: formatCurrency(results.totalCredit) },
+        { label: text('summary.annualCreditPerServer', 'Annual credit per server'), value: formatCurrency(results.annualCreditPerServer) },
+        { label: text('summary.creditPerServer', '{years}-year credit per server', { years: yearCount }), value: formatCurrency(results.credit3yrPerServer) },
+        { label: text('summary.serversFor100k', 'Servers needed for $100k credit'), value: formatNumber(results.serversFor100k) }
+    ];
+
+    const monthlySteps = [
+        {
+            title: text('step.cashWageMonthly', 'Monthly cash wage per server'),
+            formula: text('formula.cashWageMonthly', 'Cash wage per hour × hours per month'),
+            calculation: `${formatCurrency(cashWagePerHour)} × ${formatNumber(hoursPerMonth)}`,
+            result: formatCurrency(results.cashWageMonthly)
+        },
+        {
+            title: text('step.totalIncomeMonthly', 'Total monthly income per server'),
+            formula: text('formula.totalIncomeMonthly', 'Monthly cash wage ÷ (1 − tips share)'),
+            calculation: `${formatCurrency(results.cashWageMonthly)} ÷ (1 − ${formatPercent(tipsPct)})`,
+            result: formatCurrency(results.totalIncomeMonthly)
+        },
+        {
+            title: text('step.tipsMonthly', 'Monthly tips per server'),
+            formula: text('formula.tipsMonthly', 'Total monthly income − monthly cash wage'),
+            calculation: `${formatCurrency(results.totalIncomeMonthly)} − ${formatCurrency(results.cashWageMonthly)}`,
+            result: formatCurrency(results.tipsMonthly)
+        },
+        {
+            title: text('step.baselineMonthly', 'Monthly minimum wage baseline'),
+            formula: text('formula.baselineMonthly', 'Wage basis × hours per month'),
+            calculation: `${formatCurrency(latestYear.wageBasis)} × ${formatNumber(hoursPerMonth)}`,
+            result: formatCurrency(results.baselineMonthly)
+        },
+        {
+            title: text('step.nonCreditableTips', 'Tips not creditable'),
+            formula: text('formula.nonCreditableTips', 'Baseline − monthly cash wage (never below zero)'),
+            calculation: `max(0, ${formatCurrency(results.baselineMonthly)} − ${formatCurrency(results.cashWageMonthly)})`,
+            result: formatCurrency(results.nonCreditableTips)
+        },
+        {
+            title: text('step.creditableTips', 'Creditable tips'),
+            formula: text('formula.creditableTips', 'Monthly tips − tips not creditable'),
+            calculation: `${formatCurrency(results.tipsMonthly)} − ${formatCurrency(results.nonCreditableTips)}`,
+            result: formatCurrency(results.creditableTips)
+        },
+        {
+            title: text('step.monthlyCreditPerServer', 'Monthly credit per server'),
+            formula: text('formula.monthlyCreditPerServer', 'Creditable tips × employer FICA rate'),
+            calculation: `${formatCurrency(results.creditableTips)} × ${formatPercent(results.creditRate)}`,
+            result: formatCurrency(uncappedMonthlyCredit)
+        },
+        {
+            title: text('step.annualCreditPerServer', 'Annual credit per server'),
+            formula: capLossPerServer > 0
+                ? text('formula.annualCreditCapped', 'Monthly credit × 12, less the Social Security credit lost above the wage base')
+                : text('formula.annualCredit', 'Monthly credit × 12'),
+            calculation: capLossPerServer > 0
+                ? `${formatCurrency(uncappedMonthlyCredit)} × 12 − ${formatCurrency(capLossPerServer)}`
+                : `${formatCurrency(uncappedMonthlyCredit)} × 12`,
+            result: formatCurrency(results.annualCreditPerServer)
+        }
+    ];
+
+    // Each month has its own headcount, hours and tip share, so the year is the
+    // sum of the monthly breakdown rather than one month times twelve
+    const seasonalSteps = [
+        {
+            title: text('step.creditPerServerEachMonth', 'Credit per server each month'),
+            formula: text('formula.creditPerServerEachMonth', '(Tips − max(0, wage basis × hours − cash wage)) × employer FICA rate, month by month'),
+            calculation: text('calculation.seeMonths', 'See the monthly breakdown below'),
+            result: text('range', '{low} to {high}', {
+                low: formatCurrency(Math.min(...results.monthlyBreakdown.map(month => month.creditPerServer))),
+                high: formatCurrency(Math.max(...results.monthlyBreakdown.map(month => month.creditPerServer)))
+            })
+        },
+        {
+            title: text('step.averageServers', 'Average servers per location'),
+            formula: text('formula.averageServers', 'Sum of each month\'s servers ÷ 12'),
+            calculation: `(${results.monthlyBreakdown.map(month => formatNumber(month.servers)).join(' + ')}) ÷ 12`,
+            result: formatNumber(averageServers, 2)
+        },
+        {
+            title: text('step.annualCreditPerServer', 'Annual credit per server'),
+            formula: text('formula.seasonalAnnualCredit', 'Sum of each month\'s credit per server × that month\'s servers, ÷ average servers'),
+            calculation: `${formatCurrency(results.monthlyBreakdown.reduce((sum, month) => sum + month.creditPerServer * month.servers, 0))} ÷ ${formatNumber(averageServers, 2)}`,
+            result: formatCurrency(results.annualCreditPerServer)
+        }
+    ];
+
+    const walkthrough = [
+        ...(seasonal ? seasonalSteps : monthlySteps),
+        {
+            title: text('step.creditPerServer', '{years}-year credit per server', { years: yearCount }),
+            formula: results.taxYears
+                ? text('formula.taxYearsCredit', 'Sum of each tax year\'s annual credit')
+                : text('formula.yearsCredit', 'Annual credit × {years} years', { years: yearCount }),
+            calculation: results.yearlyBreakdown.map(year => formatCurrency(year.annualCreditPerServer)).join(' + '),
+            result: formatCurrency(results.credit3yrPerServer)
+        },
+        {
+            title: text('step.totalCredit', 'Total estimated credit'),
+            formula: seasonal
+                ? text('formula.seasonalTotalCredit', 'Credit per server × average servers per location × locations')
+                : text('formula.totalCredit', 'Credit per server × servers per location × locations'),
+            calculation: `${formatCurrency(results.credit3yrPerServer)} × ${formatNumber(averageServers, seasonal ? 2 : 0)} × ${formatNumber(locations)}`,
+            result: formatCurrency(results.totalCredit)
+        }
+    ].map((entry, index) => ({ step: index + 1, ...entry }));
+
+    const years = results.taxYears
+        ? results.yearlyBreakdown.map(year => ({
+            taxYear: year.taxYear,
+            wageBasis: perHour(year.wageBasis),
+            creditRate: formatPercent(year.creditRate),
+            creditableTips: formatCurrency(year.creditableTips),
+            annualCreditPerServer: formatCurrency(year.annualCreditPerServer),
+            totalCredit: formatCurrency(year.totalCredit)
+        }))
+        : null;
+
+    const months = seasonal
+        ? results.monthlyBreakdown.map(month => ({
+            month: formatMonth(month.month, translator.numberLocale),
+            servers: formatNumber(month.servers),
+            hoursPerMonth: formatNumber(month.hoursPerMonth),
+            tipsPct: formatPercent(month.tipsPct),
+            creditableTipsPerServer: formatCurrency(month.creditableTipsPerServer),
+            creditPerServer: formatCurrency(month.creditPerServer),
+            totalCredit: formatCurrency(month.totalCredit)
+        }))
+        : null;
+
+    const assumptions = [
+        seasonal
+            ? text('assumption.seasonal', 'Servers, hours and tip share change from month to month as shown in the monthly breakdown; within a month every server works the same hours and earns the same cash wage and tip share.')
+            : text('assumption.flat', 'Every server works {hours} hours and earns the same cash wage and tip share in every month.', { hours: formatNumber(hoursPerMonth) }),
+        text('assumption.ficaRates', 'Employer FICA is {socialSecurity} Social Security plus {medicare} Medicare on creditable tips.', {
+            socialSecurity: formatPercent(latestYear.socialSecurityRate),
+            medicare: formatPercent(latestYear.medicareRate)
+        }),
+        latestYear.wageBasis === 5.15
+            ? text('assumption.wageBasis', 'Section 45B measures creditable tips against the $5.15/hr federal minimum wage in effect on January 1, 2007.')
+            : text('assumption.customWageBasis', 'The wage basis of {basis} was entered by hand; Section 45B uses $5.15/hr.', { basis: perHour(latestYear.wageBasis) }),
+        text('assumption.tipsReported', 'All tips are reported by employees and the business is a food or beverage establishment where tipping is customary.'),
+        results.wageBaseCapLoss > 0
+            ? text('assumption.wageBaseCap', 'The Social Security portion stops at each year\'s wage base, which reduces the credit by {amount}.', { amount: formatCurrency(results.wageBaseCapLoss) })
+            : text('assumption.noWageBaseCap', 'The Social Security wage base cap is not applied.'),
+        text('assumption.generalBusinessCredit', 'The credit is part of the general business credit and is limited by income tax liability; unused credit carries back 1 year and forward 20 years.'),
+        text('assumption.noDeduction', 'Claiming the credit disallows a deduction for the same FICA tax (IRC 45B(c)).')
+    ];
+
+    const labels = {
+        print: text('print', 'Print or Save as PDF'),
+        prepared: text('prepared', 'Prepared {date}', { date: generatedOn }),
+        inputs: text('heading.inputs', 'Your Inputs'),
+        summary: text('heading.summary', 'Summary'),
+        walkthrough: text('heading.walkthrough', 'How the Credit Is Calculated (IRS Section 45B)'),
+        months: text('heading.months', 'Monthly Breakdown'),
+        years: text('heading.years', 'Credit by Tax Year'),
+        assumptions: text('heading.assumptions', 'Assumptions'),
+        disclaimer: text('heading.disclaimer', 'Disclaimer:'),
+        monthColumns: [
+            text('column.month', 'Month'),
+            text('column.servers', 'Servers'),
+            text('column.hours', 'Hours'),
+            text('column.tipsPct', 'Tips %'),
+            text('column.creditableTipsPerServer', 'Creditable Tips per Server'),
+            text('column.creditPerServer', 'Credit per Server'),
+            text('column.totalCredit', 'Total Credit')
+        ],
+        yearColumns: [
+            text('column.taxYear', 'Tax Year'),
+            text('column.wageBasis', 'Wage Basis'),
+            text('column.creditRate', 'Credit Rate'),
+            text('column.creditableTipsMonthly', 'Creditable Tips (Monthly)'),
+            text('column.annualCreditPerServer', 'Annual Credit per Server'),
+            text('column.totalCredit', 'Total Credit')
+        ]
+    };
+
+    return {
+        brand: { ...REPORT_BRAND, tagline: text('tagline', REPORT_BRAND.tagline) },
+        title: text('title', 'FICA Tip Credit Estimate'),
+        scenarioName: options.scenarioName || '',
+        preparedFor: options.preparedFor || '',
+        generatedOn,
+        inputs: reportInputs,
+        summary,
+        walkthrough,
+        months,
+        years,
+        assumptions,
+        disclaimer: text('disclaimer', REPORT_DISCLAIMER),
+        locale: translator.locale,
+        labels
+    };
+}
+
+/**
+ * Render a report as a standalone, print-optimized HTML document
+ *
+ * @param {Object} report - buildEstimateReport result
+ * @param {Object} [options] - { baseUrl } used to resolve the logo (default: relative to the page)
+ * @returns {string} HTML document
+ */
+function renderEstimateReportHtml(report, options = {}) {
+    const logoUrl = `${options.baseUrl || ''}${report.brand.logo}`;
+    const subtitle = [report.preparedFor, report.scenarioName].filter(Boolean).map(escapeHtml).join(' · ');
+    const { labels } = report;
+    const rows = entries => entries
+        .map(entry => `<tr><th>${escapeHtml(entry.label)}</th><td>${escapeHtml(entry.value)}</td></tr>`)
+        .join('');
+    const headerCells = columns => columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+
+    const walkthrough = report.walkthrough.map(entry => `
+            <tr>
+                <td class="step">${entry.step}</td>
+                <td>
+                    <strong>${escapeHtml(entry.title)}</strong>
+                    <div class="formula">${escapeHtml(entry.formula)}</div>
+                    <div class="calculation">${escapeHtml(entry.calculation)}</div>
+                </td>
+                <td class="amount">${escapeHtml(entry.result)}</td>
+            </tr>`).join('');
+
+    const months = report.months ? `
+        <h2>${escapeHtml(labels.months)}${report.years ? ` (${escapeHtml(report.years[report.years.length - 1].taxYear)})` : ''}</h2>
+        <table class="years">
+            <thead>
+                <tr>${headerCells(labels.monthColumns)}</tr>
+            </thead>
+            <tbody>
+                ${report.months.map(month => `<tr><td>${escapeHtml(month.month)}</td><td>${month.servers}</td><td>${month.hoursPerMonth}</td><td>${month.tipsPct}</td><td>${month.creditableTipsPerServer}</td><td>${month.creditPerServer}</td><td>${month.totalCredit}</td></tr>`).join('')}
+            </tbody>
+        </table>` : '';
+
+    const years = report.years ? `
+        <h2>${escapeHtml(labels.years)}</h2>
+        <table class="years">
+            <thead>
+                <tr>${headerCells(labels.yearColumns)}</tr>
+            </thead>
+            <tbody>
+                ${report.years.map(year => `<tr><td>${year.taxYear}</td><td>${year.wageBasis}</td><td>${year.creditRate}</td><td>${year.creditableTips}</td><td>${year.annualCreditPerServer}</td><td>${year.totalCredit}</td></tr>`).join('')}
+            </tbody>
+        </table>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(report.locale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(report.title)} | ${escapeHtml(report.brand.name)}</title>
+    <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { color: #1E293B; font-family: 'Montserrat', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 11pt; line-height: 1.5; padding: 32px; }
+        header { align-items: center; border-bottom: 3px solid ${report.brand.color}; display: flex; justify-content: space-between; padding-bottom: 16px; }
+        header img { height: 40px; }
+        header .date { color: #64748B; font-size: 9pt; text-align: right; }
+        h1 { color: ${report.brand.color}; font-size: 20pt; margin-top: 24px; }
+        .subtitle { color: #64748B; }
+        h2 { border-bottom: 1px solid #E2E8F0; color: ${report.brand.color}; font-size: 13pt; margin: 24px 0 8px; padding-bottom: 4px; }
+        .total { background: rgba(8, 145, 178, 0.08); border-left: 4px solid ${report.brand.color}; margin-top: 16px; padding: 16px; }
+        .total span { color: #64748B; display: block; font-size: 9pt; font-weight: 600; text-transform: uppercase; }
+        .total strong { color: ${report.brand.color}; font-size: 24pt; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border-bottom: 1px solid #E2E8F0; padding: 6px 8px; text-align: left; vertical-align: top; }
+        .pairs th { color: #64748B; font-weight: 600; width: 60%; }
+        .pairs td, .amount { font-weight: 700; text-align: right; white-space: nowrap; }
+        .columns { display: grid; gap: 24px; grid-template-columns: 1fr 1fr; }
+        .step { color: ${report.brand.color}; font-weight: 700; width: 28px; }
+        .formula { color: #64748B; font-size: 9.5pt; }
+        .calculation { font-family: 'Courier New', monospace; font-size: 9.5pt; }
+        .years th { color: #64748B; font-size: 9pt; }
+        ul { margin-left: 20px; }
+        li { margin-bottom: 4px; }
+        .disclaimer { background: #F8FAFC; border-left: 4px solid ${report.brand.color}; color: #64748B; font-size: 9pt; margin-top: 24px; padding: 12px; }
+        footer { color: #64748B; font-size: 8.5pt; margin-top: 24px; text-align: center; }
+        .print-bar { margin-bottom: 16px; text-align: right; }
+        .print-bar button { background: ${report.brand.color}; border: none; border-radius: 8px; color: white; cursor: pointer; font-weight: 600; padding: 8px 16px; }
+        @page { margin: 16mm; size: letter; }
+        @media print {
+            body { padding: 0; }
+            .print-bar { display: none; }
+            tr, .total, .disclaimer { break-inside: avoid; }
+            h2 { break-after: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <div class="print-bar"><button type="button" onclick="window.print()">${escapeHtml(labels.print)}</button></div>
+    <header>
+        <img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(report.brand.name)}">
+        <div class="date">${escapeHtml(labels.prepared)}</div>
+    </header>
+
+    <h1>${escapeHtml(report.title)}</h1>
+    ${subtitle ? `<p class="subtitle">${subtitle}</p>` : ''}
+
+    <div class="total">
+        <span>${escapeHtml(report.summary[0].label)}</span>
+        <strong>${escapeHtml(report.summary[0].value)}</strong>
+    </div>
+
+    <div class="columns">
+        <div>
+            <h2>${escapeHtml(labels.inputs)}</h2>
+            <table class="pairs">${rows(report.inputs)}</table>
+        </div>
+        <div>
+            <h2>${escapeHtml(labels.summary)}</h2>
+            <table class="pairs">${rows(report.summary.slice(1))}</table>
+        </div>
+    </div>
+
+    <h2>${escapeHtml(labels.walkthrough)}</h2>
+    <table>${walkthrough}
+    </table>
+    ${months}
+    ${years}
+
+    <h2>${escapeHtml(labels.assumptions)}</h2>
+    <ul>
+        ${report.assumptions.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+    </ul>
+
+    <div class="disclaimer"><strong>${escapeHtml(labels.disclaimer)}</strong> ${escapeHtml(report.disclaimer)}</div>
+
+    <footer>${escapeHtml(report.brand.name)} · ${escapeHtml(report.brand.tagline)}</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Open the estimate as a print-ready page in a new window and show the print dialog
+ *
+ * @param {Object} inputs - calculateFicaTipCredit parameters (tipsPct as a decimal)
+ * @param {Object} results - calculateFicaTipCredit result for those inputs
+ * @param {Object} [options] - buildEstimateReport options, including the page's translator
+ * @returns {boolean} False if the browser blocked the new window
+ */
+function openEstimateReport(inputs, results, options = {}) {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) return false;
+
+    // Resolve the logo against the calculator page, not the blank window
+    const baseUrl = window.location.href.split(/[?#]/)[0].replace(/[^/]*$/, '');
+    const html = renderEstimateReportHtml(buildEstimateReport(inputs, results, options), { baseUrl });
+
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    reportWindow.focus();
+
+    // Wait for the logo so it appears in the printout
+    reportWindow.addEventListener('load', () => reportWindow.print());
+    return true;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        buildEstimateReport,
+        openEstimateReport,
+        renderEstimateReportHtml
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.EstimateReport = {
+        buildEstimateReport,
+        openEstimateReport,
+        renderEstimateReportHtml
+    };
+}
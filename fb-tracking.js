@@ -0,0 +1,159 @@
+/**
+ * Facebook Conversion Tracking
+ *
+ * Shared by every page. Each event is tracked twice with the same event ID:
+ * by the browser pixel (fbq) and by the Conversions API through the site's own
+ * /api/track endpoint, which holds the access token. Facebook uses the event
+ * ID to count the two copies once.
+ *
+ * Nothing is sent until the visitor opts in to advertising cookies through the
+ * consent manager (consent.js, which must be loaded first); events tracked
+ * before the visitor answers the banner wait for the answer.
+ *
+ * Usage:
+ *   <script src="consent.js"></script>      (in <head>)
+ *   <script src="fb-tracking.js"></script>
+ *   FacebookTracking.trackRegistrationClicks();
+ *   FacebookTracking.trackFacebookConversion('Lead', { value: 57173, currency: 'USD' });
+ */
+
+const TRACKING_ENDPOINT = '/api/track';
+
+// Requests to /api/track per event, and the wait before the first retry (doubled each time)
+const TRACKING_MAX_ATTEMPTS = 3;
+const TRACKING_RETRY_DELAY_MS = 500;
+
+// /api/track responses worth retrying; others (bad event, not configured) will not improve
+const TRACKING_RETRY_STATUSES = [429, 500, 502, 504];
+
+// Links to the client portal's registration page
+const REGISTRATION_LINK_SELECTOR = 'a[href*="app.tipcreditpartners.com/register"]';
+
+/**
+ * Create an ID shared by the pixel and server copies of an event
+ * @returns {string} Event ID
+ */
+function createEventId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Post an event to /api/track, retrying network errors and temporary failures
+ *
+ * keepalive lets the request finish when the event is a click that leaves the page.
+ *
+ * @param {Object} event - { event_name, event_id, event_time, event_source_url, custom_data, user_data }
+ * @param {Object} [options] - { endpoint, fetchImpl, retryDelayMs }
+ * @returns {Promise<boolean>} True if the server accepted the event
+ */
+async function sendServerEvent(event, options = {}) {
+    const {
+        endpoint = TRACKING_ENDPOINT,
+        fetchImpl = typeof fetch !== 'undefined' ? fetch : null,
+        retryDelayMs = TRACKING_RETRY_DELAY_MS
+    } = options;
+    if (!fetchImpl) return false;
+
+    for (let attempt = 1; attempt <= TRACKING_MAX_ATTEMPTS; attempt++) {
+        if (attempt > 1) {
+            await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 2)));
+        }
+
+        try {
+            const response = await fetchImpl(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(event),
+                keepalive: true,
+                credentials: 'same-origin'
+            });
+            if (response.ok) return true;
+            if (!TRACKING_RETRY_STATUSES.includes(response.status)) return false;
+        } catch (error) {
+            // Network error; retry
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether the visitor allows advertising tracking (waits for the banner if undecided)
+ * @returns {Promise<boolean>} True if allowed; false without the consent manager
+ */
+function advertisingConsent() {
+    if (typeof window === 'undefined' || !window.ConsentManager) {
+        return Promise.resolve(false);
+    }
+    return window.ConsentManager.whenConsented('advertising');
+}
+
+/**
+ * Track a conversion with the pixel and the Conversions API
+ *
+ * User data (em, ph, fn, ln, ct, st, zp, country, external_id) is sent raw over
+ * HTTPS to /api/track, which hashes it before it reaches Facebook.
+ *
+ * @param {string} eventName - Standard event name (Lead, ViewContent, ...)
+ * @param {Object} [eventData] - Custom data (value, currency, content_name, ...)
+ * @param {Object} [userData] - Customer information for matching
+ * @returns {Promise<boolean>} True if the server copy was accepted; false if it failed or tracking is not allowed
+ */
+async function trackFacebookConversion(eventName, eventData = {}, userData = {}) {
+    if (!(await advertisingConsent())) return false;
+
+    const eventId = createEventId();
+
+    // Track client-side with pixel
+    if (typeof fbq !== 'undefined') {
+        fbq('track', eventName, eventData, { eventID: eventId });
+    }
+
+    const accepted = await sendServerEvent({
+        event_name: eventName,
+        event_id: eventId,
+        event_time: Math.floor(Date.now() / 1000),
+        event_source_url: window.location.href,
+        custom_data: eventData,
+        user_data: userData
+    });
+    if (!accepted) {
+        console.log('Conversion API tracking: event not accepted', eventName);
+    }
+    return accepted;
+}
+
+/**
+ * Track a Lead when a visitor follows a registration link
+ * @param {Object} [eventData] - Custom data (defaults to the site-wide CTA labels)
+ */
+function trackRegistrationClicks(eventData = { content_name: 'Get Your Money Back CTA', content_category: 'Registration' }) {
+    document.querySelectorAll(REGISTRATION_LINK_SELECTOR).forEach(button => {
+        button.addEventListener('click', () => {
+            trackFacebookConversion('Lead', eventData);
+        });
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        createEventId,
+        sendServerEvent,
+        trackFacebookConversion,
+        trackRegistrationClicks
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.FacebookTracking = {
+        createEventId,
+        sendServerEvent,
+        trackFacebookConversion,
+        trackRegistrationClicks
+    };
+}
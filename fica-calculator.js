@@ -6,29 +6,321 @@
  * for restaurants and hospitality businesses.
  */
 
+// Rules used when no tax years are requested (flat 3-year estimate)
+const DEFAULT_MIN_WAGE_BASIS = 5.15;
+const DEFAULT_SOCIAL_SECURITY_RATE = 0.062;
+const DEFAULT_MEDICARE_RATE = 0.0145;
+const DEFAULT_CREDIT_YEARS = 3;
+
+// Tip shares above this get a warning; they are more often a typo than a real payroll
+const HIGH_TIPS_PCT = 0.9;
+
+/**
+ * Inputs solveForTarget can solve for
+ * Values are searched on a grid of `step` from `min` to `max`; servers and
+ * locations multiply the credit, so they are solved directly. Every `max` is
+ * also the largest value validateInputs accepts. The credit falls as the wage
+ * basis rises, so for it the largest value that still reaches the target is
+ * found instead of the smallest.
+ */
+const SOLVABLE_INPUTS = {
+    servers: {
+        label: 'Servers per location',
+        min: 1,
+        max: 10000,
+        step: 1,
+        multiplies: true,
+        limitText: '10,000 servers per location'
+    },
+    locations: {
+        label: 'Locations',
+        min: 1,
+        max: 10000,
+        step: 1,
+        multiplies: true,
+        limitText: '10,000 locations'
+    },
+    hoursPerMonth: {
+        label: 'Hours per month',
+        min: 1,
+        max: 744,
+        step: 1,
+        limitText: '744 hours per month (every hour of a 31-day month)'
+    },
+    tipsPct: {
+        label: 'Tips as % of income',
+        min: 0,
+        max: 0.99,
+        step: 0.0001,
+        limitText: 'tips at 99% of income'
+    },
+    cashWagePerHour: {
+        label: 'Cash wage',
+        min: 0,
+        max: 100,
+        step: 0.01,
+        limitText: 'a $100.00/hr cash wage'
+    },
+    minWageBasis: {
+        label: 'Wage basis',
+        min: 0,
+        max: 100,
+        step: 0.01,
+        decreasing: true,
+        limitText: 'a $0.00/hr wage basis'
+    }
+};
+
+/**
+ * Resolve the rate table module in Node.js or the browser
+ * @returns {Object} FicaRateTables module
+ */
+function loadRateTables() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-rate-tables.js');
+    }
+    return window.FicaRateTables;
+}
+
+/**
+ * Resolve the jurisdiction wage rules module in Node.js or the browser
+ * @returns {Object} WageRules module
+ */
+function loadWageRules() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./wage-rules.js');
+    }
+    return window.WageRules;
+}
+
+/**
+ * Resolve the rules for each year of an estimate
+ *
+ * With tax years, each year's rules come from its rate table. Without them the
+ * flat 3-year estimate uses the default rules, capped against the most recent
+ * wage base on file when the cap applies.
+ *
+ * @param {number[]} [taxYears] - Tax years to estimate
+ * @param {boolean} applyWageBaseCap - Whether the Social Security wage base cap applies
+ * @returns {Array<Object>} Year rules sorted by tax year
+ */
+function resolveYearRules(taxYears, applyWageBaseCap) {
+    if (taxYears !== undefined && (!Array.isArray(taxYears) || taxYears.length === 0)) {
+        throw new Error('Invalid input: taxYears must be a non-empty array');
+    }
+
+    if (taxYears && new Set(taxYears).size !== taxYears.length) {
+        throw new Error('Invalid input: taxYears must not contain duplicates');
+    }
+
+    if (taxYears) {
+        return [...taxYears].sort((a, b) => a - b).map(year => loadRateTables().getRateTable(year));
+    }
+
+    const currentWageBase = applyWageBaseCap
+        ? loadRateTables().getRateTable(Math.max(...loadRateTables().getSupportedTaxYears())).socialSecurityWageBase
+        : null;
+
+    return Array.from({ length: DEFAULT_CREDIT_YEARS }, () => ({
+        taxYear: null,
+        effectiveDate: null,
+        wageBasis: DEFAULT_MIN_WAGE_BASIS,
+        socialSecurityRate: DEFAULT_SOCIAL_SECURITY_RATE,
+        medicareRate: DEFAULT_MEDICARE_RATE,
+        socialSecurityWageBase: currentWageBase,
+        creditRate: DEFAULT_SOCIAL_SECURITY_RATE + DEFAULT_MEDICARE_RATE
+    }));
+}
+
+/**
+ * Calculate one employee's credit for a tax year from monthly amounts
+ *
+ * With a wage base cap, wages and tips accumulate month by month. Cash wages
+ * and non-creditable tips count toward the Social Security wage base first;
+ * creditable tips above the base earn only the Medicare portion.
+ *
+ * @param {Array<Object>} months - Monthly amounts: { cashWages, nonCreditableTips, creditableTips }
+ * @param {Object} rules - Year rules with socialSecurityRate, medicareRate and creditRate
+ * @param {number|null} wageBaseCap - Social Security wage base, or null to ignore the cap
+ * @returns {Object} Annual credit, uncapped credit, credit lost to the cap, the month the cap was reached
+ *     and the credit for each month
+ */
+function calculateAnnualCredit(months, rules, wageBaseCap) {
+    let cumulativeWages = 0;
+    let annualCredit = 0;
+    let uncappedAnnualCredit = 0;
+    let capReachedMonth = null;
+    const monthlyCredits = [];
+
+    months.forEach((month, index) => {
+        uncappedAnnualCredit += month.creditableTips * rules.creditRate;
+
+        if (wageBaseCap === null || wageBaseCap === undefined) {
+            annualCredit += month.creditableTips * rules.creditRate;
+            monthlyCredits.push(month.creditableTips * rules.creditRate);
+            return;
+        }
+
+        const roomBeforeTips = Math.max(0, wageBaseCap - cumulativeWages - month.cashWages - month.nonCreditableTips);
+        const tipsUnderCap = Math.min(month.creditableTips, roomBeforeTips);
+        const monthCredit = tipsUnderCap * rules.socialSecurityRate + month.creditableTips * rules.medicareRate;
+
+        annualCredit += monthCredit;
+        monthlyCredits.push(monthCredit);
+        cumulativeWages += month.cashWages + month.nonCreditableTips + month.creditableTips;
+
+        if (capReachedMonth === null && cumulativeWages >= wageBaseCap) {
+            capReachedMonth = index + 1;
+        }
+    });
+
+    return {
+        annualCredit,
+        uncappedAnnualCredit,
+        wageBaseCapLoss: uncappedAnnualCredit - annualCredit,
+        capReachedMonth,
+        monthlyCredits
+    };
+}
+
+/**
+ * Calculate one month's cash wage, total income and tips for a server
+ * @param {number} cashWagePerHour - Cash wage paid ($/hr)
+ * @param {number} hoursPerMonth - Hours worked in the month
+ * @param {number} tipsPct - Tips as a share of total income (0-1 decimal)
+ * @returns {Object} { cashWageMonthly, totalIncomeMonthly, tipsMonthly }
+ */
+function calculateMonthlyPay(cashWagePerHour, hoursPerMonth, tipsPct) {
+    // Step 1: Calculate monthly cash wage
+    const cashWageMonthly = cashWagePerHour * hoursPerMonth;
+
+    // Step 2: Calculate total monthly income and tips
+    // Formula: total_income = cash_wage / (1 - tips_pct)
+    const totalIncomeMonthly = tipsPct === 1
+        ? cashWageMonthly // Avoid division by zero
+        : cashWageMonthly / (1 - tipsPct);
+
+    return {
+        cashWageMonthly,
+        totalIncomeMonthly,
+        tipsMonthly: totalIncomeMonthly - cashWageMonthly
+    };
+}
+
+/**
+ * Check a 12-month profile
+ *
+ * Months may have no staff or no hours (a closed season), but at least one
+ * month must have both.
+ *
+ * @param {Array<Object>} monthlyProfile - 12 entries of { servers, hoursPerMonth, tipsPct }
+ * @param {Object} flat - { servers, hoursPerMonth, tipsPct } used for fields a month leaves out
+ * @returns {Array<Object>} Errors as { code, values, message }; values.month is the month number (1-12)
+ */
+function validateMonthlyProfile(monthlyProfile, flat) {
+    if (!Array.isArray(monthlyProfile) || monthlyProfile.length !== 12) {
+        return [{ code: 'monthlyProfileLength', values: {}, message: 'Monthly profile must have 12 months' }];
+    }
+
+    const errors = [];
+    monthlyProfile.forEach((month, index) => {
+        const error = (code, text, values = {}) => errors.push({
+            code,
+            values: { month: index + 1, ...values },
+            message: `Month ${index + 1}: ${text}`
+        });
+        if (!month || typeof month !== 'object') {
+            error('monthShape', 'expected { servers, hoursPerMonth, tipsPct }');
+            return;
+        }
+        if (month.servers !== undefined && !(month.servers >= 0 && Number.isFinite(month.servers))) {
+            error('monthServersNegative', 'servers cannot be negative');
+        } else if (month.servers > SOLVABLE_INPUTS.servers.max) {
+            error('monthServersMax', `servers cannot be more than ${formatNumber(SOLVABLE_INPUTS.servers.max)}`,
+                { max: SOLVABLE_INPUTS.servers.max });
+        }
+        if (month.hoursPerMonth !== undefined && !(month.hoursPerMonth >= 0 && Number.isFinite(month.hoursPerMonth))) {
+            error('monthHoursNegative', 'hours per month cannot be negative');
+        } else if (month.hoursPerMonth > SOLVABLE_INPUTS.hoursPerMonth.max) {
+            error('monthHoursMax', `hours per month cannot be more than ${SOLVABLE_INPUTS.hoursPerMonth.max} (every hour of a 31-day month)`,
+                { max: SOLVABLE_INPUTS.hoursPerMonth.max });
+        }
+        if (month.tipsPct !== undefined && !(month.tipsPct >= 0 && month.tipsPct <= 1)) {
+            error('monthTipsRange', 'tips percentage must be between 0% and 100%');
+        }
+    });
+
+    const worked = monthlyProfile.some(month => month
+        && (month.servers !== undefined ? month.servers : flat.servers) > 0
+        && (month.hoursPerMonth !== undefined ? month.hoursPerMonth : flat.hoursPerMonth) > 0);
+    if (errors.length === 0 && !worked) {
+        errors.push({ code: 'monthlyProfileNoWork', values: {}, message: 'Monthly profile needs at least one month with servers and hours' });
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve the twelve months of an estimate
+ * @param {Array<Object>} [monthlyProfile] - 12 entries of { servers, hoursPerMonth, tipsPct }
+ * @param {Object} flat - { servers, hoursPerMonth, tipsPct } for every month without a profile,
+ *     and for fields a month leaves out
+ * @returns {Array<Object>} 12 months of { servers, hoursPerMonth, tipsPct }
+ */
+function resolveMonths(monthlyProfile, flat) {
+    if (monthlyProfile === undefined) {
+        return Array.from({ length: 12 }, () => ({ ...flat }));
+    }
+
+    const errors = validateMonthlyProfile(monthlyProfile, flat);
+    if (errors.length > 0) {
+        throw new Error(`Invalid input: ${errors.map(error => error.message).join('; ')}`);
+    }
+
+    return monthlyProfile.map(month => ({
+        servers: month.servers !== undefined ? month.servers : flat.servers,
+        hoursPerMonth: month.hoursPerMonth !== undefined ? month.hoursPerMonth : flat.hoursPerMonth,
+        tipsPct: month.tipsPct !== undefined ? month.tipsPct : flat.tipsPct
+    }));
+}
+
 /**
  * Calculate FICA Tip Credit based on IRS Section 45B
  *
+ * When `taxYears` is supplied each year is calculated with the wage basis and
+ * FICA rates from that year's rate table. Without it the estimate uses the
+ * current rules for a flat 3-year period.
+ *
  * @param {Object} params - Calculation parameters
  * @param {number} params.locations - Number of restaurant locations
  * @param {number} params.servers - Number of full-time servers
  * @param {number} params.hoursPerMonth - Hours worked per month per server
  * @param {number} params.cashWagePerHour - Cash wage paid to server ($/hr)
  * @param {number} params.tipsPct - Tips as percentage of total income (0-1 decimal)
- * @param {number} params.minWageBasis - Minimum wage basis for IRS calculation ($/hr, default $5.15)
+ * @param {number} [params.minWageBasis] - Minimum wage basis for IRS calculation ($/hr, default $5.15).
+ *     Overrides each year's rate table basis when supplied.
+ * @param {number[]} [params.taxYears] - Tax years to estimate (e.g., [2022, 2023, 2024])
+ * @param {boolean} [params.applyWageBaseCap] - Limit the Social Security portion to each server's
+ *     annual wage base (default false)
+ * @param {Array<Object>} [params.monthlyProfile] - 12 months (January first) of { servers, hoursPerMonth, tipsPct }
+ *     for seasonal businesses. Fields a month leaves out use the flat inputs. Per-server results are
+ *     then for the average headcount, with monthly amounts weighted by each month's headcount.
  *
  * @returns {Object} Calculation results
  * @returns {number} tipsMonthly - Monthly tips per server
- * @returns {number} nonCreditableTips - Tips that don't qualify for credit
- * @returns {number} creditableTips - Tips that qualify for credit
- * @returns {number} monthlyCreditPerServer - Monthly credit amount per server
- * @returns {number} annualCreditPerServer - Annual credit amount per server
- * @returns {number} credit3yrPerServer - 3-year credit amount per server
+ * @returns {number} nonCreditableTips - Tips that don't qualify for credit (most recent year)
+ * @returns {number} creditableTips - Tips that qualify for credit (most recent year)
+ * @returns {number} monthlyCreditPerServer - Monthly credit amount per server (most recent year)
+ * @returns {number} annualCreditPerServer - Annual credit amount per server (most recent year)
+ * @returns {number} credit3yrPerServer - Multi-year credit amount per server (sum of all years)
  * @returns {number} totalCredit - Total credit across all servers and locations
  * @returns {number} serversFor100k - Number of servers needed to reach $100k credit
  * @returns {number} totalIncomeMonthly - Total monthly income per server
  * @returns {number} annualIncome - Annual income per server
  * @returns {number} effectiveHourlyRate - Effective hourly rate including tips
+ * @returns {number} wageBaseCapLoss - Credit lost to the Social Security wage base across all servers and years
+ * @returns {Array<Object>} yearlyBreakdown - Per-year rules and credit amounts
+ * @returns {Array<Object>} monthlyBreakdown - Credit for each month of the most recent year
  */
 function calculateFicaTipCredit(params) {
     const {
@@ -37,7 +329,10 @@ function calculateFicaTipCredit(params) {
         hoursPerMonth = 173,
         cashWagePerHour = 0,
         tipsPct = 0, // Should be decimal (e.g., 0.60 for 60%)
-        minWageBasis = 5.15
+        minWageBasis,
+        taxYears,
+        applyWageBaseCap = false,
+        monthlyProfile
     } = params;
 
     // Validate inputs
@@ -49,52 +344,129 @@ function calculateFicaTipCredit(params) {
         throw new Error('Invalid input: tipsPct must be between 0 and 1');
     }
 
-    // Step 1: Calculate monthly cash wage
-    const cashWageMonthly = cashWagePerHour * hoursPerMonth;
+    // Steps 1-2: Calculate each month's cash wage, total income and tips per server
+    // Every month looks the same in the averaged model
+    const months = resolveMonths(monthlyProfile, { servers, hoursPerMonth, tipsPct })
+        .map(month => ({ ...month, ...calculateMonthlyPay(cashWagePerHour, month.hoursPerMonth, month.tipsPct) }));
 
-    // Step 2: Calculate total monthly income and tips
-    // Formula: total_income = cash_wage / (1 - tips_pct)
-    const totalIncomeMonthly = tipsPct === 1
-        ? cashWageMonthly // Avoid division by zero
-        : cashWageMonthly / (1 - tipsPct);
+    // With a profile, per-server figures are for the average headcount; monthly
+    // amounts are weighted by each month's headcount
+    const averageServers = monthlyProfile
+        ? months.reduce((sum, month) => sum + month.servers, 0) / 12
+        : servers;
+    const perServerMonth = monthlyProfile
+        ? pick => months.reduce((sum, month, index) => sum + pick(month, index) * month.servers, 0) / (averageServers * 12)
+        : pick => pick(months[0], 0);
 
-    const tipsMonthly = totalIncomeMonthly - cashWageMonthly;
+    const cashWageMonthly = perServerMonth(month => month.cashWageMonthly);
+    const totalIncomeMonthly = perServerMonth(month => month.totalIncomeMonthly);
+    const tipsMonthly = perServerMonth(month => month.tipsMonthly);
 
-    // Step 3: Calculate minimum wage baseline (IRS requirement)
-    const baselineMonthly = minWageBasis * hoursPerMonth;
+    // Step 3: Resolve the rules for each year
+    // Employer portion: Social Security (6.2%) + Medicare (1.45%) = 7.65%
+    const yearRules = resolveYearRules(taxYears, applyWageBaseCap);
 
-    // Step 4: Calculate non-creditable tips
-    // Non-creditable = amount below baseline that employer must pay
-    let nonCreditableTips = baselineMonthly - cashWageMonthly;
-    if (nonCreditableTips < 0) nonCreditableTips = 0;
+    // Steps 4-8: Calculate the credit for each year under its own rules
+    const yearlyBreakdown = yearRules.map(rules => {
+        const wageBasis = minWageBasis !== undefined ? minWageBasis : rules.wageBasis;
 
-    // Step 5: Calculate creditable tips
-    let creditableTips = tipsMonthly - nonCreditableTips;
-    if (creditableTips < 0) creditableTips = 0;
+        const monthlyAmounts = months.map(month => {
+            // Minimum wage baseline (IRS requirement)
+            const baselineMonthly = wageBasis * month.hoursPerMonth;
 
-    // Step 6: Apply FICA tax rate
-    // Employer portion: Social Security (6.2%) + Medicare (1.45%) = 7.65%
-    const FICA_CREDIT_RATE = 0.0765;
+            // Non-creditable = amount below baseline that employer must pay
+            let nonCreditableTips = baselineMonthly - month.cashWageMonthly;
+            if (nonCreditableTips < 0) nonCreditableTips = 0;
+
+            let creditableTips = month.tipsMonthly - nonCreditableTips;
+            if (creditableTips < 0) creditableTips = 0;
+
+            return {
+                cashWages: month.cashWageMonthly,
+                baselineMonthly,
+                nonCreditableTips,
+                creditableTips
+            };
+        });
+
+        // The wage base cap follows one server through the year
+        const annual = calculateAnnualCredit(
+            monthlyAmounts,
+            rules,
+            applyWageBaseCap ? rules.socialSecurityWageBase : null
+        );
+
+        const monthlyBreakdown = months.map((month, index) => ({
+            month: index + 1,
+            servers: month.servers,
+            hoursPerMonth: month.hoursPerMonth,
+            tipsPct: month.tipsPct,
+            tipsPerServer: month.tipsMonthly,
+            creditableTipsPerServer: monthlyAmounts[index].creditableTips,
+            creditPerServer: annual.monthlyCredits[index],
+            totalCredit: annual.monthlyCredits[index] * month.servers * locations
+        }));
 
-    // Step 7: Calculate monthly credit per server
-    const monthlyCreditPerServer = creditableTips * FICA_CREDIT_RATE;
+        const annualCreditPerServer = monthlyProfile
+            ? perServerMonth((month, index) => annual.monthlyCredits[index]) * 12
+            : annual.annualCredit;
+        const monthlyCreditPerServer = annualCreditPerServer / 12;
+        const wageBaseCapLossPerServer = monthlyProfile
+            ? perServerMonth((month, index) => monthlyAmounts[index].creditableTips * rules.creditRate - annual.monthlyCredits[index]) * 12
+            : annual.wageBaseCapLoss;
 
-    // Step 8: Calculate annual and 3-year credits
-    const annualCreditPerServer = monthlyCreditPerServer * 12;
-    const credit3yrPerServer = annualCreditPerServer * 3;
+        return {
+            taxYear: rules.taxYear,
+            effectiveDate: rules.effectiveDate,
+            wageBasis,
+            socialSecurityRate: rules.socialSecurityRate,
+            medicareRate: rules.medicareRate,
+            socialSecurityWageBase: rules.socialSecurityWageBase,
+            creditRate: rules.creditRate,
+            baselineMonthly: perServerMonth((month, index) => monthlyAmounts[index].baselineMonthly),
+            nonCreditableTips: perServerMonth((month, index) => monthlyAmounts[index].nonCreditableTips),
+            creditableTips: perServerMonth((month, index) => monthlyAmounts[index].creditableTips),
+            monthlyCreditPerServer,
+            annualCreditPerServer,
+            wageBaseCapLossPerServer,
+            capReachedMonth: annual.capReachedMonth,
+            totalCredit: annualCreditPerServer * averageServers * locations,
+            monthlyBreakdown
+        };
+    });
 
-    // Step 9: Calculate total credit across all servers and locations
-    const totalCredit = credit3yrPerServer * servers * locations;
+    // Headline per-server figures come from the most recent year
+    const latestYear = yearlyBreakdown[yearlyBreakdown.length - 1];
+    const {
+        baselineMonthly,
+        nonCreditableTips,
+        creditableTips,
+        monthlyCreditPerServer,
+        annualCreditPerServer,
+        creditRate
+    } = latestYear;
+
+    // Step 9: Sum the multi-year credit per server
+    const credit3yrPerServer = yearlyBreakdown.reduce((sum, year) => sum + year.annualCreditPerServer, 0);
 
-    // Step 10: Calculate servers needed to reach $100,000 credit
+    // Step 10: Calculate total credit across all servers and locations
+    const totalCredit = credit3yrPerServer * averageServers * locations;
+
+    // Credit lost to the Social Security wage base (zero unless capping)
+    const wageBaseCapLoss = yearlyBreakdown
+        .reduce((sum, year) => sum + year.wageBaseCapLossPerServer, 0) * averageServers * locations;
+
+    // Step 11: Calculate servers needed to reach $100,000 credit
+    // (solveForTarget handles other targets and inputs)
     const serversFor100k = credit3yrPerServer > 0
         ? Math.ceil(100000 / credit3yrPerServer)
         : 0;
 
     // Additional calculations for display
     const annualIncome = totalIncomeMonthly * 12;
-    const effectiveHourlyRate = hoursPerMonth > 0
-        ? totalIncomeMonthly / hoursPerMonth
+    const averageHours = perServerMonth(month => month.hoursPerMonth);
+    const effectiveHourlyRate = averageHours > 0
+        ? totalIncomeMonthly / averageHours
         : 0;
 
     return {
@@ -113,21 +485,275 @@ function calculateFicaTipCredit(params) {
         annualIncome,
         effectiveHourlyRate,
 
+        // Per-year rules and credits
+        wageBaseCapLoss,
+        taxYears: taxYears ? yearlyBreakdown.map(year => year.taxYear) : null,
+        yearlyBreakdown,
+        monthlyBreakdown: latestYear.monthlyBreakdown,
+
         // Intermediate values (useful for debugging)
         cashWageMonthly,
         baselineMonthly,
-        creditRate: FICA_CREDIT_RATE
+        creditRate
+    };
+}
+
+/**
+ * Calculate FICA Tip Credit for a roster of individual employees
+ *
+ * Each employee is calculated with their own hours, cash wage and reported
+ * tips instead of the averaged server model, then rolled up by location.
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {Array<Object>} params.employees - Roster entries
+ * @param {string} params.employees[].name - Employee name or ID
+ * @param {string} [params.employees[].role] - Role (e.g., 'server', 'bartender', 'busser')
+ * @param {string} [params.employees[].location] - Location name or ID
+ * @param {number} params.employees[].hoursPerMonth - Hours worked per month
+ * @param {number} params.employees[].cashWagePerHour - Cash wage paid ($/hr)
+ * @param {number} params.employees[].tipsMonthly - Reported tips per month
+ * @param {number} [params.minWageBasis] - Overrides each year's wage basis when supplied
+ * @param {number[]} [params.taxYears] - Tax years to estimate
+ * @param {boolean} [params.applyWageBaseCap] - Limit the Social Security portion to each employee's wage base
+ *
+ * @returns {Object} Calculation results
+ * @returns {Array<Object>} employees - Per-employee credit breakdown
+ * @returns {Array<Object>} locations - Per-location rollup
+ * @returns {Array<Object>} roles - Per-role rollup, largest total credit first
+ * @returns {number} totalCredit - Total credit across the roster and all years
+ * @returns {number} annualCredit - Roster credit for the most recent year
+ * @returns {number} wageBaseCapLoss - Credit lost to the Social Security wage base
+ */
+function calculateRosterCredit(params) {
+    const {
+        employees,
+        minWageBasis,
+        taxYears,
+        applyWageBaseCap = false
+    } = params;
+
+    const validation = validateRoster(employees);
+    if (!validation.isValid) {
+        throw new Error(`Invalid input: ${validation.errors.join('; ')}`);
+    }
+
+    const yearRules = resolveYearRules(taxYears, applyWageBaseCap);
+
+    const employeeResults = employees.map(employee => {
+        const {
+            name,
+            role = 'server',
+            location = 'Default',
+            hoursPerMonth,
+            cashWagePerHour,
+            tipsMonthly
+        } = employee;
+
+        const cashWageMonthly = cashWagePerHour * hoursPerMonth;
+
+        const yearlyBreakdown = yearRules.map(rules => {
+            const wageBasis = minWageBasis !== undefined ? minWageBasis : rules.wageBasis;
+            const baselineMonthly = wageBasis * hoursPerMonth;
+
+            let nonCreditableTips = baselineMonthly - cashWageMonthly;
+            if (nonCreditableTips < 0) nonCreditableTips = 0;
+
+            let creditableTips = tipsMonthly - nonCreditableTips;
+            if (creditableTips < 0) creditableTips = 0;
+
+            const months = Array.from({ length: 12 }, () => ({
+                cashWages: cashWageMonthly,
+                nonCreditableTips,
+                creditableTips
+            }));
+            const annual = calculateAnnualCredit(
+                months,
+                rules,
+                applyWageBaseCap ? rules.socialSecurityWageBase : null
+            );
+
+            return {
+                taxYear: rules.taxYear,
+                wageBasis,
+                creditRate: rules.creditRate,
+                nonCreditableTips,
+                creditableTips,
+                annualCredit: annual.annualCredit,
+                wageBaseCapLoss: annual.wageBaseCapLoss,
+                capReachedMonth: annual.capReachedMonth
+            };
+        });
+
+        const latestYear = yearlyBreakdown[yearlyBreakdown.length - 1];
+
+        return {
+            name,
+            role,
+            location,
+            hoursPerMonth,
+            cashWagePerHour,
+            cashWageMonthly,
+            tipsMonthly,
+            nonCreditableTips: latestYear.nonCreditableTips,
+            creditableTips: latestYear.creditableTips,
+            annualCredit: latestYear.annualCredit,
+            totalCredit: yearlyBreakdown.reduce((sum, year) => sum + year.annualCredit, 0),
+            wageBaseCapLoss: yearlyBreakdown.reduce((sum, year) => sum + year.wageBaseCapLoss, 0),
+            yearlyBreakdown
+        };
+    });
+
+    // Roll employees up by location, keeping first-seen order
+    const locationMap = new Map();
+    employeeResults.forEach(employee => {
+        if (!locationMap.has(employee.location)) {
+            locationMap.set(employee.location, {
+                location: employee.location,
+                employeeCount: 0,
+                creditableTipsMonthly: 0,
+                annualCredit: 0,
+                totalCredit: 0,
+                wageBaseCapLoss: 0
+            });
+        }
+
+        const rollup = locationMap.get(employee.location);
+        rollup.employeeCount += 1;
+        rollup.creditableTipsMonthly += employee.creditableTips;
+        rollup.annualCredit += employee.annualCredit;
+        rollup.totalCredit += employee.totalCredit;
+        rollup.wageBaseCapLoss += employee.wageBaseCapLoss;
+    });
+
+    // Roll employees up by role, largest credit first
+    const roleMap = new Map();
+    employeeResults.forEach(employee => {
+        if (!roleMap.has(employee.role)) {
+            roleMap.set(employee.role, {
+                role: employee.role,
+                employeeCount: 0,
+                creditableTipsMonthly: 0,
+                annualCredit: 0,
+                totalCredit: 0
+            });
+        }
+
+        const rollup = roleMap.get(employee.role);
+        rollup.employeeCount += 1;
+        rollup.creditableTipsMonthly += employee.creditableTips;
+        rollup.annualCredit += employee.annualCredit;
+        rollup.totalCredit += employee.totalCredit;
+    });
+
+    return {
+        employees: employeeResults,
+        locations: Array.from(locationMap.values()),
+        roles: Array.from(roleMap.values()).sort((a, b) => b.totalCredit - a.totalCredit),
+        employeeCount: employeeResults.length,
+        annualCredit: employeeResults.reduce((sum, employee) => sum + employee.annualCredit, 0),
+        totalCredit: employeeResults.reduce((sum, employee) => sum + employee.totalCredit, 0),
+        wageBaseCapLoss: employeeResults.reduce((sum, employee) => sum + employee.wageBaseCapLoss, 0),
+        taxYears: taxYears ? yearRules.map(rules => rules.taxYear) : null
     };
 }
 
+/**
+ * Solve for the input that reaches a target total credit
+ *
+ * A goal seek generalizing serversFor100k: every input except `field` is taken
+ * from params, and the smallest value of `field` whose totalCredit reaches the
+ * target is returned. The credit never falls as any of these inputs grows,
+ * except the wage basis, for which the largest value still reaching it is returned.
+ *
+ * @param {Object} params - calculateFicaTipCredit parameters (tipsPct as a decimal); `field` is ignored
+ * @param {string} field - Input to solve for: one of SOLVABLE_INPUTS
+ * @param {number} targetCredit - Total credit to reach
+ *
+ * @returns {Object} Solution
+ * @returns {string} field - Input solved for
+ * @returns {number} targetCredit - Target total credit
+ * @returns {boolean} reachable - Whether any allowed value reaches the target
+ * @returns {number|null} value - Smallest value that reaches the target (largest for the wage basis;
+ *     tipsPct to 0.01%, dollars to the cent), or null if unreachable
+ * @returns {number} achievedCredit - Total credit at that value, or the most credit possible if unreachable
+ * @returns {string|null} reason - Why the target cannot be reached, in English
+ * @returns {string|null} reasonCode - The reason for translations: 'noCashWage', 'noCreditableTips' or 'limit'
+ * @returns {Object|null} reasonValues - Numbers in the reason: for 'limit', the `limit` value tried and the `credit` there
+ */
+function solveForTarget(params, field, targetCredit) {
+    const input = SOLVABLE_INPUTS[field];
+    if (!input) {
+        throw new Error(`Invalid input: cannot solve for ${field}; use one of ${Object.keys(SOLVABLE_INPUTS).join(', ')}`);
+    }
+    if (!(targetCredit > 0) || !Number.isFinite(targetCredit)) {
+        throw new Error('Invalid input: targetCredit must be a positive number');
+    }
+    if (Array.isArray(params.monthlyProfile) && params.monthlyProfile.some(month => month && month[field] !== undefined)) {
+        throw new Error(`Invalid input: ${field} is set month by month in monthlyProfile and cannot be solved for`);
+    }
+
+    const calculateAt = value => calculateFicaTipCredit({ ...params, [field]: value });
+    const solution = (value, achievedCredit, reason = null, reasonCode = null, reasonValues = null) => ({
+        field,
+        targetCredit,
+        reachable: reason === null,
+        value: reason === null ? value : null,
+        achievedCredit,
+        reason,
+        reasonCode,
+        reasonValues
+    });
+
+    // Most credit the inputs allow
+    const limit = input.decreasing ? input.min : input.max;
+    const best = calculateAt(limit);
+
+    if (best.credit3yrPerServer <= 0) {
+        return field === 'tipsPct' && !(params.cashWagePerHour > 0)
+            ? solution(null, 0, 'Tips are derived from the cash wage, so with a $0 cash wage no tip share produces a credit', 'noCashWage')
+            : solution(null, 0, 'Creditable tips are $0: the tips do not cover the gap between the cash wage and the wage basis, so no value reaches the target', 'noCreditableTips');
+    }
+
+    if (best.totalCredit < targetCredit) {
+        return solution(null, best.totalCredit, `Even with ${input.limitText}, the credit is ${formatCurrency(best.totalCredit)}`,
+            'limit', { limit, credit: best.totalCredit });
+    }
+
+    if (input.multiplies) {
+        // Servers and locations multiply the credit of one, so estimate directly
+        // and correct for floating-point rounding at the boundary
+        let value = Math.max(input.min, Math.ceil(targetCredit / calculateAt(input.min).totalCredit));
+        while (value > input.min && calculateAt(value - 1).totalCredit >= targetCredit) value--;
+        while (calculateAt(value).totalCredit < targetCredit) value++;
+        return solution(value, calculateAt(value).totalCredit);
+    }
+
+    // Bisect over grid positions: `reached` always reaches the target, `missed` never does
+    const valueAt = position => Number((input.min + position * input.step).toFixed(4));
+    const positions = Math.round((input.max - input.min) / input.step);
+    let reached = input.decreasing ? 0 : positions;
+    let missed = input.decreasing ? positions + 1 : -1;
+    while (Math.abs(reached - missed) > 1) {
+        const middle = Math.floor((reached + missed) / 2);
+        if (calculateAt(valueAt(middle)).totalCredit >= targetCredit) {
+            reached = middle;
+        } else {
+            missed = middle;
+        }
+    }
+
+    return solution(valueAt(reached), calculateAt(valueAt(reached)).totalCredit);
+}
+
 /**
  * Format a number as USD currency
  * @param {number} value - The value to format
  * @param {number} decimals - Number of decimal places (default: 2)
+ * @param {string} [locale] - BCP 47 locale for separators (default: 'en-US')
  * @returns {string} Formatted currency string
  */
-function formatCurrency(value, decimals = 2) {
-    return new Intl.NumberFormat('en-US', {
+function formatCurrency(value, decimals = 2, locale = 'en-US') {
+    return new Intl.NumberFormat(locale, {
         style: 'currency',
         currency: 'USD',
         minimumFractionDigits: decimals,
@@ -136,13 +762,14 @@ function formatCurrency(value, decimals = 2) {
 }
 
 /**
- * Format a number with commas
+ * Format a number with thousands separators
  * @param {number} value - The value to format
  * @param {number} decimals - Number of decimal places (default: 0)
+ * @param {string} [locale] - BCP 47 locale for separators (default: 'en-US')
  * @returns {string} Formatted number string
  */
-function formatNumber(value, decimals = 0) {
-    return new Intl.NumberFormat('en-US', {
+function formatNumber(value, decimals = 0, locale = 'en-US') {
+    return new Intl.NumberFormat(locale, {
         minimumFractionDigits: decimals,
         maximumFractionDigits: decimals
     }).format(value);
@@ -150,36 +777,242 @@ function formatNumber(value, decimals = 0) {
 
 /**
  * Validate calculator inputs
+ *
+ * When `params.state` (and optionally `params.city`) is given, the cash wage is
+ * also checked against that jurisdiction's tipped minimum. Those findings are
+ * warnings: they don't make the inputs invalid.
+ *
+ * Errors about a single input are also keyed by that input in `fieldErrors`,
+ * as { code, message }, so a form can show each one next to its field.
+ * `code` is stable for translations; `message` is English. Blank form fields
+ * (NaN) and overflowing ones (Infinity) are errors rather than defaults.
+ *
+ * Errors that are not about one input (the monthly profile and tax years)
+ * are also in `generalErrors`, and the jurisdiction and wage basis warnings
+ * in `generalWarnings`, as { code, values, message }.
+ *
+ * Once the inputs are valid, they are also checked against each other; those
+ * findings are in `warnings` and, keyed by the input to look at, in
+ * `fieldWarnings` as { code, message, values }, `values` holding any numbers
+ * in the message. They are skipped for a `monthlyProfile`, whose months
+ * override the flat inputs.
+ *
  * @param {Object} params - Input parameters
- * @returns {Object} Validation result with isValid boolean and errors array
+ * @returns {Object} Validation result with isValid boolean, errors array, fieldErrors object,
+ *     generalErrors array, warnings array, generalWarnings array and fieldWarnings object
  */
 function validateInputs(params) {
     const errors = [];
+    const fieldErrors = {};
+    const generalErrors = [];
+    const warnings = [];
+    const generalWarnings = [];
+    const fieldWarnings = {};
 
-    if (!params.locations || params.locations < 1) {
-        errors.push('Number of locations must be at least 1');
+    const generalWarning = warning => {
+        warnings.push(warning.message);
+        generalWarnings.push(warning);
+    };
+
+    const fieldError = (field, code, message) => {
+        errors.push(message);
+        if (!fieldErrors[field]) fieldErrors[field] = { code, message };
+    };
+
+    const generalError = error => {
+        errors.push(error.message);
+        generalErrors.push(error);
+    };
+
+    // Optional inputs may be left out; a value that is given must be a real number
+    const isNumber = (field, label) => {
+        const value = params[field];
+        if (value === undefined || (typeof value === 'number' && Number.isFinite(value))) return true;
+        fieldError(field, 'number', `${label} must be a number`);
+        return false;
+    };
+
+    if (isNumber('locations', 'Number of locations')) {
+        if (!(params.locations >= 1)) {
+            fieldError('locations', 'min', 'Number of locations must be at least 1');
+        } else if (params.locations > SOLVABLE_INPUTS.locations.max) {
+            fieldError('locations', 'max', `Number of locations cannot be more than ${formatNumber(SOLVABLE_INPUTS.locations.max)}`);
+        }
+    }
+
+    if (isNumber('servers', 'Number of servers')) {
+        if (!(params.servers >= 1)) {
+            fieldError('servers', 'min', 'Number of servers must be at least 1');
+        } else if (params.servers > SOLVABLE_INPUTS.servers.max) {
+            fieldError('servers', 'max', `Number of servers cannot be more than ${formatNumber(SOLVABLE_INPUTS.servers.max)}`);
+        }
     }
 
-    if (!params.servers || params.servers < 1) {
-        errors.push('Number of servers must be at least 1');
+    if (isNumber('hoursPerMonth', 'Hours per month')) {
+        if (!(params.hoursPerMonth >= 1)) {
+            fieldError('hoursPerMonth', 'min', 'Hours per month must be at least 1');
+        } else if (params.hoursPerMonth > SOLVABLE_INPUTS.hoursPerMonth.max) {
+            fieldError('hoursPerMonth', 'max', `Hours per month cannot be more than ${SOLVABLE_INPUTS.hoursPerMonth.max} (every hour of a 31-day month)`);
+        }
     }
 
-    if (!params.hoursPerMonth || params.hoursPerMonth < 1) {
-        errors.push('Hours per month must be at least 1');
+    if (isNumber('cashWagePerHour', 'Cash wage') && params.cashWagePerHour < 0) {
+        fieldError('cashWagePerHour', 'negative', 'Cash wage cannot be negative');
     }
 
-    if (params.cashWagePerHour < 0) {
-        errors.push('Cash wage cannot be negative');
+    // At 100% there is no cash wage for the tips to be a share of
+    if (isNumber('tipsPct', 'Tips percentage') && (params.tipsPct < 0 || params.tipsPct >= 1)) {
+        fieldError('tipsPct', 'range', 'Tips percentage must be at least 0% and less than 100%');
     }
 
-    if (params.tipsPct < 0 || params.tipsPct > 1) {
-        errors.push('Tips percentage must be between 0% and 100%');
+    if (isNumber('minWageBasis', 'Minimum wage basis') && params.minWageBasis < 0) {
+        fieldError('minWageBasis', 'negative', 'Minimum wage basis cannot be negative');
     }
 
-    if (params.minWageBasis < 0) {
-        errors.push('Minimum wage basis cannot be negative');
+    if (params.monthlyProfile !== undefined) {
+        validateMonthlyProfile(params.monthlyProfile, params).forEach(generalError);
     }
 
+    if (params.taxYears !== undefined) {
+        if (!Array.isArray(params.taxYears) || params.taxYears.length === 0) {
+            generalError({ code: 'taxYearsEmpty', values: {}, message: 'Tax years must be a non-empty list' });
+        } else {
+            const rateTables = loadRateTables();
+            params.taxYears
+                .filter(year => !rateTables.isSupportedTaxYear(year))
+                .forEach(year => generalError({ code: 'taxYearUnsupported', values: { year }, message: `Tax year ${year} is not supported` }));
+
+            if (new Set(params.taxYears).size !== params.taxYears.length) {
+                generalError({ code: 'taxYearsRepeat', values: {}, message: 'Tax years must not repeat' });
+            }
+        }
+    }
+
+    if (params.city && !params.state) {
+        fieldError('city', 'noState', `Choose the state for ${params.city}`);
+    }
+
+    if (params.state) {
+        const wageRules = loadWageRules();
+
+        if (!wageRules.isKnownState(params.state)) {
+            fieldError('state', 'unknown', `Unknown state "${params.state}"`);
+        } else if (params.city && !wageRules.getLocalJurisdictions(params.state).includes(params.city)) {
+            fieldError('city', 'unknown', `No local wage rules for ${params.city}, ${params.state}`);
+        } else if (params.cashWagePerHour >= 0) {
+            wageRules.checkCashWage(params).findings.forEach(generalWarning);
+        }
+    }
+
+    if (params.minWageBasis !== undefined && params.minWageBasis !== DEFAULT_MIN_WAGE_BASIS) {
+        generalWarning({
+            code: 'wageBasisNotIrs',
+            values: { basis: DEFAULT_MIN_WAGE_BASIS },
+            message: `The Section 45B wage basis is $${DEFAULT_MIN_WAGE_BASIS.toFixed(2)}/hr in every state; other values are not IRS rules`
+        });
+    }
+
+    if (errors.length === 0 && params.monthlyProfile === undefined) {
+        checkInputCombinations(params).forEach(({ field, ...warning }) => {
+            warnings.push(warning.message);
+            if (!fieldWarnings[field]) fieldWarnings[field] = warning;
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        fieldErrors,
+        generalErrors,
+        warnings,
+        generalWarnings,
+        fieldWarnings
+    };
+}
+
+/**
+ * Check valid inputs against each other for combinations that are legal but
+ * probably mistyped or that leave no credit
+ *
+ * @param {Object} params - Valid calculateFicaTipCredit parameters
+ * @returns {Array<Object>} [{ field, code, values, message }], field being the input to look at
+ */
+function checkInputCombinations(params) {
+    const {
+        cashWagePerHour = 0,
+        tipsPct = 0,
+        minWageBasis = DEFAULT_MIN_WAGE_BASIS
+    } = params;
+    const findings = [];
+
+    // Tips are a share of total income, so cash wage plus tips is cash / (1 - tips)
+    const effectiveHourlyRate = cashWagePerHour / (1 - tipsPct);
+    const tipsPerHour = effectiveHourlyRate - cashWagePerHour;
+
+    // Tipped employees must still reach the full minimum wage once tips are counted
+    const minimum = params.state
+        ? loadWageRules().getWageRules(params.state, params.city || undefined)
+        : { ...loadWageRules().FEDERAL_WAGE_RULES, jurisdiction: 'federal', asOf: loadWageRules().WAGE_RULES_AS_OF };
+    if (effectiveHourlyRate < minimum.minimumWage) {
+        findings.push({
+            field: 'cashWagePerHour',
+            code: 'belowMinimumWage',
+            values: { rate: effectiveHourlyRate, minimum: minimum.minimumWage, jurisdiction: minimum.jurisdiction, asOf: minimum.asOf },
+            message: `Cash wage plus tips come to ${formatCurrency(effectiveHourlyRate)}/hr, below the ${minimum.jurisdiction} minimum wage of ${formatCurrency(minimum.minimumWage)}/hr (rates as of ${minimum.asOf})`
+        });
+    }
+
+    if (tipsPerHour <= Math.max(0, minWageBasis - cashWagePerHour)) {
+        findings.push({
+            field: 'tipsPct',
+            code: 'noCreditableTips',
+            message: 'No tips are creditable: tips must be more than the gap between the cash wage and the wage basis, so the credit is $0'
+        });
+    } else if (tipsPct > HIGH_TIPS_PCT) {
+        findings.push({
+            field: 'tipsPct',
+            code: 'high',
+            message: `Tips above ${HIGH_TIPS_PCT * 100}% of income are unusual; enter tips as a share of each server's total income, not of sales`
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Validate a roster of employees
+ * @param {Array<Object>} employees - Roster entries
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateRoster(employees) {
+    const errors = [];
+
+    if (!Array.isArray(employees) || employees.length === 0) {
+        errors.push('Roster must include at least one employee');
+        return { isValid: false, errors };
+    }
+
+    employees.forEach((employee, index) => {
+        const label = `Employee ${index + 1}${employee && employee.name ? ` (${employee.name})` : ''}`;
+
+        if (!employee || !employee.name) {
+            errors.push(`${label}: name is required`);
+            return;
+        }
+
+        if (!(employee.hoursPerMonth > 0)) {
+            errors.push(`${label}: hours per month must be greater than 0`);
+        }
+
+        if (!(employee.cashWagePerHour >= 0)) {
+            errors.push(`${label}: cash wage cannot be negative`);
+        }
+
+        if (!(employee.tipsMonthly >= 0)) {
+            errors.push(`${label}: reported tips cannot be negative`);
+        }
+    });
+
     return {
         isValid: errors.length === 0,
         errors
@@ -190,19 +1023,27 @@ function validateInputs(params) {
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js / CommonJS
     module.exports = {
+        SOLVABLE_INPUTS,
         calculateFicaTipCredit,
+        calculateRosterCredit,
         formatCurrency,
         formatNumber,
-        validateInputs
+        solveForTarget,
+        validateInputs,
+        validateRoster
     };
 }
 
 // Also support browser global
 if (typeof window !== 'undefined') {
     window.FicaCalculator = {
+        SOLVABLE_INPUTS,
         calculateFicaTipCredit,
+        calculateRosterCredit,
         formatCurrency,
         formatNumber,
-        validateInputs
+        solveForTarget,
+        validateInputs,
+        validateRoster
     };
 }
@@ -0,0 +1,22 @@
+/**
+ * FICA Tip Credit Calculator - ES module entry point
+ *
+ * Re-exports the shared engine in fica-calculator.js for `import` consumers
+ * (Node.js ESM and bundlers that convert CommonJS; browsers cannot load it as
+ * a native module). The calculation logic lives only in that file.
+ */
+
+import ficaCalculator from './fica-calculator.js';
+
+export const {
+    SOLVABLE_INPUTS,
+    calculateFicaTipCredit,
+    calculateRosterCredit,
+    formatCurrency,
+    formatNumber,
+    solveForTarget,
+    validateInputs,
+    validateRoster
+} = ficaCalculator;
+
+export default ficaCalculator;
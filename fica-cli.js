@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+/**
+ * FICA Tip Credit Command-Line Estimator
+ *
+ * Runs the shared engine (fica-calculator.js) without a browser, for one
+ * business given as flags or for a JSON/CSV batch file of many clients.
+ * Each estimate is checked with validateInputs before it is calculated.
+ *
+ * As in the calculator form, tipsPct is a percentage everywhere in the CLI (60 = 60%).
+ *
+ * Usage:
+ *   node fica-cli.js --locations 2 --servers 10 --hours 173 --cash-wage 8 --tips-pct 60
+ *   node fica-cli.js --file leads.csv --json > estimates.json
+ *
+ * Exit codes: 0 = all estimates calculated, 1 = one or more estimates failed
+ * validation, 2 = bad arguments or unreadable file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    calculateFicaTipCredit,
+    formatCurrency,
+    formatNumber,
+    validateInputs
+} = require('./fica-calculator.js');
+const { parseCsv } = require('./payroll-csv.js');
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Command-line flags for each engine parameter
+ */
+const INPUT_FLAGS = {
+    '--locations': 'locations',
+    '--servers': 'servers',
+    '--hours': 'hoursPerMonth',
+    '--cash-wage': 'cashWagePerHour',
+    '--tips-pct': 'tipsPct',
+    '--wage-basis': 'minWageBasis',
+    '--state': 'state',
+    '--city': 'city',
+    '--tax-years': 'taxYears'
+};
+
+// Batch file columns/keys that hold numbers (the rest are text)
+const NUMBER_FIELDS = ['locations', 'servers', 'hoursPerMonth', 'cashWagePerHour', 'tipsPct', 'minWageBasis'];
+
+// Batch CSV header aliases, matched case-insensitively
+const CSV_HEADERS = {
+    name: 'name',
+    client: 'name',
+    locations: 'locations',
+    servers: 'servers',
+    hours: 'hoursPerMonth',
+    hourspermonth: 'hoursPerMonth',
+    cashwage: 'cashWagePerHour',
+    cashwageperhour: 'cashWagePerHour',
+    tipspct: 'tipsPct',
+    wagebasis: 'minWageBasis',
+    minwagebasis: 'minWageBasis',
+    state: 'state',
+    city: 'city',
+    taxyears: 'taxYears'
+};
+
+const DEFAULT_INPUTS = {
+    locations: 1,
+    servers: 10,
+    hoursPerMonth: 173,
+    cashWagePerHour: 8.00,
+    tipsPct: 60,
+    minWageBasis: 5.15
+};
+
+const USAGE = `Usage: node fica-cli.js [options]
+
+Estimate one business:
+  --locations <n>     Restaurant locations (default 1)
+  --servers <n>       Servers per location (default 10)
+  --hours <n>         Hours worked per month per server (default 173)
+  --cash-wage <$>     Cash wage per hour (default 8.00)
+  --tips-pct <%>      Tips as % of total income, e.g. 60 (default 60)
+  --wage-basis <$>    Minimum wage basis (default 5.15)
+  --state <XX>        State code, for tipped minimum wage warnings
+  --city <name>       City with its own minimum wage
+  --tax-years <list>  Comma-separated tax years, e.g. 2023,2024,2025
+
+Estimate many clients:
+  --file <path>       JSON array or CSV file, one client per row/object, with
+                      name, locations, servers, hoursPerMonth, cashWagePerHour,
+                      tipsPct, minWageBasis, state, city and taxYears fields.
+                      Missing fields use the defaults above.
+
+Output:
+  --json              Print JSON instead of a table
+  --help              Show this message`;
+
+/**
+ * Parse a number from a flag or file cell, allowing "$", "," and "%"
+ * @param {string|number} value - Raw value
+ * @returns {number} Parsed number (NaN if it is not a number)
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value).trim().replace(/[$,%]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+/**
+ * Parse a tax year list ("2023,2024" or "2023 2024" or [2023, 2024])
+ * @param {string|number[]} value - Raw value
+ * @returns {number[]|undefined} Tax years, or undefined if empty
+ */
+function parseTaxYears(value) {
+    if (Array.isArray(value)) return value.map(Number);
+    const years = String(value).split(/[\s,;]+/).filter(Boolean).map(Number);
+    return years.length > 0 ? years : undefined;
+}
+
+/**
+ * Turn one client's raw values into calculator inputs (tipsPct as a percentage)
+ * @param {Object} raw - Values keyed by engine parameter name
+ * @returns {Object} Inputs with defaults filled in
+ */
+function normalizeInputs(raw) {
+    const inputs = { ...DEFAULT_INPUTS };
+
+    Object.keys(raw).forEach(field => {
+        const value = raw[field];
+        if (value === undefined || value === null || value === '') return;
+
+        if (NUMBER_FIELDS.includes(field)) {
+            inputs[field] = parseNumber(value);
+        } else if (field === 'taxYears') {
+            inputs.taxYears = parseTaxYears(value);
+        } else {
+            inputs[field] = String(value).trim();
+        }
+    });
+
+    return inputs;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { inputs, file, json, help }
+ */
+function parseArgs(argv) {
+    const options = { raw: {}, file: null, json: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+        if (flag === '--json') {
+            options.json = true;
+        } else if (flag === '--help' || flag === '-h') {
+            options.help = true;
+        } else if (flag === '--file' || INPUT_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            if (flag === '--file') {
+                options.file = value;
+            } else {
+                options.raw[INPUT_FLAGS[flag]] = value;
+            }
+        } else {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    if (options.file && Object.keys(options.raw).length > 0) {
+        throw new Error('Use either input flags or --file, not both');
+    }
+
+    return {
+        inputs: normalizeInputs(options.raw),
+        file: options.file,
+        json: options.json,
+        help: options.help
+    };
+}
+
+/**
+ * Read a batch file of clients
+ * @param {string} filePath - Path to a .json or .csv file
+ * @returns {Array<Object>} Clients: [{ name, inputs }]
+ */
+function readBatchFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let records;
+
+    if (path.extname(filePath).toLowerCase() === '.json') {
+        records = JSON.parse(text);
+        if (!Array.isArray(records)) {
+            throw new Error(`${filePath} must contain a JSON array of clients`);
+        }
+
+        const knownFields = new Set(Object.values(CSV_HEADERS));
+        const unknown = new Set(records.flatMap(record => Object.keys(record).filter(key => !knownFields.has(key))));
+        if (unknown.size > 0) {
+            throw new Error(`${filePath}: unknown field(s) ${Array.from(unknown).join(', ')}`);
+        }
+    } else {
+        const [header, ...rows] = parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (!header) {
+            throw new Error(`${filePath} is empty`);
+        }
+
+        const fields = header.map(cell => CSV_HEADERS[cell.trim().toLowerCase().replace(/[^a-z]/g, '')]);
+        const unknown = header.filter((cell, index) => !fields[index]);
+        if (unknown.length > 0) {
+            throw new Error(`${filePath}: unknown column(s) ${unknown.join(', ')}`);
+        }
+
+        records = rows.map(row => {
+            const record = {};
+            fields.forEach((field, index) => {
+                record[field] = row[index];
+            });
+            return record;
+        });
+    }
+
+    return records.map((record, index) => {
+        const { name, ...raw } = record;
+        return {
+            name: name ? String(name) : `Client ${index + 1}`,
+            inputs: normalizeInputs(raw)
+        };
+    });
+}
+
+/**
+ * Validate and calculate one estimate
+ * @param {string} name - Client name
+ * @param {Object} inputs - Calculator inputs (tipsPct as a percentage)
+ * @returns {Object} { name, inputs, isValid, errors, warnings, results }
+ */
+function runEstimate(name, inputs) {
+    const params = {
+        ...inputs,
+        tipsPct: inputs.tipsPct / 100
+    };
+
+    const validation = validateInputs(params);
+
+    return {
+        name,
+        inputs,
+        isValid: validation.isValid,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        results: validation.isValid ? calculateFicaTipCredit(params) : null
+    };
+}
+
+/**
+ * Pad table cells into aligned columns
+ * @param {string[][]} rows - Rows of cells (first row is the header)
+ * @param {boolean[]} alignRight - Right-align each column
+ * @returns {string} Table text
+ */
+function formatTable(rows, alignRight) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const line = row => row
+        .map((cell, column) => (alignRight[column] ? cell.padStart(widths[column]) : cell.padEnd(widths[column])))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        line(rows[0]),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.slice(1).map(line)
+    ].join('\n');
+}
+
+/**
+ * Format one estimate as a two-column detail table
+ * @param {Object} estimate - runEstimate result
+ * @returns {string} Table text
+ */
+function formatEstimate(estimate) {
+    const { inputs, results } = estimate;
+    const yearCount = results.yearlyBreakdown.length;
+
+    return formatTable([
+        ['Item', 'Value'],
+        ['Locations', formatNumber(inputs.locations)],
+        ['Servers per location', formatNumber(inputs.servers)],
+        ['Hours per month', formatNumber(inputs.hoursPerMonth)],
+        ['Cash wage', `${formatCurrency(inputs.cashWagePerHour)}/hr`],
+        ['Tips % of income', `${formatNumber(inputs.tipsPct, 1)}%`],
+        ['Wage basis', `${formatCurrency(results.yearlyBreakdown[yearCount - 1].wageBasis)}/hr`],
+        ['Monthly tips (per server)', formatCurrency(results.tipsMonthly)],
+        ['Tips not creditable', formatCurrency(results.nonCreditableTips)],
+        ['Creditable tips', formatCurrency(results.creditableTips)],
+        ['Monthly credit (per server)', formatCurrency(results.monthlyCreditPerServer)],
+        ['Annual credit (per server)', formatCurrency(results.annualCreditPerServer)],
+        [`${yearCount}-year credit (per server)`, formatCurrency(results.credit3yrPerServer)],
+        ['Servers for $100k', formatNumber(results.serversFor100k)],
+        [`Total ${yearCount}-year credit`, formatCurrency(results.totalCredit)]
+    ], [false, true]);
+}
+
+/**
+ * Format a batch of estimates as one row per client with a total
+ * @param {Array<Object>} estimates - runEstimate results
+ * @returns {string} Table text
+ */
+function formatBatch(estimates) {
+    const valid = estimates.filter(estimate => estimate.isValid);
+    const rows = estimates.map(estimate => (estimate.isValid
+        ? [
+            estimate.name,
+            formatNumber(estimate.inputs.locations),
+            formatNumber(estimate.inputs.servers),
+            formatCurrency(estimate.results.creditableTips),
+            formatCurrency(estimate.results.annualCreditPerServer),
+            formatCurrency(estimate.results.totalCredit)
+        ]
+        : [estimate.name, '', '', '', '', 'INVALID']));
+
+    return formatTable([
+        ['Client', 'Locations', 'Servers', 'Creditable Tips', 'Annual/Server', 'Total Credit'],
+        ...rows,
+        ['Total', '', '', '', '', formatCurrency(valid.reduce((sum, estimate) => sum + estimate.results.totalCredit, 0))]
+    ], [false, true, true, true, true, true]);
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [io] - { stdout, stderr } writers (default process streams)
+ * @returns {number} Exit code
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    let clients;
+
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            io.stdout.write(`${USAGE}\n`);
+            return EXIT_OK;
+        }
+        clients = options.file
+            ? readBatchFile(options.file)
+            : [{ name: 'Estimate', inputs: options.inputs }];
+    } catch (error) {
+        io.stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    const estimates = clients.map(client => runEstimate(client.name, client.inputs));
+    const failed = estimates.filter(estimate => !estimate.isValid);
+
+    estimates.forEach(estimate => {
+        estimate.errors.forEach(error => io.stderr.write(`${estimate.name}: error: ${error}\n`));
+        estimate.warnings.forEach(warning => io.stderr.write(`${estimate.name}: warning: ${warning}\n`));
+    });
+
+    if (options.json) {
+        const output = options.file
+            ? {
+                estimates,
+                totalCredit: estimates
+                    .filter(estimate => estimate.isValid)
+                    .reduce((sum, estimate) => sum + estimate.results.totalCredit, 0)
+            }
+            : estimates[0];
+        io.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+    } else if (options.file) {
+        io.stdout.write(`${formatBatch(estimates)}\n`);
+    } else if (estimates[0].isValid) {
+        io.stdout.write(`${formatEstimate(estimates[0])}\n`);
+    }
+
+    return failed.length > 0 ? EXIT_INVALID : EXIT_OK;
+}
+
+// Export functions for use in other scripts (e.g., a scheduled batch job)
+module.exports = {
+    main,
+    parseArgs,
+    readBatchFile,
+    runEstimate
+};
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
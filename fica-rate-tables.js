@@ -0,0 +1,89 @@
+/**
+ * FICA Tip Credit Rate Tables
+ * Versioned IRS Section 45B rules keyed by tax year
+ *
+ * Each entry records the rules in force for one tax year so that prior-year
+ * (amended return) estimates use the numbers that applied at the time.
+ */
+
+/**
+ * Rate table entries by tax year
+ *
+ * wageBasis              - Section 45B minimum wage basis ($/hr), frozen at the
+ *                          federal minimum wage in effect on January 1, 2007
+ * socialSecurityRate     - Employer Social Security (OASDI) rate
+ * medicareRate           - Employer Medicare (HI) rate
+ * socialSecurityWageBase - Annual wage base for the Social Security portion
+ * effectiveDate          - First day the rules apply (ISO date)
+ */
+const RATE_TABLES = {
+    2015: { effectiveDate: '2015-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 118500 },
+    2016: { effectiveDate: '2016-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 118500 },
+    2017: { effectiveDate: '2017-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 127200 },
+    2018: { effectiveDate: '2018-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 128400 },
+    2019: { effectiveDate: '2019-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 132900 },
+    2020: { effectiveDate: '2020-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 137700 },
+    2021: { effectiveDate: '2021-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 142800 },
+    2022: { effectiveDate: '2022-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 147000 },
+    2023: { effectiveDate: '2023-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 160200 },
+    2024: { effectiveDate: '2024-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 168600 },
+    2025: { effectiveDate: '2025-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 176100 },
+    2026: { effectiveDate: '2026-01-01', wageBasis: 5.15, socialSecurityRate: 0.062, medicareRate: 0.0145, socialSecurityWageBase: 184500 }
+};
+
+/**
+ * Get the list of tax years with a rate table
+ * @returns {number[]} Supported tax years in ascending order
+ */
+function getSupportedTaxYears() {
+    return Object.keys(RATE_TABLES).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Check whether a tax year has a rate table
+ * @param {number} taxYear - Tax year to check
+ * @returns {boolean} True if the year is supported
+ */
+function isSupportedTaxYear(taxYear) {
+    return Object.prototype.hasOwnProperty.call(RATE_TABLES, taxYear);
+}
+
+/**
+ * Get the rate table for a tax year
+ * @param {number} taxYear - Tax year (e.g., 2024)
+ * @returns {Object} Rate table with taxYear and combined creditRate added
+ */
+function getRateTable(taxYear) {
+    if (!isSupportedTaxYear(taxYear)) {
+        throw new Error(`Invalid input: no rate table for tax year ${taxYear}`);
+    }
+
+    const table = RATE_TABLES[taxYear];
+
+    return {
+        taxYear: Number(taxYear),
+        ...table,
+        creditRate: table.socialSecurityRate + table.medicareRate
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        RATE_TABLES,
+        getRateTable,
+        getSupportedTaxYears,
+        isSupportedTaxYear
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.FicaRateTables = {
+        RATE_TABLES,
+        getRateTable,
+        getSupportedTaxYears,
+        isSupportedTaxYear
+    };
+}
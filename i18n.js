@@ -0,0 +1,927 @@
+/**
+ * Calculator Translations
+ *
+ * Message catalogs for the calculator UIs, with a translator that fills in
+ * values and formats money and numbers for the chosen language. English is
+ * the source catalog; a message missing from another catalog falls back to
+ * English. Labels that live in other modules (sensitivity inputs, seasonal
+ * patterns, eligibility questions, wage rules, the estimate report and the
+ * consent banner) are translated with `label(key, fallback)`, where the
+ * fallback is the module's own English label.
+ *
+ * Messages use {name} placeholders. Values are inserted as given, so format
+ * numbers with the translator first.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'ficaCalculator.locale';
+
+/**
+ * Supported languages: name shown in the language picker and the Intl locale for numbers
+ * US Spanish keeps US number formatting ($57,173.04), which is what owners see on payroll reports.
+ */
+const LOCALES = {
+    en: { label: 'English', numberLocale: 'en-US' },
+    es: { label: 'Español', numberLocale: 'es-US' }
+};
+
+const MESSAGES = {
+    en: {
+        'language.label': 'Language',
+        'a11y.skipToResults': 'Skip to results',
+        'a11y.totalCreditAnnouncement': 'Estimated 3-year credit: {amount}',
+        'a11y.invalidAnnouncement': 'The estimate is paused until the highlighted fields are fixed',
+
+        'hero.title': 'FICA Tip Credit Calculator',
+        'hero.intro': 'Calculate your potential tax credit based on IRS Section 45B, which allows employers to claim a credit for the FICA taxes paid on tips that exceed the federal minimum wage',
+
+        'eligibility.title': 'Check Your Eligibility First',
+        'eligibility.intro': 'Answer a few questions to see whether your business qualifies for the FICA tip credit. Your answers fill in the calculator for you.',
+        'eligibility.back': 'Back',
+        'eligibility.next': 'Next',
+        'eligibility.skip': 'Skip to the Calculator',
+        'eligibility.progress': 'Question {number}',
+        'eligibility.error.choose': 'Choose one of the answers',
+        'eligibility.error.number': 'Enter a number',
+        'eligibility.error.min': 'Enter {min} or more',
+        'eligibility.error.whole': 'Enter a whole number',
+        'eligibility.result.eligible': 'Your business looks eligible',
+        'eligibility.result.caveat': 'You may be eligible, with some caveats',
+        'eligibility.result.ineligible': 'Your business likely does not qualify',
+        'eligibility.result.reasons': 'Based on your answers:',
+        'eligibility.result.prefilled': 'We filled in the calculator below with your answers. Adjust any number to refine your estimate.',
+        'eligibility.result.requirements': 'Read the eligibility requirements',
+        'eligibility.result.startOver': 'Start Over',
+        'eligibility.result.useAnyway': 'Use the Calculator Anyway',
+        'eligibility.result.goToCalculator': 'Go to the Calculator',
+
+        'inputs.title': 'Calculator Inputs',
+        'inputs.howTo': 'How to Use This Calculator',
+        'inputs.howToText': 'Enter your business information below to estimate your potential FICA Tip Credit under IRS Section 45B. All fields update in real-time.',
+        'inputs.locations': 'Number of Restaurant Locations',
+        'inputs.locationsHelp': 'How many physical locations does your business operate? Enter the total number of restaurants, bars, or hospitality venues you own.',
+        'inputs.state': 'State',
+        'inputs.statePlaceholder': 'Select a state (optional)',
+        'inputs.stateHelp': 'Where your tipped employees work. Used to check your cash wage against the state\'s tipped minimum wage.',
+        'inputs.city': 'City',
+        'inputs.cityPlaceholder': 'Elsewhere in the state',
+        'inputs.cityHelp': 'Some cities set a higher minimum wage than the state.',
+        'inputs.servers': 'Number of Full-Time Tipped Employees (per location)',
+        'inputs.serversHelp': 'Average number of tipped employees at each location. Include servers, bartenders, bussers, and any staff receiving tips. If tips are pooled or tipped out, see Tip Pools and Tip-Outs by Role below.',
+        'inputs.hoursPerMonth': 'Hours Worked per Month',
+        'inputs.hoursPerMonthHelp': 'Average monthly hours per employee. Full-time is typically ~173 hours/month (40 hrs/week × 4.33 weeks).',
+        'inputs.cashWage': 'Cash Wage to Server ($/hr)',
+        'inputs.cashWageHelp': 'The hourly base wage you pay before tips. This is the amount shown on paychecks, not including tip income.',
+        'inputs.tipsPct': 'Tips as % of Total Income',
+        'inputs.tipsPctHelp': 'What percentage of your servers\' total income comes from tips? Most restaurants see 50-70%. If a server earns $3,000/month and $1,800 is tips, that\'s 60%.',
+        'inputs.minWageBasis': 'Minimum Wage Basis ($/hr)',
+        'inputs.minWageBasisHelp': 'IRS baseline for tip credit calculation. Section 45B fixes it at the $5.15/hr federal minimum wage from 2007, in every state. Leave at default unless advised by your tax professional.',
+        'inputs.scenarioName': 'Scenario Name (optional)',
+        'inputs.scenarioNamePlaceholder': 'e.g., Current staffing',
+        'inputs.scenarioNameHelp': 'Shown to whoever opens your shared link, and used as the column heading when you save the scenario for comparison.',
+
+        'validation.summary': 'Fix the highlighted fields:',
+        'validation.locations.number': 'Number of locations must be a number',
+        'validation.locations.min': 'Number of locations must be at least 1',
+        'validation.locations.max': 'Number of locations cannot be more than 10,000',
+        'validation.servers.number': 'Number of servers must be a number',
+        'validation.servers.min': 'Number of servers must be at least 1',
+        'validation.servers.max': 'Number of servers cannot be more than 10,000',
+        'validation.hoursPerMonth.number': 'Hours per month must be a number',
+        'validation.hoursPerMonth.min': 'Hours per month must be at least 1',
+        'validation.hoursPerMonth.max': 'Hours per month cannot be more than 744 (every hour of a 31-day month)',
+        'validation.cashWagePerHour.number': 'Cash wage must be a number',
+        'validation.cashWagePerHour.negative': 'Cash wage cannot be negative',
+        'validation.cashWagePerHour.belowMinimumWage': 'Cash wage plus tips come to {rate}/hr, below the {jurisdiction} minimum wage of {minimum}/hr (rates as of {asOf})',
+        'validation.tipsPct.number': 'Tips percentage must be a number',
+        'validation.tipsPct.range': 'Tips percentage must be at least 0% and less than 100%',
+        'validation.tipsPct.noCreditableTips': 'No tips are creditable: tips must be more than the gap between the cash wage and the wage basis, so the credit is $0',
+        'validation.tipsPct.high': "Tips above 90% of income are unusual; enter tips as a share of each server's total income, not of sales",
+        'validation.minWageBasis.number': 'Minimum wage basis must be a number',
+        'validation.minWageBasis.negative': 'Minimum wage basis cannot be negative',
+        'validation.state.unknown': 'Choose a state from the list',
+        'validation.city.unknown': 'Choose a city from the list',
+        'validation.city.noState': 'Choose the state for this city',
+        'validation.general.monthlyProfileLength': 'Monthly profile must have 12 months',
+        'validation.general.monthShape': '{month}: expected servers, hours per month and tips percentage',
+        'validation.general.monthServersNegative': '{month}: servers cannot be negative',
+        'validation.general.monthServersMax': '{month}: servers cannot be more than {max}',
+        'validation.general.monthHoursNegative': '{month}: hours per month cannot be negative',
+        'validation.general.monthHoursMax': '{month}: hours per month cannot be more than {max} (every hour of a 31-day month)',
+        'validation.general.monthTipsRange': '{month}: tips percentage must be between 0% and 100%',
+        'validation.general.monthlyProfileNoWork': 'At least one month needs staff and hours',
+        'validation.general.taxYearsEmpty': 'Choose at least one tax year',
+        'validation.general.taxYearUnsupported': 'Tax year {year} is not supported',
+        'validation.general.taxYearsRepeat': 'Tax years must not repeat',
+
+        'results.title': 'Your Results',
+        'results.totalCredit': 'Total Estimated 3-Year FICA Tax Credit',
+        'results.copyLink': 'Copy Link to These Numbers',
+        'results.saveScenario': 'Save Scenario to Compare',
+        'results.downloadReport': 'Download Estimate Report (PDF)',
+        'results.exportCsv': 'Export CSV',
+        'results.exportXlsx': 'Export Excel',
+        'results.whatItMeans': '💡 What does this mean?',
+        'results.whatItMeansText': 'This is the total tax credit you could claim across all your servers and locations over a 3-year period. This credit directly reduces your tax liability dollar-for-dollar.',
+        'results.keyMetrics': 'Key Credit Metrics (Per Server)',
+        'results.monthlyTips': 'Monthly Tips',
+        'results.creditableTips': 'Creditable Tips',
+        'results.monthlyCredit': 'Monthly Credit',
+        'results.nonCreditableTips': 'Tips Not Creditable',
+        'results.nonCreditableTipsNote': 'Below IRS minimum threshold',
+        'results.annualCredit': 'Annual Credit',
+        'results.annualCreditNote': 'Per server, per year',
+        'results.additionalDetails': 'Additional Details',
+        'results.annualIncome': 'Server Annual Income',
+        'results.annualIncomeNote': 'Wages + tips combined',
+        'results.effectiveHourlyRate': 'Effective Hourly Rate',
+        'results.effectiveHourlyRateNote': 'Including tip income',
+        'results.threeYearCredit': '3-Year Credit (Per Server)',
+        'results.threeYearCreditNote': 'Over 3-year period',
+        'results.estimatedCredit': 'Estimated Credit',
+        'results.estimatedTotal': 'Estimated 3-Year FICA Refund/Credit',
+        'results.perServerBreakdown': 'Per Server Breakdown',
+        'results.annualCreditPerServer': 'Annual Credit per Server',
+        'results.threeYearCreditPerServer': '3-Year Credit per Server',
+        'results.incomeDetails': 'Server Income Details',
+        'results.monthlyIncome': 'Monthly Income',
+        'results.annualIncomeShort': 'Annual Income',
+        'results.perHour': '{amount}/hr',
+        'results.linkCopied': 'Link copied to clipboard',
+        'share.ignored': 'Some values in this link could not be used, so these fields show their defaults:',
+        'share.ignoredField': '{field} ("{value}")',
+        'results.copyFromAddressBar': 'Copy the link from your address bar',
+        'results.copyThisLink': 'Copy this link: {url}',
+        'results.scenarioSaved': 'Saved "{name}"',
+        'results.scenarioNotSaved': 'Scenarios could not be saved in this browser',
+        'results.allowPopups': 'Allow pop-ups for this site to open the report',
+        'results.fixErrorsTo.report': 'Fix the errors above to create a report',
+        'results.fixErrorsTo.export': 'Fix the errors above to export',
+        'results.fixErrorsTo.attach': 'Fix the errors above to attach your estimate',
+
+        'target.title': 'Reach a Target Credit',
+        'target.targetCredit': 'Target Total Credit',
+        'target.solveFor': 'Solve For',
+        'target.option.servers': 'Servers per location',
+        'target.option.locations': 'Locations',
+        'target.option.hoursPerMonth': 'Hours per month',
+        'target.option.tipsPct': 'Tips as % of income',
+        'target.needed.servers': 'Servers per location needed',
+        'target.needed.locations': 'Locations needed',
+        'target.needed.hoursPerMonth': 'Hours per month needed',
+        'target.needed.tipsPct': 'Tips as % of income needed',
+        'target.hours': '{hours} hrs',
+        'target.keepingInputs': 'Keeping your other inputs as entered',
+        'target.reaches': 'Reaches {amount} in total credit, keeping your other inputs as entered',
+        'target.notReachable': 'Not reachable',
+        'target.enterTarget': 'Enter a target credit above $0',
+        'target.fixInputs': 'Fix the inputs above to solve for a target',
+
+        'scenarios.title': 'Compare Scenarios',
+        'scenarios.intro': 'Saved scenarios stay in this browser. Each column is compared with the first (baseline) scenario.',
+        'scenarios.baseline': 'Baseline',
+        'scenarios.load': 'Load',
+        'scenarios.remove': 'Remove',
+        'scenarios.noChange': 'No change',
+
+        'sensitivity.title': 'Which Lever Matters Most?',
+        'sensitivity.breakEvens': 'Break-Even Points',
+        'sensitivity.impact': 'Effect of a 10% Increase',
+        'sensitivity.legend': 'Each chart changes one input and keeps the rest as entered. The dot marks your current value; the dashed line marks your target of {target} in total credit.',
+        'sensitivity.fullCreditWage': 'Cash wage at which Tips Not Creditable reaches $0: {wage}',
+        'sensitivity.cannotReach': '{input} alone cannot reach {target}',
+        'sensitivity.neededFor': '{input} needed for {target}: {value}',
+        'sensitivity.notApplicable': 'not applicable',
+        'sensitivity.chartLabel': 'Total credit as {input} changes',
+
+        'tipPool.title': 'Tip Pools and Tip-Outs by Role',
+        'tipPool.intro': 'If servers tip out bartenders and bussers, or everyone shares a pool, the credit depends on what each role takes home. Enter each role\'s staff per location and the tips each person collects before the pool. Locations and the wage basis come from the calculator above.',
+        'tipPool.method': 'Pool Paid Out By',
+        'tipPool.method.percent': 'Share of the pool for each role (%)',
+        'tipPool.method.points': 'Points, weighted by hours worked',
+        'tipPool.column.role': 'Role',
+        'tipPool.column.headcount': 'Staff per Location',
+        'tipPool.column.hoursPerMonth': 'Hours / Month',
+        'tipPool.column.cashWagePerHour': 'Cash Wage ($/hr)',
+        'tipPool.column.tipsCollectedMonthly': 'Tips Collected / Month ($)',
+        'tipPool.column.contributionPct': 'Into Pool (%)',
+        'tipPool.column.sharePct': 'Pool Share (%)',
+        'tipPool.column.points': 'Points',
+        'tipPool.cellLabel': '{column}, row {row}',
+        'tipPool.remove': 'Remove',
+        'tipPool.removeRole': 'Remove {role}',
+        'tipPool.newRole': 'Role {number}',
+        'tipPool.addRole': 'Add Role',
+        'tipPool.reset': 'Reset to Example',
+        'tipPool.summary': 'The pool collects {pool} per location each month. Total 3-year credit with the pool: {total}, {comparison}.',
+        'tipPool.same': 'the same as if everyone kept the tips they collected',
+        'tipPool.less': '{amount} less than if everyone kept the tips they collected',
+        'tipPool.more': '{amount} more than if everyone kept the tips they collected',
+        'tipPool.ranking': 'Credit by Role',
+        'tipPool.ranking.role': 'Role',
+        'tipPool.ranking.tipsReceived': 'Tips Received / Month',
+        'tipPool.ranking.creditableTips': 'Creditable Tips / Month',
+        'tipPool.ranking.creditPerEmployee': '3-Year Credit per Employee',
+        'tipPool.ranking.totalCredit': 'Total Credit',
+        'tipPool.ranking.share': 'Share of Credit',
+        'tipPool.error.role': 'Role {row}',
+        'tipPool.error.namedRole': 'Role {row} ({role})',
+        'tipPool.error.locationsMin': 'Number of locations must be at least 1',
+        'tipPool.error.method': 'Pool method must be one of {methods}',
+        'tipPool.error.noRoles': 'Add at least one role to the tip pool',
+        'tipPool.error.roleName': 'name is required',
+        'tipPool.error.roleRepeat': 'role names must not repeat',
+        'tipPool.error.roleHeadcount': 'staff must be a whole number of at least 1',
+        'tipPool.error.roleHours': 'hours per month must be greater than 0',
+        'tipPool.error.roleCashWage': 'cash wage cannot be negative',
+        'tipPool.error.roleTips': 'tips collected cannot be negative',
+        'tipPool.error.roleContribution': 'pool contribution must be between 0% and 100%',
+        'tipPool.error.roleShare': 'pool share must be between 0% and 100%',
+        'tipPool.error.rolePoints': 'points cannot be negative',
+        'tipPool.error.shareTotal': 'Pool shares must add up to 100% (currently {total}%)',
+        'tipPool.error.noPoints': 'Give at least one role points so the pool is paid out',
+
+        'season.title': 'Seasonal Months',
+        'season.intro': 'Twelve average months over- or under-state the credit when your busy season is short. Pick the pattern closest to yours, then adjust any month. Staff and hours per month start from the averages entered above.',
+        'season.pattern': 'Seasonal Pattern',
+        'season.custom': 'Custom (edited below)',
+        'season.column.month': 'Month',
+        'season.column.servers': 'Staff per Location',
+        'season.column.hoursPerMonth': 'Hours per Person',
+        'season.column.tipsPct': 'Tips as % of Income',
+        'season.column.credit': 'Credit',
+        'season.cellLabel': '{column}, {month}',
+        'season.reset': 'Reset Months to Pattern',
+        'season.summary': 'Seasonal credit: {annual} a year and {total} over 3 years, {comparison}. Peak month: {peak} ({peakCredit}).',
+        'season.same': 'the same as twelve average months',
+        'season.less': '{amount} less than twelve average months ({flat})',
+        'season.more': '{amount} more than twelve average months ({flat})',
+        'season.chartTitle': 'Credit by Month',
+        'season.chartLabel': 'Credit by month, peaking in {month}',
+        'season.legend': 'Bars show each month\'s credit across all locations in the most recent year. The dashed line marks an average month from the inputs above; the highlighted bar is your peak month.',
+
+        'lead.title': 'Ready to Claim Your Tax Credit?',
+        'lead.intro': 'Let our tax specialists help you maximize your FICA tip credit',
+        'lead.firstName': 'First Name',
+        'lead.lastName': 'Last Name',
+        'lead.email': 'Work Email',
+        'lead.phone': 'Phone',
+        'lead.businessName': 'Business Name',
+        'lead.businessType': 'Business Type',
+        'lead.businessType.restaurant': 'Full-service restaurant',
+        'lead.businessType.bar': 'Bar or nightclub',
+        'lead.businessType.hotel': 'Hotel or resort',
+        'lead.businessType.catering': 'Catering or banquet',
+        'lead.businessType.other': 'Other',
+        'lead.chooseOne': 'Choose one',
+        'lead.consent': 'By continuing, you agree that Tip Tax Partner may contact you about your estimate. Your calculator inputs and estimate are sent with your registration. See our',
+        'lead.privacyPolicy': 'Privacy Policy',
+        'lead.submit': 'Get Started With My Estimate',
+        'lead.estimate': 'Your estimated 3-year credit of {amount} and the inputs behind it are sent with your registration, so our specialists start from your numbers.',
+        'lead.fixInputs': 'Fix the calculator inputs above so we can attach your estimate.',
+        'lead.checkFields': 'Check the highlighted fields',
+        'lead.redirecting': 'Taking you to registration…',
+        'lead.sendFailed': 'We could not send your details. Please try again in a moment.',
+        'lead.error.required': '{field} is required',
+        'lead.error.tooLong': '{field} must be {maxLength} characters or fewer',
+        'lead.error.email': 'Enter an email address like name@restaurant.com',
+        'lead.error.phone': 'Enter a phone number with area code',
+        'lead.error.businessType': 'Choose a business type',
+
+        'disclaimer.title': 'Disclaimer:',
+        'disclaimer.text': 'This calculator provides an estimate only and is not tax or legal advice. Please consult with a tax professional for specific advice regarding your tax situation.'
+    },
+
+    es: {
+        'language.label': 'Idioma',
+        'a11y.skipToResults': 'Ir a los resultados',
+        'a11y.totalCreditAnnouncement': 'Crédito estimado de 3 años: {amount}',
+        'a11y.invalidAnnouncement': 'El cálculo está en pausa hasta que se corrijan los campos marcados',
+
+        'hero.title': 'Calculadora del Crédito FICA por Propinas',
+        'hero.intro': 'Calcule su posible crédito fiscal según la Sección 45B del IRS, que permite a los empleadores reclamar un crédito por los impuestos FICA pagados sobre las propinas que superan el salario mínimo federal',
+
+        'eligibility.title': 'Primero, Verifique si Califica',
+        'eligibility.intro': 'Responda unas preguntas para saber si su negocio califica para el crédito FICA por propinas. Sus respuestas llenan la calculadora por usted.',
+        'eligibility.back': 'Atrás',
+        'eligibility.next': 'Siguiente',
+        'eligibility.skip': 'Ir directo a la calculadora',
+        'eligibility.progress': 'Pregunta {number}',
+        'eligibility.error.choose': 'Elija una de las respuestas',
+        'eligibility.error.number': 'Ingrese un número',
+        'eligibility.error.min': 'Ingrese {min} o más',
+        'eligibility.error.whole': 'Ingrese un número entero',
+        'eligibility.result.eligible': 'Su negocio parece calificar',
+        'eligibility.result.caveat': 'Es posible que califique, con algunas salvedades',
+        'eligibility.result.ineligible': 'Es probable que su negocio no califique',
+        'eligibility.result.reasons': 'Según sus respuestas:',
+        'eligibility.result.prefilled': 'Llenamos la calculadora con sus respuestas. Ajuste cualquier número para afinar su estimado.',
+        'eligibility.result.requirements': 'Lea los requisitos de elegibilidad',
+        'eligibility.result.startOver': 'Empezar de nuevo',
+        'eligibility.result.useAnyway': 'Usar la calculadora de todos modos',
+        'eligibility.result.goToCalculator': 'Ir a la calculadora',
+
+        'eligibility.businessType.prompt': '¿Qué tipo de negocio tiene?',
+        'eligibility.businessType.restaurant': 'Restaurante de servicio completo',
+        'eligibility.businessType.bar': 'Bar, pub o club nocturno',
+        'eligibility.businessType.hotel': 'Hotel o resort',
+        'eligibility.businessType.catering': 'Servicio de catering o banquetes',
+        'eligibility.businessType.counter': 'Cafetería o servicio en mostrador',
+        'eligibility.businessType.other': 'Un negocio que no sirve comida ni bebidas',
+        'eligibility.businessType.other.reason': 'El crédito FICA por propinas (Sección 45B) es solo para negocios que sirven comida o bebidas.',
+        'eligibility.hotelFoodService.prompt': '¿Su personal que recibe propinas trabaja en servicio de comida o bebidas (restaurante, bar, servicio a la habitación, banquetes)?',
+        'eligibility.hotelFoodService.yes': 'Sí',
+        'eligibility.hotelFoodService.no': 'No, las propinas son por limpieza, valet o botones',
+        'eligibility.hotelFoodService.no.reason': 'Las propinas por servicios que no son de comida o bebidas (limpieza, valet, botones) no cuentan para este crédito.',
+        'eligibility.tippingCustomary.prompt': '¿Sus clientes suelen dejar propina a su personal?',
+        'eligibility.tippingCustomary.help': 'El IRS exige que dar propina sea costumbre. Los restaurantes y bares cumplen esto automáticamente; otros negocios deben demostrar que los clientes dejan propina de forma habitual.',
+        'eligibility.tippingCustomary.regularly': 'Sí, la mayoría de los clientes deja propina',
+        'eligibility.tippingCustomary.sometimes': 'A veces, con un frasco o una opción de propina',
+        'eligibility.tippingCustomary.sometimes.reason': 'Dar propina debe ser costumbre en su negocio. Esté listo para demostrar que los clientes dejan propina con regularidad, por ejemplo con los reportes de propinas de su punto de venta.',
+        'eligibility.tippingCustomary.no': 'No, las propinas son raras',
+        'eligibility.tippingCustomary.no.reason': 'El crédito solo aplica donde dar propina es costumbre. Es poco probable que las propinas ocasionales califiquen.',
+        'eligibility.tippedEmployees.prompt': '¿Tiene empleados en nómina que reciben propinas?',
+        'eligibility.tippedEmployees.yes': 'Sí',
+        'eligibility.tippedEmployees.owners': 'Solo los dueños o contratistas reciben propinas',
+        'eligibility.tippedEmployees.owners.reason': 'El crédito es por la parte del empleador del FICA sobre las propinas de los empleados. Las propinas pagadas a dueños o contratistas 1099 no cuentan.',
+        'eligibility.tipsReported.prompt': '¿Sus empleados le reportan sus propinas, de modo que usted paga Seguro Social y Medicare sobre ellas?',
+        'eligibility.tipsReported.all': 'Sí, todas las propinas se reportan en la nómina',
+        'eligibility.tipsReported.some': 'Se reportan algunas propinas (por ejemplo, las de tarjeta pero no las de efectivo)',
+        'eligibility.tipsReported.some.reason': 'Solo cuentan las propinas reportadas sobre las que usted pagó FICA. Ingrese en la calculadora la parte de las propinas que se reporta, no el total.',
+        'eligibility.tipsReported.none': 'No, las propinas no se reportan',
+        'eligibility.tipsReported.none.reason': 'Sin propinas reportadas no hay FICA del empleador sobre propinas, así que no hay nada que acreditar. Podría calificar en años futuros cuando las propinas se reporten en la nómina.',
+        'eligibility.serviceCharges.prompt': '¿La mayoría de las propinas son propinas automáticas o cargos por servicio agregados a la cuenta?',
+        'eligibility.serviceCharges.no': 'No, los clientes eligen cuánto dejar',
+        'eligibility.serviceCharges.yes': 'Sí, en su mayoría propinas automáticas o cargos por servicio',
+        'eligibility.serviceCharges.yes.reason': 'Los cargos por servicio obligatorios son salario, no propinas, y no califican. Cuente solo las propinas que los clientes decidieron dejar.',
+        'eligibility.taxForms.prompt': '¿Ha presentado el Formulario 941 (y el Formulario 8027, si aplica) de los años que quiere reclamar?',
+        'eligibility.taxForms.help': 'El Formulario 8027 es obligatorio para establecimientos grandes de comida o bebidas con más de 10 empleados en un día típico de operación.',
+        'eligibility.taxForms.yes': 'Sí',
+        'eligibility.taxForms.unsure': 'No estoy seguro',
+        'eligibility.taxForms.unsure.reason': 'Necesitaremos sus Formularios 941 presentados (y el 8027, si aplica). Su proveedor de nómina normalmente puede darle copias.',
+        'eligibility.taxForms.no': 'No',
+        'eligibility.taxForms.no.reason': 'El crédito se reclama contra el impuesto de nómina reportado en el Formulario 941. Las declaraciones que falten deben presentarse antes de hacer un reclamo.',
+        'eligibility.locations.prompt': '¿Cuántos locales opera?',
+        'eligibility.servers.prompt': '¿Aproximadamente cuántos empleados con propinas trabajan en cada local?',
+        'eligibility.schedule.prompt': '¿La mayoría trabaja tiempo completo?',
+        'eligibility.schedule.fullTime': 'La mayoría tiempo completo (unas 40 horas por semana)',
+        'eligibility.schedule.mixed': 'Una mezcla de tiempo completo y medio tiempo',
+        'eligibility.schedule.partTime': 'La mayoría medio tiempo (unas 20 horas por semana)',
+        'eligibility.cashWage.prompt': '¿Qué salario en efectivo paga por hora, antes de propinas?',
+        'eligibility.tipShare.prompt': '¿Qué parte del pago total de un mesero típico viene de propinas?',
+        'eligibility.tipShare.low': 'Menos de la mitad',
+        'eligibility.tipShare.half': 'Aproximadamente la mitad',
+        'eligibility.tipShare.most': 'Más de la mitad',
+        'eligibility.tipShare.unsure': 'No estoy seguro',
+
+        'inputs.title': 'Datos de la Calculadora',
+        'inputs.howTo': 'Cómo Usar Esta Calculadora',
+        'inputs.howToText': 'Ingrese la información de su negocio para estimar su posible Crédito FICA por Propinas según la Sección 45B del IRS. Todos los campos se actualizan al instante.',
+        'inputs.locations': 'Número de Locales',
+        'inputs.locationsHelp': '¿Cuántos locales físicos opera su negocio? Ingrese el total de restaurantes, bares o establecimientos de hospitalidad que tiene.',
+        'inputs.state': 'Estado',
+        'inputs.statePlaceholder': 'Seleccione un estado (opcional)',
+        'inputs.stateHelp': 'Dónde trabajan sus empleados con propinas. Se usa para comparar su salario en efectivo con el salario mínimo para empleados con propinas del estado.',
+        'inputs.city': 'Ciudad',
+        'inputs.cityPlaceholder': 'En otra parte del estado',
+        'inputs.cityHelp': 'Algunas ciudades fijan un salario mínimo más alto que el estado.',
+        'inputs.servers': 'Número de Empleados con Propinas de Tiempo Completo (por local)',
+        'inputs.serversHelp': 'Número promedio de empleados con propinas en cada local. Incluya meseros, bartenders, ayudantes de mesero y cualquier persona que reciba propinas. Si las propinas se juntan o se reparten, vea Fondos de Propinas y Repartos por Puesto más abajo.',
+        'inputs.hoursPerMonth': 'Horas Trabajadas por Mes',
+        'inputs.hoursPerMonthHelp': 'Horas mensuales promedio por empleado. Tiempo completo suele ser ~173 horas/mes (40 h/semana × 4.33 semanas).',
+        'inputs.cashWage': 'Salario en Efectivo al Mesero ($/h)',
+        'inputs.cashWageHelp': 'El salario base por hora que paga antes de propinas. Es la cantidad que aparece en los cheques de pago, sin incluir las propinas.',
+        'inputs.tipsPct': 'Propinas como % del Ingreso Total',
+        'inputs.tipsPctHelp': '¿Qué porcentaje del ingreso total de sus meseros viene de propinas? La mayoría de los restaurantes ve entre 50 y 70%. Si un mesero gana $3,000 al mes y $1,800 son propinas, es el 60%.',
+        'inputs.minWageBasis': 'Base de Salario Mínimo ($/h)',
+        'inputs.minWageBasisHelp': 'Base del IRS para calcular el crédito por propinas. La Sección 45B la fija en el salario mínimo federal de $5.15/h de 2007, en todos los estados. Déjela en el valor predeterminado salvo que su asesor fiscal indique otra cosa.',
+        'inputs.scenarioName': 'Nombre del Escenario (opcional)',
+        'inputs.scenarioNamePlaceholder': 'p. ej., Personal actual',
+        'inputs.scenarioNameHelp': 'Lo ve quien abra su enlace compartido, y se usa como título de columna cuando guarda el escenario para comparar.',
+
+        'validation.summary': 'Corrija los campos marcados:',
+        'validation.locations.number': 'El número de locales debe ser un número',
+        'validation.locations.min': 'El número de locales debe ser al menos 1',
+        'validation.locations.max': 'El número de locales no puede ser más de 10.000',
+        'validation.servers.number': 'El número de empleados debe ser un número',
+        'validation.servers.min': 'El número de empleados debe ser al menos 1',
+        'validation.servers.max': 'El número de empleados no puede ser más de 10.000',
+        'validation.hoursPerMonth.number': 'Las horas por mes deben ser un número',
+        'validation.hoursPerMonth.min': 'Las horas por mes deben ser al menos 1',
+        'validation.hoursPerMonth.max': 'Las horas por mes no pueden ser más de 744 (todas las horas de un mes de 31 días)',
+        'validation.cashWagePerHour.number': 'El salario en efectivo debe ser un número',
+        'validation.cashWagePerHour.negative': 'El salario en efectivo no puede ser negativo',
+        'validation.cashWagePerHour.belowMinimumWage': 'El salario en efectivo más las propinas suma {rate}/h, por debajo del salario mínimo de {minimum}/h ({jurisdiction}; tarifas vigentes al {asOf})',
+        'validation.tipsPct.number': 'El porcentaje de propinas debe ser un número',
+        'validation.tipsPct.range': 'El porcentaje de propinas debe ser al menos 0% y menor que 100%',
+        'validation.tipsPct.noCreditableTips': 'Ninguna propina es acreditable: las propinas deben superar la diferencia entre el salario en efectivo y la base salarial, así que el crédito es $0',
+        'validation.tipsPct.high': 'Propinas de más del 90% del ingreso son poco comunes; ingrese las propinas como parte del ingreso total de cada empleado, no de las ventas',
+        'validation.minWageBasis.number': 'La base de salario mínimo debe ser un número',
+        'validation.minWageBasis.negative': 'La base de salario mínimo no puede ser negativa',
+        'validation.state.unknown': 'Elija un estado de la lista',
+        'validation.city.unknown': 'Elija una ciudad de la lista',
+        'validation.city.noState': 'Elija el estado de esta ciudad',
+        'validation.general.monthlyProfileLength': 'El perfil mensual debe tener 12 meses',
+        'validation.general.monthShape': '{month}: se esperaban empleados, horas por mes y porcentaje de propinas',
+        'validation.general.monthServersNegative': '{month}: los empleados no pueden ser negativos',
+        'validation.general.monthServersMax': '{month}: los empleados no pueden ser más de {max}',
+        'validation.general.monthHoursNegative': '{month}: las horas por mes no pueden ser negativas',
+        'validation.general.monthHoursMax': '{month}: las horas por mes no pueden ser más de {max} (todas las horas de un mes de 31 días)',
+        'validation.general.monthTipsRange': '{month}: el porcentaje de propinas debe estar entre 0% y 100%',
+        'validation.general.monthlyProfileNoWork': 'Al menos un mes necesita empleados y horas',
+        'validation.general.taxYearsEmpty': 'Elija al menos un año fiscal',
+        'validation.general.taxYearUnsupported': 'El año fiscal {year} no está disponible',
+        'validation.general.taxYearsRepeat': 'Los años fiscales no deben repetirse',
+        'warning.belowTippedMinimum': 'El salario en efectivo está por debajo del mínimo para empleados con propinas de {minimum}/h en {jurisdiction} (tarifas al {asOf})',
+        'warning.noTipCredit': '{jurisdiction} no permite crédito por propinas; el salario en efectivo debe ser al menos el salario mínimo de {minimum}/h (tarifas al {asOf})',
+        'warning.wageBasisNotIrs': 'La base salarial de la Sección 45B es {basis}/h en todos los estados; otros valores no son reglas del IRS',
+
+        'wageBasis.federalBasis': 'El crédito de la Sección 45B siempre usa la base salarial federal de {basis}/h, sin importar el salario mínimo estatal o local.',
+        'wageBasis.noTipCredit': '{jurisdiction} no permite crédito por propinas: a los empleados con propinas se les debe pagar en efectivo el salario mínimo completo de {minimumWage}/h.',
+        'wageBasis.minimumWageAboveBasis': 'Como ese salario en efectivo supera {basis}/h, cada dólar de propinas reportadas es acreditable.',
+        'wageBasis.tipCredit': '{jurisdiction} permite crédito por propinas con un salario en efectivo de al menos {tippedCashWage}/h (salario mínimo {minimumWage}/h).',
+        'wageBasis.tipsBelowBasis': 'Las propinas que llevan el salario en efectivo hasta {basis}/h no son acreditables; solo cuentan las propinas por encima de ese punto.',
+        'wageBasis.cashWageAboveBasis': 'Ese salario en efectivo ya supera {basis}/h, así que cada dólar de propinas reportadas es acreditable.',
+        'wageBasis.asOf': 'Tarifas estatales y locales al {asOf}; consulte el departamento de trabajo del estado por cambios posteriores.',
+
+        'results.title': 'Sus Resultados',
+        'results.totalCredit': 'Crédito Fiscal FICA Estimado de 3 Años',
+        'results.copyLink': 'Copiar enlace a estos números',
+        'results.saveScenario': 'Guardar escenario para comparar',
+        'results.downloadReport': 'Descargar reporte del estimado (PDF)',
+        'results.exportCsv': 'Exportar CSV',
+        'results.exportXlsx': 'Exportar Excel',
+        'results.whatItMeans': '💡 ¿Qué significa esto?',
+        'results.whatItMeansText': 'Es el crédito fiscal total que podría reclamar por todos sus meseros y locales durante un período de 3 años. Este crédito reduce su obligación fiscal dólar por dólar.',
+        'results.keyMetrics': 'Métricas Clave del Crédito (por Mesero)',
+        'results.monthlyTips': 'Propinas Mensuales',
+        'results.creditableTips': 'Propinas Acreditables',
+        'results.monthlyCredit': 'Crédito Mensual',
+        'results.nonCreditableTips': 'Propinas No Acreditables',
+        'results.nonCreditableTipsNote': 'Por debajo del mínimo del IRS',
+        'results.annualCredit': 'Crédito Anual',
+        'results.annualCreditNote': 'Por mesero, por año',
+        'results.additionalDetails': 'Detalles Adicionales',
+        'results.annualIncome': 'Ingreso Anual del Mesero',
+        'results.annualIncomeNote': 'Salario + propinas',
+        'results.effectiveHourlyRate': 'Tarifa por Hora Efectiva',
+        'results.effectiveHourlyRateNote': 'Incluye las propinas',
+        'results.threeYearCredit': 'Crédito de 3 Años (por Mesero)',
+        'results.threeYearCreditNote': 'En un período de 3 años',
+        'results.estimatedCredit': 'Crédito Estimado',
+        'results.estimatedTotal': 'Reembolso/Crédito FICA Estimado de 3 Años',
+        'results.perServerBreakdown': 'Desglose por Mesero',
+        'results.annualCreditPerServer': 'Crédito Anual por Mesero',
+        'results.threeYearCreditPerServer': 'Crédito de 3 Años por Mesero',
+        'results.incomeDetails': 'Detalles del Ingreso del Mesero',
+        'results.monthlyIncome': 'Ingreso Mensual',
+        'results.annualIncomeShort': 'Ingreso Anual',
+        'results.perHour': '{amount}/h',
+        'results.linkCopied': 'Enlace copiado al portapapeles',
+        'share.ignored': 'Algunos valores de este enlace no se pudieron usar, así que estos campos muestran sus valores predeterminados:',
+        'share.ignoredField': '{field} ("{value}")',
+        'results.copyFromAddressBar': 'Copie el enlace de la barra de direcciones',
+        'results.copyThisLink': 'Copie este enlace: {url}',
+        'results.scenarioSaved': 'Se guardó "{name}"',
+        'results.scenarioNotSaved': 'No se pudieron guardar escenarios en este navegador',
+        'results.allowPopups': 'Permita ventanas emergentes en este sitio para abrir el reporte',
+        'results.fixErrorsTo.report': 'Corrija los errores de arriba para crear un reporte',
+        'results.fixErrorsTo.export': 'Corrija los errores de arriba para exportar',
+        'results.fixErrorsTo.attach': 'Corrija los errores de arriba para adjuntar su estimado',
+
+        'target.title': 'Alcanzar un Crédito Meta',
+        'target.targetCredit': 'Crédito Total Meta',
+        'target.solveFor': 'Calcular',
+        'target.option.servers': 'Meseros por local',
+        'target.option.locations': 'Locales',
+        'target.option.hoursPerMonth': 'Horas por mes',
+        'target.option.tipsPct': 'Propinas como % del ingreso',
+        'target.needed.servers': 'Meseros por local necesarios',
+        'target.needed.locations': 'Locales necesarios',
+        'target.needed.hoursPerMonth': 'Horas por mes necesarias',
+        'target.needed.tipsPct': 'Propinas como % del ingreso necesarias',
+        'target.hours': '{hours} h',
+        'target.keepingInputs': 'Manteniendo sus otros datos como los ingresó',
+        'target.reaches': 'Alcanza {amount} de crédito total, manteniendo sus otros datos como los ingresó',
+        'target.notReachable': 'No se puede alcanzar',
+        'target.enterTarget': 'Ingrese un crédito meta mayor a $0',
+        'target.fixInputs': 'Corrija los datos de arriba para calcular una meta',
+        'target.reason.noCashWage': 'Las propinas se calculan a partir del salario en efectivo, así que con un salario en efectivo de $0 ningún porcentaje de propinas produce crédito',
+        'target.reason.noCreditableTips': 'Las propinas acreditables son $0: las propinas no cubren la diferencia entre el salario en efectivo y la base salarial, así que ningún valor alcanza la meta',
+        'target.reason.limit.servers': 'Aun con 10,000 meseros por local, el crédito es {credit}',
+        'target.reason.limit.locations': 'Aun con 10,000 locales, el crédito es {credit}',
+        'target.reason.limit.hoursPerMonth': 'Aun con 744 horas por mes (todas las horas de un mes de 31 días), el crédito es {credit}',
+        'target.reason.limit.tipsPct': 'Aun con propinas del 99% del ingreso, el crédito es {credit}',
+        'target.reason.limit.cashWagePerHour': 'Aun con un salario en efectivo de $100.00/h, el crédito es {credit}',
+        'target.reason.limit.minWageBasis': 'Aun con una base salarial de $0.00/h, el crédito es {credit}',
+
+        'scenarios.title': 'Comparar Escenarios',
+        'scenarios.intro': 'Los escenarios guardados se quedan en este navegador. Cada columna se compara con el primer escenario (base).',
+        'scenarios.baseline': 'Base',
+        'scenarios.load': 'Cargar',
+        'scenarios.remove': 'Quitar',
+        'scenarios.noChange': 'Sin cambio',
+        'scenarios.metric.totalCredit': 'Crédito Total de 3 Años',
+        'scenarios.metric.creditableTips': 'Propinas Acreditables (Mensual, por Mesero)',
+        'scenarios.metric.effectiveHourlyRate': 'Tarifa por Hora Efectiva',
+
+        'sensitivity.title': '¿Qué Factor Pesa Más?',
+        'sensitivity.breakEvens': 'Puntos de Equilibrio',
+        'sensitivity.impact': 'Efecto de un Aumento del 10%',
+        'sensitivity.legend': 'Cada gráfica cambia un dato y mantiene los demás como los ingresó. El punto marca su valor actual; la línea punteada marca su meta de {target} de crédito total.',
+        'sensitivity.fullCreditWage': 'Salario en efectivo con el que las Propinas No Acreditables llegan a $0: {wage}',
+        'sensitivity.cannotReach': '{input} por sí solo no alcanza {target}',
+        'sensitivity.neededFor': '{input} necesario para {target}: {value}',
+        'sensitivity.notApplicable': 'no aplica',
+        'sensitivity.chartLabel': 'Crédito total según cambia {input}',
+        'sensitivity.input.tipsPct': 'Propinas como % del Ingreso',
+        'sensitivity.input.cashWagePerHour': 'Salario en Efectivo ($/h)',
+        'sensitivity.input.hoursPerMonth': 'Horas por Mes',
+        'sensitivity.input.minWageBasis': 'Base Salarial ($/h)',
+
+        'tipPool.title': 'Fondos de Propinas y Repartos por Puesto',
+        'tipPool.intro': 'Si los meseros comparten propinas con bartenders y ayudantes, o todos participan en un fondo común, el crédito depende de lo que cada puesto se lleva a casa. Ingrese el personal por local de cada puesto y las propinas que cada persona recibe antes del fondo. Los locales y la base salarial vienen de la calculadora de arriba.',
+        'tipPool.method': 'El Fondo se Reparte Por',
+        'tipPool.method.percent': 'Porcentaje del fondo para cada puesto (%)',
+        'tipPool.method.points': 'Puntos, ponderados por horas trabajadas',
+        'tipPool.column.role': 'Puesto',
+        'tipPool.column.headcount': 'Personal por Local',
+        'tipPool.column.hoursPerMonth': 'Horas / Mes',
+        'tipPool.column.cashWagePerHour': 'Salario en Efectivo ($/h)',
+        'tipPool.column.tipsCollectedMonthly': 'Propinas Recibidas / Mes ($)',
+        'tipPool.column.contributionPct': 'Al Fondo (%)',
+        'tipPool.column.sharePct': 'Parte del Fondo (%)',
+        'tipPool.column.points': 'Puntos',
+        'tipPool.cellLabel': '{column}, fila {row}',
+        'tipPool.remove': 'Quitar',
+        'tipPool.removeRole': 'Quitar {role}',
+        'tipPool.newRole': 'Puesto {number}',
+        'tipPool.addRole': 'Agregar puesto',
+        'tipPool.reset': 'Volver al ejemplo',
+        'tipPool.summary': 'El fondo junta {pool} por local cada mes. Crédito total de 3 años con el fondo: {total}, {comparison}.',
+        'tipPool.same': 'lo mismo que si cada quien se quedara con sus propinas',
+        'tipPool.less': '{amount} menos que si cada quien se quedara con sus propinas',
+        'tipPool.more': '{amount} más que si cada quien se quedara con sus propinas',
+        'tipPool.ranking': 'Crédito por Puesto',
+        'tipPool.ranking.role': 'Puesto',
+        'tipPool.ranking.tipsReceived': 'Propinas Recibidas / Mes',
+        'tipPool.ranking.creditableTips': 'Propinas Acreditables / Mes',
+        'tipPool.ranking.creditPerEmployee': 'Crédito de 3 Años por Empleado',
+        'tipPool.ranking.totalCredit': 'Crédito Total',
+        'tipPool.ranking.share': 'Parte del Crédito',
+        'tipPool.error.role': 'Puesto {row}',
+        'tipPool.error.namedRole': 'Puesto {row} ({role})',
+        'tipPool.error.locationsMin': 'El número de locales debe ser al menos 1',
+        'tipPool.error.method': 'El método del fondo debe ser uno de {methods}',
+        'tipPool.error.noRoles': 'Agregue al menos un puesto al fondo de propinas',
+        'tipPool.error.roleName': 'el nombre es obligatorio',
+        'tipPool.error.roleRepeat': 'los nombres de los puestos no deben repetirse',
+        'tipPool.error.roleHeadcount': 'el personal debe ser un número entero de al menos 1',
+        'tipPool.error.roleHours': 'las horas por mes deben ser mayores que 0',
+        'tipPool.error.roleCashWage': 'el salario en efectivo no puede ser negativo',
+        'tipPool.error.roleTips': 'las propinas recibidas no pueden ser negativas',
+        'tipPool.error.roleContribution': 'el aporte al fondo debe estar entre 0% y 100%',
+        'tipPool.error.roleShare': 'la parte del fondo debe estar entre 0% y 100%',
+        'tipPool.error.rolePoints': 'los puntos no pueden ser negativos',
+        'tipPool.error.shareTotal': 'Las partes del fondo deben sumar 100% (ahora suman {total}%)',
+        'tipPool.error.noPoints': 'Asigne puntos al menos a un puesto para que se reparta el fondo',
+
+        'season.title': 'Meses de Temporada',
+        'season.intro': 'Doce meses promedio sobrestiman o subestiman el crédito cuando su temporada alta es corta. Elija el patrón más parecido al suyo y luego ajuste cualquier mes. El personal y las horas por mes parten de los promedios ingresados arriba.',
+        'season.pattern': 'Patrón de Temporada',
+        'season.custom': 'Personalizado (editado abajo)',
+        'season.preset.yearRound': 'Todo el año (todos los meses iguales)',
+        'season.preset.summerBeach': 'Pueblo de playa o lago en verano (pico de junio a agosto)',
+        'season.preset.skiResort': 'Centro de esquí (pico de diciembre a marzo)',
+        'season.preset.winterSun': 'Destino de invierno cálido (pico de enero a abril)',
+        'season.preset.holidayPeak': 'Pico de fiestas (noviembre y diciembre)',
+        'season.month.1': 'ene',
+        'season.month.2': 'feb',
+        'season.month.3': 'mar',
+        'season.month.4': 'abr',
+        'season.month.5': 'may',
+        'season.month.6': 'jun',
+        'season.month.7': 'jul',
+        'season.month.8': 'ago',
+        'season.month.9': 'sep',
+        'season.month.10': 'oct',
+        'season.month.11': 'nov',
+        'season.month.12': 'dic',
+        'season.column.month': 'Mes',
+        'season.column.servers': 'Personal por Local',
+        'season.column.hoursPerMonth': 'Horas por Persona',
+        'season.column.tipsPct': 'Propinas como % del Ingreso',
+        'season.column.credit': 'Crédito',
+        'season.cellLabel': '{column}, {month}',
+        'season.reset': 'Volver al patrón',
+        'season.summary': 'Crédito de temporada: {annual} al año y {total} en 3 años, {comparison}. Mes pico: {peak} ({peakCredit}).',
+        'season.same': 'lo mismo que doce meses promedio',
+        'season.less': '{amount} menos que doce meses promedio ({flat})',
+        'season.more': '{amount} más que doce meses promedio ({flat})',
+        'season.chartTitle': 'Crédito por Mes',
+        'season.chartLabel': 'Crédito por mes, con el pico en {month}',
+        'season.legend': 'Las barras muestran el crédito de cada mes en todos los locales en el año más reciente. La línea punteada marca un mes promedio según los datos de arriba; la barra resaltada es su mes pico.',
+
+        'lead.title': '¿Listo para Reclamar su Crédito Fiscal?',
+        'lead.intro': 'Deje que nuestros especialistas fiscales le ayuden a aprovechar al máximo su crédito FICA por propinas',
+        'lead.firstName': 'Nombre',
+        'lead.lastName': 'Apellido',
+        'lead.email': 'Correo del trabajo',
+        'lead.phone': 'Teléfono',
+        'lead.businessName': 'Nombre del negocio',
+        'lead.businessType': 'Tipo de negocio',
+        'lead.businessType.restaurant': 'Restaurante de servicio completo',
+        'lead.businessType.bar': 'Bar o club nocturno',
+        'lead.businessType.hotel': 'Hotel o resort',
+        'lead.businessType.catering': 'Catering o banquetes',
+        'lead.businessType.other': 'Otro',
+        'lead.chooseOne': 'Elija uno',
+        'lead.consent': 'Al continuar, acepta que Tip Tax Partner le contacte sobre su estimado. Los datos de su calculadora y su estimado se envían con su registro. Consulte nuestra',
+        'lead.privacyPolicy': 'Política de Privacidad',
+        'lead.submit': 'Comenzar con mi estimado',
+        'lead.estimate': 'Su crédito estimado de 3 años de {amount} y los datos que lo respaldan se envían con su registro, para que nuestros especialistas partan de sus números.',
+        'lead.fixInputs': 'Corrija los datos de la calculadora de arriba para que podamos adjuntar su estimado.',
+        'lead.checkFields': 'Revise los campos marcados',
+        'lead.redirecting': 'Llevándole al registro…',
+        'lead.sendFailed': 'No pudimos enviar sus datos. Inténtelo de nuevo en un momento.',
+        'lead.error.required': '{field} es obligatorio',
+        'lead.error.tooLong': '{field} debe tener {maxLength} caracteres o menos',
+        'lead.error.email': 'Ingrese un correo como nombre@restaurante.com',
+        'lead.error.phone': 'Ingrese un teléfono con código de área',
+        'lead.error.businessType': 'Elija un tipo de negocio',
+
+        'disclaimer.title': 'Aviso:',
+        'disclaimer.text': 'Esta calculadora ofrece solo un estimado y no constituye asesoría fiscal ni legal. Consulte a un profesional de impuestos para obtener asesoría específica sobre su situación fiscal.',
+
+        'report.title': 'Estimado del Crédito FICA por Propinas',
+        'report.tagline': 'Especialistas en ERTC, Visa/Mastercard y créditos FICA por propinas para pequeños negocios.',
+        'report.disclaimer': 'Este reporte ofrece solo un estimado y no constituye asesoría fiscal ni legal. Consulte a un profesional de impuestos para obtener asesoría específica sobre su situación fiscal.',
+        'report.print': 'Imprimir o Guardar como PDF',
+        'report.prepared': 'Preparado el {date}',
+        'report.heading.inputs': 'Sus Datos',
+        'report.heading.summary': 'Resumen',
+        'report.heading.walkthrough': 'Cómo se Calcula el Crédito (Sección 45B del IRS)',
+        'report.heading.months': 'Desglose Mensual',
+        'report.heading.years': 'Crédito por Año Fiscal',
+        'report.heading.assumptions': 'Supuestos',
+        'report.heading.disclaimer': 'Aviso:',
+        'report.column.month': 'Mes',
+        'report.column.servers': 'Meseros',
+        'report.column.hours': 'Horas',
+        'report.column.tipsPct': '% de Propinas',
+        'report.column.creditableTipsPerServer': 'Propinas Acreditables por Mesero',
+        'report.column.creditPerServer': 'Crédito por Mesero',
+        'report.column.totalCredit': 'Crédito Total',
+        'report.column.taxYear': 'Año Fiscal',
+        'report.column.wageBasis': 'Base Salarial',
+        'report.column.creditRate': 'Tasa del Crédito',
+        'report.column.creditableTipsMonthly': 'Propinas Acreditables (Mensuales)',
+        'report.column.annualCreditPerServer': 'Crédito Anual por Mesero',
+        'report.perHour': '{amount}/h',
+        'report.varies': 'Varía por mes ({low} a {high})',
+        'report.range': '{low} a {high}',
+        'report.input.locations': 'Locales del restaurante',
+        'report.input.servers': 'Meseros por local',
+        'report.input.hoursPerMonth': 'Horas trabajadas por mes',
+        'report.input.cashWagePerHour': 'Salario en efectivo',
+        'report.input.tipsPct': 'Propinas como % del ingreso total',
+        'report.input.minWageBasis': 'Base de salario mínimo',
+        'report.input.jurisdiction': 'Jurisdicción',
+        'report.input.taxYears': 'Años fiscales',
+        'report.summary.totalCredit': 'Crédito total estimado de {years} años',
+        'report.summary.annualCreditPerServer': 'Crédito anual por mesero',
+        'report.summary.creditPerServer': 'Crédito de {years} años por mesero',
+        'report.summary.serversFor100k': 'Meseros necesarios para $100k de crédito',
+        'report.step.cashWageMonthly': 'Salario mensual en efectivo por mesero',
+        'report.step.totalIncomeMonthly': 'Ingreso mensual total por mesero',
+        'report.step.tipsMonthly': 'Propinas mensuales por mesero',
+        'report.step.baselineMonthly': 'Base mensual de salario mínimo',
+        'report.step.nonCreditableTips': 'Propinas no acreditables',
+        'report.step.creditableTips': 'Propinas acreditables',
+        'report.step.monthlyCreditPerServer': 'Crédito mensual por mesero',
+        'report.step.annualCreditPerServer': 'Crédito anual por mesero',
+        'report.step.creditPerServerEachMonth': 'Crédito por mesero cada mes',
+        'report.step.averageServers': 'Promedio de meseros por local',
+        'report.step.creditPerServer': 'Crédito de {years} años por mesero',
+        'report.step.totalCredit': 'Crédito total estimado',
+        'report.formula.cashWageMonthly': 'Salario en efectivo por hora × horas por mes',
+        'report.formula.totalIncomeMonthly': 'Salario mensual en efectivo ÷ (1 − porcentaje de propinas)',
+        'report.formula.tipsMonthly': 'Ingreso mensual total − salario mensual en efectivo',
+        'report.formula.baselineMonthly': 'Base salarial × horas por mes',
+        'report.formula.nonCreditableTips': 'Base mensual − salario mensual en efectivo (nunca menos de cero)',
+        'report.formula.creditableTips': 'Propinas mensuales − propinas no acreditables',
+        'report.formula.monthlyCreditPerServer': 'Propinas acreditables × tasa FICA del empleador',
+        'report.formula.annualCredit': 'Crédito mensual × 12',
+        'report.formula.annualCreditCapped': 'Crédito mensual × 12, menos el crédito del Seguro Social perdido por encima de la base salarial máxima',
+        'report.formula.creditPerServerEachMonth': '(Propinas − max(0, base salarial × horas − salario en efectivo)) × tasa FICA del empleador, mes por mes',
+        'report.formula.averageServers': 'Suma de los meseros de cada mes ÷ 12',
+        'report.formula.seasonalAnnualCredit': 'Suma del crédito por mesero de cada mes × los meseros de ese mes, ÷ promedio de meseros',
+        'report.formula.taxYearsCredit': 'Suma del crédito anual de cada año fiscal',
+        'report.formula.yearsCredit': 'Crédito anual × {years} años',
+        'report.formula.totalCredit': 'Crédito por mesero × meseros por local × locales',
+        'report.formula.seasonalTotalCredit': 'Crédito por mesero × promedio de meseros por local × locales',
+        'report.calculation.seeMonths': 'Vea el desglose mensual abajo',
+        'report.assumption.flat': 'Cada mesero trabaja {hours} horas y gana el mismo salario en efectivo y porcentaje de propinas todos los meses.',
+        'report.assumption.seasonal': 'Los meseros, las horas y el porcentaje de propinas cambian de un mes a otro como se muestra en el desglose mensual; dentro de un mes, cada mesero trabaja las mismas horas y gana el mismo salario en efectivo y porcentaje de propinas.',
+        'report.assumption.ficaRates': 'El FICA del empleador es {socialSecurity} de Seguro Social más {medicare} de Medicare sobre las propinas acreditables.',
+        'report.assumption.wageBasis': 'La Sección 45B mide las propinas acreditables contra el salario mínimo federal de $5.15/h vigente el 1 de enero de 2007.',
+        'report.assumption.customWageBasis': 'La base salarial de {basis} se ingresó a mano; la Sección 45B usa $5.15/h.',
+        'report.assumption.tipsReported': 'Los empleados reportan todas las propinas y el negocio es un establecimiento de comida o bebidas donde dar propina es costumbre.',
+        'report.assumption.wageBaseCap': 'La parte del Seguro Social se detiene en la base salarial máxima de cada año, lo que reduce el crédito en {amount}.',
+        'report.assumption.noWageBaseCap': 'No se aplica el tope de la base salarial del Seguro Social.',
+        'report.assumption.generalBusinessCredit': 'El crédito es parte del crédito general de negocios y está limitado por el impuesto sobre la renta; el crédito no usado se traslada 1 año hacia atrás y 20 años hacia adelante.',
+        'report.assumption.noDeduction': 'Reclamar el crédito anula la deducción por el mismo impuesto FICA (IRC 45B(c)).',
+
+        'consent.title': 'Sus Opciones de Privacidad',
+        'consent.intro': 'Usamos cookies de publicidad solo si usted lo permite. El almacenamiento necesario, como sus escenarios guardados de la calculadora, se queda en su dispositivo.',
+        'consent.gpcIntro': 'Su navegador envió una señal de Control Global de Privacidad (GPC), así que lo excluimos de las cookies de publicidad y de la venta o el intercambio de su información personal.',
+        'consent.privacyPolicy': 'Política de Privacidad',
+        'consent.ok': 'Entendido',
+        'consent.acceptAll': 'Aceptar todo',
+        'consent.rejectAll': 'Rechazar todo',
+        'consent.customize': 'Personalizar',
+        'consent.saveChoices': 'Guardar opciones',
+        'consent.category.advertising.label': 'Publicidad',
+        'consent.category.advertising.description': 'El Píxel de Meta (Facebook) y la API de Conversiones miden el rendimiento de los anuncios. Según la ley de California, esto cuenta como compartir información personal para publicidad conductual entre contextos.'
+    }
+};
+
+/**
+ * Match a requested language to a supported one
+ * @param {string} [requested] - Language tag, such as 'es', 'es-MX' or 'en-US'
+ * @returns {string|null} Supported locale code, or null if there is no match
+ */
+function matchLocale(requested) {
+    if (typeof requested !== 'string') return null;
+    const language = requested.trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES[language] ? language : null;
+}
+
+/**
+ * Get the default storage for the language choice (window.localStorage when available)
+ * @returns {Storage|null} Storage, or null if unavailable (e.g., private mode)
+ */
+function getLocaleStorage() {
+    try {
+        return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pick the starting language
+ *
+ * A `lang` URL parameter wins, then a saved choice, then the browser's
+ * preferred languages, then English.
+ *
+ * @param {Object} [options] - { search: URL query string, storage, languages: preferred language tags }
+ * @returns {string} Supported locale code
+ */
+function detectLocale(options = {}) {
+    const {
+        search = typeof window !== 'undefined' ? window.location.search : '',
+        storage = getLocaleStorage(),
+        languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : []
+    } = options;
+
+    const requested = new URLSearchParams(search).get('lang');
+    let saved = null;
+    try {
+        saved = storage ? storage.getItem(LOCALE_STORAGE_KEY) : null;
+    } catch (error) {
+        saved = null;
+    }
+
+    const candidates = [requested, saved, ...languages];
+    for (const candidate of candidates) {
+        const locale = matchLocale(candidate);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Remember the language choice
+ * @param {string} locale - Supported locale code
+ * @param {Storage} [storage] - Storage to write (default localStorage)
+ */
+function saveLocale(locale, storage = getLocaleStorage()) {
+    try {
+        if (storage) storage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        // Private browsing can refuse writes; the choice then lasts for this page only
+    }
+}
+
+/**
+ * Fill {name} placeholders
+ * @param {string} template - Message
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Message with values filled in; unknown placeholders are left as they are
+ */
+function interpolate(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+}
+
+/**
+ * Look up a message
+ * @param {string} locale - Supported locale code
+ * @param {string} key - Message key
+ * @param {Object} [values] - Placeholder values
+ * @returns {string} Message in the locale, else in English, else the key itself
+ */
+function translate(locale, key, values) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    const template = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+    return template === undefined ? key : interpolate(template, values);
+}
+
+/**
+ * Resolve the calculation engine in Node.js or the browser
+ * @returns {Object} FicaCalculator module
+ */
+function loadTranslationCalculator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-calculator.js');
+    }
+    return window.FicaCalculator;
+}
+
+/**
+ * Bind translation and number formatting to one language
+ *
+ * @param {string} locale - Language tag; unsupported languages fall back to English
+ * @returns {Object} { locale, numberLocale, t(key, values), label(key, fallback, values),
+ *     formatCurrency(value, decimals), formatNumber(value, decimals) }
+ */
+function createTranslator(locale) {
+    const resolved = matchLocale(locale) || DEFAULT_LOCALE;
+    const { numberLocale } = LOCALES[resolved];
+    const calculator = loadTranslationCalculator();
+
+    return {
+        locale: resolved,
+        numberLocale,
+        t: (key, values) => translate(resolved, key, values),
+        // Translation of another module's English label, which is the fallback
+        label: (key, fallback, values) => {
+            const template = MESSAGES[resolved][key];
+            return interpolate(template !== undefined ? template : fallback, values);
+        },
+        formatCurrency: (value, decimals = 2) => calculator.formatCurrency(value, decimals, numberLocale),
+        formatNumber: (value, decimals = 0) => calculator.formatNumber(value, decimals, numberLocale)
+    };
+}
+
+/**
+ * Translate the static text of a page
+ *
+ * Elements with `data-i18n="key"` get the message as their text.
+ * `data-i18n-attr="placeholder:key;aria-label:key"` sets attributes.
+ *
+ * @param {Element|Document} root - Element to translate, with its descendants
+ * @param {Object} translator - createTranslator result
+ */
+function applyTranslations(root, translator) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = translator.t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) element.setAttribute(attribute, translator.t(key));
+        });
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        DEFAULT_LOCALE,
+        LOCALES,
+        MESSAGES,
+        applyTranslations,
+        createTranslator,
+        detectLocale,
+        matchLocale,
+        saveLocale,
+        translate
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.I18n = {
+        DEFAULT_LOCALE,
+        LOCALES,
+        MESSAGES,
+        applyTranslations,
+        createTranslator,
+        detectLocale,
+        matchLocale,
+        saveLocale,
+        translate
+    };
+}
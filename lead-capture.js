@@ -0,0 +1,294 @@
+/**
+ * Lead Capture
+ *
+ * Validates the calculator's lead form and hands the visitor off to
+ * registration with their estimate attached, so every inbound lead arrives
+ * with a pre-qualified dollar figure. The contact and business details go to
+ * the site's own /api/lead endpoint (see api/lead.js), which forwards them to
+ * the CRM under a lead id. The visitor is then sent to the registration URL,
+ * which carries only that lead id and the estimate: the estimated
+ * totalCredit and the calculator inputs (in share-link form, so tipsPct is a
+ * percentage). Contact details stay out of browser history, server logs and
+ * Referer headers.
+ *
+ * Example: https://app.tipcreditpartners.com/register-client/hqxo?lead_id=...&estimated_credit=57173.04&loc=1&srv=10
+ */
+
+const REGISTRATION_URL = 'https://app.tipcreditpartners.com/register-client/hqxo';
+
+const LEAD_API_URL = '/api/lead';
+
+/**
+ * Business type choices: value is the stable code sent with the lead, label is the English text
+ */
+const BUSINESS_TYPES = [
+    { value: 'restaurant', label: 'Full-service restaurant' },
+    { value: 'bar', label: 'Bar or nightclub' },
+    { value: 'hotel', label: 'Hotel or resort' },
+    { value: 'catering', label: 'Catering or banquet' },
+    { value: 'other', label: 'Other' }
+];
+
+/**
+ * Lead form fields: label, registration form parameter and whether it is required
+ */
+const LEAD_FIELDS = {
+    firstName: { label: 'First name', param: 'first_name', required: true, maxLength: 60 },
+    lastName: { label: 'Last name', param: 'last_name', required: true, maxLength: 60 },
+    email: { label: 'Email', param: 'email', required: true, maxLength: 120 },
+    phone: { label: 'Phone', param: 'phone', required: true, maxLength: 30 },
+    businessName: { label: 'Business name', param: 'business_name', required: true, maxLength: 120 },
+    businessType: { label: 'Business type', param: 'business_type', required: true, maxLength: 20 }
+};
+
+// Practical check for typos; the registration portal confirms the address
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Resolve the share-link helpers in Node.js or the browser
+ * @returns {Object} ShareLink module
+ */
+function loadLeadShareLink() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./share-link.js');
+    }
+    return window.ShareLink;
+}
+
+/**
+ * Trim every field and drop unknown ones
+ * @param {Object} raw - Form values
+ * @returns {Object} Lead with a string for every field
+ */
+function normalizeLead(raw) {
+    const lead = {};
+    Object.keys(LEAD_FIELDS).forEach(field => {
+        lead[field] = String(raw[field] === undefined || raw[field] === null ? '' : raw[field]).trim();
+    });
+    return lead;
+}
+
+/**
+ * Check the lead form
+ *
+ * @param {Object} raw - Form values
+ * @returns {Object} { isValid, lead, errors } - errors is [{ field, code, message }], at most one per field;
+ *     code ('required', 'tooLong', 'email', 'phone' or 'businessType') is stable for translations
+ */
+function validateLead(raw) {
+    const lead = normalizeLead(raw);
+    const errors = [];
+
+    Object.keys(LEAD_FIELDS).forEach(field => {
+        const { label, required, maxLength } = LEAD_FIELDS[field];
+        const value = lead[field];
+
+        if (!value) {
+            if (required) errors.push({ field, code: 'required', message: `${label} is required` });
+            return;
+        }
+        if (value.length > maxLength) {
+            errors.push({ field, code: 'tooLong', message: `${label} must be ${maxLength} characters or fewer` });
+            return;
+        }
+
+        if (field === 'email' && !EMAIL_PATTERN.test(value)) {
+            errors.push({ field, code: 'email', message: 'Enter an email address like name@restaurant.com' });
+        } else if (field === 'phone') {
+            const digits = value.replace(/\D/g, '');
+            if (digits.length < 10 || digits.length > 15) {
+                errors.push({ field, code: 'phone', message: 'Enter a phone number with area code' });
+            }
+        } else if (field === 'businessType' && !BUSINESS_TYPES.some(type => type.value === value)) {
+            errors.push({ field, code: 'businessType', message: 'Choose a business type' });
+        }
+    });
+
+    return { isValid: errors.length === 0, lead, errors };
+}
+
+/**
+ * Round a dollar amount to cents for the hand-off
+ * @param {number} value - Amount
+ * @returns {string} Amount with two decimals
+ */
+function formatEstimatedCredit(value) {
+    return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * Create an id that ties the registration URL to the contact details sent to /api/lead
+ * @returns {string} Random lead id
+ */
+function createLeadId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Build the registration URL with the estimate attached (no contact details)
+ *
+ * @param {string} leadId - Lead id (createLeadId), also sent with the contact details
+ * @param {Object} inputs - Calculator form inputs (tipsPct as a percentage)
+ * @param {Object} results - calculateFicaTipCredit results for those inputs
+ * @param {Object} [options] - { registrationUrl, estimateUrl: link back to the estimate, eligibility: questionnaire outcome, source }
+ * @returns {string} Registration URL
+ */
+function buildRegistrationUrl(leadId, inputs, results, options = {}) {
+    const {
+        registrationUrl = REGISTRATION_URL,
+        estimateUrl,
+        eligibility,
+        source = 'calculator'
+    } = options;
+
+    const url = new URL(registrationUrl);
+    url.searchParams.set('lead_id', leadId);
+    url.searchParams.set('estimated_credit', formatEstimatedCredit(results.totalCredit));
+    new URLSearchParams(loadLeadShareLink().serializeState(inputs)).forEach((value, key) => {
+        url.searchParams.set(key, value);
+    });
+    if (estimateUrl) url.searchParams.set('estimate_url', estimateUrl);
+    if (eligibility) url.searchParams.set('eligibility', eligibility);
+    url.searchParams.set('source', source);
+
+    return url.toString();
+}
+
+/**
+ * Contact and business details to send to /api/lead
+ * @param {string} leadId - Lead id used in the registration URL
+ * @param {Object} lead - Validated lead (validateLead().lead)
+ * @returns {Object} Fields keyed by registration parameter
+ */
+function buildRegistrationFields(leadId, lead) {
+    const fields = { lead_id: leadId };
+    Object.keys(LEAD_FIELDS).forEach(field => {
+        if (lead[field]) fields[LEAD_FIELDS[field].param] = lead[field];
+    });
+    return fields;
+}
+
+/**
+ * Send the lead to /api/lead
+ *
+ * @param {Object} fields - buildRegistrationFields() plus registration_url
+ * @param {string} [apiUrl] - Endpoint, default /api/lead
+ * @returns {Promise<void>}
+ * @throws {Error} When the endpoint cannot be reached or does not accept the lead
+ */
+async function sendLead(fields, apiUrl = LEAD_API_URL) {
+    const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+    });
+    if (!response.ok) {
+        throw new Error(`The lead was not accepted (HTTP ${response.status})`);
+    }
+}
+
+/**
+ * Lead conversion event for trackFacebookConversion
+ *
+ * User data is raw here; /api/track hashes it before it reaches Facebook.
+ *
+ * @param {Object} lead - Validated lead
+ * @param {Object} inputs - Calculator form inputs
+ * @param {Object} results - calculateFicaTipCredit results
+ * @returns {Object} { eventName, eventData, userData }
+ */
+function buildLeadEvent(lead, inputs, results) {
+    const userData = {
+        em: lead.email,
+        ph: lead.phone,
+        fn: lead.firstName,
+        ln: lead.lastName,
+        country: 'us'
+    };
+    if (inputs.state) userData.st = inputs.state;
+
+    return {
+        eventName: 'Lead',
+        eventData: {
+            value: Number(formatEstimatedCredit(results.totalCredit)),
+            currency: 'USD',
+            content_name: 'Calculator Lead Form',
+            content_category: 'Registration',
+            num_items: inputs.locations
+        },
+        userData
+    };
+}
+
+/**
+ * Send the lead to /api/lead, fire the Lead event, then open registration
+ *
+ * Nothing is tracked and the visitor stays on the page if the lead is not
+ * accepted. Navigation waits up to maxWaitMs for tracking so the event is not
+ * cut off. Tracking itself waits for an advertising consent decision, so
+ * while the consent banner is unanswered the visitor leaves after maxWaitMs
+ * and no Lead event is sent.
+ *
+ * @param {Object} lead - Validated lead
+ * @param {Object} inputs - Calculator form inputs (tipsPct as a percentage)
+ * @param {Object} results - calculateFicaTipCredit results
+ * @param {Object} [options] - buildRegistrationUrl options, plus maxWaitMs, send(fields) and navigate(url)
+ * @returns {Promise<string>} Registration URL the visitor was sent to
+ * @throws {Error} When the lead was not accepted (from send)
+ */
+async function submitLead(lead, inputs, results, options = {}) {
+    const {
+        maxWaitMs = 1000,
+        send = sendLead,
+        navigate = url => window.location.assign(url)
+    } = options;
+    const leadId = createLeadId();
+    const url = buildRegistrationUrl(leadId, inputs, results, options);
+
+    await send({ ...buildRegistrationFields(leadId, lead), registration_url: url });
+
+    if (typeof window !== 'undefined' && window.FacebookTracking) {
+        const { eventName, eventData, userData } = buildLeadEvent(lead, inputs, results);
+        const tracked = window.FacebookTracking.trackFacebookConversion(eventName, eventData, userData);
+        await Promise.race([tracked, new Promise(resolve => setTimeout(resolve, maxWaitMs))]);
+    }
+
+    navigate(url);
+    return url;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        BUSINESS_TYPES,
+        LEAD_API_URL,
+        LEAD_FIELDS,
+        REGISTRATION_URL,
+        buildLeadEvent,
+        buildRegistrationFields,
+        buildRegistrationUrl,
+        sendLead,
+        submitLead,
+        validateLead
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.LeadCapture = {
+        BUSINESS_TYPES,
+        LEAD_API_URL,
+        LEAD_FIELDS,
+        REGISTRATION_URL,
+        buildLeadEvent,
+        buildRegistrationFields,
+        buildRegistrationUrl,
+        sendLead,
+        submitLead,
+        validateLead
+    };
+}
@@ -0,0 +1,339 @@
+/**
+ * Payroll CSV Import
+ *
+ * Parses a payroll export (one row per employee per pay period) and maps it onto
+ * the inputs of calculateFicaTipCredit or calculateRosterCredit.
+ */
+
+/**
+ * Default CSV header for each payroll field
+ * Override any of these with the `columns` option to match a client's export.
+ */
+const DEFAULT_COLUMNS = {
+    employee: 'Employee',
+    payPeriod: 'Pay Period',
+    hours: 'Hours',
+    cashWages: 'Cash Wages',
+    reportedTips: 'Reported Tips',
+    location: 'Location',
+    role: 'Role'
+};
+
+// Fields every row must have; location and role are optional
+const REQUIRED_FIELDS = ['employee', 'payPeriod', 'hours', 'cashWages', 'reportedTips'];
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells, escaped quotes ("") and CRLF line endings.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cell strings
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a payroll amount such as "$1,234.56" or "(12.00)"
+ * @param {string} value - Cell value
+ * @returns {number} Parsed number, or NaN if the cell is not numeric
+ */
+function parseAmount(value) {
+    const trimmed = String(value).trim();
+    if (trimmed === '') return NaN;
+
+    const negative = /^\(.*\)$/.test(trimmed);
+    const cleaned = trimmed.replace(/[()$,\s]/g, '');
+    if (!/^-?\d*\.?\d+$/.test(cleaned)) return NaN;
+
+    const amount = parseFloat(cleaned);
+    return negative ? -amount : amount;
+}
+
+/**
+ * Get the calendar month (YYYY-MM) a pay period falls in
+ * @param {string} payPeriod - Pay period end date or month (e.g., "2024-03-15", "03/15/2024", "2024-03")
+ * @returns {string|null} Month key, or null if the period cannot be read as a date
+ */
+function getPeriodMonth(payPeriod) {
+    const monthOnly = /^(\d{4})-(\d{1,2})$/.exec(payPeriod);
+    if (monthOnly) {
+        return `${monthOnly[1]}-${monthOnly[2].padStart(2, '0')}`;
+    }
+
+    // ISO dates are read as written; other formats are parsed in local time
+    if (/^\d{4}-\d{2}-\d{2}/.test(payPeriod) && !Number.isNaN(Date.parse(payPeriod))) {
+        return payPeriod.slice(0, 7);
+    }
+
+    const time = Date.parse(payPeriod);
+    if (Number.isNaN(time)) return null;
+
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a payroll CSV export into validated rows
+ *
+ * @param {string} text - CSV text with a header row
+ * @param {Object} [options] - Import options
+ * @param {Object} [options.columns] - Header names keyed by field, merged over DEFAULT_COLUMNS
+ * @returns {Object} Result with isValid boolean, errors array and parsed rows
+ */
+function parsePayrollCsv(text, options = {}) {
+    const columns = { ...DEFAULT_COLUMNS, ...options.columns };
+    const errors = [];
+    const rows = [];
+
+    const table = parseCsv(text || '');
+    if (table.length < 2) {
+        errors.push('CSV must include a header row and at least one data row');
+        return { isValid: false, errors, rows };
+    }
+
+    const header = table[0].map(name => name.trim().toLowerCase());
+    const indexes = {};
+    Object.keys(columns).forEach(field => {
+        indexes[field] = header.indexOf(String(columns[field]).trim().toLowerCase());
+    });
+
+    REQUIRED_FIELDS
+        .filter(field => indexes[field] === -1)
+        .forEach(field => errors.push(`Missing column "${columns[field]}"`));
+
+    if (errors.length > 0) {
+        return { isValid: false, errors, rows };
+    }
+
+    table.slice(1).forEach((cells, index) => {
+        // Header is line 1, so data starts on line 2
+        const line = index + 2;
+        const cell = field => (indexes[field] === -1 ? '' : (cells[indexes[field]] || '').trim());
+        const rowErrors = [];
+
+        const employee = cell('employee');
+        const payPeriod = cell('payPeriod');
+        const hours = parseAmount(cell('hours'));
+        const cashWages = parseAmount(cell('cashWages'));
+        const reportedTips = parseAmount(cell('reportedTips'));
+
+        if (!employee) {
+            rowErrors.push(`Row ${line}: ${columns.employee} is required`);
+        }
+
+        if (!payPeriod) {
+            rowErrors.push(`Row ${line}: ${columns.payPeriod} is required`);
+        } else if (getPeriodMonth(payPeriod) === null) {
+            rowErrors.push(`Row ${line}: ${columns.payPeriod} "${payPeriod}" is not a date`);
+        }
+
+        if (Number.isNaN(hours) || hours < 0) {
+            rowErrors.push(`Row ${line}: ${columns.hours} must be a number of at least 0`);
+        }
+
+        if (Number.isNaN(cashWages) || cashWages < 0) {
+            rowErrors.push(`Row ${line}: ${columns.cashWages} must be an amount of at least 0`);
+        }
+
+        if (Number.isNaN(reportedTips) || reportedTips < 0) {
+            rowErrors.push(`Row ${line}: ${columns.reportedTips} must be an amount of at least 0`);
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            return;
+        }
+
+        rows.push({
+            line,
+            employee,
+            payPeriod,
+            month: getPeriodMonth(payPeriod),
+            hours,
+            cashWages,
+            reportedTips,
+            location: cell('location') || 'Default',
+            role: cell('role') || 'server'
+        });
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        rows
+    };
+}
+
+/**
+ * Count the distinct calendar months covered by payroll rows
+ * @param {Array<Object>} rows - Parsed payroll rows
+ * @returns {number} Number of months
+ */
+function countMonths(rows) {
+    return new Set(rows.map(row => row.month)).size;
+}
+
+/**
+ * Build a calculateRosterCredit roster from payroll rows
+ * Totals each employee's rows and spreads them over the months in the export.
+ *
+ * @param {Array<Object>} rows - Parsed payroll rows
+ * @returns {Array<Object>} Roster entries
+ */
+function toRoster(rows) {
+    const months = countMonths(rows);
+    const employees = new Map();
+
+    rows.forEach(row => {
+        const key = `${row.location}\u0000${row.employee}`;
+        if (!employees.has(key)) {
+            employees.set(key, {
+                name: row.employee,
+                role: row.role,
+                location: row.location,
+                hours: 0,
+                cashWages: 0,
+                reportedTips: 0
+            });
+        }
+
+        const totals = employees.get(key);
+        totals.hours += row.hours;
+        totals.cashWages += row.cashWages;
+        totals.reportedTips += row.reportedTips;
+    });
+
+    return Array.from(employees.values()).map(totals => ({
+        name: totals.name,
+        role: totals.role,
+        location: totals.location,
+        hoursPerMonth: totals.hours / months,
+        cashWagePerHour: totals.hours > 0 ? totals.cashWages / totals.hours : 0,
+        tipsMonthly: totals.reportedTips / months
+    }));
+}
+
+/**
+ * Build averaged calculateFicaTipCredit inputs from payroll rows
+ *
+ * @param {Array<Object>} rows - Parsed payroll rows
+ * @returns {Object} Inputs: locations, servers (per location), hoursPerMonth, cashWagePerHour, tipsPct
+ */
+function toCalculatorInputs(rows) {
+    const roster = toRoster(rows);
+    const locations = new Set(roster.map(employee => employee.location)).size;
+
+    const totalHours = roster.reduce((sum, employee) => sum + employee.hoursPerMonth, 0);
+    const totalCashWages = roster.reduce((sum, employee) => sum + employee.cashWagePerHour * employee.hoursPerMonth, 0);
+    const totalTips = roster.reduce((sum, employee) => sum + employee.tipsMonthly, 0);
+    const totalIncome = totalCashWages + totalTips;
+
+    return {
+        locations,
+        servers: Math.max(1, Math.round(roster.length / locations)),
+        hoursPerMonth: Math.max(1, Math.round(totalHours / roster.length)),
+        cashWagePerHour: totalHours > 0 ? totalCashWages / totalHours : 0,
+        tipsPct: totalIncome > 0 ? totalTips / totalIncome : 0
+    };
+}
+
+/**
+ * Import a payroll CSV and map it onto calculator inputs
+ *
+ * Every row can be valid on its own while an employee still has no hours in
+ * the whole export; calculateRosterCredit cannot use them, so they are errors.
+ *
+ * @param {string} text - CSV text with a header row
+ * @param {Object} [options] - Import options (see parsePayrollCsv)
+ * @returns {Object} Result with isValid, errors, rows, roster and averaged inputs
+ *     (roster and inputs are null when the file has errors)
+ */
+function importPayrollCsv(text, options = {}) {
+    const { isValid, errors, rows } = parsePayrollCsv(text, options);
+
+    if (!isValid) {
+        return { isValid, errors, rows, roster: null, inputs: null };
+    }
+
+    const roster = toRoster(rows);
+    roster
+        .filter(employee => employee.hoursPerMonth === 0)
+        .forEach(employee => errors.push(`${employee.name} (${employee.location}) has no hours in the export`));
+
+    if (errors.length > 0) {
+        return { isValid: false, errors, rows, roster: null, inputs: null };
+    }
+
+    return {
+        isValid,
+        errors,
+        rows,
+        roster,
+        inputs: toCalculatorInputs(rows)
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        DEFAULT_COLUMNS,
+        parseCsv,
+        parsePayrollCsv,
+        toRoster,
+        toCalculatorInputs,
+        importPayrollCsv
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.PayrollCsv = {
+        DEFAULT_COLUMNS,
+        parseCsv,
+        parsePayrollCsv,
+        toRoster,
+        toCalculatorInputs,
+        importPayrollCsv
+    };
+}
@@ -0,0 +1,526 @@
+/**
+ * CSV and Excel Export of Calculator Results
+ *
+ * Exports a calculateFicaTipCredit (or calculateRosterCredit) result as three
+ * tables: a per-server breakdown, a per-location rollup and the input
+ * assumptions. CSV puts the tables one after another in a single file; XLSX
+ * puts each on its own worksheet. No spreadsheet library is needed, so the
+ * export works the same in Node.js and the browser.
+ *
+ * Amounts are exported as plain numbers rounded to cents so they can be summed;
+ * any rounding difference goes in the last row so each column adds up to the total.
+ * Inputs use the engine's units: tipsPct is a decimal (0.60 = 60%).
+ */
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Amount rounded to 2 decimals
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Round amounts to cents, putting the rounding difference in the last one so they add up to a total
+ * @param {number[]} amounts - Unrounded amounts
+ * @param {number} total - Unrounded total of the amounts
+ * @returns {number[]} Amounts rounded to cents that sum to total rounded to cents
+ */
+function roundCentsToTotal(amounts, total) {
+    const rounded = amounts.map(roundCents);
+    const remainder = roundCents(total) - rounded.reduce((sum, amount) => sum + amount, 0);
+    if (rounded.length > 0) {
+        rounded[rounded.length - 1] = roundCents(rounded[rounded.length - 1] + remainder);
+    }
+    return rounded;
+}
+
+/**
+ * Build the per-server, per-location and assumptions tables
+ *
+ * A calculator result has identical servers, so each location gets one row
+ * with its server count; the row total column adds up to totalCredit. With a
+ * monthlyProfile the count is the average headcount the credit is based on.
+ * A roster result lists each employee as entered.
+ *
+ * @param {Object} inputs - Parameters passed to the engine (tipsPct as a decimal)
+ * @param {Object} results - calculateFicaTipCredit or calculateRosterCredit result
+ * @returns {Array<Object>} Tables: [{ name, header, formats, rows }] for servers, locations and assumptions.
+ *     formats gives each column's type: 'text', 'integer', 'decimal', 'currency' or 'percent'.
+ */
+function buildExportTables(inputs, results) {
+    const isRoster = Array.isArray(results.employees);
+    const yearCount = (isRoster ? results.employees[0].yearlyBreakdown : results.yearlyBreakdown).length;
+    const multiYearLabel = `${yearCount}-Year Credit`;
+
+    const serverHeader = [
+        'Location', 'Server', 'Role', 'Servers', 'Monthly Tips', 'Tips Not Creditable', 'Creditable Tips',
+        'Monthly Credit', 'Annual Credit', multiYearLabel, `${multiYearLabel} (All Servers in Row)`
+    ];
+
+    let serverRows;
+    let locationRows;
+    let serverCountFormat = 'integer';
+    let serversPerLocation = null;
+
+    if (isRoster) {
+        const rowTotals = roundCentsToTotal(results.employees.map(employee => employee.totalCredit), results.totalCredit);
+        serverRows = results.employees.map((employee, index) => [
+            employee.location,
+            employee.name,
+            employee.role,
+            1,
+            roundCents(employee.tipsMonthly),
+            roundCents(employee.nonCreditableTips),
+            roundCents(employee.creditableTips),
+            roundCents(employee.annualCredit / 12),
+            roundCents(employee.annualCredit),
+            roundCents(employee.totalCredit),
+            rowTotals[index]
+        ]);
+
+        const annualCredits = roundCentsToTotal(results.locations.map(location => location.annualCredit), results.annualCredit);
+        const totalCredits = roundCentsToTotal(results.locations.map(location => location.totalCredit), results.totalCredit);
+        locationRows = results.locations.map((location, index) => [
+            location.location,
+            location.employeeCount,
+            roundCents(location.creditableTipsMonthly),
+            annualCredits[index],
+            totalCredits[index]
+        ]);
+    } else {
+        // One row per location: a row per server would run to millions of rows for large inputs
+        const locations = inputs.locations || 1;
+        const seasonal = Array.isArray(inputs.monthlyProfile);
+        const servers = seasonal
+            ? Math.round(results.monthlyBreakdown.reduce((sum, month) => sum + month.servers, 0) / 12 * 100) / 100
+            : inputs.servers || 1;
+        if (seasonal) serverCountFormat = 'decimal';
+
+        // Every location is the same, so each gets an equal share of the engine's totals
+        const latestYear = results.yearlyBreakdown[results.yearlyBreakdown.length - 1];
+        const locationNumbers = Array.from({ length: locations }, (_, index) => index + 1);
+        const annualCredits = roundCentsToTotal(
+            locationNumbers.map(() => latestYear.totalCredit / locations),
+            latestYear.totalCredit
+        );
+        const totalCredits = roundCentsToTotal(
+            locationNumbers.map(() => results.totalCredit / locations),
+            results.totalCredit
+        );
+
+        const rangeLabel = servers === 1 ? 'Server 1' : `Servers 1-${servers}`;
+        const serverLabel = seasonal ? 'Average Servers' : rangeLabel;
+        serversPerLocation = servers;
+
+        serverRows = locationNumbers.map((location, index) => [
+            `Location ${location}`,
+            serverLabel,
+            'server',
+            servers,
+            roundCents(results.tipsMonthly),
+            roundCents(results.nonCreditableTips),
+            roundCents(results.creditableTips),
+            roundCents(results.monthlyCreditPerServer),
+            roundCents(results.annualCreditPerServer),
+            roundCents(results.credit3yrPerServer),
+            totalCredits[index]
+        ]);
+
+        locationRows = locationNumbers.map((location, index) => [
+            `Location ${location}`,
+            servers,
+            roundCents(results.creditableTips * servers),
+            annualCredits[index],
+            totalCredits[index]
+        ]);
+    }
+
+    const totalRow = [
+        'Total',
+        Math.round(locationRows.reduce((sum, row) => sum + row[1], 0) * 100) / 100,
+        roundCents(locationRows.reduce((sum, row) => sum + row[2], 0)),
+        roundCents(locationRows.reduce((sum, row) => sum + row[3], 0)),
+        roundCents(locationRows.reduce((sum, row) => sum + row[4], 0))
+    ];
+
+    const yearlyBreakdown = isRoster ? results.employees[0].yearlyBreakdown : results.yearlyBreakdown;
+    const latestRules = yearlyBreakdown[yearlyBreakdown.length - 1];
+    const sharedAssumptions = {
+        header: ['Wage Basis per Hour', 'Employer FICA Rate', 'Tax Years', 'Wage Base Cap Applied'],
+        formats: ['currency', 'percent', 'text', 'text'],
+        row: [
+            latestRules.wageBasis,
+            latestRules.creditRate,
+            results.taxYears ? results.taxYears.join(' ') : `${yearCount} years, current rules`,
+            inputs.applyWageBaseCap ? 'Yes' : 'No'
+        ]
+    };
+
+    // A roster has its own hours, wages and tips per employee, so only the shared rules apply
+    const assumptions = isRoster
+        ? {
+            header: ['Employees', 'Locations', ...sharedAssumptions.header],
+            formats: ['integer', 'integer', ...sharedAssumptions.formats],
+            row: [results.employees.length, results.locations.length, ...sharedAssumptions.row]
+        }
+        : {
+            header: ['Locations', 'Servers per Location', 'Hours per Month', 'Cash Wage per Hour', 'Tips % of Income', ...sharedAssumptions.header],
+            formats: ['integer', serverCountFormat, 'decimal', 'currency', 'percent', ...sharedAssumptions.formats],
+            row: [
+                inputs.locations || 1,
+                serversPerLocation,
+                inputs.hoursPerMonth || 173,
+                inputs.cashWagePerHour || 0,
+                inputs.tipsPct || 0,
+                ...sharedAssumptions.row
+            ]
+        };
+
+    return [
+        {
+            name: 'Per Server',
+            header: serverHeader,
+            formats: ['text', 'text', 'text', serverCountFormat, ...Array(7).fill('currency')],
+            rows: serverRows
+        },
+        {
+            name: 'Per Location',
+            header: ['Location', 'Servers', 'Creditable Tips (Monthly)', 'Annual Credit', multiYearLabel],
+            formats: ['text', serverCountFormat, 'currency', 'currency', 'currency'],
+            rows: [...locationRows, totalRow]
+        },
+        {
+            name: 'Assumptions',
+            header: assumptions.header,
+            formats: assumptions.formats,
+            rows: [assumptions.row]
+        }
+    ];
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ *
+ * Text starting with =, +, -, @, tab or carriage return is prefixed with an
+ * apostrophe so spreadsheets show it instead of running it as a formula.
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write export tables as one CSV file, each table under a title row
+ * @param {Array<Object>} tables - buildExportTables result
+ * @returns {string} CSV text (CRLF line endings)
+ */
+function toCsv(tables) {
+    return tables
+        .map(table => [[table.name], table.header, ...table.rows]
+            .map(row => row.map(toCsvField).join(','))
+            .join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+// Cell style index (in styles.xml) for each column format
+const XLSX_STYLES = {
+    header: 1,
+    currency: 2,
+    integer: 3,
+    percent: 4,
+    decimal: 5
+};
+
+/**
+ * Write one table as worksheet XML
+ * @param {Object} table - { header, formats, rows }
+ * @returns {string} Worksheet XML
+ */
+function toWorksheetXml(table) {
+    const cell = (value, ref, style) => {
+        const styleAttribute = style ? ` s="${style}"` : '';
+        if (typeof value === 'number') {
+            return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"${styleAttribute}><is><t>${escapeXml(value)}</t></is></c>`;
+    };
+
+    const rows = [table.header, ...table.rows].map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => cell(
+            value,
+            `${columnName(columnIndex)}${rowIndex + 1}`,
+            rowIndex === 0 ? XLSX_STYLES.header : XLSX_STYLES[table.formats[columnIndex]]
+        ));
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols><col min="1" max="${table.header.length}" width="20" customWidth="1"/></cols>`
+        + `<sheetData>${rows.join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+// CRC-32 lookup table for the ZIP container
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} CRC-32
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive
+ * @param {Array<Object>} files - [{ name, content }] with string content
+ * @returns {Uint8Array} ZIP archive
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        // Local file header (stored, no compression, DOS date 1980-01-01)
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true);
+        local.setUint16(10, 0, true);
+        local.setUint16(12, 0x0021, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x0021, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Write export tables as an Excel workbook, one worksheet per table
+ * @param {Array<Object>} tables - buildExportTables result
+ * @returns {Uint8Array} XLSX file contents
+ */
+function toXlsx(tables) {
+    const sheets = tables.map((table, index) => ({
+        id: index + 1,
+        name: table.name.slice(0, 31),
+        xml: toWorksheetXml(table)
+    }));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + sheets.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets>${sheets.map(sheet => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')}</sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + sheets.map(sheet => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('')
+                + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="6">'
+                + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+                + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '</cellXfs>'
+                + '</styleSheet>'
+        },
+        ...sheets.map(sheet => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, content: sheet.xml }))
+    ];
+
+    return createZip(files);
+}
+
+/**
+ * Export calculator results as CSV or XLSX
+ *
+ * @param {Object} inputs - Parameters passed to the engine (tipsPct as a decimal)
+ * @param {Object} results - calculateFicaTipCredit or calculateRosterCredit result
+ * @param {string} [format] - 'csv' or 'xlsx' (default 'csv')
+ * @param {string} [filenameBase] - File name without extension (default 'fica-tip-credit-estimate')
+ * @returns {Object} { filename, mimeType, content } - content is a string for CSV and a Uint8Array for XLSX
+ */
+function exportResults(inputs, results, format = 'csv', filenameBase = 'fica-tip-credit-estimate') {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Invalid input: format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const tables = buildExportTables(inputs, results);
+
+    return {
+        filename: `${filenameBase}.${exportFormat.extension}`,
+        mimeType: exportFormat.mimeType,
+        content: format === 'xlsx' ? toXlsx(tables) : toCsv(tables)
+    };
+}
+
+/**
+ * Download calculator results as a file (browser only)
+ *
+ * @param {Object} inputs - Parameters passed to the engine (tipsPct as a decimal)
+ * @param {Object} results - calculateFicaTipCredit or calculateRosterCredit result
+ * @param {string} [format] - 'csv' or 'xlsx' (default 'csv')
+ * @param {string} [filenameBase] - File name without extension
+ */
+function downloadResults(inputs, results, format = 'csv', filenameBase) {
+    const file = exportResults(inputs, results, format, filenameBase);
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        buildExportTables,
+        downloadResults,
+        exportResults,
+        toCsv,
+        toXlsx
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.ResultsExport = {
+        buildExportTables,
+        downloadResults,
+        exportResults,
+        toCsv,
+        toXlsx
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * Saved Calculator Scenarios
+ *
+ * Saves named sets of calculator inputs in localStorage and compares their
+ * results side by side against the first (baseline) scenario.
+ * Inputs use the calculator form's units: tipsPct is a percentage (60 = 60%).
+ */
+
+const SCENARIO_STORAGE_KEY = 'ficaCalculator.scenarios';
+
+// Keep localStorage small; the oldest scenarios are dropped first
+const MAX_SCENARIOS = 6;
+
+/**
+ * Result fields compared across scenarios
+ * higherIsBetter decides whether an increase is highlighted as good or bad.
+ */
+const COMPARED_METRICS = [
+    { field: 'totalCredit', label: 'Total 3-Year Credit', format: 'currency', higherIsBetter: true },
+    { field: 'creditableTips', label: 'Creditable Tips (Monthly, Per Server)', format: 'currency', higherIsBetter: true },
+    { field: 'effectiveHourlyRate', label: 'Effective Hourly Rate', format: 'currency', higherIsBetter: true }
+];
+
+/**
+ * Resolve the calculation engine in Node.js or the browser
+ * @returns {Object} FicaCalculator module
+ */
+function loadScenarioCalculator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-calculator.js');
+    }
+    return window.FicaCalculator;
+}
+
+/**
+ * Get the default storage (window.localStorage when available)
+ * @returns {Storage|null} Storage, or null if unavailable (e.g., private mode)
+ */
+function getDefaultStorage() {
+    try {
+        return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Load saved scenarios
+ * @param {Storage} [storage] - Storage to read (default localStorage)
+ * @returns {Array<Object>} Scenarios: [{ id, name, inputs, savedAt }]
+ */
+function loadScenarios(storage = getDefaultStorage()) {
+    if (!storage) return [];
+
+    try {
+        const saved = JSON.parse(storage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+        return Array.isArray(saved)
+            ? saved.filter(scenario => scenario && scenario.id && scenario.inputs)
+            : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Write scenarios to storage
+ * @param {Array<Object>} scenarios - Scenarios to save
+ * @param {Storage} [storage] - Storage to write (default localStorage)
+ * @returns {Array<Object>|null} The scenarios written, or null if storage is unavailable or refused them
+ */
+function writeScenarios(scenarios, storage = getDefaultStorage()) {
+    if (!storage) return null;
+
+    try {
+        storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (error) {
+        // Over quota, or private browsing refusing writes
+        return null;
+    }
+    return scenarios;
+}
+
+/**
+ * Name for a scenario saved without one
+ * @param {Array<Object>} scenarios - Saved scenarios
+ * @returns {string} The first "Scenario N" not already saved
+ */
+function defaultScenarioName(scenarios) {
+    const taken = new Set(scenarios.map(scenario => scenario.name.toLowerCase()));
+    let number = 1;
+    while (taken.has(`scenario ${number}`)) number++;
+    return `Scenario ${number}`;
+}
+
+/**
+ * Save a named scenario
+ * A scenario with the same name (ignoring case) is replaced in place; an
+ * unnamed one gets the first unused "Scenario N".
+ *
+ * @param {Object} scenario - { name, inputs }
+ * @param {Storage} [storage] - Storage to write (default localStorage)
+ * @returns {Array<Object>|null} All saved scenarios, the new one last unless it replaced one,
+ *     or null if it could not be saved
+ */
+function saveScenario(scenario, storage = getDefaultStorage()) {
+    const scenarios = loadScenarios(storage);
+    const name = String(scenario.name || '').trim() || defaultScenarioName(scenarios);
+    const existing = scenarios.findIndex(saved => saved.name.toLowerCase() === name.toLowerCase());
+
+    const entry = {
+        id: existing >= 0 ? scenarios[existing].id : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        inputs: { ...scenario.inputs },
+        savedAt: new Date().toISOString()
+    };
+
+    if (existing >= 0) {
+        scenarios[existing] = entry;
+    } else {
+        scenarios.push(entry);
+    }
+
+    return writeScenarios(scenarios.slice(-MAX_SCENARIOS), storage);
+}
+
+/**
+ * Delete a saved scenario
+ * @param {string} id - Scenario ID
+ * @param {Storage} [storage] - Storage to write (default localStorage)
+ * @returns {Array<Object>|null} Remaining scenarios, or null if storage refused the change
+ */
+function deleteScenario(id, storage = getDefaultStorage()) {
+    return writeScenarios(loadScenarios(storage).filter(scenario => scenario.id !== id), storage);
+}
+
+/**
+ * Calculate and compare scenarios against the first one
+ *
+ * @param {Array<Object>} scenarios - Scenarios: [{ id, name, inputs }] (tipsPct as a percentage)
+ * @returns {Object} { scenarios: [{ id, name, inputs, results, errors }], metrics: [...] }
+ *     Each metric lists one value per scenario with its difference from the baseline
+ *     and a direction of 'better', 'worse' or 'same'.
+ */
+function compareScenarios(scenarios) {
+    const calculator = loadScenarioCalculator();
+
+    const calculated = scenarios.map(scenario => {
+        const params = {
+            ...scenario.inputs,
+            tipsPct: scenario.inputs.tipsPct / 100,
+            state: scenario.inputs.state || undefined,
+            city: scenario.inputs.city || undefined
+        };
+        const validation = calculator.validateInputs(params);
+
+        return {
+            id: scenario.id,
+            name: scenario.name,
+            inputs: scenario.inputs,
+            results: validation.isValid ? calculator.calculateFicaTipCredit(params) : null,
+            errors: validation.errors
+        };
+    });
+
+    const baseline = calculated[0];
+
+    const metrics = COMPARED_METRICS.map(metric => ({
+        ...metric,
+        values: calculated.map((scenario, index) => {
+            if (!scenario.results) {
+                return { value: null, difference: null, differencePct: null, direction: null };
+            }
+
+            const value = scenario.results[metric.field];
+            if (index === 0 || !baseline.results) {
+                return { value, difference: null, differencePct: null, direction: null };
+            }
+
+            const base = baseline.results[metric.field];
+            const difference = value - base;
+            const rounded = Math.round(difference * 100) / 100;
+            let direction = 'same';
+            if (rounded !== 0) {
+                direction = (difference > 0) === metric.higherIsBetter ? 'better' : 'worse';
+            }
+
+            return {
+                value,
+                difference,
+                differencePct: base !== 0 ? difference / base : null,
+                direction
+            };
+        })
+    }));
+
+    return {
+        scenarios: calculated,
+        metrics
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        COMPARED_METRICS,
+        MAX_SCENARIOS,
+        SCENARIO_STORAGE_KEY,
+        compareScenarios,
+        deleteScenario,
+        loadScenarios,
+        saveScenario
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.Scenarios = {
+        COMPARED_METRICS,
+        MAX_SCENARIOS,
+        SCENARIO_STORAGE_KEY,
+        compareScenarios,
+        deleteScenario,
+        loadScenarios,
+        saveScenario
+    };
+}
@@ -0,0 +1,258 @@
+/**
+ * Seasonality
+ *
+ * Seasonal restaurants (beach towns, ski resorts, snowbird markets) are busy
+ * for a few months and quiet or closed for the rest, so twelve average months
+ * over- or under-state their credit. This module builds 12-month profiles for
+ * calculateFicaTipCredit's `monthlyProfile` from common seasonal patterns,
+ * compares the seasonal estimate with the flat one, and lays out a monthly
+ * credit chart.
+ *
+ * Parameters use the engine's units: tipsPct is a decimal (0.60 = 60%).
+ */
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Seasonal patterns, January first
+ * Staff factors are rescaled to average 1 and hours factors so that the year's
+ * total staff hours match twelve average months; tip share factors are rescaled
+ * so the tip share averaged over those staff hours is the input's. The
+ * calculator's inputs stay the yearly averages.
+ */
+const SEASONAL_PRESETS = {
+    yearRound: {
+        label: 'Year-round (every month the same)',
+        servers: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+        hours: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+        tips: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
+    },
+    summerBeach: {
+        label: 'Summer beach or lake town (peak June-August)',
+        servers: [0.3, 0.3, 0.4, 0.6, 1.0, 1.6, 1.9, 1.9, 1.2, 0.6, 0.3, 0.3],
+        hours: [0.6, 0.6, 0.7, 0.8, 1.0, 1.2, 1.3, 1.3, 1.1, 0.8, 0.6, 0.6],
+        tips: [0.9, 0.9, 0.9, 0.95, 1, 1.05, 1.1, 1.1, 1, 0.95, 0.9, 0.9]
+    },
+    skiResort: {
+        label: 'Ski resort (peak December-March)',
+        servers: [1.9, 1.9, 1.7, 0.9, 0.3, 0.6, 0.8, 0.8, 0.5, 0.3, 0.7, 1.6],
+        hours: [1.3, 1.3, 1.2, 0.9, 0.6, 0.9, 1.0, 1.0, 0.8, 0.6, 0.9, 1.2],
+        tips: [1.1, 1.1, 1.05, 1, 0.9, 0.95, 1, 1, 0.95, 0.9, 1, 1.1]
+    },
+    winterSun: {
+        label: 'Winter sun / snowbird market (peak January-April)',
+        servers: [1.5, 1.6, 1.6, 1.3, 0.9, 0.6, 0.5, 0.5, 0.6, 0.8, 1.0, 1.3],
+        hours: [1.2, 1.2, 1.2, 1.1, 1.0, 0.8, 0.8, 0.8, 0.8, 0.9, 1.0, 1.1],
+        tips: [1.05, 1.05, 1.05, 1, 1, 0.95, 0.95, 0.95, 0.95, 1, 1, 1.05]
+    },
+    holidayPeak: {
+        label: 'Holiday peak (busy November-December)',
+        servers: [0.9, 0.85, 0.95, 1.0, 1.05, 1.0, 0.95, 0.95, 0.9, 1.0, 1.15, 1.4],
+        hours: [0.95, 0.9, 0.95, 1.0, 1.0, 1.0, 1.0, 1.0, 0.95, 1.0, 1.05, 1.2],
+        tips: [0.95, 0.95, 1, 1, 1, 1, 1, 1, 1, 1, 1.05, 1.1]
+    }
+};
+
+// Highest seasonal tip share (an average tip share above this is used for every month)
+const MAX_SEASONAL_TIPS_PCT = 0.95;
+
+/**
+ * Resolve the calculation engine in Node.js or the browser
+ * @returns {Object} FicaCalculator module
+ */
+function loadSeasonalityCalculator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-calculator.js');
+    }
+    return window.FicaCalculator;
+}
+
+/**
+ * Round values to whole numbers that add up to the rounded total (largest remainder)
+ * @param {number[]} values - Values to round
+ * @returns {number[]} Whole numbers; the ones with the largest fractions are rounded up
+ */
+function roundToTotal(values) {
+    const rounded = values.map(Math.floor);
+    const shortfall = Math.round(values.reduce((sum, value) => sum + value, 0)) - rounded.reduce((sum, value) => sum + value, 0);
+
+    values
+        .map((value, index) => ({ index, fraction: value - rounded[index] }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .slice(0, shortfall)
+        .forEach(({ index }) => {
+            rounded[index] += 1;
+        });
+    return rounded;
+}
+
+/**
+ * Spread a yearly total over the months, keeping every month at or under a cap
+ *
+ * The factors are scaled until the months' values times their weights add up
+ * to the total; a month that would go over the cap is held at the cap and the
+ * others are scaled up to make up the difference.
+ *
+ * @param {number} total - Weighted total to keep (the sum of value × weight)
+ * @param {number[]} factors - Factor for each month
+ * @param {number[]} weights - Weight of each month
+ * @param {number} cap - Highest value for one month
+ * @returns {number[]} Value for each month (unrounded)
+ */
+function spreadUnderCap(total, factors, weights, cap) {
+    const capped = factors.map(() => false);
+
+    // Capping a month leaves more for the others, which can push more months over the cap
+    for (;;) {
+        const left = total - cap * weights.reduce((sum, weight, index) => sum + (capped[index] ? weight : 0), 0);
+        const freeWeighted = factors.reduce((sum, factor, index) => sum + (capped[index] ? 0 : factor * weights[index]), 0);
+        const values = factors.map((factor, index) => {
+            if (capped[index]) return cap;
+            return freeWeighted > 0 ? left * factor / freeWeighted : 0;
+        });
+
+        const over = values.map((value, index) => !capped[index] && value > cap);
+        if (!over.includes(true)) return values;
+        over.forEach((isOver, index) => {
+            if (isOver) capped[index] = true;
+        });
+    }
+}
+
+/**
+ * Build a 12-month profile from a seasonal pattern
+ *
+ * Months stay within the calculator's limits: no month has more staff than
+ * validateInputs allows per location or more hours than a 31-day month. The
+ * other months take up what a capped month cannot, so the averages hold.
+ *
+ * @param {Object} params - calculateFicaTipCredit parameters; servers, hoursPerMonth and tipsPct are the yearly averages
+ *     (servers × hoursPerMonth × 12 is the year's staff hours)
+ * @param {string} presetId - Key of SEASONAL_PRESETS
+ * @returns {Array<Object>} 12 months of { servers, hoursPerMonth, tipsPct }, with whole staff and hours and
+ *     tip shares to 0.1%
+ */
+function buildSeasonalProfile(params, presetId) {
+    const preset = SEASONAL_PRESETS[presetId];
+    if (!preset) {
+        throw new Error(`Invalid input: unknown seasonal pattern ${presetId}; use one of ${Object.keys(SEASONAL_PRESETS).join(', ')}`);
+    }
+    const limits = loadSeasonalityCalculator().SOLVABLE_INPUTS;
+
+    // Whole staff that add up to twelve months of the average headcount
+    const servers = roundToTotal(spreadUnderCap(params.servers * 12, preset.servers, preset.servers.map(() => 1), limits.servers.max));
+
+    // Hours spread over the rounded staff, so the year's staff hours are kept
+    const hoursPerMonth = spreadUnderCap(params.hoursPerMonth * params.servers * 12, preset.hours, servers, limits.hoursPerMonth.max)
+        .map(Math.round);
+
+    // Tip shares stop short of 100%, where the engine's tip formula breaks down
+    const staffHours = servers.map((count, index) => count * hoursPerMonth[index]);
+    const tipsPct = spreadUnderCap(
+        params.tipsPct * staffHours.reduce((sum, hours) => sum + hours, 0),
+        preset.tips,
+        staffHours,
+        Math.max(MAX_SEASONAL_TIPS_PCT, params.tipsPct)
+    );
+
+    return MONTH_LABELS.map((label, index) => ({
+        servers: servers[index],
+        hoursPerMonth: hoursPerMonth[index],
+        tipsPct: Math.round(tipsPct[index] * 1000) / 1000
+    }));
+}
+
+/**
+ * Compare a seasonal estimate with twelve average months
+ *
+ * @param {Object} params - calculateFicaTipCredit parameters without a monthlyProfile
+ * @param {Array<Object>} monthlyProfile - 12 months of { servers, hoursPerMonth, tipsPct }
+ * @returns {Object} { seasonal, flat, difference, months, peakMonth }
+ *     seasonal and flat are calculateFicaTipCredit results; difference is seasonal minus flat total credit;
+ *     months is the seasonal monthlyBreakdown with labels; peakMonth is the month with the most credit
+ */
+function compareSeasonality(params, monthlyProfile) {
+    const calculator = loadSeasonalityCalculator();
+    const seasonal = calculator.calculateFicaTipCredit({ ...params, monthlyProfile });
+    const flat = calculator.calculateFicaTipCredit({ ...params, monthlyProfile: undefined });
+
+    const months = seasonal.monthlyBreakdown.map(month => ({ ...month, label: MONTH_LABELS[month.month - 1] }));
+    const peakMonth = months.reduce((peak, month) => (month.totalCredit > peak.totalCredit ? month : peak), months[0]);
+
+    return {
+        seasonal,
+        flat,
+        difference: seasonal.totalCredit - flat.totalCredit,
+        months,
+        peakMonth
+    };
+}
+
+/**
+ * Lay out monthly credit as a bar chart, for rendering as inline SVG
+ *
+ * @param {Array<Object>} months - monthlyBreakdown entries (totalCredit per month)
+ * @param {Object} [options] - { width, height, padding, reference: credit of an average flat month }
+ * @returns {Object} { width, height, padding, bars: [{ x, y, width, height, label, value }], yTicks, reference }
+ *     in SVG units; reference is null when not given
+ */
+function getMonthlyChartGeometry(months, options = {}) {
+    const { width = 640, height = 200, padding = { top: 12, right: 12, bottom: 28, left: 64 } } = options;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const values = months.map(month => month.totalCredit);
+    if (options.reference !== undefined) values.push(options.reference);
+    const maxCredit = Math.max(...values, 1);
+
+    const y = credit => padding.top + plotHeight - credit / maxCredit * plotHeight;
+    const slot = plotWidth / months.length;
+    const barWidth = slot * 0.7;
+
+    const bars = months.map((month, index) => ({
+        x: padding.left + slot * index + (slot - barWidth) / 2,
+        y: y(month.totalCredit),
+        width: barWidth,
+        height: padding.top + plotHeight - y(month.totalCredit),
+        label: MONTH_LABELS[month.month - 1],
+        value: month.totalCredit
+    }));
+
+    const tickCount = 4;
+    const yTicks = Array.from({ length: tickCount + 1 }, (_, i) => {
+        const credit = maxCredit * i / tickCount;
+        return { y: y(credit), value: credit };
+    });
+
+    return {
+        width,
+        height,
+        padding,
+        bars,
+        yTicks,
+        reference: options.reference !== undefined ? { y: y(options.reference) } : null
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        MONTH_LABELS,
+        SEASONAL_PRESETS,
+        buildSeasonalProfile,
+        compareSeasonality,
+        getMonthlyChartGeometry
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.Seasonality = {
+        MONTH_LABELS,
+        SEASONAL_PRESETS,
+        buildSeasonalProfile,
+        compareSeasonality,
+        getMonthlyChartGeometry
+    };
+}
@@ -0,0 +1,376 @@
+/**
+ * Sensitivity Analysis and Break-Even Points
+ *
+ * Sweeps one calculator input at a time (tip share, cash wage, hours, wage
+ * basis) and records the resulting credit, so clients can see which lever
+ * matters most. Also solves for break-even values, such as the tip share
+ * needed to reach a target credit (a generalization of serversFor100k).
+ *
+ * Parameters use the engine's units: tipsPct is a decimal (0.60 = 60%).
+ */
+
+/**
+ * Inputs that can be swept, with their labels, display format and default chart range
+ * Ranges are functions of the base value so the sweep always includes it; they
+ * are kept within the engine's SOLVABLE_INPUTS limits, and analyzeSensitivity
+ * widens them to show a break-even point that falls outside.
+ */
+const SENSITIVITY_INPUTS = {
+    tipsPct: {
+        label: 'Tips as % of Income',
+        format: 'percent',
+        range: () => [0, 0.9]
+    },
+    cashWagePerHour: {
+        label: 'Cash Wage ($/hr)',
+        format: 'currency',
+        range: base => [0, Math.max(15, Math.ceil(base * 2))]
+    },
+    hoursPerMonth: {
+        label: 'Hours per Month',
+        format: 'number',
+        range: base => [20, Math.max(260, Math.ceil(base * 1.5))]
+    },
+    minWageBasis: {
+        label: 'Wage Basis ($/hr)',
+        format: 'currency',
+        range: base => [0, Math.max(10, Math.ceil(base * 2))]
+    }
+};
+
+const DEFAULT_SWEEP_STEPS = 25;
+const DEFAULT_TARGET_CREDIT = 100000;
+
+// Relative change used to rank the inputs by impact
+const IMPACT_CHANGE = 0.10;
+
+/**
+ * Resolve the calculation engine in Node.js or the browser
+ * @returns {Object} FicaCalculator module
+ */
+function loadSensitivityCalculator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-calculator.js');
+    }
+    return window.FicaCalculator;
+}
+
+/**
+ * Get the value an input has in the base parameters
+ * @param {Object} params - calculateFicaTipCredit parameters
+ * @param {string} field - One of SENSITIVITY_INPUTS
+ * @returns {number} Base value (the wage basis defaults to $5.15)
+ */
+function getBaseValue(params, field) {
+    if (field === 'minWageBasis' && params.minWageBasis === undefined) {
+        return 5.15;
+    }
+    return params[field];
+}
+
+/**
+ * Get the default chart range of an input, within the engine's limits
+ * @param {Object} params - Base calculateFicaTipCredit parameters
+ * @param {string} field - One of SENSITIVITY_INPUTS
+ * @returns {number[]} [min, max]
+ */
+function getSweepRange(params, field) {
+    const limits = loadSensitivityCalculator().SOLVABLE_INPUTS[field];
+    const [min, max] = SENSITIVITY_INPUTS[field].range(getBaseValue(params, field));
+    return [Math.max(min, limits.min), Math.min(max, limits.max)];
+}
+
+/**
+ * Calculate the credit with one input changed
+ * @param {Object} params - Base calculateFicaTipCredit parameters
+ * @param {string} field - Input to change
+ * @param {number} value - New value
+ * @returns {Object|null} calculateFicaTipCredit result, or null if the value is invalid
+ */
+function calculateWith(params, field, value) {
+    const calculator = loadSensitivityCalculator();
+    const changed = { ...params, [field]: value };
+
+    if (!calculator.validateInputs(changed).isValid) {
+        return null;
+    }
+    return calculator.calculateFicaTipCredit(changed);
+}
+
+/**
+ * Sweep one input over a range and record the resulting credit
+ *
+ * @param {Object} params - Base calculateFicaTipCredit parameters
+ * @param {string} field - One of SENSITIVITY_INPUTS
+ * @param {Object} [options] - Sweep options
+ * @param {number} [options.min] - Start of the range (default from SENSITIVITY_INPUTS)
+ * @param {number} [options.max] - End of the range (default from SENSITIVITY_INPUTS)
+ * @param {number} [options.steps] - Number of points (default 25)
+ * @returns {Object} { field, label, format, baseValue, baseCredit, points: [{ value, totalCredit, creditableTips, nonCreditableTips }] }
+ *     Values that fail validation are left out of points.
+ */
+function sweepInput(params, field, options = {}) {
+    const input = SENSITIVITY_INPUTS[field];
+    if (!input) {
+        throw new Error(`Invalid input: ${field} cannot be swept; use one of ${Object.keys(SENSITIVITY_INPUTS).join(', ')}`);
+    }
+
+    const baseValue = getBaseValue(params, field);
+    const [defaultMin, defaultMax] = getSweepRange(params, field);
+    const min = options.min !== undefined ? options.min : defaultMin;
+    const max = options.max !== undefined ? options.max : defaultMax;
+    const steps = options.steps || DEFAULT_SWEEP_STEPS;
+
+    if (!(max > min) || steps < 2) {
+        throw new Error('Invalid input: the sweep needs max greater than min and at least 2 steps');
+    }
+
+    const points = [];
+    for (let step = 0; step < steps; step++) {
+        const value = min + (max - min) * step / (steps - 1);
+        const result = calculateWith(params, field, value);
+        if (!result) continue;
+
+        points.push({
+            value,
+            totalCredit: result.totalCredit,
+            creditableTips: result.creditableTips,
+            nonCreditableTips: result.nonCreditableTips
+        });
+    }
+
+    const base = calculateWith(params, field, baseValue);
+
+    return {
+        field,
+        label: input.label,
+        format: input.format,
+        min,
+        max,
+        baseValue,
+        baseCredit: base ? base.totalCredit : null,
+        points
+    };
+}
+
+/**
+ * Find the input value at which the credit reaches a target
+ *
+ * Uses the engine's solveForTarget, so the break-even point agrees with the
+ * target credit box and is searched over the SOLVABLE_INPUTS limits.
+ *
+ * @param {Object} params - Base calculateFicaTipCredit parameters
+ * @param {string} field - One of SENSITIVITY_INPUTS
+ * @param {number} targetCredit - Total credit to reach
+ * @param {Object} [options] - { min, max } to accept only a value in that range
+ * @returns {number|null} Input value that reaches the target, or null if it is unreachable (in the range)
+ */
+function findBreakEven(params, field, targetCredit, options = {}) {
+    if (!SENSITIVITY_INPUTS[field]) {
+        throw new Error(`Invalid input: ${field} cannot be swept; use one of ${Object.keys(SENSITIVITY_INPUTS).join(', ')}`);
+    }
+
+    const solution = loadSensitivityCalculator().solveForTarget(params, field, targetCredit);
+    if (!solution.reachable) return null;
+    if (options.min !== undefined && solution.value < options.min) return null;
+    if (options.max !== undefined && solution.value > options.max) return null;
+    return solution.value;
+}
+
+/**
+ * Rank the inputs by how much a 10% change moves the credit
+ * @param {Object} params - Base calculateFicaTipCredit parameters
+ * @returns {Array<Object>} [{ field, label, baseValue, changedValue, creditChange }], largest change first
+ */
+function rankInputImpact(params) {
+    const calculator = loadSensitivityCalculator();
+    const baseCredit = calculator.calculateFicaTipCredit(params).totalCredit;
+
+    return Object.keys(SENSITIVITY_INPUTS)
+        .map(field => {
+            const baseValue = getBaseValue(params, field);
+            const changedValue = baseValue * (1 + IMPACT_CHANGE);
+            const result = calculateWith(params, field, changedValue);
+
+            return {
+                field,
+                label: SENSITIVITY_INPUTS[field].label,
+                baseValue,
+                changedValue,
+                creditChange: result ? result.totalCredit - baseCredit : null
+            };
+        })
+        .sort((a, b) => Math.abs(b.creditChange || 0) - Math.abs(a.creditChange || 0));
+}
+
+/**
+ * Run the full sensitivity analysis
+ *
+ * @param {Object} params - calculateFicaTipCredit parameters (tipsPct as a decimal)
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.targetCredit] - Total credit for the break-even points (default $100,000)
+ * @param {number} [options.steps] - Points per sweep (default 25)
+ * @param {string[]} [options.fields] - Inputs to sweep (default all SENSITIVITY_INPUTS)
+ *
+ * @returns {Object} Analysis
+ * @returns {Object} base - calculateFicaTipCredit result for the base parameters
+ * @returns {Array<Object>} series - sweepInput result per input, each with `targetValue`
+ *     (the value that reaches targetCredit, or null if unreachable)
+ * @returns {Object} breakEvens - cashWageForFullCredit (cash wage at which nonCreditableTips
+ *     reaches zero) and tipsPctForTarget (tip share needed to reach targetCredit, or null)
+ * @returns {Array<Object>} impact - Inputs ranked by the credit change from a 10% increase
+ */
+function analyzeSensitivity(params, options = {}) {
+    const calculator = loadSensitivityCalculator();
+    const validation = calculator.validateInputs(params);
+    if (!validation.isValid) {
+        throw new Error(`Invalid input: ${validation.errors.join('; ')}`);
+    }
+
+    const targetCredit = options.targetCredit || DEFAULT_TARGET_CREDIT;
+    const fields = options.fields || Object.keys(SENSITIVITY_INPUTS);
+    const base = calculator.calculateFicaTipCredit(params);
+
+    // Each chart is widened to show its break-even point
+    const series = fields.map(field => {
+        const targetValue = findBreakEven(params, field, targetCredit);
+        const [min, max] = getSweepRange(params, field);
+        return {
+            ...sweepInput(params, field, {
+                steps: options.steps,
+                min: targetValue !== null ? Math.min(min, targetValue) : min,
+                max: targetValue !== null ? Math.max(max, targetValue) : max
+            }),
+            targetValue
+        };
+    });
+
+    // Tips stop being used to reach the wage basis once the cash wage covers it in every year
+    const cashWageForFullCredit = Math.max(...base.yearlyBreakdown.map(year => year.wageBasis));
+
+    return {
+        base,
+        targetCredit,
+        series,
+        breakEvens: {
+            cashWageForFullCredit,
+            tipsPctForTarget: findBreakEven(params, 'tipsPct', targetCredit)
+        },
+        impact: rankInputImpact(params)
+    };
+}
+
+/**
+ * Lay out a sweep as chart coordinates, for rendering as inline SVG
+ *
+ * @param {Object} series - sweepInput or analyzeSensitivity series entry
+ * @param {Object} [options] - { width, height, padding, targetCredit }
+ * @returns {Object} { width, height, path, xTicks, yTicks, base, target, targetValue } in SVG units.
+ *     base, target and targetValue are null when they fall outside the chart.
+ */
+function getChartGeometry(series, options = {}) {
+    const { width = 320, height = 180, padding = { top: 12, right: 12, bottom: 28, left: 64 } } = options;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const values = series.points.map(point => point.totalCredit);
+    if (options.targetCredit !== undefined) values.push(options.targetCredit);
+    const maxCredit = Math.max(...values, 1);
+
+    const x = value => padding.left + (value - series.min) / (series.max - series.min) * plotWidth;
+    const y = credit => padding.top + plotHeight - credit / maxCredit * plotHeight;
+    const inRange = value => value !== null && value >= series.min && value <= series.max;
+
+    const path = series.points
+        .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.value).toFixed(1)},${y(point.totalCredit).toFixed(1)}`)
+        .join(' ');
+
+    const tickCount = 4;
+    const xTicks = Array.from({ length: tickCount + 1 }, (_, i) => {
+        const value = series.min + (series.max - series.min) * i / tickCount;
+        return { x: x(value), value };
+    });
+    const yTicks = Array.from({ length: tickCount + 1 }, (_, i) => {
+        const credit = maxCredit * i / tickCount;
+        return { y: y(credit), value: credit };
+    });
+
+    return {
+        width,
+        height,
+        padding,
+        path,
+        xTicks,
+        yTicks,
+        base: inRange(series.baseValue) && series.baseCredit !== null
+            ? { x: x(series.baseValue), y: y(series.baseCredit) }
+            : null,
+        target: options.targetCredit !== undefined ? { y: y(options.targetCredit) } : null,
+        targetValue: series.targetValue !== undefined && inRange(series.targetValue)
+            ? { x: x(series.targetValue) }
+            : null
+    };
+}
+
+/**
+ * Format a swept input value for axis labels
+ * @param {string} format - 'percent', 'currency' or 'number'
+ * @param {number} value - Input value
+ * @param {Object} [translator] - i18n createTranslator result for the page language (default US English)
+ * @returns {string} Formatted value
+ */
+function formatInputValue(format, value, translator = loadSensitivityCalculator()) {
+    if (format === 'percent') {
+        const percent = Number((value * 100).toFixed(1));
+        return `${translator.formatNumber(percent, Number.isInteger(percent) ? 0 : 1)}%`;
+    }
+    if (format === 'currency') {
+        return translator.formatCurrency(value);
+    }
+    return translator.formatNumber(value);
+}
+
+/**
+ * Format a credit amount compactly for chart axes
+ * @param {number} value - Credit amount
+ * @param {Object} [translator] - i18n createTranslator result for the page language (default US English)
+ * @returns {string} Formatted amount (e.g., "$57k", "$1.2M")
+ */
+function formatAxisCredit(value, translator = loadSensitivityCalculator()) {
+    if (value >= 1000000) {
+        return `${translator.formatCurrency(value / 1000000, 1)}M`;
+    }
+    if (value >= 1000) {
+        return `${translator.formatCurrency(value / 1000, 0)}k`;
+    }
+    return translator.formatCurrency(value, 0);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        SENSITIVITY_INPUTS,
+        analyzeSensitivity,
+        findBreakEven,
+        formatAxisCredit,
+        formatInputValue,
+        getChartGeometry,
+        rankInputImpact,
+        sweepInput
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.Sensitivity = {
+        SENSITIVITY_INPUTS,
+        analyzeSensitivity,
+        findBreakEven,
+        formatAxisCredit,
+        formatInputValue,
+        getChartGeometry,
+        rankInputImpact,
+        sweepInput
+    };
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Local Development Server
+ *
+ * Serves the static site and the serverless functions in api/ with plain
+ * Node.js, the way Vercel does in production (including cleanUrls, so
+ * /calculator serves calculator.html). Use it to try the API locally:
+ *
+ *   node server.js            # http://localhost:3000
+ *   PORT=8080 node server.js
+ *
+ *   curl -X POST http://localhost:3000/api/estimate \
+ *        -H 'Content-Type: application/json' \
+ *        -d '{"servers": 10, "hoursPerMonth": 173, "cashWagePerHour": 8, "tipsPct": 0.6}'
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = __dirname;
+const DEFAULT_PORT = 3000;
+
+// Only these file types are served as static files
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+/**
+ * Find the serverless function for an /api/ path
+ * @param {string} pathname - URL path
+ * @returns {Function|null} Handler, or null if there is none
+ */
+function findApiHandler(pathname) {
+    const match = /^\/api\/([a-z0-9-]+)$/.exec(pathname);
+    if (!match) return null;
+
+    const file = path.join(ROOT, 'api', `${match[1]}.js`);
+    return fs.existsSync(file) ? require(file) : null;
+}
+
+/**
+ * Resolve a URL path to a static file, applying cleanUrls
+ * @param {string} pathname - URL path
+ * @returns {string|null} File path inside the site root, or null if not found
+ */
+function findStaticFile(pathname) {
+    const relative = decodeURIComponent(pathname).replace(/\/+$/, '') || '/index';
+    const candidates = path.extname(relative) ? [relative] : [`${relative}.html`, `${relative}/index.html`];
+
+    for (const candidate of candidates) {
+        const file = path.join(ROOT, candidate);
+        const inRoot = file.startsWith(ROOT + path.sep);
+        const servable = CONTENT_TYPES[path.extname(file)]
+            && !candidate.startsWith('/api/')
+            && !candidate.split('/').some(part => part.startsWith('.'));
+        if (inRoot && servable && fs.existsSync(file) && fs.statSync(file).isFile()) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * Handle one request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    const apiHandler = findApiHandler(pathname);
+    if (apiHandler) {
+        await apiHandler(req, res);
+        return;
+    }
+
+    let file = null;
+    try {
+        file = findStaticFile(pathname);
+    } catch (error) {
+        // Malformed percent-encoding falls through to 404
+    }
+
+    if (!file || (req.method !== 'GET' && req.method !== 'HEAD')) {
+        res.statusCode = file ? 405 : 404;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.end(file ? 'Method Not Allowed' : 'Not Found');
+        return;
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)]);
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Start the server
+ * @param {number} [port] - Port to listen on (default PORT or 3000)
+ * @returns {http.Server} Listening server
+ */
+function startServer(port = Number(process.env.PORT) || DEFAULT_PORT) {
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error('Request failed:', error);
+            if (!res.headersSent) res.statusCode = 500;
+            res.end();
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`Serving ${ROOT} at http://localhost:${server.address().port}`);
+    });
+    return server;
+}
+
+module.exports = { startServer };
+
+if (require.main === module) {
+    startServer();
+}
@@ -0,0 +1,213 @@
+/**
+ * Shareable Calculator Links
+ *
+ * Serializes calculator inputs (and an optional scenario name) into a URL query
+ * string, and restores them on load with validation. Values use the calculator
+ * form's units: tipsPct is a percentage (60 = 60%).
+ *
+ * Example: calculator.html?loc=1&srv=10&hrs=173&wage=8&tips=60&basis=5.15&name=Main%20St
+ */
+
+/**
+ * URL parameter for each input field
+ */
+const SHARE_PARAMS = {
+    locations: 'loc',
+    servers: 'srv',
+    hoursPerMonth: 'hrs',
+    cashWagePerHour: 'wage',
+    tipsPct: 'tips',
+    minWageBasis: 'basis',
+    state: 'st',
+    city: 'city'
+};
+
+// Fields stored as text instead of numbers
+const TEXT_FIELDS = ['state', 'city'];
+
+const SCENARIO_PARAM = 'name';
+
+// Longest scenario name kept from a link
+const MAX_SCENARIO_NAME_LENGTH = 80;
+
+/**
+ * Resolve the calculation engine in Node.js or the browser
+ * @returns {Object} FicaCalculator module
+ */
+function loadShareCalculator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-calculator.js');
+    }
+    return window.FicaCalculator;
+}
+
+/**
+ * Convert form inputs to validateInputs parameters
+ * @param {Object} inputs - Form inputs (tipsPct as a percentage)
+ * @returns {Object} Engine parameters (tipsPct as a decimal)
+ */
+function toEngineParams(inputs) {
+    return {
+        ...inputs,
+        tipsPct: inputs.tipsPct / 100,
+        state: inputs.state || undefined,
+        city: inputs.city || undefined
+    };
+}
+
+/**
+ * Serialize calculator inputs into a query string
+ *
+ * @param {Object} inputs - Form inputs (tipsPct as a percentage)
+ * @param {string} [scenarioName] - Optional scenario name
+ * @returns {string} Query string without the leading "?"
+ */
+function serializeState(inputs, scenarioName) {
+    const params = new URLSearchParams();
+
+    Object.keys(SHARE_PARAMS).forEach(field => {
+        const value = inputs[field];
+        if (value === undefined || value === null || value === '') return;
+        // A blank or overflowing number field is left out rather than shared as "NaN"
+        if (typeof value === 'number' && !Number.isFinite(value)) return;
+        params.set(SHARE_PARAMS[field], String(value));
+    });
+
+    if (scenarioName) {
+        params.set(SCENARIO_PARAM, scenarioName.slice(0, MAX_SCENARIO_NAME_LENGTH));
+    }
+
+    return params.toString();
+}
+
+/**
+ * Restore calculator inputs from a query string or hash
+ *
+ * Each value is checked on its own against the defaults, so one bad value is
+ * dropped (and reported) without discarding the rest of the link.
+ *
+ * @param {string} search - location.search or location.hash (leading "?" or "#" is ignored)
+ * @param {Object} defaults - Form defaults (tipsPct as a percentage)
+ * @returns {Object} { inputs, scenarioName, errors, ignored, restored } - ignored is [{ field, value }] for each
+ *     value left at its default; restored is false when the link had no calculator values
+ */
+function parseState(search, defaults) {
+    const params = new URLSearchParams(String(search || '').replace(/^[?#]/, ''));
+    const calculator = loadShareCalculator();
+    const inputs = { ...defaults };
+    const errors = [];
+    const ignored = [];
+    let restored = false;
+
+    Object.keys(SHARE_PARAMS).forEach(field => {
+        const raw = params.get(SHARE_PARAMS[field]);
+        if (raw === null) return;
+
+        const value = TEXT_FIELDS.includes(field) ? raw.trim() : Number(raw);
+        if (!TEXT_FIELDS.includes(field) && (raw.trim() === '' || !Number.isFinite(value))) {
+            errors.push(`Ignored ${SHARE_PARAMS[field]}="${raw}": not a number`);
+            ignored.push({ field, value: raw });
+            return;
+        }
+
+        const candidate = { ...inputs, [field]: value };
+        const validation = calculator.validateInputs(toEngineParams(candidate));
+        if (!validation.isValid) {
+            errors.push(`Ignored ${SHARE_PARAMS[field]}="${raw}": ${validation.errors.join('; ')}`);
+            ignored.push({ field, value: raw });
+            return;
+        }
+
+        inputs[field] = value;
+        restored = true;
+    });
+
+    // A city only makes sense with the state it belongs to
+    if (inputs.city && !inputs.state) {
+        errors.push(`Ignored city="${inputs.city}": no state given`);
+        ignored.push({ field: 'city', value: inputs.city });
+        inputs.city = defaults.city;
+    }
+
+    const name = params.get(SCENARIO_PARAM);
+
+    return {
+        inputs,
+        scenarioName: name ? name.trim().slice(0, MAX_SCENARIO_NAME_LENGTH) : '',
+        errors,
+        ignored,
+        restored
+    };
+}
+
+/**
+ * Build a full shareable URL for the current inputs
+ *
+ * @param {string} baseUrl - Page URL (any existing query string or hash is replaced)
+ * @param {Object} inputs - Form inputs (tipsPct as a percentage)
+ * @param {string} [scenarioName] - Optional scenario name
+ * @returns {string} URL with the inputs in its query string
+ */
+function buildShareUrl(baseUrl, inputs, scenarioName) {
+    const base = String(baseUrl).split(/[?#]/)[0];
+    const query = serializeState(inputs, scenarioName);
+    return query ? `${base}?${query}` : base;
+}
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if the text was copied
+ */
+async function copyToClipboard(text) {
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // Fall through to the textarea fallback (e.g., insecure context)
+        }
+    }
+
+    if (typeof document === 'undefined') return false;
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'absolute';
+    textarea.style.left = '-9999px';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (error) {
+        copied = false;
+    }
+    document.body.removeChild(textarea);
+    return copied;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        SHARE_PARAMS,
+        buildShareUrl,
+        copyToClipboard,
+        parseState,
+        serializeState
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.ShareLink = {
+        SHARE_PARAMS,
+        buildShareUrl,
+        copyToClipboard,
+        parseState,
+        serializeState
+    };
+}
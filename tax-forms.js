@@ -0,0 +1,294 @@
+/**
+ * Form 941 / Form 8027 Credit Estimates
+ *
+ * Builds Section 45B credit estimates from the line items on the forms clients
+ * already file, and reconciles the tips reported on each form.
+ */
+
+/**
+ * Form 941 (Employer's Quarterly Federal Tax Return) line items, one per quarter
+ *
+ * quarter                  - 1-4
+ * wagesTipsCompensation    - Line 2: wages, tips and other compensation
+ * socialSecurityWages      - Line 5a: taxable Social Security wages
+ * socialSecurityTips       - Line 5b: taxable Social Security tips
+ * medicareWagesTips        - Line 5c: taxable Medicare wages and tips
+ * tippedEmployeeCashWages  - Cash wages paid to tipped employees (from payroll, optional)
+ * tippedEmployeeHours      - Hours worked by tipped employees (from payroll, optional)
+ *
+ * Form 8027 (Employer's Annual Information Return of Tip Income and Allocated Tips)
+ *
+ * chargedTips              - Line 1: total charged tips
+ * chargeReceipts           - Line 2: total charge receipts showing charged tips
+ * reportedTips             - Line 4c: total tips reported by employees
+ * grossReceipts            - Line 5: gross receipts from food or beverage operations
+ * allocatedTips            - Line 7: allocated tips
+ * quarters                 - Optional quarterly detail behind the annual return:
+ *                            [{ quarter, grossReceipts, chargedTips, reportedTips }]
+ */
+
+// Reported tips below this share of gross receipts trigger tip allocation
+const TIP_ALLOCATION_RATE = 0.08;
+
+// Differences up to this many dollars are treated as rounding
+const DEFAULT_RECONCILIATION_TOLERANCE = 1;
+
+/**
+ * Resolve the rate table module in Node.js or the browser
+ * @returns {Object} FicaRateTables module
+ */
+function loadFormRateTables() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-rate-tables.js');
+    }
+    return window.FicaRateTables;
+}
+
+/**
+ * Validate one tax year of form data
+ * @param {Object} filing - { taxYear, form941: [...], form8027: {...} }
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateFormData(filing) {
+    const errors = [];
+
+    if (!filing || !loadFormRateTables().isSupportedTaxYear(filing.taxYear)) {
+        errors.push(`Tax year ${filing && filing.taxYear} is not supported`);
+        return { isValid: false, errors };
+    }
+
+    const label = `${filing.taxYear}`;
+
+    if (!Array.isArray(filing.form941) || filing.form941.length === 0) {
+        errors.push(`${label}: at least one Form 941 quarter is required`);
+    } else {
+        const seen = new Set();
+        filing.form941.forEach(quarter => {
+            if (![1, 2, 3, 4].includes(quarter.quarter)) {
+                errors.push(`${label}: Form 941 quarter must be 1-4`);
+                return;
+            }
+
+            if (seen.has(quarter.quarter)) {
+                errors.push(`${label} Q${quarter.quarter}: Form 941 quarter is listed twice`);
+            }
+            seen.add(quarter.quarter);
+
+            ['wagesTipsCompensation', 'socialSecurityWages', 'socialSecurityTips', 'medicareWagesTips']
+                .filter(field => !(quarter[field] >= 0))
+                .forEach(field => errors.push(`${label} Q${quarter.quarter}: Form 941 ${field} must be at least 0`));
+
+            if ((quarter.tippedEmployeeHours === undefined) !== (quarter.tippedEmployeeCashWages === undefined)) {
+                errors.push(`${label} Q${quarter.quarter}: tipped employee hours and cash wages must be given together`);
+            }
+        });
+    }
+
+    if (filing.form8027) {
+        ['chargedTips', 'chargeReceipts', 'reportedTips', 'grossReceipts']
+            .filter(field => !(filing.form8027[field] >= 0))
+            .forEach(field => errors.push(`${label}: Form 8027 ${field} must be at least 0`));
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Get the tips a Form 941 quarter paid Medicare tax on
+ *
+ * Line 5c (Medicare wages and tips) has no wage base, so the part of it above
+ * line 5a (Social Security wages) is all tips, including those above the
+ * Social Security wage base that line 5b leaves out. Wages above the wage
+ * base would also land here; tipped staff rarely earn them.
+ *
+ * @param {Object} quarter - Form 941 quarter
+ * @returns {number} Tips subject to Medicare tax
+ */
+function getMedicareTips(quarter) {
+    return Math.max(quarter.socialSecurityTips, quarter.medicareWagesTips - quarter.socialSecurityWages);
+}
+
+/**
+ * Estimate the credit for each quarter of one tax year
+ *
+ * Tips up to the Social Security wage base (Form 941 line 5b) earn the full
+ * employer FICA rate; tips above it (the rest of line 5c) earn the Medicare
+ * rate only. Without tipped employee hours and cash wages the quarter assumes
+ * cash wages met the Section 45B wage basis.
+ *
+ * @param {Object} filing - One tax year of form data
+ * @param {number} [minWageBasis] - Overrides the year's wage basis when supplied
+ * @returns {Object} Year estimate with per-quarter credits
+ */
+function estimateYearFromForms(filing, minWageBasis) {
+    const rules = loadFormRateTables().getRateTable(filing.taxYear);
+    const wageBasis = minWageBasis !== undefined ? minWageBasis : rules.wageBasis;
+
+    const quarters = [...filing.form941]
+        .sort((a, b) => a.quarter - b.quarter)
+        .map(quarter => {
+            const reportedTips = getMedicareTips(quarter);
+            const assumptions = [];
+
+            let nonCreditableTips = 0;
+            if (quarter.tippedEmployeeHours !== undefined) {
+                nonCreditableTips = Math.max(0, wageBasis * quarter.tippedEmployeeHours - quarter.tippedEmployeeCashWages);
+            } else {
+                assumptions.push('Tipped employee hours not given; assumed cash wages met the wage basis');
+            }
+
+            // Tips that only make up the wage basis are used up first
+            const creditableTips = Math.max(0, reportedTips - nonCreditableTips);
+            const socialSecurityCreditableTips = Math.min(creditableTips, Math.max(0, quarter.socialSecurityTips - nonCreditableTips));
+
+            return {
+                quarter: quarter.quarter,
+                reportedTips,
+                tipsAboveWageBase: reportedTips - quarter.socialSecurityTips,
+                nonCreditableTips,
+                creditableTips,
+                credit: socialSecurityCreditableTips * rules.socialSecurityRate + creditableTips * rules.medicareRate,
+                assumptions
+            };
+        });
+
+    return {
+        taxYear: filing.taxYear,
+        wageBasis,
+        creditRate: rules.creditRate,
+        quarters,
+        annualCredit: quarters.reduce((sum, quarter) => sum + quarter.credit, 0)
+    };
+}
+
+/**
+ * Reconcile the tips reported on Form 941 and Form 8027 for one tax year
+ *
+ * Form 8027 tips have no wage base, so they are compared with the Medicare
+ * tips on Form 941 (line 5c less line 5a), not the capped line 5b.
+ * Quarters are compared when the 8027 carries quarterly detail; otherwise the
+ * annual totals are compared and each quarter is marked unverified.
+ *
+ * @param {Object} filing - One tax year of form data
+ * @param {number} tolerance - Dollar difference treated as a match
+ * @returns {Array<Object>} Reconciliation lines (quarter is null for the annual line)
+ */
+function reconcileYear(filing, tolerance) {
+    const lines = [];
+    const form8027 = filing.form8027;
+
+    const compare = (quarter, form941Tips, form8027Tips, grossReceipts) => {
+        const messages = [];
+        let status = 'match';
+
+        if (form8027Tips === undefined) {
+            status = 'unverified';
+            messages.push('No Form 8027 tips to compare');
+        } else if (Math.abs(form941Tips - form8027Tips) > tolerance) {
+            status = 'mismatch';
+            messages.push(form941Tips > form8027Tips
+                ? 'Form 941 reports more tips than Form 8027'
+                : 'Form 8027 reports more tips than Form 941');
+        }
+
+        if (grossReceipts > 0 && form8027Tips !== undefined && form8027Tips < grossReceipts * TIP_ALLOCATION_RATE) {
+            messages.push('Reported tips are below 8% of gross receipts; tips may be allocated');
+        }
+
+        lines.push({
+            taxYear: filing.taxYear,
+            quarter,
+            form941Tips,
+            form8027Tips: form8027Tips === undefined ? null : form8027Tips,
+            difference: form8027Tips === undefined ? null : form941Tips - form8027Tips,
+            status,
+            messages
+        });
+    };
+
+    const quarterly8027 = form8027 && Array.isArray(form8027.quarters) ? form8027.quarters : [];
+
+    [...filing.form941]
+        .sort((a, b) => a.quarter - b.quarter)
+        .forEach(quarter => {
+            const detail = quarterly8027.find(entry => entry.quarter === quarter.quarter);
+            compare(
+                quarter.quarter,
+                getMedicareTips(quarter),
+                detail ? detail.reportedTips : undefined,
+                detail ? detail.grossReceipts : 0
+            );
+        });
+
+    if (form8027) {
+        const annual941Tips = filing.form941.reduce((sum, quarter) => sum + getMedicareTips(quarter), 0);
+        compare(null, annual941Tips, form8027.reportedTips, form8027.grossReceipts);
+
+        if (filing.form941.length < 4) {
+            lines[lines.length - 1].messages.push('Fewer than four Form 941 quarters were given');
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Estimate the credit from Form 941 and Form 8027 data
+ *
+ * @param {Array<Object>} filings - One entry per tax year: { taxYear, form941: [...], form8027: {...} }
+ * @param {Object} [options] - Estimate options
+ * @param {number} [options.minWageBasis] - Overrides each year's wage basis
+ * @param {number} [options.tolerance] - Dollar difference treated as a match (default $1)
+ * @returns {Object} Per-year and per-quarter credits, reconciliation lines and the total credit
+ */
+function estimateCreditFromForms(filings, options = {}) {
+    const {
+        minWageBasis,
+        tolerance = DEFAULT_RECONCILIATION_TOLERANCE
+    } = options;
+
+    const errors = [];
+    filings.forEach(filing => errors.push(...validateFormData(filing).errors));
+    if (new Set(filings.map(filing => filing.taxYear)).size !== filings.length) {
+        errors.push('Each tax year may only be listed once');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid input: ${errors.join('; ')}`);
+    }
+
+    const sorted = [...filings].sort((a, b) => a.taxYear - b.taxYear);
+    const years = sorted.map(filing => estimateYearFromForms(filing, minWageBasis));
+    const reconciliation = sorted.flatMap(filing => reconcileYear(filing, tolerance));
+
+    return {
+        years,
+        reconciliation,
+        mismatches: reconciliation.filter(line => line.status === 'mismatch'),
+        totalCredit: years.reduce((sum, year) => sum + year.annualCredit, 0)
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        TIP_ALLOCATION_RATE,
+        estimateCreditFromForms,
+        reconcileYear,
+        validateFormData
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.TaxForms = {
+        TIP_ALLOCATION_RATE,
+        estimateCreditFromForms,
+        reconcileYear,
+        validateFormData
+    };
+}
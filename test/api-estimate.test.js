@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const handler = require('../api/estimate.js');
+
+const VALID = { servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6 };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/estimate`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const post = async (body, headers = { 'Content-Type': 'application/json' }) => {
+    const response = await fetch(baseUrl, {
+        method: 'POST',
+        headers,
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('a valid request returns the inputs, warnings and results', async () => {
+    const { status, body } = await post({ ...VALID, locations: 2, state: 'TX' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.inputs, { ...VALID, locations: 2, state: 'TX' });
+    assert.deepEqual(body.warnings, []);
+    assert.equal(Math.round(body.results.totalCredit * 100) / 100, 114346.08);
+});
+
+test('state names from Object.prototype are not states', async () => {
+    for (const state of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+        const { status, body } = await post({ ...VALID, state });
+
+        assert.equal(status, 422, state);
+        assert.deepEqual(body.error.details, [{ field: 'state', code: 'unknown', message: `Unknown state "${state}"` }]);
+    }
+});
+
+test('a city needs its state', async () => {
+    const { status, body } = await post({ ...VALID, city: 'Seattle' });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, [{ field: 'city', code: 'noState', message: 'Choose the state for Seattle' }]);
+});
+
+test('servers and locations have a maximum', async () => {
+    const { status, body } = await post({ ...VALID, servers: 1e308, locations: 10001 });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, [
+        { field: 'locations', code: 'max', message: 'Number of locations cannot be more than 10,000' },
+        { field: 'servers', code: 'max', message: 'Number of servers cannot be more than 10,000' }
+    ]);
+});
+
+test('tax year errors name the taxYears field', async () => {
+    const { status, body } = await post({ ...VALID, taxYears: [1999, 1999] });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, [
+        { field: 'taxYears', code: 'taxYearUnsupported', message: 'Tax year 1999 is not supported' },
+        { field: 'taxYears', code: 'taxYearUnsupported', message: 'Tax year 1999 is not supported' },
+        { field: 'taxYears', code: 'taxYearsRepeat', message: 'Tax years must not repeat' }
+    ]);
+});
+
+test('out-of-range values name their field', async () => {
+    const { status, body } = await post({ ...VALID, tipsPct: 1 });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error, {
+        code: 'validation_failed',
+        message: 'Estimate parameters are out of range',
+        details: [{ field: 'tipsPct', code: 'range', message: 'Tips percentage must be at least 0% and less than 100%' }]
+    });
+});
+
+test('the request shape is checked before the values', async () => {
+    const { status, body } = await post({ servers: '10', hoursPerMonth: 173, tipsPct: 0.6, extra: true });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, [
+        { field: 'extra', message: 'Unknown field' },
+        { field: 'servers', message: 'Must be a finite number' },
+        { field: 'cashWagePerHour', message: 'Required' }
+    ]);
+});
+
+test('bad JSON, content types and methods get their own status codes', async () => {
+    assert.equal((await post('{"servers":')).status, 400);
+    assert.equal((await post(VALID, { 'Content-Type': 'text/plain' })).status, 415);
+    assert.equal((await post('x'.repeat(11 * 1024))).status, 413);
+
+    const response = await fetch(baseUrl);
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'POST, OPTIONS');
+});
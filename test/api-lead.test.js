@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const handler = require('../api/lead.js');
+const { REGISTRATION_URL } = require('../lead-capture.js');
+
+// Local stand-in for the CRM webhook: records each lead and answers with the next queued status
+const webhook = { requests: [], statuses: [] };
+const webhookStub = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        webhook.requests.push(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        res.statusCode = webhook.statuses.length > 0 ? webhook.statuses.shift() : 200;
+        res.end();
+    });
+});
+const leadServer = http.createServer(handler);
+
+let leadUrl;
+let webhookUrl;
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test.before(async () => {
+    webhookUrl = `http://127.0.0.1:${await listen(webhookStub)}/leads`;
+    leadUrl = `http://127.0.0.1:${await listen(leadServer)}/api/lead`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => leadServer.close(resolve));
+    await new Promise(resolve => webhookStub.close(resolve));
+});
+
+test.beforeEach(() => {
+    process.env.LEAD_WEBHOOK_URL = webhookUrl;
+    webhook.requests = [];
+    webhook.statuses = [];
+});
+
+const validLead = {
+    lead_id: 'lead-0001',
+    first_name: ' Ana ',
+    last_name: 'Diaz',
+    email: 'ana@mainstreetgrill.com',
+    phone: '(555) 010-1234',
+    business_name: 'Main Street Grill',
+    business_type: 'restaurant',
+    registration_url: `${REGISTRATION_URL}?lead_id=lead-0001&estimated_credit=57173.04&loc=1&srv=10&source=calculator`
+};
+
+const sendLead = async body => {
+    const response = await fetch(leadUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('a valid lead is trimmed and forwarded to the webhook', async () => {
+    const { status, body } = await sendLead(validLead);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { leadId: 'lead-0001' });
+    assert.equal(webhook.requests.length, 1);
+
+    const { received_at: receivedAt, ...forwarded } = webhook.requests[0];
+    assert.ok(!Number.isNaN(Date.parse(receivedAt)));
+    assert.deepEqual(forwarded, { ...validLead, first_name: 'Ana' });
+});
+
+test('invalid leads get one detail per problem and are not forwarded', async () => {
+    const { status, body } = await sendLead({
+        ...validLead,
+        lead_id: 'x',
+        email: 'not-an-email',
+        business_type: 'Full-service restaurant'
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.error.code, 'validation_failed');
+    assert.deepEqual(body.error.details.map(detail => detail.field), ['lead_id', 'email', 'business_type', 'registration_url']);
+    assert.equal(webhook.requests.length, 0);
+});
+
+test('the registration URL must be the portal page for the same lead', async () => {
+    for (const registrationUrl of [
+        'https://example.com/register-client/hqxo?lead_id=lead-0001',
+        `${REGISTRATION_URL}?lead_id=lead-0002`,
+        'not a url'
+    ]) {
+        const { status, body } = await sendLead({ ...validLead, registration_url: registrationUrl });
+        assert.equal(status, 422, registrationUrl);
+        assert.deepEqual(body.error.details.map(detail => detail.field), ['registration_url']);
+    }
+});
+
+test('leads are refused when no webhook is configured or the webhook fails', async () => {
+    delete process.env.LEAD_WEBHOOK_URL;
+    const unconfigured = await sendLead(validLead);
+    assert.equal(unconfigured.status, 503);
+    assert.equal(unconfigured.body.error.code, 'not_configured');
+
+    process.env.LEAD_WEBHOOK_URL = webhookUrl;
+    webhook.statuses = [500];
+    const rejected = await sendLead(validLead);
+    assert.equal(rejected.status, 502);
+    assert.equal(rejected.body.error.code, 'upstream_rejected');
+});
+
+test('only JSON POSTs are accepted', async () => {
+    const response = await fetch(leadUrl);
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'POST, OPTIONS');
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+
+const handler = require('../api/track.js');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// Local stand-in for the Graph API: records each request and answers with the next queued status
+const graph = { requests: [], statuses: [] };
+const graphStub = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        graph.requests.push({ url: req.url, body });
+
+        const status = graph.statuses.length > 0 ? graph.statuses.shift() : 200;
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(status === 200
+            ? { events_received: body.data.length, fbtrace_id: 'stub' }
+            : { error: { message: `Stub error ${status}` } }));
+    });
+});
+const trackServer = http.createServer(handler);
+
+let trackUrl;
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+test.before(async () => {
+    process.env.FB_ACCESS_TOKEN = 'test-token';
+    process.env.FB_PIXEL_ID = '1234';
+    process.env.FB_GRAPH_API_URL = `http://127.0.0.1:${await listen(graphStub)}/v18.0`;
+    trackUrl = `http://127.0.0.1:${await listen(trackServer)}/api/track`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => trackServer.close(resolve));
+    await new Promise(resolve => graphStub.close(resolve));
+});
+
+test.beforeEach(() => {
+    graph.requests = [];
+    graph.statuses = [];
+});
+
+const track = async (event, headers = {}) => {
+    const response = await fetch(trackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'test-agent', ...headers },
+        body: JSON.stringify(event)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('user data is normalized and SHA-256 hashed before it is forwarded', async () => {
+    const { status, body } = await track({
+        event_name: 'Lead',
+        event_id: 'hash-test-0001',
+        user_data: { em: '  Ana.Diaz@Example.COM ', ph: '(555) 010-1234', fn: ' Ana ', ln: 'DIAZ', nickname: 'dropped' }
+    }, { Cookie: '_fbp=fb.1.1700000000.123; _fbc=fb.1.1700000000.click' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { eventId: 'hash-test-0001', deduplicated: false, eventsReceived: 1 });
+
+    assert.equal(graph.requests.length, 1);
+    const [request] = graph.requests;
+    assert.equal(request.url, '/v18.0/1234/events');
+    assert.equal(request.body.access_token, 'test-token');
+
+    const { user_data: userData } = request.body.data[0];
+    assert.equal(userData.em, sha256('ana.diaz@example.com'));
+    assert.equal(userData.ph, sha256('5550101234'));
+    assert.equal(userData.fn, sha256('ana'));
+    assert.equal(userData.ln, sha256('diaz'));
+    assert.equal(userData.nickname, undefined);
+    assert.equal(userData.client_user_agent, 'test-agent');
+    assert.equal(userData.fbp, 'fb.1.1700000000.123');
+    assert.equal(userData.fbc, 'fb.1.1700000000.click');
+    assert.ok(!JSON.stringify(request.body).includes('Example.COM'));
+});
+
+test('a repeated event_id is sent to the Graph API once', async () => {
+    const event = { event_name: 'Lead', event_id: 'dedupe-test-0001' };
+
+    assert.deepEqual((await track(event)).body, { eventId: 'dedupe-test-0001', deduplicated: false, eventsReceived: 1 });
+    assert.deepEqual((await track(event)).body, { eventId: 'dedupe-test-0001', deduplicated: true });
+    assert.equal(graph.requests.length, 1);
+});
+
+test('rate limits and server errors are retried', async () => {
+    graph.statuses = [500, 429];
+    const { status, body } = await track({ event_name: 'Contact', event_id: 'retry-test-0001' });
+
+    assert.equal(status, 200);
+    assert.equal(body.eventsReceived, 1);
+    assert.equal(graph.requests.length, 3);
+});
+
+test('an event that keeps failing can be sent again by a later retry', async () => {
+    graph.statuses = [503, 503, 503];
+    const failed = await track({ event_name: 'Contact', event_id: 'retry-test-0002' });
+
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.error.code, 'upstream_unavailable');
+    assert.equal(graph.requests.length, 3);
+
+    const retried = await track({ event_name: 'Contact', event_id: 'retry-test-0002' });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.deduplicated, false);
+});
+
+test('a rejected event is not retried', async () => {
+    graph.statuses = [400];
+    const { status, body } = await track({ event_name: 'Lead', event_id: 'reject-test-0001' });
+
+    assert.equal(status, 502);
+    assert.equal(body.error.code, 'upstream_rejected');
+    assert.equal(graph.requests.length, 1);
+});
+
+test('malformed _fbp and _fbc cookies are dropped instead of failing the event', async () => {
+    const { status } = await track({ event_name: 'PageView', event_id: 'cookie-test-0001' }, { Cookie: '_fbp=%E0%A4%A; _fbc=%' });
+
+    assert.equal(status, 200);
+    const { user_data: userData } = graph.requests[0].body.data[0];
+    assert.equal(userData.fbp, undefined);
+    assert.equal(userData.fbc, undefined);
+});
+
+test('Global Privacy Control stops the event before the Graph API', async () => {
+    const { status, body } = await track({ event_name: 'Lead', event_id: 'gpc-test-0001' }, { 'Sec-GPC': '1' });
+
+    assert.equal(status, 200);
+    assert.equal(body.skipped, 'global_privacy_control');
+    assert.equal(graph.requests.length, 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getClaimDeadline, planClaims } = require('../claim-planner.js');
+
+const cents = value => Math.round(value * 100) / 100;
+
+// [what it shows, { taxYear, entityType, filedDate, taxPaidDate }, { dueDate, deemedFiledDate, deadline }]
+const DEADLINE_CASES = [
+    // 3 years from the deemed filing date
+    ['an early return counts as filed on the due date',
+        { taxYear: 2021, entityType: 'c-corp', filedDate: '2022-03-01' },
+        { dueDate: '2022-04-15', deemedFiledDate: '2022-04-15', deadline: '2025-04-15' }],
+    ['a late or extended return starts the 3 years when filed',
+        { taxYear: 2021, entityType: 's-corp', filedDate: '2022-09-15' },
+        { dueDate: '2022-03-15', deemedFiledDate: '2022-09-15', deadline: '2025-09-15' }],
+    ['without a filing date the return is assumed filed on the due date',
+        { taxYear: 2022, entityType: 'sole-proprietor' },
+        { dueDate: '2023-04-17', deemedFiledDate: '2023-04-17', deadline: '2026-04-17' }],
+
+    // 2 years from payment, when that is later
+    ['tax paid late extends the deadline to 2 years from payment',
+        { taxYear: 2020, entityType: 'partnership', taxPaidDate: '2023-06-20' },
+        { dueDate: '2021-03-15', deemedFiledDate: '2021-03-15', deadline: '2025-06-20' }],
+    ['tax paid soon after filing leaves the 3-year deadline',
+        { taxYear: 2021, entityType: 'sole-proprietor', taxPaidDate: '2022-05-01' },
+        { dueDate: '2022-04-15', deemedFiledDate: '2022-04-15', deadline: '2025-04-15' }],
+    ['a payment on February 29 counts 2 years to February 28 (a Saturday in 2026)',
+        { taxYear: 2021, entityType: 's-corp', taxPaidDate: '2024-02-29' },
+        { dueDate: '2022-03-15', deemedFiledDate: '2022-03-15', deadline: '2026-03-02' }],
+
+    // Weekend rollover
+    ['a due date on a Sunday moves to Monday',
+        { taxYear: 2019, entityType: 's-corp' },
+        { dueDate: '2020-03-16', deemedFiledDate: '2020-03-16', deadline: '2023-03-16' }],
+    ['a 3-year deadline on a Saturday moves to Monday',
+        { taxYear: 2021, entityType: 's-corp', filedDate: '2022-10-18' },
+        { dueDate: '2022-03-15', deemedFiledDate: '2022-10-18', deadline: '2025-10-20' }],
+    ['a 2-year deadline on a Sunday moves to Monday',
+        { taxYear: 2021, entityType: 'partnership', taxPaidDate: '2023-06-22' },
+        { dueDate: '2022-03-15', deemedFiledDate: '2022-03-15', deadline: '2025-06-23' }],
+
+    // C corporations filed by March 15 before 2016
+    ['a 2015 C corporation return was due March 15',
+        { taxYear: 2015, entityType: 'c-corp' },
+        { dueDate: '2016-03-15', deemedFiledDate: '2016-03-15', deadline: '2019-03-15' }],
+    ['a 2016 C corporation return was due April 15 (a Saturday in 2017)',
+        { taxYear: 2016, entityType: 'c-corp' },
+        { dueDate: '2017-04-17', deemedFiledDate: '2017-04-17', deadline: '2020-04-17' }],
+    ['a 2015 S corporation return was due March 15 as well',
+        { taxYear: 2015, entityType: 's-corp' },
+        { dueDate: '2016-03-15', deemedFiledDate: '2016-03-15', deadline: '2019-03-15' }]
+];
+
+DEADLINE_CASES.forEach(([name, params, expected]) => {
+    test(`getClaimDeadline: ${name}`, () => {
+        assert.deepEqual(getClaimDeadline(params), expected);
+    });
+});
+
+test('planClaims lists open years by deadline, flags the closing one and skips closed years', () => {
+    const plan = planClaims({
+        today: '2025-02-01',
+        entityType: 's-corp',
+        estimate: { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6 },
+        taxYears: [2020, 2021, 2022, 2023, 2024]
+    });
+
+    assert.deepEqual(plan.years.map(year => [year.taxYear, year.deadline, year.daysRemaining, year.status]), [
+        [2021, '2025-03-17', 44, 'closing-soon'],
+        [2022, '2026-03-16', 408, 'open'],
+        [2023, '2027-03-15', 772, 'open'],
+        // Not due until March 2025: claim it on the original return
+        [2024, '2028-03-17', 1140, 'original-return'],
+        [2020, '2024-03-15', -323, 'closed']
+    ]);
+    assert.deepEqual(plan.closingSoon.map(year => year.taxYear), [2021]);
+    assert.equal(plan.years[4].estimatedCredit, 0);
+    assert.equal(cents(plan.totalOpenCredit), cents(19057.68 * 4));
+
+    assert.throws(() => planClaims({ today: '2025-02-01', entityType: 'llc', estimate: {} }), /entityType must be one of/);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const {
+    CONSENT_STORAGE_KEY,
+    hasGpcSignal,
+    readConsent,
+    resolveConsent,
+    saveConsent
+} = require('../consent.js');
+
+// Stand-in for localStorage
+const memoryStorage = (items = {}) => ({
+    items,
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+});
+
+test('saved choices are read back with their version and source', () => {
+    const storage = memoryStorage();
+    const saved = saveConsent({ advertising: 'yes', unknown: true }, 'banner', storage);
+
+    assert.deepEqual(saved.categories, { advertising: true });
+    assert.equal(saved.source, 'banner');
+    assert.deepEqual(readConsent(storage), saved);
+    assert.equal(readConsent(memoryStorage()), null);
+    assert.equal(readConsent(null), null);
+});
+
+test('choices from another consent version are asked for again', () => {
+    const storage = memoryStorage();
+    const saved = saveConsent({ advertising: true }, 'banner', storage);
+    storage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({ ...saved, version: saved.version + 1 }));
+
+    assert.equal(readConsent(storage), null);
+    assert.equal(resolveConsent(readConsent(storage), false).decided, false);
+});
+
+test('corrupt or blocked storage counts as no choice', () => {
+    ['{not json', 'null', '"advertising"', JSON.stringify({ version: 1 })].forEach(value => {
+        assert.equal(readConsent(memoryStorage({ [CONSENT_STORAGE_KEY]: value })), null, value);
+    });
+
+    const blocked = {
+        getItem: () => { throw new Error('SecurityError'); },
+        setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+    assert.equal(readConsent(blocked), null);
+    assert.equal(saveConsent({ advertising: true }, 'banner', blocked).categories.advertising, true);
+});
+
+test('the GPC signal is read from navigator.globalPrivacyControl', () => {
+    assert.equal(hasGpcSignal({ globalPrivacyControl: true }), true);
+    assert.equal(hasGpcSignal({ globalPrivacyControl: '1' }), true);
+    assert.equal(hasGpcSignal({ globalPrivacyControl: false }), false);
+    assert.equal(hasGpcSignal({}), false);
+});
+
+test('GPC overrides a stored opt-in and counts as a decision', () => {
+    const optedIn = saveConsent({ advertising: true }, 'banner', memoryStorage());
+
+    assert.deepEqual(resolveConsent(optedIn, false), { categories: { advertising: true }, decided: true, gpc: false });
+    assert.deepEqual(resolveConsent(optedIn, true), { categories: { advertising: false }, decided: true, gpc: true });
+    assert.deepEqual(resolveConsent(null, true), { categories: { advertising: false }, decided: true, gpc: true });
+    assert.deepEqual(resolveConsent(null, false), { categories: { advertising: false }, decided: false, gpc: false });
+});
+
+// Just enough of the DOM for the banner: elements with children, attributes and click handlers
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.dataset = {};
+        this.attributes = {};
+        this.listeners = {};
+        this.textContent = '';
+        this.parentNode = null;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    insertBefore(child) {
+        return this.appendChild(child);
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+        this.parentNode = null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    click() {
+        this.listeners.click({ preventDefault() {} });
+    }
+
+    focus() {}
+
+    descendants() {
+        return this.children.flatMap(child => [child, ...(child.descendants ? child.descendants() : [])]);
+    }
+
+    querySelector(selector) {
+        return this.descendants().find(element => element.tagName === selector.toUpperCase()) || null;
+    }
+}
+
+/**
+ * Run consent.js as the browser would, with the given storage and GPC signal
+ * @returns {Object} The page's window
+ */
+function loadConsentPage(storage, navigator = {}) {
+    const head = new FakeElement('head');
+    const body = new FakeElement('body');
+    head.appendChild(new FakeElement('script'));
+    const all = () => [...head.descendants(), ...body.descendants()];
+
+    const document = {
+        readyState: 'complete',
+        cookie: '',
+        head,
+        body,
+        documentElement: { lang: 'en' },
+        createElement: tagName => new FakeElement(tagName),
+        createTextNode: text => ({ textContent: text }),
+        getElementById: id => all().find(element => element.id === id) || null,
+        getElementsByTagName: tagName => all().filter(element => element.tagName === tagName.toUpperCase()),
+        querySelector: () => null,
+        querySelectorAll: selector => (selector === '#consentBanner [data-consent-text]'
+            ? all().filter(element => element.dataset && element.dataset.consentText)
+            : []),
+        addEventListener() {}
+    };
+
+    const window = { document, navigator, localStorage: storage, location: { hostname: 'example.com' } };
+    window.window = window;
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'consent.js'), 'utf8'), window);
+    return window;
+}
+
+const bannerButton = (window, key) => window.document.getElementById('consentBanner')
+    .descendants()
+    .find(element => element.tagName === 'BUTTON' && element.dataset.consentText === key);
+
+test('whenConsented waits for the banner and resolves with the choice', async () => {
+    const storage = memoryStorage();
+    const window = loadConsentPage(storage);
+    assert.ok(window.document.getElementById('consentBanner'), 'banner shown with nothing stored');
+
+    let answer = 'pending';
+    const consented = window.ConsentManager.whenConsented('advertising').then(granted => { answer = granted; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(answer, 'pending');
+
+    bannerButton(window, 'acceptAll').click();
+    await consented;
+
+    assert.equal(answer, true);
+    assert.equal(window.document.getElementById('consentBanner'), null);
+    assert.equal(readConsent(storage).categories.advertising, true);
+    assert.deepEqual(Array.from(window.fbq.queue.find(call => call[0] === 'init')), ['init', '700681256426360']);
+});
+
+test('whenConsented resolves at once when a choice is stored or GPC is on', async () => {
+    const storage = memoryStorage();
+    saveConsent({ advertising: true }, 'banner', storage);
+
+    const optedIn = loadConsentPage(storage);
+    assert.equal(optedIn.document.getElementById('consentBanner'), null);
+    assert.equal(await optedIn.ConsentManager.whenConsented('advertising'), true);
+
+    // The stored opt-in does not survive GPC, and the pixel is never loaded
+    const gpc = loadConsentPage(storage, { globalPrivacyControl: true });
+    assert.equal(await gpc.ConsentManager.whenConsented('advertising'), false);
+    assert.equal(gpc.fbq, undefined);
+});
+
+test('rejecting in the banner resolves waiting callers with false', async () => {
+    const storage = memoryStorage();
+    const window = loadConsentPage(storage);
+    const consented = window.ConsentManager.whenConsented('advertising');
+
+    bannerButton(window, 'rejectAll').click();
+
+    assert.equal(await consented, false);
+    assert.equal(readConsent(storage).categories.advertising, false);
+    assert.equal(window.fbq, undefined);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    applyCreditLimitation,
+    calculateCreditLimitation,
+    calculateCreditUsage
+} = require('../credit-limitation.js');
+const { calculateFicaTipCredit } = require('../fica-calculator.js');
+
+// The per-year amounts that show where the credit went
+const flow = usage => usage.years.map(row => [
+    row.taxYear,
+    row.limitation,
+    row.usedFromCarryforward,
+    row.usedFromCurrentYear,
+    row.usedFromCarryback,
+    row.carriedBack,
+    row.carriedForward,
+    row.expired
+]);
+
+test('the limitation is net income tax less 25% of tax above $25,000', () => {
+    assert.equal(calculateCreditLimitation(20000), 20000);
+    assert.equal(calculateCreditLimitation(25000), 25000);
+    assert.equal(calculateCreditLimitation(100000), 100000 - 0.25 * 75000);
+    assert.equal(calculateCreditLimitation(-5000), 0);
+});
+
+test('credit above the limitation is carried back a year, then forward', () => {
+    const usage = calculateCreditUsage({
+        credits: [{ taxYear: 2023, credit: 15000 }],
+        taxLiabilities: [
+            { taxYear: 2022, regularTax: 10000 },
+            { taxYear: 2023, regularTax: 4000 },
+            { taxYear: 2024, regularTax: 3000 }
+        ]
+    });
+
+    // [year, limitation, from carryforward, from current year, from carryback, carried back, carried forward, expired]
+    assert.deepEqual(flow(usage), [
+        [2022, 10000, 0, 0, 10000, 0, 0, 0],
+        [2023, 4000, 0, 4000, 0, 10000, 1000, 0],
+        [2024, 3000, 1000, 0, 0, 0, 0, 0]
+    ]);
+    assert.equal(usage.totalUsed, 15000);
+    assert.equal(usage.totalCarriedForward, 0);
+    assert.deepEqual(usage.carryforwards, []);
+});
+
+test('a longer carryback fills the earliest year first', () => {
+    const usage = calculateCreditUsage({
+        credits: [{ taxYear: 2023, credit: 9000 }],
+        taxLiabilities: [
+            { taxYear: 2021, regularTax: 3000 },
+            { taxYear: 2022, regularTax: 3000 }
+        ],
+        carrybackYears: 2
+    });
+
+    assert.deepEqual(usage.years.map(row => [row.taxYear, row.usedFromCarryback]), [[2021, 3000], [2022, 3000], [2023, 0]]);
+    assert.equal(usage.years[2].carriedBack, 6000);
+    assert.deepEqual(usage.carryforwards, [{ originYear: 2023, remaining: 3000, expiresAfter: 2043 }]);
+});
+
+test('carryforwards are used oldest first, before the year\'s own credit', () => {
+    const usage = calculateCreditUsage({
+        credits: [
+            { taxYear: 2020, credit: 3000 },
+            { taxYear: 2021, credit: 3000 },
+            { taxYear: 2022, credit: 1000 }
+        ],
+        taxLiabilities: [{ taxYear: 2022, regularTax: 4000 }]
+    });
+
+    assert.deepEqual(flow(usage), [
+        [2020, 0, 0, 0, 0, 0, 3000, 0],
+        [2021, 0, 0, 0, 0, 0, 3000, 0],
+        [2022, 4000, 4000, 0, 0, 0, 1000, 0]
+    ]);
+    assert.deepEqual(usage.years.map(row => row.carryforwardBalance), [3000, 6000, 3000]);
+    assert.deepEqual(usage.carryforwards, [
+        { originYear: 2021, remaining: 2000, expiresAfter: 2041 },
+        { originYear: 2022, remaining: 1000, expiresAfter: 2042 }
+    ]);
+    assert.equal(usage.totalCarriedForward, 3000);
+});
+
+test('carryforwards expire after the carryforward period, and other credits use the limitation first', () => {
+    const usage = calculateCreditUsage({
+        credits: [
+            { taxYear: 2020, credit: 5000 },
+            { taxYear: 2021, credit: 2000 }
+        ],
+        taxLiabilities: [{ taxYear: 2023, regularTax: 10000, otherCredits: 1500 }],
+        carryforwardYears: 2
+    });
+
+    // 2020's credit was usable through 2022; 2021's is used in 2023, its last year
+    assert.deepEqual(flow(usage)[2], [2023, 8500, 2000, 0, 0, 0, 0, 5000]);
+    assert.equal(usage.totalUsed, 2000);
+    assert.equal(usage.totalExpired, 5000);
+    assert.equal(usage.totalCarriedForward, 0);
+
+    assert.throws(() => calculateCreditUsage({ credits: {}, taxLiabilities: [] }), /must be arrays/);
+});
+
+test('applyCreditLimitation limits each year of an estimate and compares it with deducting the FICA', () => {
+    const result = calculateFicaTipCredit({ locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6, taxYears: [2023, 2024] });
+    const perYear = result.yearlyBreakdown[0].totalCredit;
+
+    const usage = applyCreditLimitation(result, [
+        { taxYear: 2023, regularTax: 5000 },
+        { taxYear: 2024, regularTax: 100000 }
+    ], { marginalTaxRate: 0.21 });
+
+    assert.deepEqual(usage.years.map(row => [row.taxYear, row.creditGenerated]), [[2023, perYear], [2024, perYear]]);
+    assert.equal(usage.years[0].usedFromCurrentYear, 5000);
+    assert.equal(usage.years[1].usedFromCarryforward, perYear - 5000);
+    assert.equal(usage.totalUsed, result.totalCredit);
+    assert.equal(usage.comparison.recommendation, 'claim-credit');
+    assert.equal(usage.comparison.deductionBenefit, result.totalCredit * 0.21);
+
+    assert.throws(
+        () => applyCreditLimitation(calculateFicaTipCredit({ locations: 1, servers: 1, hoursPerMonth: 100, cashWagePerHour: 8, tipsPct: 0.5 }), []),
+        /calculate the credit with taxYears/
+    );
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ELIGIBILITY_STATUS,
+    evaluateEligibility,
+    getQuestion,
+    toCalculatorInputs,
+    validateAnswer
+} = require('../eligibility-wizard.js');
+
+// Screening answers that raise no concerns
+const CLEAN_SCREENING = {
+    businessType: 'restaurant',
+    tippedEmployees: 'yes',
+    tipsReported: 'all',
+    serviceCharges: 'no',
+    taxForms: 'yes'
+};
+
+const FORM_DEFAULTS = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 60, minWageBasis: 5.15 };
+
+test('a restaurant with clean answers is eligible once screening is done', () => {
+    const result = evaluateEligibility(CLEAN_SCREENING);
+
+    assert.equal(result.status, ELIGIBILITY_STATUS.ELIGIBLE);
+    assert.deepEqual(result.reasons, []);
+    assert.deepEqual(result.path, ['businessType', 'tippedEmployees', 'tipsReported', 'serviceCharges', 'taxForms']);
+    assert.equal(result.nextQuestionId, 'locations');
+    assert.equal(result.screeningComplete, true);
+});
+
+test('each business type branches to its own follow-up question', () => {
+    const pathFor = (businessType, extra) => evaluateEligibility({ ...CLEAN_SCREENING, businessType, ...extra }).path;
+
+    assert.deepEqual(pathFor('bar').slice(0, 2), ['businessType', 'tippedEmployees']);
+    assert.deepEqual(pathFor('hotel', { hotelFoodService: 'yes' }).slice(0, 3), ['businessType', 'hotelFoodService', 'tippedEmployees']);
+    assert.deepEqual(pathFor('catering', { tippingCustomary: 'regularly' }).slice(0, 3), ['businessType', 'tippingCustomary', 'tippedEmployees']);
+    assert.deepEqual(pathFor('counter', { tippingCustomary: 'regularly' }).slice(0, 3), ['businessType', 'tippingCustomary', 'tippedEmployees']);
+
+    // Answers to questions off the path are ignored
+    assert.equal(pathFor('restaurant', { hotelFoodService: 'no', tippingCustomary: 'no' }).includes('hotelFoodService'), false);
+});
+
+test('a disqualifying answer stops the questionnaire with its reason', () => {
+    const cases = [
+        [{ businessType: 'other' }, 'businessType', ['businessType']],
+        [{ ...CLEAN_SCREENING, businessType: 'hotel', hotelFoodService: 'no' }, 'hotelFoodService', ['businessType', 'hotelFoodService']],
+        [{ ...CLEAN_SCREENING, businessType: 'counter', tippingCustomary: 'no' }, 'tippingCustomary', ['businessType', 'tippingCustomary']],
+        [{ ...CLEAN_SCREENING, tippedEmployees: 'owners' }, 'tippedEmployees', ['businessType', 'tippedEmployees']],
+        [{ ...CLEAN_SCREENING, tipsReported: 'none', serviceCharges: 'yes' }, 'tipsReported', ['businessType', 'tippedEmployees', 'tipsReported']]
+    ];
+
+    cases.forEach(([answers, questionId, path]) => {
+        const result = evaluateEligibility(answers);
+        assert.equal(result.status, ELIGIBILITY_STATUS.INELIGIBLE, questionId);
+        assert.deepEqual(result.path, path);
+        assert.deepEqual(result.reasons.map(reason => [reason.questionId, reason.status]), [[questionId, 'ineligible']]);
+        assert.ok(result.reasons[0].reason.length > 0);
+        assert.equal(result.nextQuestionId, null);
+        assert.equal(result.screeningComplete, true);
+    });
+});
+
+test('caveats collect in question order and do not stop the questionnaire', () => {
+    const result = evaluateEligibility({
+        businessType: 'catering',
+        tippingCustomary: 'sometimes',
+        tippedEmployees: 'yes',
+        tipsReported: 'some',
+        serviceCharges: 'yes',
+        taxForms: 'unsure'
+    });
+
+    assert.equal(result.status, ELIGIBILITY_STATUS.CAVEAT);
+    assert.deepEqual(result.reasons.map(reason => [reason.questionId, reason.status]), [
+        ['tippingCustomary', 'caveat'],
+        ['tipsReported', 'caveat'],
+        ['serviceCharges', 'caveat'],
+        ['taxForms', 'caveat']
+    ]);
+    assert.equal(result.nextQuestionId, 'locations');
+
+    // A caveat followed by a disqualifying answer keeps both reasons
+    const ineligible = evaluateEligibility({ ...CLEAN_SCREENING, businessType: 'counter', tippingCustomary: 'sometimes', tippedEmployees: 'owners' });
+    assert.equal(ineligible.status, ELIGIBILITY_STATUS.INELIGIBLE);
+    assert.deepEqual(ineligible.reasons.map(reason => reason.status), ['caveat', 'ineligible']);
+});
+
+test('the questionnaire is incomplete at the first unanswered or unusable answer', () => {
+    const partial = evaluateEligibility({ businessType: 'restaurant' });
+    assert.equal(partial.status, ELIGIBILITY_STATUS.INCOMPLETE);
+    assert.equal(partial.nextQuestionId, 'tippedEmployees');
+    assert.equal(partial.screeningComplete, false);
+
+    const unusable = evaluateEligibility({ ...CLEAN_SCREENING, tipsReported: 'maybe' });
+    assert.equal(unusable.status, ELIGIBILITY_STATUS.INCOMPLETE);
+    assert.deepEqual(unusable.path, ['businessType', 'tippedEmployees']);
+    assert.equal(unusable.nextQuestionId, 'tipsReported');
+
+    // Profile questions do not hold up the screening result
+    const profile = evaluateEligibility({ ...CLEAN_SCREENING, locations: 2, servers: 'many' });
+    assert.equal(profile.status, ELIGIBILITY_STATUS.ELIGIBLE);
+    assert.equal(profile.nextQuestionId, 'servers');
+});
+
+test('answers are checked by question type, with codes for translation', () => {
+    assert.equal(validateAnswer(getQuestion('businessType'), 'bar'), null);
+    assert.equal(validateAnswer(getQuestion('businessType'), 'bakery').code, 'choose');
+    assert.equal(validateAnswer(getQuestion('locations'), ' 3 '), null);
+    assert.equal(validateAnswer(getQuestion('locations'), '').code, 'number');
+    assert.deepEqual(validateAnswer(getQuestion('locations'), 0), { code: 'min', values: { min: 1 }, message: 'Enter 1 or more' });
+    assert.equal(validateAnswer(getQuestion('servers'), 2.5).code, 'whole');
+    assert.equal(validateAnswer(getQuestion('cashWage'), '2.13'), null);
+});
+
+test('toCalculatorInputs pre-fills the calculator from the profile answers', () => {
+    const inputs = toCalculatorInputs({
+        ...CLEAN_SCREENING,
+        locations: '3',
+        servers: 12,
+        schedule: 'partTime',
+        cashWage: '2.13',
+        tipShare: 'most'
+    }, FORM_DEFAULTS);
+
+    assert.deepEqual(inputs, { locations: 3, servers: 12, hoursPerMonth: 87, cashWagePerHour: 2.13, tipsPct: 65, minWageBasis: 5.15 });
+
+    // Unanswered or unusable answers keep the form defaults
+    assert.deepEqual(toCalculatorInputs({ locations: 2.5, schedule: 'nights', tipShare: 'low' }, FORM_DEFAULTS), { ...FORM_DEFAULTS, tipsPct: 40 });
+    assert.deepEqual(toCalculatorInputs({}, FORM_DEFAULTS), FORM_DEFAULTS);
+    assert.notEqual(toCalculatorInputs({}, FORM_DEFAULTS), FORM_DEFAULTS);
+});
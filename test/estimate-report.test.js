@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateFicaTipCredit } = require('../fica-calculator.js');
+const { buildEstimateReport, renderEstimateReportHtml } = require('../estimate-report.js');
+const { createTranslator } = require('../i18n.js');
+
+const BASE = { locations: 1, servers: 10, hoursPerMonth: 160, cashWagePerHour: 2.13, tipsPct: 0.6 };
+
+// Busy first half of the year, quiet second half
+const SEASONAL_PROFILE = Array.from({ length: 12 }, (value, index) => (index < 6
+    ? { servers: 15, hoursPerMonth: 180, tipsPct: 0.65 }
+    : { servers: 5, hoursPerMonth: 120, tipsPct: 0.5 }));
+
+test('twelve average months are walked through as one month times twelve', () => {
+    const report = buildEstimateReport(BASE, calculateFicaTipCredit(BASE));
+
+    assert.equal(report.months, null);
+    assert.equal(report.walkthrough.find(step => step.title === 'Annual credit per server').formula, 'Monthly credit × 12');
+    assert.match(report.assumptions[0], /in every month/);
+});
+
+test('with the wage base cap, the annual step subtracts the credit the cap takes', () => {
+    // $20/hr for 300 hours with 80% tips: $30,000 a month reaches the $184,500 wage base in July
+    const inputs = { locations: 1, servers: 2, hoursPerMonth: 300, cashWagePerHour: 20, tipsPct: 0.8, applyWageBaseCap: true };
+    const results = calculateFicaTipCredit(inputs);
+    const report = buildEstimateReport(inputs, results);
+    const step = title => report.walkthrough.find(entry => entry.title === title);
+
+    assert.ok(results.wageBaseCapLoss > 0);
+    assert.deepEqual(step('Monthly credit per server'), {
+        step: 7,
+        title: 'Monthly credit per server',
+        formula: 'Creditable tips × employer FICA rate',
+        calculation: '$24,000.00 × 7.65%',
+        result: '$1,836.00'
+    });
+    assert.deepEqual(step('Annual credit per server'), {
+        step: 8,
+        title: 'Annual credit per server',
+        formula: 'Monthly credit × 12, less the Social Security credit lost above the wage base',
+        calculation: '$1,836.00 × 12 − $8,928.00',
+        result: '$13,104.00'
+    });
+    // The first six months earn the full 7.65%, the rest only Medicare's 1.45%
+    assert.equal(1836 * 6 + 24000 * 0.0145 * 6, 13104);
+});
+
+test('a monthly profile is walked through month by month', () => {
+    const inputs = { ...BASE, monthlyProfile: SEASONAL_PROFILE };
+    const results = calculateFicaTipCredit(inputs);
+    const report = buildEstimateReport(inputs, results);
+
+    assert.equal(report.months.length, 12);
+    assert.deepEqual(report.months[0], {
+        month: 'January',
+        servers: '15',
+        hoursPerMonth: '180',
+        tipsPct: '65%',
+        creditableTipsPerServer: '$168.43',
+        creditPerServer: '$12.88',
+        totalCredit: '$193.27'
+    });
+    assert.ok(report.walkthrough.every(step => !/× 12$/.test(step.calculation)));
+    assert.equal(report.walkthrough.find(step => step.title === 'Annual credit per server').result, '$' + results.annualCreditPerServer.toFixed(2));
+    assert.doesNotMatch(report.assumptions[0], /every month/);
+    assert.match(renderEstimateReportHtml(report), /<h2>Monthly Breakdown<\/h2>/);
+});
+
+test('the report is written in the translator\'s language', () => {
+    const translator = createTranslator('es');
+    const report = buildEstimateReport(BASE, calculateFicaTipCredit(BASE), { translator, generatedOn: new Date(2026, 0, 15) });
+
+    assert.equal(report.title, 'Estimado del Crédito FICA por Propinas');
+    assert.equal(report.inputs[3].value, '$2.13/h');
+    assert.match(report.disclaimer, /no constituye asesoría fiscal/);
+    assert.match(report.labels.prepared, /enero/);
+
+    const html = renderEstimateReportHtml(report);
+    assert.match(html, /<html lang="es">/);
+    assert.match(html, /<h2>Supuestos<\/h2>/);
+    assert.doesNotMatch(html, /Assumptions|Disclaimer|Print or Save/);
+});
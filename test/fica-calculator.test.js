@@ -0,0 +1,301 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const calculator = require('../fica-calculator.js');
+// The worked example in CALCULATOR_README.md ("Example Calculation"), results rounded to cents
+const example = require('./fixtures/readme-example.json');
+
+const cents = value => Math.round(value * 100) / 100;
+
+test('the README example matches the engine (CommonJS)', () => {
+    const results = calculator.calculateFicaTipCredit(example.inputs);
+
+    Object.keys(example.results).forEach(field => {
+        assert.equal(cents(results[field]), example.results[field], field);
+    });
+});
+
+test('the README shows the pinned total', () => {
+    const readme = fs.readFileSync(path.join(__dirname, '..', 'CALCULATOR_README.md'), 'utf8');
+
+    assert.match(readme, /Total 3-Year Credit: +\$57,173\.04/);
+    assert.equal(calculator.formatCurrency(example.results.totalCredit), '$57,173.04');
+});
+
+test('the README example passes validation without warnings', () => {
+    const validation = calculator.validateInputs(example.inputs);
+
+    assert.equal(validation.isValid, true);
+    assert.deepEqual(validation.warnings, []);
+});
+
+test('warnings and unreachable targets carry codes and values for translation', () => {
+    const validation = calculator.validateInputs({ ...example.inputs, minWageBasis: 6, state: 'CA' });
+    assert.deepEqual(validation.generalWarnings.map(warning => [warning.code, warning.values]), [
+        ['noTipCredit', { minimum: 16.5, jurisdiction: 'California', asOf: '2025-01-01' }],
+        ['wageBasisNotIrs', { basis: 5.15 }]
+    ]);
+    assert.deepEqual(validation.generalWarnings.map(warning => warning.message), validation.warnings.slice(0, 2));
+
+    const solution = calculator.solveForTarget(example.inputs, 'servers', 1e12);
+    assert.equal(solution.reasonCode, 'limit');
+    assert.deepEqual(solution.reasonValues, { limit: 10000, credit: solution.achievedCredit });
+    assert.equal(calculator.solveForTarget({ ...example.inputs, cashWagePerHour: 0 }, 'tipsPct', 1000).reasonCode, 'noCashWage');
+});
+
+test('monthly profile and tax year errors carry codes and the month for translation', () => {
+    const monthlyProfile = Array.from({ length: 12 }, () => ({}));
+    monthlyProfile[0] = { servers: -1 };
+    monthlyProfile[6] = { servers: 10001, tipsPct: 1.5 };
+    const validation = calculator.validateInputs({ ...example.inputs, monthlyProfile, taxYears: [1999] });
+
+    assert.deepEqual(validation.generalErrors.map(error => [error.code, error.values]), [
+        ['monthServersNegative', { month: 1 }],
+        ['monthServersMax', { month: 7, max: 10000 }],
+        ['monthTipsRange', { month: 7 }],
+        ['taxYearUnsupported', { year: 1999 }]
+    ]);
+    assert.deepEqual(validation.generalErrors.map(error => error.message), validation.errors);
+});
+
+test('calculateRosterCredit totals each employee, each location and the whole roster', () => {
+    const roster = calculator.calculateRosterCredit({
+        employees: [
+            // $483.20 of tips make up the gap to $5.15 × 160 hours; the rest is creditable
+            { name: 'Ana', role: 'server', location: 'Downtown', hoursPerMonth: 160, cashWagePerHour: 2.13, tipsMonthly: 1500 },
+            { name: 'Ben', role: 'bartender', location: 'Uptown', hoursPerMonth: 100, cashWagePerHour: 8, tipsMonthly: 500 },
+            // Tips smaller than the $138 gap leave nothing creditable
+            { name: 'Cy', role: 'server', location: 'Downtown', hoursPerMonth: 120, cashWagePerHour: 4, tipsMonthly: 100 },
+            { name: 'Di', hoursPerMonth: 80, cashWagePerHour: 5.15, tipsMonthly: 800 }
+        ]
+    });
+
+    assert.deepEqual(roster.employees.map(employee => [
+        employee.name,
+        employee.role,
+        employee.location,
+        cents(employee.nonCreditableTips),
+        cents(employee.creditableTips),
+        cents(employee.annualCredit),
+        cents(employee.totalCredit)
+    ]), [
+        ['Ana', 'server', 'Downtown', 483.2, 1016.8, 933.42, 2800.27],
+        ['Ben', 'bartender', 'Uptown', 0, 500, 459, 1377],
+        ['Cy', 'server', 'Downtown', 138, 0, 0, 0],
+        ['Di', 'server', 'Default', 0, 800, 734.4, 2203.2]
+    ]);
+
+    // Locations in first-seen order; employees without one roll up under "Default"
+    assert.deepEqual(roster.locations.map(location => [
+        location.location,
+        location.employeeCount,
+        cents(location.creditableTipsMonthly),
+        cents(location.annualCredit),
+        cents(location.totalCredit)
+    ]), [
+        ['Downtown', 2, 1016.8, 933.42, 2800.27],
+        ['Uptown', 1, 500, 459, 1377],
+        ['Default', 1, 800, 734.4, 2203.2]
+    ]);
+    assert.deepEqual(roster.roles.map(role => [role.role, role.employeeCount, cents(role.totalCredit)]), [
+        ['server', 3, 5003.47],
+        ['bartender', 1, 1377]
+    ]);
+
+    assert.equal(roster.employeeCount, 4);
+    assert.equal(cents(roster.annualCredit), 2126.82);
+    assert.equal(cents(roster.totalCredit), 6380.47);
+    assert.equal(cents(roster.totalCredit), cents(roster.locations.reduce((sum, location) => sum + location.totalCredit, 0)));
+
+    assert.throws(
+        () => calculator.calculateRosterCredit({ employees: [{ name: 'Ed', hoursPerMonth: 0, cashWagePerHour: 2.13, tipsMonthly: 100 }] }),
+        /Employee 1 \(Ed\): hours per month must be greater than 0/
+    );
+});
+
+test('a server crossing the wage base loses only the Social Security part of the credit', () => {
+    // $8,000 cash wages and $32,000 creditable tips a month: $40,000 of wages a month
+    const inputs = { locations: 1, servers: 2, hoursPerMonth: 200, cashWagePerHour: 40, tipsPct: 0.8, taxYears: [2023] };
+    const uncapped = calculator.calculateFicaTipCredit(inputs);
+    const capped = calculator.calculateFicaTipCredit({ ...inputs, applyWageBaseCap: true });
+    const [year] = capped.yearlyBreakdown;
+
+    // Four full months ($160,000) fit under the $160,200 base; from May only Medicare is credited
+    assert.equal(year.capReachedMonth, 5);
+    assert.equal(cents(year.annualCreditPerServer), cents(4 * 32000 * 0.0765 + 8 * 32000 * 0.0145));
+    assert.equal(cents(year.annualCreditPerServer), 13504);
+    assert.equal(cents(year.wageBaseCapLossPerServer), cents(8 * 32000 * 0.062));
+    assert.equal(cents(uncapped.annualCreditPerServer - year.annualCreditPerServer), cents(year.wageBaseCapLossPerServer));
+
+    assert.equal(cents(capped.wageBaseCapLoss), 15872 * 2);
+    assert.equal(cents(capped.totalCredit), 13504 * 2);
+    assert.equal(uncapped.wageBaseCapLoss, 0);
+
+    // A server who never reaches the base keeps the full credit
+    const belowBase = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6, taxYears: [2023] };
+    const belowResults = calculator.calculateFicaTipCredit({ ...belowBase, applyWageBaseCap: true });
+    assert.equal(belowResults.wageBaseCapLoss, 0);
+    assert.equal(belowResults.yearlyBreakdown[0].capReachedMonth, null);
+    assert.equal(belowResults.totalCredit, calculator.calculateFicaTipCredit(belowBase).totalCredit);
+
+    // Each year uses its own wage base: $8,100 of May's tips still fall under 2025's $176,100
+    const twoYears = calculator.calculateFicaTipCredit({ ...inputs, taxYears: [2023, 2025], applyWageBaseCap: true });
+    assert.deepEqual(twoYears.yearlyBreakdown.map(year => [
+        year.taxYear,
+        year.socialSecurityWageBase,
+        year.capReachedMonth,
+        cents(year.annualCreditPerServer),
+        cents(year.wageBaseCapLossPerServer)
+    ]), [
+        [2023, 160200, 5, 13504, 15872],
+        [2025, 176100, 5, cents(13504 + 8100 * 0.062), cents(15872 - 8100 * 0.062)]
+    ]);
+});
+
+test('yearlyBreakdown applies each tax year\'s own rules, oldest year first', () => {
+    // $213 cash wages and $852 tips a month; $302 of tips make up the gap to $5.15 × 100 hours
+    const results = calculator.calculateFicaTipCredit({
+        locations: 1,
+        servers: 2,
+        hoursPerMonth: 100,
+        cashWagePerHour: 2.13,
+        tipsPct: 0.8,
+        taxYears: [2025, 2016]
+    });
+
+    assert.deepEqual(results.taxYears, [2016, 2025]);
+    assert.deepEqual(results.yearlyBreakdown.map(year => ({
+        taxYear: year.taxYear,
+        effectiveDate: year.effectiveDate,
+        wageBasis: year.wageBasis,
+        socialSecurityRate: year.socialSecurityRate,
+        medicareRate: year.medicareRate,
+        socialSecurityWageBase: year.socialSecurityWageBase,
+        creditRate: year.creditRate,
+        baselineMonthly: year.baselineMonthly,
+        nonCreditableTips: cents(year.nonCreditableTips),
+        creditableTips: cents(year.creditableTips),
+        monthlyCreditPerServer: cents(year.monthlyCreditPerServer),
+        annualCreditPerServer: cents(year.annualCreditPerServer),
+        totalCredit: cents(year.totalCredit)
+    })), [
+        {
+            taxYear: 2016,
+            effectiveDate: '2016-01-01',
+            wageBasis: 5.15,
+            socialSecurityRate: 0.062,
+            medicareRate: 0.0145,
+            socialSecurityWageBase: 118500,
+            creditRate: 0.0765,
+            baselineMonthly: 515,
+            nonCreditableTips: 302,
+            creditableTips: 550,
+            monthlyCreditPerServer: 42.08,
+            annualCreditPerServer: 504.9,
+            totalCredit: 1009.8
+        },
+        {
+            taxYear: 2025,
+            effectiveDate: '2025-01-01',
+            wageBasis: 5.15,
+            socialSecurityRate: 0.062,
+            medicareRate: 0.0145,
+            socialSecurityWageBase: 176100,
+            creditRate: 0.0765,
+            baselineMonthly: 515,
+            nonCreditableTips: 302,
+            creditableTips: 550,
+            monthlyCreditPerServer: 42.08,
+            annualCreditPerServer: 504.9,
+            totalCredit: 1009.8
+        }
+    ]);
+
+    // Headline per-server figures come from the latest year; totals add every year
+    assert.equal(results.annualCreditPerServer, results.yearlyBreakdown[1].annualCreditPerServer);
+    assert.equal(cents(results.credit3yrPerServer), cents(504.9 * 2));
+    assert.equal(cents(results.totalCredit), cents(1009.8 * 2));
+
+    // A wage basis entered by hand replaces every year's table value
+    const custom = calculator.calculateFicaTipCredit({ locations: 1, servers: 1, hoursPerMonth: 100, cashWagePerHour: 2.13, tipsPct: 0.5, minWageBasis: 6, taxYears: [2016, 2025] });
+    assert.deepEqual(custom.yearlyBreakdown.map(year => [year.taxYear, year.wageBasis, cents(year.nonCreditableTips)]), [
+        [2016, 6, 387],
+        [2025, 6, 387]
+    ]);
+});
+
+test('solveForTarget finds the boundary value for each solvable input', () => {
+    const base = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6, minWageBasis: 5.15 };
+    // With a $2.13 cash wage most tips go to the wage basis gap, so a lower basis earns more
+    const tipped = { ...base, cashWagePerHour: 2.13 };
+    const cases = [
+        [base, 'servers', 100000, 18],
+        [base, 'locations', 200000, 4],
+        [base, 'hoursPerMonth', 80000, 243],
+        [base, 'tipsPct', 80000, 0.6774],
+        [base, 'cashWagePerHour', 80000, 11.2],
+        [tipped, 'minWageBasis', 5000, 4.27],
+        // A target the inputs already beat gives the smallest allowed value
+        [base, 'servers', 1, 1]
+    ];
+
+    cases.forEach(([params, field, target, expected]) => {
+        const { step, decreasing } = calculator.SOLVABLE_INPUTS[field];
+        // The field's own value in params is ignored
+        const solution = calculator.solveForTarget({ ...params, [field]: 99 }, field, target);
+        const creditAt = value => calculator.calculateFicaTipCredit({ ...params, [field]: value }).totalCredit;
+
+        assert.equal(solution.reachable, true, field);
+        assert.equal(solution.value, expected, field);
+        assert.equal(solution.achievedCredit, creditAt(solution.value));
+        assert.ok(solution.achievedCredit >= target, field);
+
+        // One step further from the limit misses the target
+        const neighbor = Number((solution.value + (decreasing ? step : -step)).toFixed(4));
+        if (neighbor >= calculator.SOLVABLE_INPUTS[field].min) {
+            assert.ok(creditAt(neighbor) < target, `${field} at ${neighbor}`);
+        }
+    });
+});
+
+test('solveForTarget explains unreachable targets', () => {
+    const base = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6, minWageBasis: 5.15 };
+
+    const noCashWage = calculator.solveForTarget({ ...base, cashWagePerHour: 0 }, 'tipsPct', 1000);
+    assert.deepEqual(
+        [noCashWage.reachable, noCashWage.value, noCashWage.achievedCredit, noCashWage.reasonCode, noCashWage.reasonValues],
+        [false, null, 0, 'noCashWage', null]
+    );
+
+    // No tips at all, or tips that only cover the wage basis gap
+    ['servers', 'locations', 'hoursPerMonth', 'cashWagePerHour'].forEach(field => {
+        assert.equal(calculator.solveForTarget({ ...base, tipsPct: 0 }, field, 1000).reasonCode, 'noCreditableTips', field);
+    });
+    assert.equal(calculator.solveForTarget({ ...base, cashWagePerHour: 0 }, 'servers', 1000).reasonCode, 'noCreditableTips');
+
+    const limits = [
+        ['servers', 10000],
+        ['locations', 10000],
+        ['hoursPerMonth', 744],
+        ['tipsPct', 0.99],
+        ['cashWagePerHour', 100],
+        ['minWageBasis', 0]
+    ];
+    limits.forEach(([field, limit]) => {
+        const solution = calculator.solveForTarget({ ...base, cashWagePerHour: 2.13 }, field, 1e12);
+        const best = calculator.calculateFicaTipCredit({ ...base, cashWagePerHour: 2.13, [field]: limit }).totalCredit;
+        assert.equal(solution.reasonCode, 'limit', field);
+        assert.deepEqual(solution.reasonValues, { limit, credit: best });
+        assert.equal(solution.achievedCredit, best);
+        assert.equal(solution.value, null);
+    });
+
+    assert.throws(() => calculator.solveForTarget(base, 'minimumWage', 1000), /cannot solve for minimumWage/);
+    assert.throws(() => calculator.solveForTarget(base, 'servers', 0), /targetCredit must be a positive number/);
+    assert.throws(
+        () => calculator.solveForTarget({ ...base, monthlyProfile: Array.from({ length: 12 }, () => ({ servers: 10 })) }, 'servers', 1000),
+        /set month by month/
+    );
+});
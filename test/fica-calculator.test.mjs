@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+import ficaCalculator, { calculateFicaTipCredit, formatCurrency } from '../fica-calculator.mjs';
+
+// The worked example in CALCULATOR_README.md ("Example Calculation"), results rounded to cents
+const example = createRequire(import.meta.url)('./fixtures/readme-example.json');
+
+const cents = value => Math.round(value * 100) / 100;
+
+test('the README example matches the engine (ES module)', () => {
+    const results = calculateFicaTipCredit(example.inputs);
+
+    Object.keys(example.results).forEach(field => {
+        assert.equal(cents(results[field]), example.results[field], field);
+    });
+    assert.equal(formatCurrency(results.totalCredit), '$57,173.04');
+});
+
+test('the ES module re-exports the CommonJS engine', () => {
+    assert.equal(calculateFicaTipCredit, ficaCalculator.calculateFicaTipCredit);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'fica-cli.js');
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+const cents = value => Math.round(value * 100) / 100;
+
+/**
+ * Run the CLI as a separate process
+ * @returns {Object} { status, stdout, stderr }
+ */
+const runCli = (...args) => {
+    const { status, stdout, stderr, error } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 10000 });
+    if (error) throw error;
+    return { status, stdout, stderr };
+};
+
+// Batch files that fail to load, written per test run
+let tmpDir;
+test.before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fica-cli-'));
+});
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const writeTmp = (name, text) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, text);
+    return file;
+};
+
+test('flags estimate one business as a table, with defaults for the rest', () => {
+    const { status, stdout, stderr } = runCli('--locations', '1', '--servers=10', '--tips-pct', '60%');
+
+    assert.equal(status, 0);
+    assert.equal(stderr, '');
+    assert.match(stdout, /^Locations\s+1$/m);
+    assert.match(stdout, /^Hours per month\s+173$/m);
+    assert.match(stdout, /^Total 3-year credit\s+\$57,173\.04$/m);
+});
+
+test('--json prints the estimate with its inputs and results', () => {
+    const { status, stdout } = runCli('--servers', '10', '--tax-years', '2024,2025', '--json');
+    const estimate = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.equal(estimate.isValid, true);
+    assert.deepEqual(estimate.inputs.taxYears, [2024, 2025]);
+    assert.deepEqual(estimate.results.yearlyBreakdown.map(year => year.taxYear), [2024, 2025]);
+    assert.equal(cents(estimate.results.totalCredit), cents(57173.04 * 2 / 3));
+});
+
+test('invalid values exit 1 with the validateInputs messages on stderr', () => {
+    const { status, stdout, stderr } = runCli('--servers', '3x', '--hours', '0');
+
+    assert.equal(status, 1);
+    assert.equal(stdout, '');
+    assert.deepEqual(stderr.trim().split('\n'), [
+        'Estimate: error: Number of servers must be a number',
+        'Estimate: error: Hours per month must be at least 1'
+    ]);
+});
+
+test('warnings go to stderr without failing the estimate', () => {
+    const { status, stdout, stderr } = runCli('--state', 'TX', '--cash-wage', '2.13', '--tips-pct', '20');
+
+    assert.equal(status, 0);
+    assert.match(stdout, /Total 3-year credit/);
+    assert.match(stderr, /^Estimate: warning: .*Texas minimum wage/m);
+});
+
+test('a CSV batch prints a row per client, marks invalid rows and exits 1', () => {
+    const { status, stdout, stderr } = runCli('--file', fixture('cli-clients.csv'));
+    const rows = stdout.trim().split('\n').slice(2).map(line => line.split(/\s{2,}/));
+
+    assert.equal(status, 1);
+    assert.deepEqual(rows, [
+        ['Harbor Grill', '2', '10', '$2,076.00', '$1,905.77', '$114,346.08'],
+        ['Corner Bar', '1', '4', '$292.50', '$268.51', '$3,222.18'],
+        ['Broken Diner', 'INVALID'],
+        ['Total', '$117,568.26']
+    ]);
+    assert.match(stderr, /^Broken Diner: error: Number of servers must be at least 1$/m);
+    assert.match(stderr, /^Corner Bar: warning: /m);
+});
+
+test('a JSON batch with --json totals the valid estimates', () => {
+    const { status, stdout } = runCli('--file', fixture('cli-clients.json'), '--json');
+    const output = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.deepEqual(output.estimates.map(estimate => estimate.name), ['Harbor Grill', 'Client 2']);
+    assert.deepEqual(output.estimates[0].inputs.taxYears, [2024, 2025]);
+    assert.equal(cents(output.totalCredit), 104817.24);
+    assert.equal(output.totalCredit, output.estimates[0].results.totalCredit + output.estimates[1].results.totalCredit);
+});
+
+test('bad arguments and unreadable files exit 2 with the usage text', () => {
+    const cases = [
+        [['--min-wage', '7'], 'Unknown option --min-wage'],
+        [['--servers'], 'Missing value for --servers'],
+        [['--file', fixture('cli-clients.csv'), '--servers', '5'], 'Use either input flags or --file, not both'],
+        [['--file', path.join(tmpDir, 'missing.csv')], 'ENOENT'],
+        [['--file', writeTmp('extra.csv', 'name,servers,bonus\nA,5,1\n')], 'unknown column(s) bonus'],
+        [['--file', writeTmp('object.json', '{"servers": 5}')], 'must contain a JSON array of clients'],
+        [['--file', writeTmp('extra.json', '[{"servers": 5, "bonus": 1}]')], 'unknown field(s) bonus'],
+        [['--file', writeTmp('empty.csv', '\n\n')], 'is empty']
+    ];
+
+    cases.forEach(([args, message]) => {
+        const { status, stdout, stderr } = runCli(...args);
+        assert.equal(status, 2, args.join(' '));
+        assert.equal(stdout, '');
+        assert.ok(stderr.startsWith('Error: ') && stderr.includes(message), stderr);
+        assert.match(stderr, /^Usage: node fica-cli\.js/m);
+    });
+});
+
+test('--help prints the usage and exits 0', () => {
+    const { status, stdout, stderr } = runCli('--help');
+
+    assert.equal(status, 0);
+    assert.equal(stderr, '');
+    assert.match(stdout, /^Usage: node fica-cli\.js \[options\]/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateFicaTipCredit } = require('../fica-calculator.js');
+const { buildRegistrationUrl, submitLead, validateLead } = require('../lead-capture.js');
+
+const { lead } = validateLead({
+    firstName: 'Ana',
+    lastName: 'Diaz',
+    email: 'ana@mainstreetgrill.com',
+    phone: '(555) 010-1234',
+    businessName: 'Main Street Grill',
+    businessType: 'restaurant'
+});
+const inputs = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 60 };
+const results = calculateFicaTipCredit({ ...inputs, tipsPct: 0.6 });
+
+test('the registration URL carries the estimate and a lead id, not the contact details', () => {
+    const url = new URL(buildRegistrationUrl('lead-1234', inputs, results, { eligibility: 'likely' }));
+
+    assert.deepEqual([...url.searchParams.keys()], ['lead_id', 'estimated_credit', 'loc', 'srv', 'hrs', 'wage', 'tips', 'eligibility', 'source']);
+    assert.equal(url.searchParams.get('lead_id'), 'lead-1234');
+    assert.equal(url.searchParams.get('estimated_credit'), '57173.04');
+});
+
+test('submitLead sends the contact details to /api/lead, then opens the registration URL', async () => {
+    const sent = [];
+    const navigations = [];
+    const url = await submitLead(lead, inputs, results, {
+        send: async fields => sent.push(fields),
+        navigate: target => navigations.push(target)
+    });
+
+    assert.deepEqual(navigations, [url]);
+    assert.deepEqual(sent, [{
+        lead_id: new URL(url).searchParams.get('lead_id'),
+        first_name: 'Ana',
+        last_name: 'Diaz',
+        email: 'ana@mainstreetgrill.com',
+        phone: '(555) 010-1234',
+        business_name: 'Main Street Grill',
+        business_type: 'restaurant',
+        registration_url: url
+    }]);
+    ['Ana', 'Diaz', 'mainstreetgrill', '555', 'Grill'].forEach(value => assert.ok(!url.includes(value), value));
+});
+
+test('submitLead stays on the page when the lead is not accepted', async () => {
+    const navigations = [];
+    await assert.rejects(submitLead(lead, inputs, results, {
+        send: async () => { throw new Error('The lead was not accepted (HTTP 503)'); },
+        navigate: target => navigations.push(target)
+    }), /HTTP 503/);
+    assert.deepEqual(navigations, []);
+});
+
+test('business types are validated by code', () => {
+    assert.equal(validateLead({ ...lead, businessType: 'bar' }).isValid, true);
+    assert.deepEqual(validateLead({ ...lead, businessType: 'Restaurant' }).errors.map(error => error.code), ['businessType']);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { importPayrollCsv, parseCsv } = require('../payroll-csv.js');
+const { calculateRosterCredit } = require('../fica-calculator.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('parseCsv handles quoted cells, escaped quotes and CRLF', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n\r\n'), [
+        ['a', 'b, c', 'say "hi"'],
+        ['1', '2', '3']
+    ]);
+});
+
+test('custom headers map onto the payroll fields', () => {
+    const imported = importPayrollCsv(fixture('payroll-custom-headers.csv'), {
+        columns: {
+            employee: 'Employee Name',
+            payPeriod: 'Period Ending',
+            hours: 'Hours Worked',
+            cashWages: 'Gross Cash Pay',
+            reportedTips: 'Tips Reported',
+            location: 'Store'
+        }
+    });
+
+    assert.equal(imported.isValid, true);
+    assert.deepEqual(imported.errors, []);
+    assert.deepEqual(imported.roster, [
+        { name: 'Ana Diaz', role: 'server', location: 'Main St', hoursPerMonth: 86, cashWagePerHour: 8, tipsMonthly: 1050 },
+        { name: 'Ben Ortiz', role: 'server', location: 'Harbor', hoursPerMonth: 40, cashWagePerHour: 2.13, tipsMonthly: 175 }
+    ]);
+    assert.equal(imported.inputs.locations, 2);
+});
+
+test('missing columns are reported by their configured header', () => {
+    const imported = importPayrollCsv(fixture('payroll-custom-headers.csv'));
+
+    assert.equal(imported.isValid, false);
+    assert.deepEqual(imported.errors, [
+        'Missing column "Employee"',
+        'Missing column "Pay Period"',
+        'Missing column "Hours"',
+        'Missing column "Cash Wages"',
+        'Missing column "Reported Tips"'
+    ]);
+    assert.equal(imported.roster, null);
+});
+
+test('bad rows are reported by line and the good rows are kept', () => {
+    const imported = importPayrollCsv(fixture('payroll-bad-rows.csv'));
+
+    assert.equal(imported.isValid, false);
+    assert.deepEqual(imported.errors, [
+        'Row 3: Employee is required',
+        'Row 4: Pay Period "not a date" is not a date',
+        'Row 5: Hours must be a number of at least 0',
+        'Row 6: Cash Wages must be an amount of at least 0',
+        'Row 6: Reported Tips must be an amount of at least 0'
+    ]);
+    assert.deepEqual(imported.rows.map(row => row.employee), ['Ana Diaz']);
+    assert.equal(imported.roster, null);
+    assert.equal(imported.inputs, null);
+});
+
+test('pay periods are totalled per employee and spread over the months in the file', () => {
+    const imported = importPayrollCsv(fixture('payroll-multi-period.csv'));
+
+    assert.equal(imported.isValid, true);
+    assert.deepEqual(imported.roster, [
+        { name: 'Ana Diaz', role: 'server', location: 'Main St', hoursPerMonth: 173, cashWagePerHour: 8, tipsMonthly: 2150 },
+        { name: 'Ben Ortiz', role: 'busser', location: 'Harbor', hoursPerMonth: 110, cashWagePerHour: 2.13, tipsMonthly: 720 }
+    ]);
+    assert.deepEqual(
+        imported.inputs,
+        {
+            locations: 2,
+            servers: 1,
+            hoursPerMonth: 142,
+            cashWagePerHour: (173 * 8 + 110 * 2.13) / 283,
+            tipsPct: 2870 / (173 * 8 + 110 * 2.13 + 2870)
+        }
+    );
+    assert.ok(calculateRosterCredit({ employees: imported.roster }).totalCredit > 0);
+});
+
+test('an employee with no hours in the whole export is an error', () => {
+    const imported = importPayrollCsv(fixture('payroll-zero-hours.csv'));
+
+    assert.equal(imported.isValid, false);
+    assert.deepEqual(imported.errors, ['Eve Stone (Default) has no hours in the export']);
+    assert.equal(imported.roster, null);
+    assert.equal(imported.inputs, null);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateFicaTipCredit, calculateRosterCredit } = require('../fica-calculator.js');
+const { buildExportTables, toCsv } = require('../results-export.js');
+
+const sum = (rows, column) => Math.round(rows.reduce((total, row) => total + row[column], 0) * 100) / 100;
+
+test('a calculator result exports one row per location with its server count', () => {
+    const inputs = { locations: 3, servers: 7, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6 };
+    const results = calculateFicaTipCredit(inputs);
+    const [servers, locations] = buildExportTables(inputs, results);
+
+    assert.equal(servers.rows.length, 3);
+    assert.deepEqual(servers.rows.map(row => row.slice(0, 4)), [
+        ['Location 1', 'Servers 1-7', 'server', 7],
+        ['Location 2', 'Servers 1-7', 'server', 7],
+        ['Location 3', 'Servers 1-7', 'server', 7]
+    ]);
+    assert.equal(sum(servers.rows, 10), 120063.38);
+    assert.equal(sum(locations.rows.slice(0, -1), 4), 120063.38);
+    assert.deepEqual(locations.rows[locations.rows.length - 1], ['Total', 21, 43596, 40021.13, 120063.38]);
+});
+
+test('large headcounts do not multiply the rows', () => {
+    const inputs = { locations: 2, servers: 100000, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 0.6 };
+    const [servers] = buildExportTables(inputs, calculateFicaTipCredit(inputs));
+
+    assert.equal(servers.rows.length, 2);
+});
+
+test('roster rows and location rows add up to the total credit', () => {
+    const employees = [
+        { name: 'Ana', location: 'Main St', hoursPerMonth: 150, cashWagePerHour: 2.13, tipsMonthly: 1001.01 },
+        { name: 'Ben', location: 'Main St', hoursPerMonth: 90, cashWagePerHour: 3.33, tipsMonthly: 777.77 },
+        { name: 'Cy', location: 'Harbor', hoursPerMonth: 120, cashWagePerHour: 4.01, tipsMonthly: 333.33 }
+    ];
+    const results = calculateRosterCredit({ employees });
+    const [servers, locations] = buildExportTables({}, results);
+    const total = Math.round(results.totalCredit * 100) / 100;
+
+    assert.equal(sum(servers.rows, 10), total);
+    assert.equal(sum(locations.rows.slice(0, -1), 4), total);
+    assert.equal(locations.rows[locations.rows.length - 1][4], total);
+});
+
+test('CSV text that a spreadsheet would run as a formula is escaped', () => {
+    const csv = toCsv([{ name: 'Per Server', header: ['Location'], rows: [['=HYPERLINK("x")'], ['+1'], ['-1'], ['@SUM(A1)'], [-5], ['Main St']] }]);
+
+    assert.equal(csv, 'Per Server\r\nLocation\r\n"\'=HYPERLINK(""x"")"\r\n\'+1\r\n\'-1\r\n\'@SUM(A1)\r\n-5\r\nMain St\r\n');
+});
+
+test('a monthly profile splits the engine\'s totals evenly across identical locations', () => {
+    const inputs = {
+        locations: 2,
+        servers: 3,
+        hoursPerMonth: 173,
+        cashWagePerHour: 2.13,
+        tipsPct: 0.6,
+        monthlyProfile: Array.from({ length: 12 }, () => ({ servers: 1 }))
+    };
+    const results = calculateFicaTipCredit(inputs);
+    const [servers, locations, assumptions] = buildExportTables(inputs, results);
+    const total = Math.round(results.totalCredit * 100) / 100;
+
+    assert.deepEqual(servers.rows.map(row => row.slice(0, 4)), [
+        ['Location 1', 'Average Servers', 'server', 1],
+        ['Location 2', 'Average Servers', 'server', 1]
+    ]);
+    assert.ok(Math.abs(servers.rows[0][10] - servers.rows[1][10]) <= 0.01);
+    assert.equal(sum(servers.rows, 10), total);
+    assert.equal(locations.rows[locations.rows.length - 1][4], total);
+    assert.equal(assumptions.rows[0][1], 1);
+});
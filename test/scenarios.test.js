@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_SCENARIOS,
+    SCENARIO_STORAGE_KEY,
+    compareScenarios,
+    deleteScenario,
+    loadScenarios,
+    saveScenario
+} = require('../scenarios.js');
+
+const INPUTS = { locations: 1, servers: 10, hoursPerMonth: 160, cashWagePerHour: 2.13, tipsPct: 60, minWageBasis: 5.15 };
+
+// Stand-in for localStorage
+const memoryStorage = () => {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+};
+
+const names = scenarios => scenarios.map(scenario => scenario.name);
+
+test('saving a name again replaces that scenario in place', () => {
+    const storage = memoryStorage();
+    saveScenario({ name: 'Baseline', inputs: INPUTS }, storage);
+    saveScenario({ name: 'More staff', inputs: { ...INPUTS, servers: 12 } }, storage);
+    const saved = saveScenario({ name: 'baseline', inputs: { ...INPUTS, servers: 8 } }, storage);
+
+    assert.deepEqual(names(saved), ['baseline', 'More staff']);
+    assert.equal(saved[0].inputs.servers, 8);
+    assert.deepEqual(loadScenarios(storage), saved);
+});
+
+test('unnamed scenarios take the first unused default name', () => {
+    const storage = memoryStorage();
+    saveScenario({ inputs: INPUTS }, storage);
+    const [first] = saveScenario({ name: '  ', inputs: { ...INPUTS, servers: 2 } }, storage);
+    deleteScenario(first.id, storage);
+    const saved = saveScenario({ inputs: { ...INPUTS, servers: 3 } }, storage);
+
+    assert.deepEqual(saved.map(scenario => [scenario.name, scenario.inputs.servers]), [['Scenario 2', 2], ['Scenario 1', 3]]);
+});
+
+test('the oldest scenarios are dropped past the limit', () => {
+    const storage = memoryStorage();
+    let saved;
+    for (let number = 1; number <= MAX_SCENARIOS + 2; number++) {
+        saved = saveScenario({ name: `Plan ${number}`, inputs: INPUTS }, storage);
+    }
+
+    assert.equal(saved.length, MAX_SCENARIOS);
+    assert.deepEqual(names(saved).slice(0, 2), ['Plan 3', 'Plan 4']);
+});
+
+test('storage that refuses writes or holds junk does not throw', () => {
+    const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+    assert.equal(saveScenario({ name: 'Baseline', inputs: INPUTS }, full), null);
+    assert.equal(deleteScenario('missing', full), null);
+    assert.equal(saveScenario({ name: 'Baseline', inputs: INPUTS }, null), null);
+
+    const corrupt = memoryStorage();
+    corrupt.setItem(SCENARIO_STORAGE_KEY, '{not json');
+    assert.deepEqual(loadScenarios(corrupt), []);
+});
+
+test('metrics are compared with the first scenario in both directions', () => {
+    const comparison = compareScenarios([
+        { id: 'a', name: 'Baseline', inputs: INPUTS },
+        { id: 'b', name: 'More staff', inputs: { ...INPUTS, servers: 12 } },
+        { id: 'c', name: 'Fewer tips', inputs: { ...INPUTS, tipsPct: 40 } },
+        { id: 'd', name: 'Same', inputs: { ...INPUTS } },
+        { id: 'e', name: 'Broken', inputs: { ...INPUTS, servers: 0 } }
+    ]);
+    const total = comparison.metrics.find(metric => metric.field === 'totalCredit');
+
+    assert.deepEqual(total.values.map(value => value.direction), [null, 'better', 'worse', 'same', null]);
+    assert.equal(total.values[1].differencePct.toFixed(4), '0.2000');
+    assert.deepEqual(comparison.scenarios[4].errors, ['Number of servers must be at least 1']);
+    assert.ok(total.values[2].difference < 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateFicaTipCredit, validateInputs } = require('../fica-calculator.js');
+const { SEASONAL_PRESETS, buildSeasonalProfile } = require('../seasonality.js');
+
+const PARAMS = { locations: 1, servers: 10, hoursPerMonth: 160, cashWagePerHour: 2.13, tipsPct: 0.6 };
+
+const staffHours = profile => profile.reduce((sum, month) => sum + month.servers * month.hoursPerMonth, 0);
+const weightedTipsPct = profile => profile
+    .reduce((sum, month) => sum + month.servers * month.hoursPerMonth * month.tipsPct, 0) / staffHours(profile);
+
+test('every pattern keeps the average staff, staff hours and tip share', () => {
+    Object.keys(SEASONAL_PRESETS).forEach(presetId => {
+        const profile = buildSeasonalProfile(PARAMS, presetId);
+
+        assert.equal(profile.reduce((sum, month) => sum + month.servers, 0), 120, presetId);
+        assert.ok(Math.abs(staffHours(profile) / (10 * 160 * 12) - 1) < 0.005, presetId);
+        assert.ok(Math.abs(weightedTipsPct(profile) - 0.6) < 0.0005, presetId);
+    });
+});
+
+test('a single server is spread over the year without losing months of staff', () => {
+    const profile = buildSeasonalProfile({ ...PARAMS, servers: 1 }, 'summerBeach');
+
+    assert.deepEqual(profile.map(month => month.servers), [0, 0, 1, 1, 1, 2, 2, 2, 2, 1, 0, 0]);
+});
+
+test('months capped at 95% tips leave the average tip share unchanged', () => {
+    const profile = buildSeasonalProfile({ ...PARAMS, tipsPct: 0.9 }, 'summerBeach');
+
+    assert.equal(Math.max(...profile.map(month => month.tipsPct)), 0.95);
+    assert.ok(Math.abs(weightedTipsPct(profile) - 0.9) < 0.0005);
+});
+
+test('a marginal credit moves with when the tips fall, not with more tips', () => {
+    const credit = presetId => {
+        const results = calculateFicaTipCredit({ ...PARAMS, monthlyProfile: buildSeasonalProfile(PARAMS, presetId) });
+        return Math.round(results.totalCredit * 100) / 100;
+    };
+
+    assert.equal(Math.round(calculateFicaTipCredit(PARAMS).totalCredit * 100) / 100, 771.12);
+    assert.equal(credit('yearRound'), 771.12);
+    // Unscaled tip factors raised the year's tip share and gave $3,138.81 and $2,796.41
+    assert.equal(credit('skiResort'), 1382.69);
+    assert.equal(credit('summerBeach'), 1532.5);
+});
+
+test('patterns stay within the per-month limits and keep the averages', () => {
+    const limits = [
+        { ...PARAMS, hoursPerMonth: 700 },
+        { ...PARAMS, servers: 10000 },
+        { ...PARAMS, servers: 9000, hoursPerMonth: 744 }
+    ];
+
+    limits.forEach(params => {
+        Object.keys(SEASONAL_PRESETS).forEach(presetId => {
+            const profile = buildSeasonalProfile(params, presetId);
+            const label = `${presetId} ${params.servers}×${params.hoursPerMonth}`;
+
+            assert.ok(profile.every(month => month.servers <= 10000 && month.hoursPerMonth <= 744), label);
+            assert.equal(profile.reduce((sum, month) => sum + month.servers, 0), params.servers * 12, label);
+            assert.ok(Math.abs(staffHours(profile) / (params.servers * params.hoursPerMonth * 12) - 1) < 0.005, label);
+            assert.equal(validateInputs({ ...params, monthlyProfile: profile }).isValid, true, label);
+        });
+    });
+
+    // Without the cap, July would have had 856 hours
+    assert.deepEqual(buildSeasonalProfile({ ...PARAMS, hoursPerMonth: 700 }, 'summerBeach').map(month => month.hoursPerMonth),
+        [494, 494, 576, 659, 744, 744, 744, 744, 744, 659, 494, 494]);
+});
+
+test('months over the per-month limits are rejected', () => {
+    const monthlyProfile = Array.from({ length: 12 }, () => ({}));
+    monthlyProfile[6] = { servers: 10001, hoursPerMonth: 745 };
+
+    assert.deepEqual(validateInputs({ ...PARAMS, monthlyProfile }).generalErrors.map(error => [error.code, error.values]), [
+        ['monthServersMax', { month: 7, max: 10000 }],
+        ['monthHoursMax', { month: 7, max: 744 }]
+    ]);
+});
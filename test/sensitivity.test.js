@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { solveForTarget } = require('../fica-calculator.js');
+const sensitivity = require('../sensitivity.js');
+const { createTranslator } = require('../i18n.js');
+
+const PARAMS = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 2.13, tipsPct: 0.6, minWageBasis: 5.15 };
+
+test('break-even points agree with solveForTarget beyond the chart range', () => {
+    const solution = solveForTarget(PARAMS, 'tipsPct', 100000);
+    assert.equal(solution.reachable, true);
+    assert.ok(solution.value > 0.9);
+    assert.equal(sensitivity.findBreakEven(PARAMS, 'tipsPct', 100000), solution.value);
+
+    const analysis = sensitivity.analyzeSensitivity(PARAMS, { targetCredit: 100000 });
+    const tips = analysis.series.find(series => series.field === 'tipsPct');
+    assert.equal(analysis.breakEvens.tipsPctForTarget, solution.value);
+    assert.equal(tips.max, solution.value);
+});
+
+test('the wage basis break-even is the largest basis that still reaches the target', () => {
+    const params = { ...PARAMS, cashWagePerHour: 8 };
+    const basis = sensitivity.findBreakEven(params, 'minWageBasis', 50000);
+    const creditAt = minWageBasis => sensitivity.sweepInput(params, 'minWageBasis', { min: minWageBasis, max: minWageBasis + 0.01, steps: 2 }).points[0].totalCredit;
+
+    assert.ok(creditAt(basis) >= 50000);
+    assert.ok(creditAt(basis + 0.01) < 50000);
+});
+
+test('axis labels use the translator\'s number format', () => {
+    const translator = createTranslator('en');
+
+    assert.equal(sensitivity.formatAxisCredit(57173, translator), '$57k');
+    assert.equal(sensitivity.formatAxisCredit(1234567), '$1.2M');
+    assert.equal(sensitivity.formatInputValue('percent', 0.9186, translator), '91.9%');
+    assert.equal(sensitivity.formatInputValue('currency', 8, translator), '$8.00');
+    assert.equal(sensitivity.formatInputValue('number', 1234.4), '1,234');
+});
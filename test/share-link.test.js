@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseState, serializeState } = require('../share-link.js');
+
+const DEFAULTS = { locations: 1, servers: 10, hoursPerMonth: 173, cashWagePerHour: 8, tipsPct: 60, minWageBasis: 5.15, state: '', city: '' };
+
+test('bad values are listed as ignored and keep their defaults', () => {
+    const shared = parseState('?srv=abc&hrs=200&tips=150&city=Denver', DEFAULTS);
+
+    assert.equal(shared.restored, true);
+    assert.equal(shared.inputs.servers, 10);
+    assert.equal(shared.inputs.hoursPerMonth, 200);
+    assert.equal(shared.inputs.tipsPct, 60);
+    assert.deepEqual(shared.ignored, [
+        { field: 'servers', value: 'abc' },
+        { field: 'tipsPct', value: '150' },
+        { field: 'city', value: 'Denver' }
+    ]);
+    assert.equal(shared.errors.length, 3);
+});
+
+test('blank and overflowing numbers are not shared', () => {
+    assert.equal(serializeState({ locations: 1, servers: NaN, hoursPerMonth: Infinity, tipsPct: 60 }), 'loc=1&tips=60');
+});
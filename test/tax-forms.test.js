@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateCreditFromForms } = require('../tax-forms.js');
+
+// Two tipped staff, one of them past the 2024 Social Security wage base ($168,600)
+const HIGH_EARNER_QUARTER = {
+    quarter: 4,
+    wagesTipsCompensation: 70000,
+    socialSecurityWages: 10000,
+    socialSecurityTips: 30000,
+    medicareWagesTips: 60000,
+    tippedEmployeeHours: 1000,
+    tippedEmployeeCashWages: 2130
+};
+
+test('tips under the wage base are the same on lines 5b and 5c', () => {
+    const estimate = estimateCreditFromForms([{
+        taxYear: 2024,
+        form941: [{ quarter: 1, wagesTipsCompensation: 98000, socialSecurityWages: 58000, socialSecurityTips: 40000, medicareWagesTips: 98000 }],
+        form8027: { chargedTips: 30000, chargeReceipts: 200000, reportedTips: 40000, grossReceipts: 300000, quarters: [{ quarter: 1, grossReceipts: 300000, reportedTips: 40000 }] }
+    }]);
+
+    const [quarter] = estimate.years[0].quarters;
+    assert.equal(quarter.reportedTips, 40000);
+    assert.equal(quarter.tipsAboveWageBase, 0);
+    assert.equal(quarter.credit, 40000 * 0.0765);
+    assert.deepEqual(estimate.mismatches, []);
+});
+
+test('tips above the wage base earn the Medicare share of the credit', () => {
+    const estimate = estimateCreditFromForms([{ taxYear: 2024, form941: [HIGH_EARNER_QUARTER] }]);
+
+    const [quarter] = estimate.years[0].quarters;
+    // 5c less 5a: 50,000 of tips, 20,000 of them above the wage base
+    assert.equal(quarter.reportedTips, 50000);
+    assert.equal(quarter.tipsAboveWageBase, 20000);
+    // Tips that make up the $5.15 wage basis (5,150 - 2,130) come off the capped tips first
+    assert.equal(quarter.nonCreditableTips, 3020);
+    assert.equal(quarter.creditableTips, 46980);
+    assert.ok(Math.abs(quarter.credit - (26980 * 0.062 + 46980 * 0.0145)) < 1e-9);
+});
+
+test('Form 8027 tips are reconciled against uncapped Form 941 tips', () => {
+    const estimate = estimateCreditFromForms([{
+        taxYear: 2024,
+        form941: [HIGH_EARNER_QUARTER],
+        form8027: {
+            chargedTips: 40000,
+            chargeReceipts: 250000,
+            reportedTips: 50000,
+            grossReceipts: 400000,
+            quarters: [{ quarter: 4, grossReceipts: 400000, reportedTips: 50000 }]
+        }
+    }]);
+
+    assert.deepEqual(estimate.mismatches, []);
+    assert.deepEqual(
+        estimate.reconciliation.map(line => [line.quarter, line.form941Tips, line.status]),
+        [[4, 50000, 'match'], [null, 50000, 'match']]
+    );
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateTipPoolCredit, distributeTipPool, validateTipPool } = require('../tip-pool.js');
+
+const cents = value => Math.round(value * 100) / 100;
+
+// Two servers put 20% of $1,000 into the pool; the busser takes all of it.
+// The servers' cash wage meets the $5.15 wage basis, the busser's does not.
+const SERVER = { role: 'Server', headcount: 2, hoursPerMonth: 100, cashWagePerHour: 5.15, tipsCollectedMonthly: 1000, contributionPct: 0.2, sharePct: 0, points: 0 };
+const BUSSER = { role: 'Busser', headcount: 1, hoursPerMonth: 100, cashWagePerHour: 2.13, tipsCollectedMonthly: 0, contributionPct: 0, sharePct: 1, points: 1 };
+
+test('the percent method pays each role its share of the pool, split evenly among its staff', () => {
+    const bartender = { ...BUSSER, role: 'Bartender', headcount: 2, sharePct: 0.25 };
+    const distribution = distributeTipPool([SERVER, { ...BUSSER, sharePct: 0.75 }, bartender], 'percent');
+
+    // $200 from each of two servers
+    assert.equal(distribution.poolMonthly, 400);
+    assert.deepEqual(distribution.roles.map(role => [role.role, role.tipsContributedMonthly, role.tipsFromPoolMonthly, role.tipsReceivedMonthly]), [
+        ['Server', 200, 0, 800],
+        ['Busser', 0, 300, 300],
+        ['Bartender', 0, 50, 50]
+    ]);
+});
+
+test('the points method pays by points × hours worked', () => {
+    const roles = [
+        SERVER,
+        { ...BUSSER, role: 'Bartender', headcount: 1, hoursPerMonth: 150, points: 2 },
+        { ...BUSSER, headcount: 2, points: 1 }
+    ];
+    const distribution = distributeTipPool(roles, 'points');
+
+    // 1 × 2 × 150 + 2 × 1 × 100 = 500 points × hours: the bartender gets 300/500, each busser 100/500
+    assert.deepEqual(distribution.roles.map(role => [role.role, role.tipsFromPoolMonthly]), [
+        ['Server', 0],
+        ['Bartender', 240],
+        ['Busser', 80]
+    ]);
+    const paidOut = distribution.roles.reduce((sum, role, index) => sum + role.tipsFromPoolMonthly * roles[index].headcount, 0);
+    assert.equal(paidOut, distribution.poolMonthly);
+});
+
+test('pool shares must add up to 100% when there is a pool', () => {
+    const short = validateTipPool({ roles: [SERVER, { ...BUSSER, sharePct: 0.9 }] });
+    assert.equal(short.isValid, false);
+    assert.deepEqual(short.details.map(error => [error.code, error.values]), [['shareTotal', { total: 90 }]]);
+    assert.deepEqual(short.errors, ['Pool shares must add up to 100% (currently 90%)']);
+
+    // Thirds entered as rounded percentages are within the tolerance
+    const thirds = [0.3333, 0.3333, 0.3334].map((sharePct, index) => ({ ...BUSSER, role: `Support ${index + 1}`, sharePct }));
+    assert.equal(validateTipPool({ roles: [SERVER, ...thirds] }).isValid, true);
+
+    // Without contributions there is nothing to pay out
+    assert.equal(validateTipPool({ roles: [{ ...SERVER, contributionPct: 0 }, { ...BUSSER, sharePct: 0.5 }] }).isValid, true);
+
+    // The points method ignores shares but needs someone with points
+    assert.deepEqual(validateTipPool({ method: 'points', roles: [SERVER, { ...BUSSER, points: 0 }] }).details.map(error => error.code), ['noPoints']);
+});
+
+test('role errors name the row and role', () => {
+    const validation = validateTipPool({ roles: [SERVER, { ...SERVER, headcount: 0 }, { ...BUSSER, role: '' }] });
+
+    assert.deepEqual(validation.details.map(error => [error.code, error.values]), [
+        ['roleRepeat', { row: 2, role: 'Server' }],
+        ['roleHeadcount', { row: 2, role: 'Server' }],
+        ['roleName', { row: 3, role: '' }]
+    ]);
+    assert.deepEqual(validation.details.map(error => error.message), validation.errors);
+});
+
+test('pool amounts are per employee and per location; credits scale with locations', () => {
+    const oneLocation = calculateTipPoolCredit({ locations: 1, roles: [SERVER, BUSSER] });
+    const twoLocations = calculateTipPoolCredit({ locations: 2, roles: [SERVER, BUSSER] });
+
+    assert.equal(twoLocations.poolMonthly, oneLocation.poolMonthly);
+    assert.deepEqual(twoLocations.roles.map(role => [role.headcount, role.employeeCount]), [[2, 4], [1, 2]]);
+    twoLocations.roles.forEach((role, index) => {
+        assert.equal(role.tipsReceivedMonthly, oneLocation.roles[index].tipsReceivedMonthly);
+        assert.equal(role.creditPerEmployee, oneLocation.roles[index].creditPerEmployee);
+        assert.equal(cents(role.totalCredit), cents(oneLocation.roles[index].totalCredit * 2));
+    });
+});
+
+test('the pooled credit matches a hand calculation, and so does the change from pooling', () => {
+    const results = calculateTipPoolCredit({ locations: 2, roles: [SERVER, BUSSER] });
+    const [server, busser] = results.roles;
+
+    // Server: $800 kept, all creditable (cash wage meets the basis); $800 × 7.65% × 12 × 3 years
+    assert.equal(cents(server.creditableTips), 800);
+    assert.equal(cents(server.creditPerEmployee), 2203.2);
+    // Busser: $400 from the pool less the $302 gap between $213 cash and $515 basis; $98 × 7.65% × 12 × 3 years
+    assert.equal(cents(busser.nonCreditableTips), 302);
+    assert.equal(cents(busser.creditPerEmployee), 269.89);
+
+    // 4 servers and 2 bussers across two locations
+    assert.equal(results.employeeCount, 6);
+    assert.equal(cents(results.totalCredit), cents(2203.2 * 4 + 269.892 * 2));
+    assert.equal(cents(results.totalCredit), 9352.58);
+
+    // Unpooled, the servers' $1,000 is all creditable and the busser has nothing
+    assert.equal(cents(results.unpooledTotalCredit), cents(1000 * 0.0765 * 36 * 4));
+    assert.equal(cents(results.poolingCreditChange), cents(9352.584 - 11016));
+    assert.deepEqual(results.rolesByCredit.map(role => role.role), ['Server', 'Busser']);
+    assert.equal(cents(server.shareOfCredit + busser.shareOfCredit), 1);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const wageRules = require('../wage-rules.js');
+
+test('only the state table\'s own keys are states', () => {
+    assert.equal(wageRules.isKnownState('CA'), true);
+    ['__proto__', 'constructor', 'toString', 'hasOwnProperty'].forEach(state => {
+        assert.equal(wageRules.isKnownState(state), false, state);
+        assert.throws(() => wageRules.getWageRules(state), /unknown state/);
+    });
+});
+
+test('cash wage warnings and explanations give the rates\' as-of date', () => {
+    const { warnings } = wageRules.checkCashWage({ state: 'TX', cashWagePerHour: 2 });
+    assert.deepEqual(warnings, [`Cash wage is below the $2.13/hr tipped minimum for Texas (rates as of ${wageRules.WAGE_RULES_AS_OF})`]);
+
+    const lines = wageRules.explainWageBasis('CO', 'Denver');
+    assert.match(lines[lines.length - 1].message, new RegExp(`as of ${wageRules.WAGE_RULES_AS_OF}`));
+});
+
+test('rates that took effect after the review date give their own date', () => {
+    assert.equal(wageRules.getWageRules('MI').asOf, '2025-02-21');
+    assert.deepEqual(wageRules.checkCashWage({ state: 'MI', cashWagePerHour: 4 }).findings.map(finding => finding.values), [
+        { minimum: 4.74, jurisdiction: 'Michigan', asOf: '2025-02-21' }
+    ]);
+    assert.equal(wageRules.getWageRules('OH').asOf, wageRules.WAGE_RULES_AS_OF);
+});
+
+test('cash wage warnings and explanations carry codes and values for translation', () => {
+    const { findings } = wageRules.checkCashWage({ state: 'CA', cashWagePerHour: 2.13 });
+    assert.deepEqual(findings.map(({ code, values }) => ({ code, values })), [{
+        code: 'noTipCredit',
+        values: { minimum: 16.5, jurisdiction: 'California', asOf: wageRules.WAGE_RULES_AS_OF }
+    }]);
+
+    assert.deepEqual(wageRules.explainWageBasis('TX').map(line => line.code), ['federalBasis', 'tipCredit', 'tipsBelowBasis', 'asOf']);
+    assert.deepEqual(wageRules.explainWageBasis('CA').map(line => line.code), ['federalBasis', 'noTipCredit', 'minimumWageAboveBasis', 'asOf']);
+    assert.deepEqual(wageRules.explainWageBasis('TX')[1].values, { jurisdiction: 'Texas', tippedCashWage: 2.13, minimumWage: 7.25 });
+});
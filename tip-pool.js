@@ -0,0 +1,310 @@
+/**
+ * Tip Pooling and Tip-Outs by Role
+ *
+ * Servers rarely keep every tip they collect: they tip out bartenders and
+ * bussers, or the whole house pools tips and splits them by points. Each role
+ * here puts a share of the tips it collects into a pool, the pool is paid out
+ * by share percentage or by points, and the credit is calculated on what each
+ * role actually receives. Every employee in a role is assumed to work the same
+ * hours for the same cash wage.
+ *
+ * Parameters use the engine's units: percentages are decimals (0.15 = 15%).
+ * Headcounts and the pool are per location.
+ */
+
+/**
+ * How the pool is paid out
+ *   percent - each role receives a fixed share of the pool (sharePct), split evenly among its staff
+ *   points  - each employee receives points × hours worked, as a share of everyone's points × hours
+ */
+const TIP_POOL_METHODS = {
+    PERCENT: 'percent',
+    POINTS: 'points'
+};
+
+/**
+ * Example staff for one location: servers and bartenders tip out bussers and hosts
+ * Tips are per employee per month, before the tip-out.
+ */
+const DEFAULT_TIP_POOL_ROLES = [
+    { role: 'Server', headcount: 8, hoursPerMonth: 173, cashWagePerHour: 8.00, tipsCollectedMonthly: 2076, contributionPct: 0.15, sharePct: 0, points: 0 },
+    { role: 'Bartender', headcount: 2, hoursPerMonth: 173, cashWagePerHour: 8.00, tipsCollectedMonthly: 1800, contributionPct: 0.10, sharePct: 0.30, points: 7 },
+    { role: 'Busser', headcount: 3, hoursPerMonth: 130, cashWagePerHour: 5.00, tipsCollectedMonthly: 0, contributionPct: 0, sharePct: 0.40, points: 5 },
+    { role: 'Host', headcount: 2, hoursPerMonth: 130, cashWagePerHour: 10.00, tipsCollectedMonthly: 0, contributionPct: 0, sharePct: 0.30, points: 4 }
+];
+
+// Pool shares may miss 100% by this much from rounding
+const TIP_POOL_SHARE_TOLERANCE = 0.0001;
+
+/**
+ * Resolve the calculation engine in Node.js or the browser
+ * @returns {Object} FicaCalculator module
+ */
+function loadTipPoolCalculator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./fica-calculator.js');
+    }
+    return window.FicaCalculator;
+}
+
+/**
+ * Validate a tip pool
+ *
+ * Each error is also in `details` as { code, values, message }, so a page can
+ * show it in its own language. `code` is stable for translations; `message`
+ * is English. Role errors have values.row (1-based) and values.role (its name,
+ * or '' when it has none).
+ *
+ * @param {Object} params - calculateTipPoolCredit parameters
+ * @returns {Object} Validation result with isValid boolean, errors array and details array
+ */
+function validateTipPool(params) {
+    const errors = [];
+    const details = [];
+    const { roles, method = TIP_POOL_METHODS.PERCENT, locations = 1 } = params;
+
+    const error = (code, message, values = {}) => {
+        errors.push(message);
+        details.push({ code, values, message });
+    };
+
+    if (!(locations >= 1)) {
+        error('locationsMin', 'Number of locations must be at least 1');
+    }
+
+    if (!Object.values(TIP_POOL_METHODS).includes(method)) {
+        error('method', `Pool method must be one of ${Object.values(TIP_POOL_METHODS).join(', ')}`,
+            { methods: Object.values(TIP_POOL_METHODS).join(', ') });
+    }
+
+    if (!Array.isArray(roles) || roles.length === 0) {
+        error('noRoles', 'Tip pool must include at least one role');
+        return { isValid: false, errors, details };
+    }
+
+    const seen = new Set();
+    roles.forEach((role, index) => {
+        const name = role && role.role ? role.role : '';
+        const label = `Role ${index + 1}${name ? ` (${name})` : ''}`;
+        const roleError = (code, text) => error(code, `${label}: ${text}`, { row: index + 1, role: name });
+
+        if (!name) {
+            roleError('roleName', 'name is required');
+            return;
+        }
+        if (seen.has(name)) {
+            roleError('roleRepeat', 'role names must not repeat');
+        }
+        seen.add(name);
+
+        if (!Number.isInteger(role.headcount) || role.headcount < 1) {
+            roleError('roleHeadcount', 'headcount must be a whole number of at least 1');
+        }
+        if (!(role.hoursPerMonth > 0)) {
+            roleError('roleHours', 'hours per month must be greater than 0');
+        }
+        if (!(role.cashWagePerHour >= 0)) {
+            roleError('roleCashWage', 'cash wage cannot be negative');
+        }
+        if (!(role.tipsCollectedMonthly >= 0)) {
+            roleError('roleTips', 'tips collected cannot be negative');
+        }
+        if (!(role.contributionPct >= 0 && role.contributionPct <= 1)) {
+            roleError('roleContribution', 'pool contribution must be between 0% and 100%');
+        }
+        if (method === TIP_POOL_METHODS.PERCENT && !((role.sharePct || 0) >= 0 && (role.sharePct || 0) <= 1)) {
+            roleError('roleShare', 'pool share must be between 0% and 100%');
+        }
+        if (method === TIP_POOL_METHODS.POINTS && !((role.points || 0) >= 0)) {
+            roleError('rolePoints', 'points cannot be negative');
+        }
+    });
+
+    if (errors.length > 0) {
+        return { isValid: false, errors, details };
+    }
+
+    // Whatever goes into the pool has to come back out to someone
+    const pool = roles.reduce((sum, role) => sum + role.tipsCollectedMonthly * role.contributionPct * role.headcount, 0);
+    if (pool > 0 && method === TIP_POOL_METHODS.PERCENT) {
+        const totalShare = roles.reduce((sum, role) => sum + (role.sharePct || 0), 0);
+        if (Math.abs(totalShare - 1) > TIP_POOL_SHARE_TOLERANCE) {
+            const total = Number((totalShare * 100).toFixed(2));
+            error('shareTotal', `Pool shares must add up to 100% (currently ${total}%)`, { total });
+        }
+    }
+    if (pool > 0 && method === TIP_POOL_METHODS.POINTS && !roles.some(role => role.points > 0)) {
+        error('noPoints', 'Give at least one role points so the pool is paid out');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        details
+    };
+}
+
+/**
+ * Pay out the pool
+ *
+ * @param {Array<Object>} roles - Roles (see calculateTipPoolCredit)
+ * @param {string} [method] - One of TIP_POOL_METHODS
+ * @returns {Object} { poolMonthly, roles: [{ role, tipsCollectedMonthly, tipsContributedMonthly, tipsFromPoolMonthly, tipsReceivedMonthly }] }
+ *     Tip amounts are per employee per month; poolMonthly is per location.
+ */
+function distributeTipPool(roles, method = TIP_POOL_METHODS.PERCENT) {
+    const poolMonthly = roles.reduce((sum, role) => sum + role.tipsCollectedMonthly * role.contributionPct * role.headcount, 0);
+    const totalPoints = roles.reduce((sum, role) => sum + (role.points || 0) * role.hoursPerMonth * role.headcount, 0);
+
+    return {
+        poolMonthly,
+        roles: roles.map(role => {
+            const tipsContributedMonthly = role.tipsCollectedMonthly * role.contributionPct;
+            let tipsFromPoolMonthly = 0;
+            if (poolMonthly > 0 && method === TIP_POOL_METHODS.POINTS) {
+                tipsFromPoolMonthly = totalPoints > 0
+                    ? poolMonthly * (role.points || 0) * role.hoursPerMonth / totalPoints
+                    : 0;
+            } else if (poolMonthly > 0) {
+                tipsFromPoolMonthly = poolMonthly * (role.sharePct || 0) / role.headcount;
+            }
+
+            return {
+                role: role.role,
+                tipsCollectedMonthly: role.tipsCollectedMonthly,
+                tipsContributedMonthly,
+                tipsFromPoolMonthly,
+                tipsReceivedMonthly: role.tipsCollectedMonthly - tipsContributedMonthly + tipsFromPoolMonthly
+            };
+        })
+    };
+}
+
+/**
+ * Calculate the credit for a staff that pools or tips out
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {number} [params.locations] - Number of locations with this staff (default 1)
+ * @param {string} [params.method] - One of TIP_POOL_METHODS (default 'percent')
+ * @param {Array<Object>} params.roles - Roles at each location
+ * @param {string} params.roles[].role - Role name (e.g., 'Server', 'Bartender')
+ * @param {number} params.roles[].headcount - Employees in the role per location
+ * @param {number} params.roles[].hoursPerMonth - Hours worked per employee per month
+ * @param {number} params.roles[].cashWagePerHour - Cash wage paid ($/hr)
+ * @param {number} params.roles[].tipsCollectedMonthly - Tips each employee collects per month, before the pool
+ * @param {number} params.roles[].contributionPct - Share of collected tips put into the pool (0-1 decimal)
+ * @param {number} [params.roles[].sharePct] - Share of the pool the role receives (percent method, 0-1 decimal)
+ * @param {number} [params.roles[].points] - Points per employee (points method; the pool is split by points × hours worked)
+ * @param {number} [params.minWageBasis] - Overrides each year's wage basis when supplied
+ * @param {number[]} [params.taxYears] - Tax years to estimate
+ * @param {boolean} [params.applyWageBaseCap] - Limit the Social Security portion to each employee's wage base
+ *
+ * @returns {Object} Calculation results
+ * @returns {number} poolMonthly - Tips pooled per location per month
+ * @returns {Array<Object>} roles - Per-role tips and credit, in input order
+ * @returns {Array<Object>} rolesByCredit - The same roles, largest total credit first
+ * @returns {number} totalCredit - Total credit across all roles, locations and years
+ * @returns {number} unpooledTotalCredit - Total credit if everyone kept the tips they collected
+ * @returns {number} poolingCreditChange - totalCredit minus unpooledTotalCredit
+ */
+function calculateTipPoolCredit(params) {
+    const {
+        locations = 1,
+        method = TIP_POOL_METHODS.PERCENT,
+        roles,
+        minWageBasis,
+        taxYears,
+        applyWageBaseCap = false
+    } = params;
+
+    const validation = validateTipPool(params);
+    if (!validation.isValid) {
+        throw new Error(`Invalid input: ${validation.errors.join('; ')}`);
+    }
+
+    const calculator = loadTipPoolCalculator();
+    const distribution = distributeTipPool(roles, method);
+
+    // One representative employee per role; everyone in the role earns the same
+    const rosterFor = tipsField => calculator.calculateRosterCredit({
+        employees: roles.map((role, index) => ({
+            name: role.role,
+            role: role.role,
+            hoursPerMonth: role.hoursPerMonth,
+            cashWagePerHour: role.cashWagePerHour,
+            tipsMonthly: tipsField === 'received'
+                ? distribution.roles[index].tipsReceivedMonthly
+                : role.tipsCollectedMonthly
+        })),
+        minWageBasis,
+        taxYears,
+        applyWageBaseCap
+    });
+    const pooled = rosterFor('received');
+    const unpooled = rosterFor('collected');
+
+    const roleResults = roles.map((role, index) => {
+        const employee = pooled.employees[index];
+        const employees = role.headcount * locations;
+
+        return {
+            ...distribution.roles[index],
+            headcount: role.headcount,
+            employeeCount: employees,
+            hoursPerMonth: role.hoursPerMonth,
+            cashWagePerHour: role.cashWagePerHour,
+            nonCreditableTips: employee.nonCreditableTips,
+            creditableTips: employee.creditableTips,
+            annualCreditPerEmployee: employee.annualCredit,
+            creditPerEmployee: employee.totalCredit,
+            annualCredit: employee.annualCredit * employees,
+            totalCredit: employee.totalCredit * employees,
+            unpooledTotalCredit: unpooled.employees[index].totalCredit * employees,
+            wageBaseCapLoss: employee.wageBaseCapLoss * employees
+        };
+    });
+
+    const totalCredit = roleResults.reduce((sum, role) => sum + role.totalCredit, 0);
+    const unpooledTotalCredit = roleResults.reduce((sum, role) => sum + role.unpooledTotalCredit, 0);
+    roleResults.forEach(role => {
+        role.shareOfCredit = totalCredit > 0 ? role.totalCredit / totalCredit : 0;
+    });
+
+    return {
+        method,
+        locations,
+        poolMonthly: distribution.poolMonthly,
+        roles: roleResults,
+        rolesByCredit: [...roleResults].sort((a, b) => b.totalCredit - a.totalCredit),
+        employeeCount: roleResults.reduce((sum, role) => sum + role.employeeCount, 0),
+        annualCredit: roleResults.reduce((sum, role) => sum + role.annualCredit, 0),
+        totalCredit,
+        unpooledTotalCredit,
+        poolingCreditChange: totalCredit - unpooledTotalCredit,
+        wageBaseCapLoss: roleResults.reduce((sum, role) => sum + role.wageBaseCapLoss, 0),
+        taxYears: pooled.taxYears
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        DEFAULT_TIP_POOL_ROLES,
+        TIP_POOL_METHODS,
+        calculateTipPoolCredit,
+        distributeTipPool,
+        validateTipPool
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.TipPool = {
+        DEFAULT_TIP_POOL_ROLES,
+        TIP_POOL_METHODS,
+        calculateTipPoolCredit,
+        distributeTipPool,
+        validateTipPool
+    };
+}
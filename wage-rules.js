@@ -0,0 +1,289 @@
+/**
+ * Wage Basis Rules by Jurisdiction
+ *
+ * Explains and applies the minimum wage rules behind the calculator:
+ * - The Section 45B wage basis is federal and fixed at $5.15/hr in every state
+ * - Each state (and some cities) sets its own tipped cash-wage minimum
+ * - Some states allow no tip credit at all, so tipped staff get the full minimum wage
+ *
+ * Rates change every year; verify against the state labor department before
+ * relying on them.
+ */
+
+// Date the state and local rates below were last reviewed; a rate that took
+// effect later gives its own effectiveDate
+const WAGE_RULES_AS_OF = '2025-01-01';
+
+/**
+ * Federal rules
+ * section45bWageBasis - Minimum wage in effect on January 1, 2007 (26 U.S.C. 45B(b)(1)(B))
+ * minimumWage         - Current FLSA minimum wage
+ * tippedCashWage      - Lowest cash wage allowed with the FLSA tip credit
+ */
+const FEDERAL_WAGE_RULES = {
+    section45bWageBasis: 5.15,
+    minimumWage: 7.25,
+    tippedCashWage: 2.13
+};
+
+/**
+ * State minimum wage and tipped cash-wage minimum ($/hr)
+ * States without their own tipped rule (or below the FLSA) use the federal floor.
+ * effectiveDate marks rates that took effect after WAGE_RULES_AS_OF.
+ */
+const STATE_WAGE_RULES = {
+    AL: { name: 'Alabama', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    AK: { name: 'Alaska', minimumWage: 11.91, tippedCashWage: 11.91, allowsTipCredit: false },
+    AZ: { name: 'Arizona', minimumWage: 14.70, tippedCashWage: 11.70, allowsTipCredit: true },
+    AR: { name: 'Arkansas', minimumWage: 11.00, tippedCashWage: 2.63, allowsTipCredit: true },
+    CA: { name: 'California', minimumWage: 16.50, tippedCashWage: 16.50, allowsTipCredit: false },
+    CO: { name: 'Colorado', minimumWage: 14.81, tippedCashWage: 11.79, allowsTipCredit: true },
+    CT: { name: 'Connecticut', minimumWage: 16.35, tippedCashWage: 6.38, allowsTipCredit: true },
+    DE: { name: 'Delaware', minimumWage: 15.00, tippedCashWage: 2.23, allowsTipCredit: true },
+    DC: { name: 'District of Columbia', minimumWage: 17.50, tippedCashWage: 10.00, allowsTipCredit: true },
+    FL: { name: 'Florida', minimumWage: 13.00, tippedCashWage: 9.98, allowsTipCredit: true },
+    GA: { name: 'Georgia', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    HI: { name: 'Hawaii', minimumWage: 14.00, tippedCashWage: 12.75, allowsTipCredit: true },
+    ID: { name: 'Idaho', minimumWage: 7.25, tippedCashWage: 3.35, allowsTipCredit: true },
+    IL: { name: 'Illinois', minimumWage: 15.00, tippedCashWage: 9.00, allowsTipCredit: true },
+    IN: { name: 'Indiana', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    IA: { name: 'Iowa', minimumWage: 7.25, tippedCashWage: 4.35, allowsTipCredit: true },
+    KS: { name: 'Kansas', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    KY: { name: 'Kentucky', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    LA: { name: 'Louisiana', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    ME: { name: 'Maine', minimumWage: 14.65, tippedCashWage: 7.33, allowsTipCredit: true },
+    MD: { name: 'Maryland', minimumWage: 15.00, tippedCashWage: 3.63, allowsTipCredit: true },
+    MA: { name: 'Massachusetts', minimumWage: 15.00, tippedCashWage: 6.75, allowsTipCredit: true },
+    MI: { name: 'Michigan', minimumWage: 12.48, tippedCashWage: 4.74, allowsTipCredit: true, effectiveDate: '2025-02-21' },
+    MN: { name: 'Minnesota', minimumWage: 11.13, tippedCashWage: 11.13, allowsTipCredit: false },
+    MS: { name: 'Mississippi', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    MO: { name: 'Missouri', minimumWage: 13.75, tippedCashWage: 6.88, allowsTipCredit: true },
+    MT: { name: 'Montana', minimumWage: 10.55, tippedCashWage: 10.55, allowsTipCredit: false },
+    NE: { name: 'Nebraska', minimumWage: 13.50, tippedCashWage: 2.13, allowsTipCredit: true },
+    NV: { name: 'Nevada', minimumWage: 12.00, tippedCashWage: 12.00, allowsTipCredit: false },
+    NH: { name: 'New Hampshire', minimumWage: 7.25, tippedCashWage: 3.27, allowsTipCredit: true },
+    NJ: { name: 'New Jersey', minimumWage: 15.49, tippedCashWage: 5.62, allowsTipCredit: true },
+    NM: { name: 'New Mexico', minimumWage: 12.00, tippedCashWage: 3.00, allowsTipCredit: true },
+    NY: { name: 'New York', minimumWage: 15.50, tippedCashWage: 10.35, allowsTipCredit: true },
+    NC: { name: 'North Carolina', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    ND: { name: 'North Dakota', minimumWage: 7.25, tippedCashWage: 4.86, allowsTipCredit: true },
+    OH: { name: 'Ohio', minimumWage: 10.70, tippedCashWage: 5.35, allowsTipCredit: true },
+    OK: { name: 'Oklahoma', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    OR: { name: 'Oregon', minimumWage: 14.70, tippedCashWage: 14.70, allowsTipCredit: false },
+    PA: { name: 'Pennsylvania', minimumWage: 7.25, tippedCashWage: 2.83, allowsTipCredit: true },
+    RI: { name: 'Rhode Island', minimumWage: 15.00, tippedCashWage: 3.89, allowsTipCredit: true },
+    SC: { name: 'South Carolina', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    SD: { name: 'South Dakota', minimumWage: 11.50, tippedCashWage: 5.75, allowsTipCredit: true },
+    TN: { name: 'Tennessee', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    TX: { name: 'Texas', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    UT: { name: 'Utah', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true },
+    VT: { name: 'Vermont', minimumWage: 14.01, tippedCashWage: 7.01, allowsTipCredit: true },
+    VA: { name: 'Virginia', minimumWage: 12.41, tippedCashWage: 2.13, allowsTipCredit: true },
+    WA: { name: 'Washington', minimumWage: 16.66, tippedCashWage: 16.66, allowsTipCredit: false },
+    WV: { name: 'West Virginia', minimumWage: 8.75, tippedCashWage: 2.62, allowsTipCredit: true },
+    WI: { name: 'Wisconsin', minimumWage: 7.25, tippedCashWage: 2.33, allowsTipCredit: true },
+    WY: { name: 'Wyoming', minimumWage: 7.25, tippedCashWage: 2.13, allowsTipCredit: true }
+};
+
+/**
+ * City and county wage floors that are higher than the state rule
+ */
+const LOCAL_WAGE_RULES = [
+    { state: 'CA', city: 'Los Angeles', minimumWage: 17.28, tippedCashWage: 17.28, allowsTipCredit: false },
+    { state: 'CA', city: 'San Francisco', minimumWage: 18.67, tippedCashWage: 18.67, allowsTipCredit: false },
+    { state: 'CO', city: 'Denver', minimumWage: 18.81, tippedCashWage: 15.79, allowsTipCredit: true },
+    { state: 'IL', city: 'Chicago', minimumWage: 16.20, tippedCashWage: 11.02, allowsTipCredit: true },
+    { state: 'NY', city: 'New York City', minimumWage: 16.50, tippedCashWage: 11.00, allowsTipCredit: true },
+    { state: 'WA', city: 'Seattle', minimumWage: 20.76, tippedCashWage: 20.76, allowsTipCredit: false }
+];
+
+/**
+ * Check whether a state code is in STATE_WAGE_RULES
+ * Only the table's own keys count, so "__proto__" or "constructor" are unknown.
+ *
+ * @param {string} state - Two-letter state code
+ * @returns {boolean} True if the state has wage rules
+ */
+function isKnownState(state) {
+    return Object.prototype.hasOwnProperty.call(STATE_WAGE_RULES, state);
+}
+
+/**
+ * Get the wage rules that apply in a state, and optionally a city
+ *
+ * @param {string} state - Two-letter state code (e.g., 'CA')
+ * @param {string} [city] - City with its own wage floor (see LOCAL_WAGE_RULES)
+ * @returns {Object} Rules with jurisdiction, minimumWage, tippedCashWage, allowsTipCredit, section45bWageBasis
+ *     and asOf (the rates' effective date, or WAGE_RULES_AS_OF)
+ */
+function getWageRules(state, city) {
+    if (!isKnownState(state)) {
+        throw new Error(`Invalid input: unknown state "${state}"`);
+    }
+    const stateRules = STATE_WAGE_RULES[state];
+
+    const localRules = city
+        ? LOCAL_WAGE_RULES.find(rules => rules.state === state && rules.city === city)
+        : null;
+    if (city && !localRules) {
+        throw new Error(`Invalid input: no local wage rules for ${city}, ${state}`);
+    }
+
+    const rules = localRules || stateRules;
+
+    return {
+        state,
+        city: localRules ? localRules.city : null,
+        jurisdiction: localRules ? `${localRules.city}, ${state}` : stateRules.name,
+        minimumWage: rules.minimumWage,
+        tippedCashWage: rules.tippedCashWage,
+        allowsTipCredit: rules.allowsTipCredit,
+        section45bWageBasis: FEDERAL_WAGE_RULES.section45bWageBasis,
+        asOf: rules.effectiveDate || WAGE_RULES_AS_OF
+    };
+}
+
+/**
+ * List the cities with their own wage floor in a state
+ * @param {string} state - Two-letter state code
+ * @returns {string[]} City names
+ */
+function getLocalJurisdictions(state) {
+    return LOCAL_WAGE_RULES
+        .filter(rules => rules.state === state)
+        .map(rules => rules.city);
+}
+
+/**
+ * Explain how the wage basis applies in a jurisdiction
+ *
+ * Each point is { code, values, message }: `code` is stable for translations,
+ * `values` holds the rates and names in it, and `message` is English.
+ *
+ * @param {string} state - Two-letter state code
+ * @param {string} [city] - City with its own wage floor
+ * @returns {Array<Object>} Plain-language explanation, one point per entry; the last gives the rates' as-of date
+ */
+function explainWageBasis(state, city) {
+    const rules = getWageRules(state, city);
+    const basis = FEDERAL_WAGE_RULES.section45bWageBasis;
+    const { jurisdiction, minimumWage, tippedCashWage, asOf } = rules;
+    const dollars = rate => `$${rate.toFixed(2)}`;
+
+    const lines = [{
+        code: 'federalBasis',
+        values: { basis },
+        message: `The Section 45B credit always uses the federal ${dollars(basis)}/hr wage basis, whatever the state or local minimum wage.`
+    }];
+
+    if (!rules.allowsTipCredit) {
+        lines.push({
+            code: 'noTipCredit',
+            values: { jurisdiction, minimumWage },
+            message: `${jurisdiction} does not allow a tip credit: tipped employees must be paid the full ${dollars(minimumWage)}/hr minimum wage in cash.`
+        });
+        lines.push({
+            code: 'minimumWageAboveBasis',
+            values: { basis },
+            message: `Because that cash wage is above ${dollars(basis)}/hr, every reported tip dollar is creditable.`
+        });
+    } else {
+        lines.push({
+            code: 'tipCredit',
+            values: { jurisdiction, tippedCashWage, minimumWage },
+            message: `${jurisdiction} allows a tip credit with a cash wage of at least ${dollars(tippedCashWage)}/hr (minimum wage ${dollars(minimumWage)}/hr).`
+        });
+        if (tippedCashWage < basis) {
+            lines.push({
+                code: 'tipsBelowBasis',
+                values: { basis },
+                message: `Tips that bring a cash wage up to ${dollars(basis)}/hr are not creditable; only tips above that point count.`
+            });
+        } else {
+            lines.push({
+                code: 'cashWageAboveBasis',
+                values: { basis },
+                message: `That cash wage is already above ${dollars(basis)}/hr, so every reported tip dollar is creditable.`
+            });
+        }
+    }
+
+    lines.push({
+        code: 'asOf',
+        values: { asOf },
+        message: `State and local rates as of ${asOf}; check the state labor department for later changes.`
+    });
+
+    return lines;
+}
+
+/**
+ * Check an entered cash wage against the legal tipped minimum
+ *
+ * `warnings` holds the English messages; `findings` holds the same warnings
+ * as { code, values, message } for translation.
+ *
+ * @param {Object} params - Check parameters
+ * @param {string} params.state - Two-letter state code
+ * @param {string} [params.city] - City with its own wage floor
+ * @param {number} params.cashWagePerHour - Entered cash wage ($/hr)
+ * @returns {Object} Result with isCompliant boolean, warnings array, findings array and the rules applied
+ */
+function checkCashWage(params) {
+    const { state, city, cashWagePerHour } = params;
+    const rules = getWageRules(state, city);
+    const { jurisdiction, minimumWage, tippedCashWage, asOf } = rules;
+    const findings = [];
+
+    if (cashWagePerHour < tippedCashWage) {
+        findings.push(rules.allowsTipCredit
+            ? {
+                code: 'belowTippedMinimum',
+                values: { minimum: tippedCashWage, jurisdiction, asOf },
+                message: `Cash wage is below the $${tippedCashWage.toFixed(2)}/hr tipped minimum for ${jurisdiction} (rates as of ${asOf})`
+            }
+            : {
+                code: 'noTipCredit',
+                values: { minimum: minimumWage, jurisdiction, asOf },
+                message: `${jurisdiction} does not allow a tip credit; cash wage must be at least the $${minimumWage.toFixed(2)}/hr minimum wage (rates as of ${asOf})`
+            });
+    }
+
+    return {
+        isCompliant: findings.length === 0,
+        warnings: findings.map(finding => finding.message),
+        findings,
+        rules
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = {
+        FEDERAL_WAGE_RULES,
+        STATE_WAGE_RULES,
+        LOCAL_WAGE_RULES,
+        WAGE_RULES_AS_OF,
+        checkCashWage,
+        explainWageBasis,
+        getLocalJurisdictions,
+        getWageRules,
+        isKnownState
+    };
+}
+
+// Also support browser global
+if (typeof window !== 'undefined') {
+    window.WageRules = {
+        FEDERAL_WAGE_RULES,
+        STATE_WAGE_RULES,
+        LOCAL_WAGE_RULES,
+        WAGE_RULES_AS_OF,
+        checkCashWage,
+        explainWageBasis,
+        getLocalJurisdictions,
+        getWageRules,
+        isKnownState
+    };
+}